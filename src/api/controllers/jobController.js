@@ -0,0 +1,141 @@
+/**
+ * Job Controller
+ * 
+ * Handles requests related to the background job queue.
+ * Provides endpoints for listing jobs by state, queue statistics,
+ * single job lookups and retrying dead letter jobs.
+ * 
+ * Relationships with other modules:
+ * - Uses jobQueue.js to read and retry queued jobs
+ */
+
+const logger = require('../../utils/logger');
+const jobQueue = require('../../utils/jobQueue');
+
+// Default page size of the jobs listing
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * List jobs in a state with pagination
+ * 
+ * Query parameters: status (waiting, active, delayed, completed, dead;
+ * default dead), type (e.g. ocr, keywords), page and limit.
+ */
+exports.getJobs = async (req, res) => {
+  try {
+    const { status = 'dead', type } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+    
+    const { jobs, total } = await jobQueue.listJobs({
+      status,
+      type,
+      skip: (page - 1) * limit,
+      limit
+    });
+    
+    res.status(200).json({
+      success: true,
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting jobs: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get jobs',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get job counts by state for each job type
+ */
+exports.getJobStats = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      queues: await jobQueue.getQueueStats()
+    });
+  } catch (error) {
+    logger.error(`Error getting job stats: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get job stats',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single job by ID
+ */
+exports.getJobById = async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    logger.error(`Error getting job: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get job',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Queue a dead letter job again
+ */
+exports.retryJob = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await jobQueue.getJob(id);
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+    
+    const job = await jobQueue.retryJob(id);
+    
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: `Only dead jobs can be retried (job is ${existing.status})`
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Job queued for retry',
+      job
+    });
+  } catch (error) {
+    logger.error(`Error retrying job: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry job',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -3,56 +3,90 @@
  * 
  * Handles requests related to OCR (Optical Character Recognition) functionality.
  * Provides endpoints for image analysis and keyword extraction.
+ * 
+ * Relationships with other modules:
+ * - Uses ocrService.js to run OCR on uploaded or referenced images
+ * - Reads persisted results from the OCRResult model
+ * - Uses keywordService.js to list extracted keywords
+ * - Uses corpusIndex.js to list and rebuild the keyword corpus
+ * - Uses the upload middleware to delete uploads that couldn't be analyzed
  */
 
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../../utils/logger');
+const ocrService = require('../../ocr/ocrService');
+const keywordService = require('../../ocr/keywordService');
+const corpusIndex = require('../../ocr/corpusIndex');
+const OCRResult = require('../../models/OCRResult');
+const { removeUpload } = require('../middleware/upload');
 
-// Mock storage for OCR jobs
-const ocrJobs = new Map();
+// Default page size of list endpoints
+const DEFAULT_PAGE_SIZE = 20;
 
-// Mock extracted keywords
-const extractedKeywords = [
-  { keyword: 'example', count: 12, sources: ['page1.jpg', 'page2.jpg'] },
-  { keyword: 'test', count: 8, sources: ['page1.jpg'] },
-  { keyword: 'sample', count: 5, sources: ['page3.jpg'] }
-];
+// Sort options of the OCR results listing mapped to model fields
+const OCR_RESULT_SORT_FIELDS = {
+  date: 'createdAt',
+  confidence: 'confidence',
+  processingTime: 'processingTime'
+};
 
 /**
  * Analyze an image using OCR
+ * 
+ * Accepts a multipart upload (`image` file), a base64 data URL (`image`)
+ * or an image URL (`imageUrl`) and responds with the persisted OCR result.
  */
 exports.analyzeImage = async (req, res) => {
   try {
-    // In a real implementation, we would get the image from the request
-    // For now, we'll just simulate an analysis
-    
-    const ocrId = uuidv4();
-    
-    // Create a new OCR job
-    const job = {
-      id: ocrId,
-      status: 'completed',
-      created: new Date(),
-      results: {
-        text: 'This is example text extracted from the image',
-        confidence: 95,
-        keywords: ['example', 'text']
-      }
-    };
+    const { image, imageUrl, lang, preprocess, keywordAlgorithm, corpusScope } = req.body;
+    const analysisId = uuidv4();
     
-    // Store the job
-    ocrJobs.set(ocrId, job);
+    let imageSource;
+    let source;
+    if (req.file) {
+      imageSource = req.file.path;
+      source = 'upload';
+    } else if (image) {
+      imageSource = image;
+      source = 'base64';
+    } else {
+      imageSource = imageUrl;
+      source = 'url';
+    }
     
-    logger.info(`OCR analysis completed for job ${ocrId}`);
+    logger.info(`OCR analysis ${analysisId} requested for ${source === 'url' ? imageUrl : `an image (${source})`}`);
     
-    res.status(200).json({
+    const ocrResult = await ocrService.processImage(imageSource, {
+      analysisId,
+      lang,
+      preprocess,
+      keywordAlgorithm,
+      corpusScope,
+      source,
+      originalName: req.file ? req.file.originalname : null,
+      imageUrl: imageUrl || null
+    });
+    
+    // Failed uploads have no result referring to them
+    if (ocrResult.error) {
+      await removeUpload(req);
+      return res.status(422).json({
+        success: false,
+        message: 'Failed to analyze image',
+        error: ocrResult.error
+      });
+    }
+    
+    const result = await OCRResult.findOne({ analysisId });
+    
+    res.status(201).json({
       success: true,
       message: 'OCR analysis completed',
-      ocrId,
-      results: job.results
+      result
     });
   } catch (error) {
     logger.error(`Error analyzing image: ${error.message}`);
+    await removeUpload(req);
     res.status(500).json({
       success: false,
       message: 'Failed to analyze image',
@@ -62,44 +96,142 @@ exports.analyzeImage = async (req, res) => {
 };
 
 /**
- * Get OCR results for a specific job
+ * Get the pagination of a list request
+ * 
+ * @param {Object} query - Validated request query
+ * @returns {Object} - Pagination ({ page, limit, skip })
+ */
+const getPagination = (query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || DEFAULT_PAGE_SIZE;
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Get OCR results with pagination, filters and sorting
+ * 
+ * Query parameters: page, limit, crawlId, minConfidence, maxConfidence,
+ * from, to (creation date), category (of a keyword), language, sort (date,
+ * confidence, processingTime) and order (asc, desc).
  */
 exports.getOCRResults = async (req, res) => {
+  try {
+    const { crawlId, minConfidence, maxConfidence, from, to, category, language, sort = 'date', order = 'desc' } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+    
+    const filter = {};
+    if (crawlId) filter.crawlId = String(crawlId);
+    if (category) filter['keywords.category'] = String(category);
+    if (language) filter.language = String(language);
+    
+    if (minConfidence !== undefined || maxConfidence !== undefined) {
+      filter.confidence = {};
+      if (minConfidence !== undefined) filter.confidence.$gte = Number(minConfidence);
+      if (maxConfidence !== undefined) filter.confidence.$lte = Number(maxConfidence);
+    }
+    
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+    
+    // _id keeps the order stable across pages for equal sort values
+    const sortOrder = order === 'asc' ? 1 : -1;
+    const sortOptions = { [OCR_RESULT_SORT_FIELDS[sort]]: sortOrder, _id: sortOrder };
+    
+    const [results, total] = await Promise.all([
+      OCRResult.find(filter).sort(sortOptions).skip(skip).limit(limit),
+      OCRResult.countDocuments(filter)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      results,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting OCR results: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get OCR results',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single OCR result by its analysis ID
+ */
+exports.getOCRResultById = async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Check if the job exists
-    if (!ocrJobs.has(id)) {
+    const result = await OCRResult.findOne({ analysisId: id });
+    
+    if (!result) {
       return res.status(404).json({
         success: false,
-        message: 'OCR job not found'
+        message: 'OCR result not found'
       });
     }
     
-    const job = ocrJobs.get(id);
-    
     res.status(200).json({
       success: true,
-      results: job.results
+      result
     });
   } catch (error) {
-    logger.error(`Error getting OCR results: ${error.message}`);
+    logger.error(`Error getting OCR result: ${error.message}`);
     res.status(500).json({
       success: false,
-      message: 'Failed to get OCR results',
+      message: 'Failed to get OCR result',
       error: error.message
     });
   }
 };
 
 /**
- * Get all extracted keywords
+ * Get extracted keywords with pagination, filters and sorting
+ * 
+ * Query parameters: page, limit, crawlId, category, minFrequency, language,
+ * type (word, phrase), token, from, to (last seen date), sort (frequency, score, lastSeen,
+ * firstSeen, word) and order (asc, desc).
  */
 exports.getExtractedKeywords = async (req, res) => {
   try {
+    const { crawlId, category, minFrequency, language, type, token, from, to, sort = 'frequency', order } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+    
+    const options = {
+      crawlId,
+      category,
+      language,
+      type,
+      token,
+      minFrequency: parseInt(minFrequency) || 1,
+      from: from ? new Date(from) : null,
+      to: to ? new Date(to) : null
+    };
+    
+    const [keywords, total] = await Promise.all([
+      keywordService.getTopKeywords({ ...options, sortBy: sort, order, skip, limit }),
+      keywordService.countKeywords(options)
+    ]);
+    
     res.status(200).json({
       success: true,
-      keywords: extractedKeywords
+      keywords,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
   } catch (error) {
     logger.error(`Error getting extracted keywords: ${error.message}`);
@@ -109,4 +241,57 @@ exports.getExtractedKeywords = async (req, res) => {
       error: error.message
     });
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Get the keyword corpora (global, per crawl and per domain) with pagination
+ * 
+ * Query parameters: page, limit and scope (global, crawl, domain).
+ */
+exports.getCorpora = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPagination(req.query);
+    
+    const { corpora, total } = await corpusIndex.listCorpora({ scope: req.query.scope, skip, limit });
+    
+    res.status(200).json({
+      success: true,
+      corpora,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error(`Error getting keyword corpora: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get keyword corpora',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Queue a rebuild of the keyword corpus from all stored OCR results
+ */
+exports.rebuildCorpus = async (req, res) => {
+  try {
+    const job = await corpusIndex.queueRebuild();
+    
+    res.status(202).json({
+      success: true,
+      message: 'Keyword corpus rebuild queued',
+      jobId: job.id
+    });
+  } catch (error) {
+    logger.error(`Error queueing keyword corpus rebuild: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue keyword corpus rebuild',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
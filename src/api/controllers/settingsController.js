@@ -6,32 +6,7 @@
  */
 
 const logger = require('../../utils/logger');
-
-// Mock settings
-let settings = {
-  crawler: {
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-    maxRetries: 3,
-    rateLimit: 2000, // milliseconds
-    scrollTimeout: 30000,
-    maxPages: 10,
-    headless: true
-  },
-  ocr: {
-    language: 'eng',
-    minConfidence: 70
-  },
-  storage: {
-    screenshotsPath: './data/screenshots',
-    reportsPath: './data/reports'
-  },
-  ui: {
-    refreshRate: 5000 // milliseconds
-  }
-};
-
-// Default settings for reset
-const defaultSettings = { ...settings };
+const settingsStore = require('../../config/settings');
 
 /**
  * Get all settings
@@ -40,7 +15,7 @@ exports.getSettings = async (req, res) => {
   try {
     res.status(200).json({
       success: true,
-      settings
+      settings: settingsStore.getSettings()
     });
   } catch (error) {
     logger.error(`Error getting settings: ${error.message}`);
@@ -68,7 +43,7 @@ exports.updateSettings = async (req, res) => {
     }
     
     // Deep merge the updates into the current settings
-    settings = deepMerge(settings, updates);
+    const settings = settingsStore.updateSettings(updates);
     
     logger.info('Settings updated');
     
@@ -92,7 +67,7 @@ exports.updateSettings = async (req, res) => {
  */
 exports.resetToDefaults = async (req, res) => {
   try {
-    settings = { ...defaultSettings };
+    const settings = settingsStore.resetSettings();
     
     logger.info('Settings reset to defaults');
     
@@ -109,21 +84,4 @@ exports.resetToDefaults = async (req, res) => {
       error: error.message
     });
   }
-};
-
-/**
- * Helper function to deep merge objects
- */
-function deepMerge(target, source) {
-  const result = { ...target };
-  
-  for (const key in source) {
-    if (source[key] instanceof Object && key in target) {
-      result[key] = deepMerge(target[key], source[key]);
-    } else {
-      result[key] = source[key];
-    }
-  }
-  
-  return result;
-} 
\ No newline at end of file
+};
\ No newline at end of file
@@ -7,6 +7,7 @@
  */
 
 const os = require('os');
+const browserPool = require('../../crawler/browserPool');
 
 // Mock data for demonstration since we don't have actual stats yet
 let mockStats = {
@@ -131,4 +132,22 @@ exports.getStats = async (req, res) => {
       error: error.message
     });
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Get the health of the shared browser pool
+ */
+exports.getBrowserPoolStats = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      pool: browserPool.getPoolStats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve browser pool stats',
+      error: error.message
+    });
+  }
+};
\ No newline at end of file
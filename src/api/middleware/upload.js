@@ -0,0 +1,100 @@
+/**
+ * Upload Middleware
+ * 
+ * This module handles multipart image uploads with multer. Uploaded images
+ * are stored in data/uploads so that OCR results can keep pointing to them.
+ * 
+ * Upload errors (file too large, not an image) are answered with a 400
+ * response in the same format as the validation middleware.
+ * 
+ * Relationships with other modules:
+ * - Used by the routes.js module for endpoints that accept image files
+ * - Used by validation.js to remove uploads of rejected requests
+ */
+
+const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+
+// Directory for uploaded images
+const UPLOAD_DIR = path.join(process.cwd(), 'data', 'uploads');
+
+// Default largest accepted upload in bytes
+const DEFAULT_MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(UPLOAD_DIR, { recursive: true }, (error) => cb(error, UPLOAD_DIR));
+  },
+  filename: (req, file, cb) => {
+    // Never use the client's file name on disk
+    const extension = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+    cb(null, `${Date.now()}-${uuidv4().slice(0, 8)}${extension}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_UPLOAD_BYTES) || DEFAULT_MAX_UPLOAD_BYTES,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith('image/')) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Accept a single image in the `image` field of a multipart request
+ * 
+ * Requests that are not multipart pass through unchanged, so the same
+ * endpoint can also take JSON bodies.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const uploadImage = (req, res, next) => {
+  upload.single('image')(req, res, (error) => {
+    if (!error) return next();
+    
+    logger.warn(`Image upload rejected: ${error.message}`);
+    
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? 'Image is too large'
+        : 'Upload a single image file in the "image" field';
+      
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+    
+    next(error);
+  });
+};
+
+/**
+ * Delete the uploaded file of a request that won't be processed
+ * 
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+const removeUpload = async (req) => {
+  if (!req.file) return;
+  
+  await fs.promises.unlink(req.file.path).catch(error => {
+    logger.warn(`Failed to delete rejected upload ${req.file.path}: ${error.message}`);
+  });
+};
+
+module.exports = {
+  uploadImage,
+  removeUpload
+};
\ No newline at end of file
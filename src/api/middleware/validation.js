@@ -14,13 +14,30 @@
  */
 
 const logger = require('../../utils/logger');
+const { validateScope } = require('../../crawler/scope');
+const { RETRYABLE_TYPES } = require('../../crawler/retryPolicy');
+const { KEYWORD_SORT_FIELDS, KEYWORD_ALGORITHMS } = require('../../ocr/keywordService');
+const { JOB_STATUSES } = require('../../utils/jobQueue');
+const { validatePipeline } = require('../../ocr/imagePreprocessor');
+const { CORPUS_SCOPES } = require('../../ocr/corpusIndex');
+const { removeUpload } = require('./upload');
+const Keyword = require('../../models/Keyword');
+
+// Largest page size of list endpoints
+const MAX_PAGE_SIZE = 100;
+
+// Sort options of the OCR results listing
+const OCR_RESULT_SORT_FIELDS = ['date', 'confidence', 'processingTime'];
+
+// Keyword categories defined by the Keyword model
+const KEYWORD_CATEGORIES = Keyword.schema.path('category').enumValues.filter(Boolean);
 
 /**
  * Validate a crawl request
  * Ensures the request contains the required fields and that they are valid.
  */
 const validateCrawlRequest = (req, res, next) => {
-  const { url, depth, keywords } = req.body;
+  const { url, depth, keywords, options = {} } = req.body;
   
   // Validate URL
   if (!url) {
@@ -59,6 +76,202 @@ const validateCrawlRequest = (req, res, next) => {
     });
   }
   
+  // Validate concurrency if provided
+  if (options.concurrency !== undefined) {
+    const concurrency = Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 20) {
+      return res.status(400).json({
+        success: false,
+        message: 'Concurrency must be an integer between 1 and 20'
+      });
+    }
+  }
+  
+  // Validate browser mode if provided
+  if (options.headless !== undefined && typeof options.headless !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'headless must be a boolean'
+    });
+  }
+  
+  // Validate robots.txt flag if provided
+  if (options.respectRobots !== undefined && typeof options.respectRobots !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'respectRobots must be a boolean'
+    });
+  }
+  
+  // Validate sitemap options if provided
+  if (options.useSitemaps !== undefined && typeof options.useSitemaps !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'useSitemaps must be a boolean'
+    });
+  }
+  
+  if (options.maxSitemapUrls !== undefined) {
+    const maxSitemapUrls = Number(options.maxSitemapUrls);
+    if (!Number.isInteger(maxSitemapUrls) || maxSitemapUrls < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxSitemapUrls must be a positive integer'
+      });
+    }
+  }
+  
+  if (options.sitemapUrls !== undefined &&
+      (!Array.isArray(options.sitemapUrls) || !options.sitemapUrls.every(isValidUrl))) {
+    return res.status(400).json({
+      success: false,
+      message: 'sitemapUrls must be an array of valid URLs'
+    });
+  }
+  
+  // Validate crawl scope (mode, prefix, include/exclude patterns) if provided
+  const scopeError = validateScope(options.scope);
+  if (scopeError) {
+    return res.status(400).json({
+      success: false,
+      message: scopeError
+    });
+  }
+  
+  // Validate URL normalization and duplicate detection options if provided
+  if (options.stripParams !== undefined &&
+      (!Array.isArray(options.stripParams) ||
+       !options.stripParams.every(param => typeof param === 'string' && param.length > 0))) {
+    return res.status(400).json({
+      success: false,
+      message: 'stripParams must be an array of query parameter names'
+    });
+  }
+  
+  for (const flag of ['useCanonical', 'dedupeContent']) {
+    if (options[flag] !== undefined && typeof options[flag] !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: `${flag} must be a boolean`
+      });
+    }
+  }
+  
+  if (options.duplicateThreshold !== undefined &&
+      (!Number.isInteger(options.duplicateThreshold) ||
+       options.duplicateThreshold < 0 || options.duplicateThreshold > 64)) {
+    return res.status(400).json({
+      success: false,
+      message: 'duplicateThreshold must be an integer between 0 and 64'
+    });
+  }
+  
+  // Validate crawl budgets if provided (0 = unlimited)
+  for (const budget of ['maxPages', 'maxDuration', 'maxScreenshots', 'maxBytes']) {
+    if (options[budget] !== undefined && (!Number.isInteger(options[budget]) || options[budget] < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: `${budget} must be a non-negative integer`
+      });
+    }
+  }
+  
+  // Validate per-host rate limiting if provided
+  if (options.hostRateLimits !== undefined &&
+      (typeof options.hostRateLimits !== 'object' || options.hostRateLimits === null ||
+       Array.isArray(options.hostRateLimits) ||
+       !Object.values(options.hostRateLimits).every(delay => Number.isInteger(delay) && delay >= 0))) {
+    return res.status(400).json({
+      success: false,
+      message: 'hostRateLimits must map host names to non-negative delays in milliseconds'
+    });
+  }
+  
+  if (options.hostBurst !== undefined &&
+      (!Number.isInteger(options.hostBurst) || options.hostBurst < 1 || options.hostBurst > 10)) {
+    return res.status(400).json({
+      success: false,
+      message: 'hostBurst must be an integer between 1 and 10'
+    });
+  }
+  
+  // Validate retry policy if provided
+  if (options.maxRetries !== undefined &&
+      (!Number.isInteger(options.maxRetries) || options.maxRetries < 0 || options.maxRetries > 10)) {
+    return res.status(400).json({
+      success: false,
+      message: 'maxRetries must be an integer between 0 and 10'
+    });
+  }
+  
+  for (const delay of ['retryBaseDelay', 'retryMaxDelay']) {
+    if (options[delay] !== undefined && (!Number.isInteger(options[delay]) || options[delay] < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: `${delay} must be a positive integer`
+      });
+    }
+  }
+  
+  if (options.retryOn !== undefined &&
+      (!Array.isArray(options.retryOn) || !options.retryOn.every(type => RETRYABLE_TYPES.includes(type)))) {
+    return res.status(400).json({
+      success: false,
+      message: `retryOn must be an array of: ${RETRYABLE_TYPES.join(', ')}`
+    });
+  }
+  
+  // Validate ad detection options if provided
+  if (options.detectAds !== undefined && typeof options.detectAds !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'detectAds must be a boolean'
+    });
+  }
+  
+  if (options.maxCreativesPerPage !== undefined &&
+      (!Number.isInteger(options.maxCreativesPerPage) || options.maxCreativesPerPage < 1 || options.maxCreativesPerPage > 100)) {
+    return res.status(400).json({
+      success: false,
+      message: 'maxCreativesPerPage must be an integer between 1 and 100'
+    });
+  }
+  
+  // Validate network capture options if provided
+  for (const flag of ['captureNetwork', 'saveAssets']) {
+    if (options[flag] !== undefined && typeof options[flag] !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: `${flag} must be a boolean`
+      });
+    }
+  }
+  
+  if (options.keywordAlgorithm !== undefined && !KEYWORD_ALGORITHMS.includes(options.keywordAlgorithm)) {
+    return res.status(400).json({
+      success: false,
+      message: `keywordAlgorithm must be one of: ${KEYWORD_ALGORITHMS.join(', ')}`
+    });
+  }
+  
+  if (options.corpusScope !== undefined && !CORPUS_SCOPES.includes(options.corpusScope)) {
+    return res.status(400).json({
+      success: false,
+      message: `corpusScope must be one of: ${CORPUS_SCOPES.join(', ')}`
+    });
+  }
+  
+  // Validate OCR preprocessing pipelines if provided
+  for (const field of ['ocrPreprocess', 'creativeOcrPreprocess']) {
+    const pipelineError = options[field] !== undefined ? validatePipeline(options[field]) : null;
+    if (pipelineError) {
+      return res.status(400).json({
+        success: false,
+        message: `${field}: ${pipelineError}`
+      });
+    }
+  }
+  
   // If validation passes, proceed to the next middleware
   next();
 };
@@ -103,6 +316,231 @@ const validateTaskRequest = (req, res, next) => {
   next();
 };
 
+/**
+ * Validates an OCR analysis request
+ * 
+ * Exactly one image source is required: a multipart upload (`image` file),
+ * a base64 data URL (`image`) or an image URL (`imageUrl`).
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateOcrRequest = (req, res, next) => {
+  const { image, imageUrl, lang, preprocess, keywordAlgorithm, corpusScope } = req.body || {};
+  const errors = [];
+  
+  const sources = [req.file, image, imageUrl].filter(source => source !== undefined && source !== '');
+  
+  if (sources.length === 0) {
+    errors.push('An image upload, base64 data URL (image) or image URL (imageUrl) is required');
+  } else if (sources.length > 1) {
+    errors.push('Provide only one of an image upload, image or imageUrl');
+  }
+  
+  if (image !== undefined && !req.file &&
+      (typeof image !== 'string' || !/^data:image\/[\w.+-]+;base64,/.test(image))) {
+    errors.push('image must be a base64 data URL (data:image/...;base64,...)');
+  }
+  
+  if (imageUrl !== undefined &&
+      (typeof imageUrl !== 'string' || !isValidUrl(imageUrl) || !/^https?:$/.test(new URL(imageUrl).protocol))) {
+    errors.push('imageUrl must be an http or https URL');
+  }
+  
+  // Tesseract language codes, combined with + (e.g. eng+deu)
+  if (lang !== undefined && (typeof lang !== 'string' || !/^[a-z_]+(\+[a-z_]+)*$/i.test(lang))) {
+    errors.push('lang must be a Tesseract language code such as eng or eng+deu');
+  }
+  
+  // Multipart fields arrive as strings, so steps may also be given comma-separated
+  const pipelineError = preprocess !== undefined ? validatePipeline(preprocess) : null;
+  if (pipelineError) {
+    errors.push(`preprocess: ${pipelineError}`);
+  }
+  
+  if (keywordAlgorithm !== undefined && !KEYWORD_ALGORITHMS.includes(keywordAlgorithm)) {
+    errors.push(`keywordAlgorithm must be one of: ${KEYWORD_ALGORITHMS.join(', ')}`);
+  }
+  
+  if (corpusScope !== undefined && !CORPUS_SCOPES.includes(corpusScope)) {
+    errors.push(`corpusScope must be one of: ${CORPUS_SCOPES.join(', ')}`);
+  }
+  
+  if (errors.length > 0) {
+    logger.warn(`OCR request validation failed: ${errors.join(', ')}`);
+    removeUpload(req);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Collect errors in the query parameters shared by paginated list endpoints
+ * 
+ * @param {Object} query - Express request query
+ * @param {string[]} sortFields - Allowed values of the sort parameter
+ * @returns {string[]} - Validation errors
+ */
+const getListQueryErrors = (query, sortFields) => {
+  const errors = [];
+  
+  // The query parser turns ?crawlId[$ne]=x into an object; only plain values may reach a filter
+  for (const [param, value] of Object.entries(query)) {
+    if (typeof value !== 'string') {
+      errors.push(`${param} must be a single value`);
+    }
+  }
+  
+  for (const param of ['page', 'limit']) {
+    if (query[param] !== undefined && !/^[1-9]\d*$/.test(query[param])) {
+      errors.push(`${param} must be a positive integer`);
+    }
+  }
+  
+  if (/^\d+$/.test(query.limit) && Number(query.limit) > MAX_PAGE_SIZE) {
+    errors.push(`limit must be at most ${MAX_PAGE_SIZE}`);
+  }
+  
+  if (query.sort !== undefined && !sortFields.includes(query.sort)) {
+    errors.push(`sort must be one of: ${sortFields.join(', ')}`);
+  }
+  
+  if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) {
+    errors.push('order must be asc or desc');
+  }
+  
+  for (const param of ['from', 'to']) {
+    if (query[param] !== undefined && (typeof query[param] !== 'string' || isNaN(Date.parse(query[param])))) {
+      errors.push(`${param} must be a date`);
+    }
+  }
+  
+  if (query.category !== undefined && !KEYWORD_CATEGORIES.includes(query.category)) {
+    errors.push(`category must be one of: ${KEYWORD_CATEGORIES.join(', ')}`);
+  }
+  
+  return errors;
+};
+
+/**
+ * Respond with a 400 error if there are validation errors
+ * 
+ * @param {string} name - Name of the validated request for logging
+ * @param {string[]} errors - Validation errors
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const finishQueryValidation = (name, errors, res, next) => {
+  if (errors.length > 0) {
+    logger.warn(`${name} validation failed: ${errors.join(', ')}`);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Validates the query of an OCR results listing
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateOcrResultsQuery = (req, res, next) => {
+  const errors = getListQueryErrors(req.query, OCR_RESULT_SORT_FIELDS);
+  const { minConfidence, maxConfidence } = req.query;
+  
+  for (const [param, value] of [['minConfidence', minConfidence], ['maxConfidence', maxConfidence]]) {
+    if (value !== undefined && (isNaN(Number(value)) || Number(value) < 0 || Number(value) > 100)) {
+      errors.push(`${param} must be a number between 0 and 100`);
+    }
+  }
+  
+  if (minConfidence !== undefined && maxConfidence !== undefined && Number(minConfidence) > Number(maxConfidence)) {
+    errors.push('minConfidence must not be greater than maxConfidence');
+  }
+  
+  if (req.query.language !== undefined && !/^[a-z_]+$/.test(req.query.language)) {
+    errors.push('language must be a Tesseract language code such as eng or deu');
+  }
+  
+  finishQueryValidation('OCR results query', errors, res, next);
+};
+
+/**
+ * Validates the query of a keyword listing
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateKeywordsQuery = (req, res, next) => {
+  const errors = getListQueryErrors(req.query, Object.keys(KEYWORD_SORT_FIELDS));
+  
+  if (req.query.minFrequency !== undefined && !/^[1-9]\d*$/.test(req.query.minFrequency)) {
+    errors.push('minFrequency must be a positive integer');
+  }
+  
+  if (req.query.language !== undefined && !/^[a-z_]+$/.test(req.query.language)) {
+    errors.push('language must be a Tesseract language code such as eng or deu');
+  }
+  
+  if (req.query.type !== undefined && !['word', 'phrase'].includes(req.query.type)) {
+    errors.push('type must be word or phrase');
+  }
+  
+  finishQueryValidation('Keywords query', errors, res, next);
+};
+
+/**
+ * Validates the query of a keyword corpus listing
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateCorpusQuery = (req, res, next) => {
+  const errors = getListQueryErrors(req.query, []);
+  
+  if (req.query.scope !== undefined && !CORPUS_SCOPES.includes(req.query.scope)) {
+    errors.push(`scope must be one of: ${CORPUS_SCOPES.join(', ')}`);
+  }
+  
+  finishQueryValidation('Corpus query', errors, res, next);
+};
+
+/**
+ * Validates the query of a jobs listing
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateJobsQuery = (req, res, next) => {
+  const errors = getListQueryErrors(req.query, []);
+  const { status, type } = req.query;
+  
+  if (status !== undefined && !JOB_STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${JOB_STATUSES.join(', ')}`);
+  }
+  
+  if (type !== undefined && (typeof type !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(type))) {
+    errors.push('type must be a job type name (e.g. ocr, keywords)');
+  }
+  
+  finishQueryValidation('Jobs query', errors, res, next);
+};
+
 /**
  * Checks if a string is a valid URL
  * 
@@ -120,5 +558,10 @@ const isValidUrl = (string) => {
 
 module.exports = {
   validateCrawlRequest,
-  validateTaskRequest
+  validateTaskRequest,
+  validateOcrRequest,
+  validateOcrResultsQuery,
+  validateKeywordsQuery,
+  validateCorpusQuery,
+  validateJobsQuery
 }; 
\ No newline at end of file
@@ -8,6 +8,7 @@
  * - /api/crawler: Crawler related operations
  * - /api/ocr: OCR processing operations
  * - /api/tasks: Task management operations
+ * - /api/jobs: Background job queue
  * - /api/stats: Statistics and monitoring
  * - /api/settings: System settings
  * 
@@ -28,9 +29,18 @@ const ocrController = require('./controllers/ocrController');
 const taskController = require('./controllers/taskController');
 const statsController = require('./controllers/statsController');
 const settingsController = require('./controllers/settingsController');
+const jobController = require('./controllers/jobController');
 
 // Import middleware
-const { validateCrawlRequest } = require('./middleware/validation');
+const {
+  validateCrawlRequest,
+  validateOcrRequest,
+  validateOcrResultsQuery,
+  validateKeywordsQuery,
+  validateCorpusQuery,
+  validateJobsQuery
+} = require('./middleware/validation');
+const { uploadImage } = require('./middleware/upload');
 
 // Crawler routes
 router.post('/crawler/start', validateCrawlRequest, crawlerController.startCrawl);
@@ -67,9 +77,12 @@ router.get('/crawler/placeholder.png', (req, res) => {
 });
 
 // OCR routes
-router.get('/ocr/results', ocrController.getOCRResults);
-router.get('/ocr/results/:id', ocrController.getOCRResults);
-router.get('/ocr/keywords', ocrController.getExtractedKeywords);
+router.post('/ocr/analyze', uploadImage, validateOcrRequest, ocrController.analyzeImage);
+router.get('/ocr/results', validateOcrResultsQuery, ocrController.getOCRResults);
+router.get('/ocr/results/:id', ocrController.getOCRResultById);
+router.get('/ocr/keywords', validateKeywordsQuery, ocrController.getExtractedKeywords);
+router.get('/ocr/corpus', validateCorpusQuery, ocrController.getCorpora);
+router.post('/ocr/corpus/rebuild', ocrController.rebuildCorpus);
 
 // Task routes
 router.get('/tasks', taskController.getAllTasks);
@@ -79,8 +92,15 @@ router.post('/tasks', taskController.createTask);
 router.put('/tasks/:id', taskController.updateTask);
 router.delete('/tasks/:id', taskController.deleteTask);
 
+// Job queue routes
+router.get('/jobs', validateJobsQuery, jobController.getJobs);
+router.get('/jobs/stats', jobController.getJobStats);
+router.get('/jobs/:id', jobController.getJobById);
+router.post('/jobs/:id/retry', jobController.retryJob);
+
 // Stats routes
-router.get('/stats', statsController.getSystemStats);
+router.get('/stats', statsController.getStats);
+router.get('/stats/browser-pool', statsController.getBrowserPoolStats);
 
 // Settings routes
 router.get('/settings', settingsController.getSettings);
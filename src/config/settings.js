@@ -0,0 +1,114 @@
+/**
+ * Settings Configuration Module
+ * 
+ * Holds the runtime settings of the crawler. Settings are initialized from
+ * environment variables and can be changed at runtime through the settings API.
+ * 
+ * Relationships with other modules:
+ * - Used by settingsController.js to read and update settings
+ * - Used by crawlerService.js for crawl defaults such as budgets
+ */
+
+/**
+ * Read an integer environment variable
+ * 
+ * Unlike `parseInt(...) || fallback`, an explicit 0 is kept.
+ * 
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is unset or not a number
+ * @returns {number} Parsed value
+ */
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Build the default settings from environment variables
+ * 
+ * Budgets of 0 mean unlimited.
+ * 
+ * @returns {Object} Default settings
+ */
+const createDefaultSettings = () => ({
+  crawler: {
+    userAgent: process.env.USER_AGENT || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+    maxRetries: envInt('MAX_RETRIES', 3),
+    rateLimit: envInt('RATE_LIMIT_MS', 2000), // milliseconds
+    scrollTimeout: envInt('SCROLL_TIMEOUT_MS', 30000),
+    maxPages: envInt('MAX_PAGES', 0),
+    maxDuration: envInt('MAX_DURATION_MS', 0), // milliseconds
+    maxScreenshots: envInt('MAX_SCREENSHOTS', 0),
+    maxBytes: envInt('MAX_BYTES', 0),
+    headless: process.env.HEADLESS !== 'false'
+  },
+  ocr: {
+    language: process.env.OCR_LANG || 'eng',
+    minConfidence: envInt('MIN_CONFIDENCE', 70)
+  },
+  storage: {
+    screenshotsPath: './data/screenshots',
+    reportsPath: './data/reports'
+  },
+  ui: {
+    refreshRate: 5000 // milliseconds
+  }
+});
+
+// Current settings
+let settings = createDefaultSettings();
+
+/**
+ * Deep merge two plain objects
+ * 
+ * @param {Object} target - Object to merge into
+ * @param {Object} source - Object with updated values
+ * @returns {Object} New merged object
+ */
+const deepMerge = (target, source) => {
+  const result = { ...target };
+  
+  for (const key in source) {
+    if (source[key] instanceof Object && !Array.isArray(source[key]) && key in target) {
+      result[key] = deepMerge(target[key], source[key]);
+    } else {
+      result[key] = source[key];
+    }
+  }
+  
+  return result;
+};
+
+/**
+ * Get the current settings
+ * 
+ * @returns {Object} Current settings
+ */
+const getSettings = () => settings;
+
+/**
+ * Update settings with a partial settings object
+ * 
+ * @param {Object} updates - Settings to change
+ * @returns {Object} Updated settings
+ */
+const updateSettings = (updates) => {
+  settings = deepMerge(settings, updates);
+  return settings;
+};
+
+/**
+ * Reset settings to the defaults from the environment
+ * 
+ * @returns {Object} Default settings
+ */
+const resetSettings = () => {
+  settings = createDefaultSettings();
+  return settings;
+};
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  resetSettings
+};
\ No newline at end of file
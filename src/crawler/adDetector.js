@@ -0,0 +1,364 @@
+/**
+ * Ad Detector Module
+ * 
+ * This module finds ad slots on a loaded page and captures each creative as
+ * its own element screenshot. Ad slots are detected with four signals:
+ * - network: iframes, images or links served by known ad networks
+ * - selector: common ad container selectors (GPT slots, AdSense, ...)
+ * - size: media elements with an IAB standard ad size
+ * - ai: elements matching the focus areas suggested by aiAssistant.analyzePage
+ * 
+ * Nested matches are merged into the outermost slot, so a GPT container and
+ * the network iframe inside it produce one creative with both signals.
+ * 
+ * Relationships with other modules:
+ * - Used by crawlerService.js to detect and capture ads on crawled pages
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+// Known ad-serving networks by host pattern (conversion pixels such as bat.bing.com serve no creatives)
+const AD_NETWORKS = [
+  { name: 'google', pattern: /(^|\.)(doubleclick\.net|googlesyndication\.com|googleadservices\.com|googletagservices\.com|2mdn\.net)$/ },
+  { name: 'amazon', pattern: /(^|\.)amazon-adsystem\.com$/ },
+  { name: 'xandr', pattern: /(^|\.)adnxs\.com$/ },
+  { name: 'criteo', pattern: /(^|\.)(criteo\.com|criteo\.net)$/ },
+  { name: 'taboola', pattern: /(^|\.)taboola\.com$/ },
+  { name: 'outbrain', pattern: /(^|\.)outbrain\.com$/ },
+  { name: 'pubmatic', pattern: /(^|\.)pubmatic\.com$/ },
+  { name: 'magnite', pattern: /(^|\.)rubiconproject\.com$/ },
+  { name: 'openx', pattern: /(^|\.)openx\.net$/ },
+  { name: 'adform', pattern: /(^|\.)adform\.net$/ },
+  { name: 'smartadserver', pattern: /(^|\.)smartadserver\.com$/ },
+  { name: 'teads', pattern: /(^|\.)teads\.tv$/ },
+  { name: 'media.net', pattern: /(^|\.)media\.net$/ },
+  { name: 'yahoo', pattern: /(^|\.)(advertising\.com|yahoo\.net)$/ }
+];
+
+// Common ad container selectors
+const AD_SELECTORS = [
+  '[id^="div-gpt-ad"]',
+  '[id^="google_ads_iframe"]',
+  'ins.adsbygoogle',
+  '[data-ad-slot]',
+  '[data-ad-unit]',
+  '[data-google-query-id]',
+  '[class*="ad-slot"]',
+  '[class*="ad-container"]',
+  '[class*="ad-banner"]',
+  '[class~="advertisement"]',
+  '[id^="ad-"]',
+  '[aria-label="Advertisement"]'
+];
+
+// IAB standard ad sizes (width x height)
+const IAB_SIZES = [
+  [300, 250], [336, 280], [728, 90], [970, 90], [970, 250], [160, 600],
+  [120, 600], [300, 600], [300, 1050], [320, 50], [320, 100], [300, 50],
+  [468, 60], [250, 250], [200, 200], [234, 60], [180, 150]
+];
+
+// Pixels an element may differ from an IAB size and still match
+const SIZE_TOLERANCE = 2;
+
+// Query parameters ad networks use for the landing page of a click URL
+const LANDING_PARAMS = ['adurl', 'dest', 'destination', 'redirect', 'url', 'u'];
+
+// Default maximum number of creatives captured per page
+const DEFAULT_MAX_CREATIVES = 20;
+
+/**
+ * Get the ad network serving a URL
+ * 
+ * @param {string} url - URL of a frame, image or link
+ * @returns {string|null} - Network name or null if the host is not a known ad network
+ */
+const matchAdNetwork = (url) => {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+  
+  const network = AD_NETWORKS.find(({ pattern }) => pattern.test(host));
+  return network ? network.name : null;
+};
+
+/**
+ * Get the IAB standard size matching element dimensions
+ * 
+ * @param {number} width - Element width in pixels
+ * @param {number} height - Element height in pixels
+ * @returns {string|null} - Size such as "300x250", or null if none matches
+ */
+const matchIabSize = (width, height) => {
+  const size = IAB_SIZES.find(([w, h]) =>
+    Math.abs(width - w) <= SIZE_TOLERANCE && Math.abs(height - h) <= SIZE_TOLERANCE
+  );
+  return size ? `${size[0]}x${size[1]}` : null;
+};
+
+/**
+ * Get the landing page of an ad click URL
+ * 
+ * @param {string} clickUrl - Click-through URL, possibly an ad network redirect
+ * @returns {string|null} - Landing page URL
+ */
+const getLandingUrl = (clickUrl) => {
+  if (!clickUrl) return null;
+  
+  try {
+    const parsed = new URL(clickUrl);
+    
+    // Only unwrap redirects of ad networks; other links are the landing page
+    if (matchAdNetwork(clickUrl)) {
+      for (const param of LANDING_PARAMS) {
+        const value = parsed.searchParams.get(param);
+        if (value && /^https?:\/\//i.test(value)) return value;
+      }
+      return null;
+    }
+    
+    return parsed.href;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Turn AI focus areas into keywords matched against element ids and classes
+ * 
+ * @param {Array<string>} focusAreas - Focus areas from aiAssistant.analyzePage
+ * @returns {Array<string>} - Lowercase keywords
+ */
+const getFocusKeywords = (focusAreas = []) => {
+  const keywords = new Set();
+  
+  // The AI response is not guaranteed to follow the requested structure
+  if (!Array.isArray(focusAreas)) return [];
+  
+  for (const area of focusAreas) {
+    if (typeof area !== 'string') continue;
+    for (const word of area.toLowerCase().match(/[a-z]{3,}/g) || []) {
+      keywords.add(word);
+    }
+  }
+  
+  // Words that describe position only would match most of the page
+  for (const word of ['the', 'and', 'section', 'area', 'page', 'content', 'top', 'bottom', 'main']) {
+    keywords.delete(word);
+  }
+  
+  return [...keywords];
+};
+
+/**
+ * Get the click-through URL from inside an ad frame
+ * 
+ * Cross-origin frames can't be read from the page, so the frame and its
+ * child frames are searched through Playwright.
+ * 
+ * @param {Page} page - Playwright page
+ * @param {string} frameUrl - URL of the ad iframe
+ * @returns {Promise<string|null>} - First link target in the frame
+ */
+const getFrameClickUrl = async (page, frameUrl) => {
+  const frame = page.frames().find(candidate => candidate.url() === frameUrl);
+  if (!frame) return null;
+  
+  const frames = [frame];
+  while (frames.length > 0) {
+    const current = frames.shift();
+    try {
+      const href = await current.evaluate(() => document.querySelector('a[href]')?.href || null);
+      if (href) return href;
+    } catch (error) {
+      // Detached or navigating frames have no readable document
+    }
+    frames.push(...current.childFrames());
+  }
+  
+  return null;
+};
+
+/**
+ * Detect ad slots on a page
+ * 
+ * Detected elements are marked with a `data-ad-detector-id` attribute so
+ * captureCreatives can screenshot them.
+ * 
+ * @param {Page} page - Playwright page with the loaded URL
+ * @param {Object} options - Detection options
+ * @param {Array<string>} options.focusAreas - Focus areas from the AI page analysis
+ * @param {number} options.maxCreatives - Maximum number of ads returned
+ * @returns {Promise<Array<Object>>} - Ads ({ detectorId, sources, bbox, iabSize, network, clickUrl, landingUrl, frameUrl })
+ */
+const detectAds = async (page, options = {}) => {
+  const maxCreatives = options.maxCreatives || DEFAULT_MAX_CREATIVES;
+  
+  const candidates = await page.evaluate(({ networkPatterns, selectors, iabSizes, tolerance, focusKeywords }) => {
+    const networks = networkPatterns.map(({ name, source }) => ({ name, pattern: new RegExp(source) }));
+    
+    const getNetwork = (url) => {
+      try {
+        const host = new URL(url, document.baseURI).hostname;
+        const network = networks.find(({ pattern }) => pattern.test(host));
+        return network ? network.name : null;
+      } catch (error) {
+        return null;
+      }
+    };
+    
+    const isIabSize = (rect) => iabSizes.some(([w, h]) =>
+      Math.abs(rect.width - w) <= tolerance && Math.abs(rect.height - h) <= tolerance
+    );
+    
+    // Ads are never larger than a billboard or a half page
+    const isAdSized = (rect) => rect.width >= 20 && rect.height >= 20 && rect.width <= 1280 && rect.height <= 1200;
+    
+    const hasMedia = (element) => element.matches('img, iframe, canvas, video') ||
+      element.querySelector('img, iframe, canvas, video') !== null;
+    
+    const found = new Map();
+    const addCandidate = (element, source) => {
+      const rect = element.getBoundingClientRect();
+      if (!isAdSized(rect)) return;
+      
+      const style = window.getComputedStyle(element);
+      if (style.visibility === 'hidden' || style.display === 'none') return;
+      
+      if (!found.has(element)) found.set(element, new Set());
+      found.get(element).add(source);
+    };
+    
+    // Frames, images and links served by ad networks
+    for (const element of document.querySelectorAll('iframe[src], img[src], a[href]')) {
+      if (getNetwork(element.src || element.href)) addCandidate(element, 'network');
+    }
+    
+    // Common ad containers
+    for (const element of document.querySelectorAll(selectors.join(','))) {
+      addCandidate(element, 'selector');
+    }
+    
+    // Media with IAB standard sizes
+    for (const element of document.querySelectorAll('iframe, img, canvas, ins, div, aside, a')) {
+      const rect = element.getBoundingClientRect();
+      if (isIabSize(rect) && hasMedia(element)) addCandidate(element, 'size');
+    }
+    
+    // Elements named after the AI focus areas
+    if (focusKeywords.length > 0) {
+      for (const element of document.querySelectorAll('div, section, aside, ins, figure')) {
+        const name = `${element.id} ${element.className} ${element.getAttribute('aria-label') || ''}`.toLowerCase();
+        if (focusKeywords.some(keyword => name.includes(keyword)) && hasMedia(element)) {
+          addCandidate(element, 'ai');
+        }
+      }
+    }
+    
+    // Merge nested candidates into the outermost one
+    const elements = [...found.keys()];
+    const outermost = elements.filter(element =>
+      !elements.some(other => other !== element && other.contains(element))
+    );
+    
+    return outermost.map((element, index) => {
+      const nested = elements.filter(other => element.contains(other));
+      const sources = new Set();
+      nested.forEach(other => found.get(other).forEach(source => sources.add(source)));
+      
+      const frame = element.matches('iframe') ? element : element.querySelector('iframe[src]');
+      const link = element.closest('a[href]') || element.querySelector('a[href]');
+      const media = [element, ...element.querySelectorAll('iframe[src], img[src], a[href]')];
+      const network = element.matches('ins.adsbygoogle')
+        ? 'google'
+        : media.map(item => getNetwork(item.src || item.href)).find(Boolean) || null;
+      
+      const rect = element.getBoundingClientRect();
+      element.setAttribute('data-ad-detector-id', String(index));
+      
+      return {
+        detectorId: String(index),
+        sources: [...sources],
+        bbox: {
+          x: Math.round(rect.left + window.scrollX),
+          y: Math.round(rect.top + window.scrollY),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height)
+        },
+        network,
+        clickUrl: link ? link.href : null,
+        frameUrl: frame ? frame.src : null
+      };
+    });
+  }, {
+    networkPatterns: AD_NETWORKS.map(({ name, pattern }) => ({ name, source: pattern.source })),
+    selectors: AD_SELECTORS,
+    iabSizes: IAB_SIZES,
+    tolerance: SIZE_TOLERANCE,
+    focusKeywords: getFocusKeywords(options.focusAreas)
+  });
+  
+  const ads = [];
+  for (const candidate of candidates.slice(0, maxCreatives)) {
+    // The click-through link of iframe ads lives inside the frame
+    const clickUrl = candidate.clickUrl || (candidate.frameUrl ? await getFrameClickUrl(page, candidate.frameUrl) : null);
+    
+    ads.push({
+      ...candidate,
+      iabSize: matchIabSize(candidate.bbox.width, candidate.bbox.height),
+      network: candidate.network || matchAdNetwork(clickUrl),
+      clickUrl,
+      landingUrl: getLandingUrl(clickUrl)
+    });
+  }
+  
+  return ads;
+};
+
+/**
+ * Capture an element screenshot of each detected ad
+ * 
+ * Ads that can't be captured (removed, collapsed or off-screen after a
+ * layout change) are logged and left out of the result.
+ * 
+ * @param {Page} page - Playwright page the ads were detected on
+ * @param {Array<Object>} ads - Ads from detectAds
+ * @param {string} creativeDir - Directory for the creative screenshots
+ * @returns {Promise<Array<Object>>} - Captured ads with their screenshotPath
+ */
+const captureCreatives = async (page, ads, creativeDir) => {
+  await fs.mkdir(creativeDir, { recursive: true });
+  
+  const creatives = [];
+  for (const ad of ads) {
+    const screenshotPath = path.join(creativeDir, `${Date.now()}-${uuidv4().slice(0, 8)}.png`);
+    
+    try {
+      await page.locator(`[data-ad-detector-id="${ad.detectorId}"]`).screenshot({
+        path: screenshotPath,
+        timeout: 5000
+      });
+      creatives.push({ ...ad, screenshotPath });
+    } catch (error) {
+      logger.warn(`Could not capture ad creative at ${JSON.stringify(ad.bbox)}: ${error.message}`);
+    }
+  }
+  
+  return creatives;
+};
+
+module.exports = {
+  AD_NETWORKS,
+  IAB_SIZES,
+  matchAdNetwork,
+  matchIabSize,
+  getLandingUrl,
+  detectAds,
+  captureCreatives
+};
\ No newline at end of file
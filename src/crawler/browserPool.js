@@ -0,0 +1,415 @@
+/**
+ * Browser Pool Module
+ * 
+ * This module shares a small number of Chromium processes between crawls.
+ * Every crawl gets its own isolated BrowserContext (cookies, cache and
+ * storage are not shared), while the pool limits how many browsers run and
+ * how many contexts each browser hosts.
+ * 
+ * Browsers are recycled (no new contexts, closed once their last context is
+ * released) when they have served a number of pages or when their processes
+ * use too much memory. Crawls move to a fresh context when their browser is
+ * being recycled. Idle browsers are closed after a timeout.
+ * 
+ * Configuration (environment variables):
+ * - BROWSER_POOL_MAX_BROWSERS: maximum number of browsers (default 2)
+ * - BROWSER_POOL_MAX_CONTEXTS: maximum contexts per browser (default 5)
+ * - BROWSER_RECYCLE_PAGES: pages after which a browser is recycled (default 500)
+ * - BROWSER_MAX_MEMORY_MB: resident memory after which a browser is recycled (default 1536)
+ * - BROWSER_IDLE_TIMEOUT_MS: time after which an unused browser is closed (default 60000)
+ * 
+ * Relationships with other modules:
+ * - Used by crawlerService.js to get browser contexts for crawls
+ * - Used by statsController.js to report pool health
+ */
+
+const { chromium } = require('playwright');
+const fs = require('fs').promises;
+const logger = require('../utils/logger');
+
+const MAX_BROWSERS = parseInt(process.env.BROWSER_POOL_MAX_BROWSERS) || 2;
+const MAX_CONTEXTS_PER_BROWSER = parseInt(process.env.BROWSER_POOL_MAX_CONTEXTS) || 5;
+const RECYCLE_AFTER_PAGES = parseInt(process.env.BROWSER_RECYCLE_PAGES) || 500;
+const MAX_MEMORY_MB = parseInt(process.env.BROWSER_MAX_MEMORY_MB) || 1536;
+const IDLE_TIMEOUT_MS = parseInt(process.env.BROWSER_IDLE_TIMEOUT_MS) || 60000;
+
+// How often browser memory and idle time are checked
+const HEALTH_CHECK_INTERVAL_MS = 30000;
+
+// Browsers in the pool
+const browsers = [];
+
+// Owner browser of each context handed out by the pool
+const contextOwners = new Map();
+
+// Callers waiting for a free context slot
+const waiters = [];
+
+let nextBrowserId = 1;
+let healthCheckTimer = null;
+
+/**
+ * Build the Chromium launch options for a browser mode
+ * 
+ * @param {boolean} headless - Whether the browser runs without a window
+ * @returns {Object} - Launch options
+ */
+const getLaunchOptions = (headless) => {
+  const args = [
+    '--disable-web-security',
+    '--disable-features=IsolateOrigins,site-per-process',
+    '--disable-site-isolation-trials',
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--window-size=1280,800'
+  ];
+  
+  // A visible browser needs an X display (Xvfb + VNC in Docker)
+  if (!headless) {
+    args.push('--start-maximized', '--display=' + (process.env.DISPLAY || ':99'));
+  }
+  
+  return { headless, args };
+};
+
+/**
+ * Wake up callers waiting for a context slot so they can try again
+ */
+const notifyWaiters = () => {
+  waiters.splice(0).forEach(resolve => resolve());
+};
+
+/**
+ * Remove a browser from the pool and close it
+ * 
+ * @param {Object} entry - Pool entry
+ * @returns {Promise<void>}
+ */
+const closeBrowser = async (entry) => {
+  const index = browsers.indexOf(entry);
+  if (index !== -1) browsers.splice(index, 1);
+  
+  if (entry.browser) {
+    await entry.browser.close().catch(err => logger.error(`Error closing browser ${entry.id}: ${err.message}`));
+  }
+  
+  logger.info(`Closed pooled browser ${entry.id} after ${entry.pagesServed} page(s)`);
+  notifyWaiters();
+};
+
+/**
+ * Start a browser and add it to the pool
+ * 
+ * The entry is added before the launch finishes, so concurrent callers
+ * count it against the browser limit and can reserve its context slots.
+ * 
+ * @param {boolean} headless - Whether the browser runs without a window
+ * @returns {Object} - Pool entry
+ */
+const launchBrowser = (headless) => {
+  const entry = {
+    id: nextBrowserId++,
+    headless,
+    browser: null,
+    ready: null,
+    contexts: new Set(),
+    reserved: 0,
+    pagesServed: 0,
+    memoryMb: null,
+    recycling: false,
+    recycleReason: null,
+    launchedAt: Date.now(),
+    idleSince: Date.now()
+  };
+  
+  logger.info(`Launching pooled ${headless ? 'headless' : 'headed'} browser ${entry.id}`);
+  
+  entry.ready = chromium.launch(getLaunchOptions(headless))
+    .then((browser) => {
+      entry.browser = browser;
+      
+      browser.on('disconnected', () => {
+        if (browsers.includes(entry)) {
+          logger.warn(`Pooled browser ${entry.id} disconnected`);
+          browsers.splice(browsers.indexOf(entry), 1);
+          notifyWaiters();
+        }
+      });
+      
+      return browser;
+    })
+    .catch((error) => {
+      if (browsers.includes(entry)) browsers.splice(browsers.indexOf(entry), 1);
+      notifyWaiters();
+      throw error;
+    });
+  
+  browsers.push(entry);
+  startHealthChecks();
+  
+  return entry;
+};
+
+/**
+ * Find a browser with a free context slot
+ * 
+ * @param {boolean} headless - Required browser mode
+ * @returns {Object|null} - Pool entry or null if none is available
+ */
+const findAvailableBrowser = (headless) => {
+  return browsers.find(entry =>
+    entry.headless === headless &&
+    !entry.recycling &&
+    entry.contexts.size + entry.reserved < MAX_CONTEXTS_PER_BROWSER
+  ) || null;
+};
+
+/**
+ * Mark a browser for recycling
+ * 
+ * @param {Object} entry - Pool entry
+ * @param {string} reason - Why the browser is recycled
+ */
+const markForRecycling = (entry, reason) => {
+  if (entry.recycling) return;
+  
+  entry.recycling = true;
+  entry.recycleReason = reason;
+  logger.info(`Recycling pooled browser ${entry.id}: ${reason}`);
+  
+  // Another browser can take its place right away
+  notifyWaiters();
+};
+
+/**
+ * Get a new isolated browser context from the pool
+ * 
+ * Waits until a slot is free when the pool is at its limits.
+ * 
+ * @param {Object} contextOptions - Options for browser.newContext()
+ * @param {Object} poolOptions - Pool options
+ * @param {boolean} poolOptions.headless - Browser mode (default true)
+ * @returns {Promise<BrowserContext>} - Browser context
+ */
+const acquireContext = async (contextOptions = {}, poolOptions = {}) => {
+  const headless = poolOptions.headless !== false;
+  
+  while (true) {
+    let entry = findAvailableBrowser(headless);
+    
+    if (!entry && browsers.length >= MAX_BROWSERS) {
+      // Make room by closing an unused browser of the other mode
+      const idle = browsers.find(candidate => candidate.contexts.size === 0 && candidate.reserved === 0 && candidate.browser);
+      if (idle) {
+        await closeBrowser(idle);
+      }
+    }
+    
+    if (!entry && browsers.length < MAX_BROWSERS) {
+      entry = launchBrowser(headless);
+    }
+    
+    if (!entry) {
+      logger.debug('Browser pool is full, waiting for a free context');
+      await new Promise(resolve => waiters.push(resolve));
+      continue;
+    }
+    
+    // Reserve the slot before awaiting so concurrent callers don't overfill the browser
+    entry.reserved++;
+    try {
+      const browser = await entry.ready;
+      const context = await browser.newContext(contextOptions);
+      
+      entry.contexts.add(context);
+      contextOwners.set(context, entry);
+      
+      return context;
+    } finally {
+      entry.reserved--;
+    }
+  }
+};
+
+/**
+ * Close a context and return its slot to the pool
+ * 
+ * @param {BrowserContext} context - Context from acquireContext()
+ * @returns {Promise<void>}
+ */
+const releaseContext = async (context) => {
+  const entry = contextOwners.get(context);
+  contextOwners.delete(context);
+  
+  await context.close().catch(err => logger.error(`Error closing context: ${err.message}`));
+  
+  if (!entry) return;
+  
+  entry.contexts.delete(context);
+  
+  if (entry.contexts.size === 0 && entry.reserved === 0) {
+    entry.idleSince = Date.now();
+    
+    if (entry.recycling) {
+      await closeBrowser(entry);
+      return;
+    }
+  }
+  
+  notifyWaiters();
+};
+
+/**
+ * Count a page load against the context's browser
+ * 
+ * @param {BrowserContext} context - Context that loaded the page
+ */
+const recordPage = (context) => {
+  const entry = contextOwners.get(context);
+  if (!entry) return;
+  
+  entry.pagesServed++;
+  
+  if (entry.pagesServed >= RECYCLE_AFTER_PAGES) {
+    markForRecycling(entry, `served ${entry.pagesServed} pages`);
+  }
+};
+
+/**
+ * Check whether a context should be replaced with a fresh one
+ * 
+ * @param {BrowserContext} context - Context from acquireContext()
+ * @returns {boolean} - True if its browser is recycling or gone
+ */
+const shouldReplaceContext = (context) => {
+  const entry = contextOwners.get(context);
+  return !entry || entry.recycling || !browsers.includes(entry);
+};
+
+/**
+ * Measure the resident memory of a browser and its child processes
+ * 
+ * Uses the DevTools protocol to list the browser's processes and reads
+ * their RSS from /proc, so it only works on Linux.
+ * 
+ * @param {Browser} browser - Playwright browser
+ * @returns {Promise<number|null>} - Memory in MB or null if unavailable
+ */
+const getBrowserMemoryMb = async (browser) => {
+  try {
+    const session = await browser.newBrowserCDPSession();
+    const { processInfo } = await session.send('SystemInfo.getProcessInfo');
+    await session.detach().catch(() => {});
+    
+    let totalKb = 0;
+    for (const { id } of processInfo) {
+      const status = await fs.readFile(`/proc/${id}/status`, 'utf8').catch(() => '');
+      const match = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+      if (match) totalKb += parseInt(match[1]);
+    }
+    
+    return totalKb > 0 ? Math.round(totalKb / 1024) : null;
+  } catch (error) {
+    logger.debug(`Could not measure browser memory: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Check the memory and idle time of all browsers
+ * 
+ * @returns {Promise<void>}
+ */
+const runHealthCheck = async () => {
+  for (const entry of [...browsers]) {
+    if (!entry.browser) continue;
+    
+    entry.memoryMb = await getBrowserMemoryMb(entry.browser);
+    
+    if (entry.memoryMb !== null && entry.memoryMb > MAX_MEMORY_MB) {
+      markForRecycling(entry, `memory ${entry.memoryMb} MB exceeds ${MAX_MEMORY_MB} MB`);
+    }
+    
+    const unused = entry.contexts.size === 0 && entry.reserved === 0;
+    
+    if (unused && (entry.recycling || Date.now() - entry.idleSince > IDLE_TIMEOUT_MS)) {
+      await closeBrowser(entry);
+    }
+  }
+  
+  if (browsers.length === 0 && healthCheckTimer) {
+    clearInterval(healthCheckTimer);
+    healthCheckTimer = null;
+  }
+};
+
+/**
+ * Start the periodic health check if it isn't running
+ */
+const startHealthChecks = () => {
+  if (healthCheckTimer) return;
+  
+  healthCheckTimer = setInterval(() => {
+    runHealthCheck().catch(error => logger.error(`Browser pool health check failed: ${error.message}`));
+  }, HEALTH_CHECK_INTERVAL_MS);
+  
+  // Don't keep the process alive just for the health check
+  healthCheckTimer.unref();
+};
+
+/**
+ * Get the health and usage of the pool
+ * 
+ * @returns {Object} - Pool statistics
+ */
+const getPoolStats = () => {
+  const now = Date.now();
+  
+  return {
+    limits: {
+      maxBrowsers: MAX_BROWSERS,
+      maxContextsPerBrowser: MAX_CONTEXTS_PER_BROWSER,
+      recycleAfterPages: RECYCLE_AFTER_PAGES,
+      maxMemoryMb: MAX_MEMORY_MB,
+      idleTimeoutMs: IDLE_TIMEOUT_MS
+    },
+    browserCount: browsers.length,
+    contextCount: browsers.reduce((sum, entry) => sum + entry.contexts.size, 0),
+    waiting: waiters.length,
+    browsers: browsers.map(entry => ({
+      id: entry.id,
+      headless: entry.headless,
+      connected: entry.browser ? entry.browser.isConnected() : false,
+      contexts: entry.contexts.size,
+      pagesServed: entry.pagesServed,
+      memoryMb: entry.memoryMb,
+      recycling: entry.recycling,
+      recycleReason: entry.recycleReason,
+      uptime: now - entry.launchedAt
+    }))
+  };
+};
+
+/**
+ * Close all browsers in the pool
+ * 
+ * @returns {Promise<void>}
+ */
+const closePool = async () => {
+  if (healthCheckTimer) {
+    clearInterval(healthCheckTimer);
+    healthCheckTimer = null;
+  }
+  
+  await Promise.all([...browsers].map(closeBrowser));
+  contextOwners.clear();
+};
+
+module.exports = {
+  acquireContext,
+  releaseContext,
+  recordPage,
+  shouldReplaceContext,
+  getPoolStats,
+  closePool
+};
\ No newline at end of file
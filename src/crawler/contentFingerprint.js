@@ -0,0 +1,135 @@
+/**
+ * Content Fingerprint Module
+ * 
+ * This module computes 64-bit simhash fingerprints of page text so that
+ * near-duplicate pages (same content behind different URLs, print views,
+ * session variants, ...) can be skipped before screenshot and OCR.
+ * 
+ * Similar texts produce fingerprints that differ in only a few bits, so two
+ * pages are treated as duplicates when the Hamming distance between their
+ * fingerprints is at or below a threshold (DUPLICATE_THRESHOLD, default 3).
+ * 
+ * Relationships with other modules:
+ * - Used by crawlerService.js to detect duplicate page content
+ * - Fingerprints are persisted per crawl by frontier.js
+ */
+
+const crypto = require('crypto');
+
+// Number of words per shingle (feature) hashed into the fingerprint
+const SHINGLE_SIZE = 3;
+
+// Pages with fewer words than this are not fingerprinted
+const MIN_WORDS = 20;
+
+// Default maximum Hamming distance for near-duplicates
+const DEFAULT_THRESHOLD = 3;
+
+const MASK_64 = (1n << 64n) - 1n;
+
+/**
+ * Hash a feature into a 64-bit integer
+ * 
+ * @param {string} feature - Feature text
+ * @returns {bigint} - 64-bit hash
+ */
+const hashFeature = (feature) => {
+  return crypto.createHash('md5').update(feature).digest().readBigUInt64BE(0);
+};
+
+/**
+ * Compute the simhash fingerprint of a text
+ * 
+ * @param {string} text - Page text
+ * @returns {string|null} - Fingerprint as 16 hex characters, or null if the text is too short
+ */
+const computeFingerprint = (text) => {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  
+  if (words.length < MIN_WORDS) return null;
+  
+  // Count shingles so repeated blocks (menus, footers) weigh more
+  const features = new Map();
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    const shingle = words.slice(i, i + SHINGLE_SIZE).join(' ');
+    features.set(shingle, (features.get(shingle) || 0) + 1);
+  }
+  
+  const weights = new Array(64).fill(0);
+  for (const [feature, count] of features) {
+    const hash = hashFeature(feature);
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? count : -count;
+    }
+  }
+  
+  let fingerprint = 0n;
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) fingerprint |= 1n << BigInt(bit);
+  }
+  
+  return (fingerprint & MASK_64).toString(16).padStart(16, '0');
+};
+
+/**
+ * Count the differing bits of two fingerprints
+ * 
+ * @param {string} a - Fingerprint as hex
+ * @param {string} b - Fingerprint as hex
+ * @returns {number} - Hamming distance (0-64)
+ */
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  
+  while (diff) {
+    diff &= diff - 1n;
+    distance++;
+  }
+  
+  return distance;
+};
+
+/**
+ * Get the near-duplicate threshold for a crawl
+ * 
+ * @param {Object} options - Crawl options
+ * @returns {number} - Maximum Hamming distance for duplicates
+ */
+const getThreshold = (options = {}) => {
+  const threshold = options.duplicateThreshold ?? parseInt(process.env.DUPLICATE_THRESHOLD);
+  return Number.isInteger(threshold) && threshold >= 0 ? threshold : DEFAULT_THRESHOLD;
+};
+
+/**
+ * Create an in-memory index of the fingerprints seen by a crawl
+ * 
+ * @param {Object} entries - Existing fingerprints keyed by URL
+ * @returns {Object} - Index with findDuplicate(url, fingerprint, threshold) and add(url, fingerprint)
+ */
+const createFingerprintIndex = (entries = {}) => {
+  const fingerprints = new Map(Object.entries(entries));
+  
+  return {
+    findDuplicate: (url, fingerprint, threshold) => {
+      for (const [existingUrl, existing] of fingerprints) {
+        // A page re-crawled after a restart is not a duplicate of itself
+        if (existingUrl !== url && hammingDistance(fingerprint, existing) <= threshold) return existingUrl;
+      }
+      return null;
+    },
+    add: (url, fingerprint) => {
+      fingerprints.set(url, fingerprint);
+    },
+    get size() {
+      return fingerprints.size;
+    }
+  };
+};
+
+module.exports = {
+  computeFingerprint,
+  hammingDistance,
+  getThreshold,
+  createFingerprintIndex
+};
\ No newline at end of file
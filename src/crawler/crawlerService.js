@@ -6,47 +6,99 @@
  * screenshot capture, and error handling during crawling operations.
  * 
  * The service implements features like:
- * - Headless browser automation
+ * - Headless browser automation (headed mode on request for debugging over VNC)
+ * - Concurrent crawling with a per-crawl pool of pages
  * - Infinite scrolling detection and handling
- * - Rate limiting and retry logic
+ * - Adaptive per-host rate limiting and retries with exponential backoff
+ * - robots.txt and Crawl-delay compliance
+ * - Frontier seeding from XML sitemaps
+ * - Scope modes and include/exclude rules for discovered URLs
+ * - URL normalization, canonical URLs and near-duplicate content detection
+ * - Crawl budgets (pages, duration, screenshots, downloaded bytes)
  * - Screenshot capturing for OCR processing
- * - Browser session management
+ * - Background OCR through a job queue, so slow OCR doesn't stall the crawl
+ * - Ad slot detection with a screenshot and OCR pass per creative
+ * - HAR-like network capture with content-addressed image and video storage
+ * - Browser session management with a shared browser pool
+ * - Persistent crawl frontier that survives process restarts
  * 
  * Relationships with other modules:
  * - Used by crawlerController.js to handle crawl API requests
- * - Uses ocrService.js to process captured screenshots
+ * - Uses ocrJobs.js to queue OCR of captured screenshots and creatives
+ * - Uses frontier.js to persist the URL queue and visited set in Redis
+ * - Uses robotsService.js to honor robots.txt rules
+ * - Uses sitemapService.js to discover pages listed in sitemaps
+ * - Uses scope.js to decide which URLs belong to a crawl
+ * - Uses urlNormalizer.js and contentFingerprint.js to avoid crawling duplicates
+ * - Uses retryPolicy.js to retry failed page loads
+ * - Uses hostScheduler.js to pace requests per host
+ * - Uses browserPool.js to get an isolated browser context per crawl
+ * - Uses adDetector.js to find and capture ad creatives
+ * - Uses creativeService.js to deduplicate creatives across crawls
+ * - Uses networkCapture.js to record page traffic and save image and video assets
+ * - Uses config/settings.js for default crawl budgets
  * - Emits events to the task manager for crawl-related tasks
  * - Stores crawl data and logs in the database
  */
 
-const { chromium } = require('playwright');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const { getRedisClient } = require('../config/redis');
+const settingsStore = require('../config/settings');
 const logger = require('../utils/logger');
-const ocrService = require('../ocr/ocrService');
+const ocrJobs = require('../ocr/ocrJobs');
 const CrawlJob = require('../models/CrawlJob');
 const aiAssistant = require('../utils/aiAssistant');
+const frontier = require('./frontier');
+const robotsService = require('./robotsService');
+const sitemapService = require('./sitemapService');
+const crawlScope = require('./scope');
+const urlNormalizer = require('./urlNormalizer');
+const contentFingerprint = require('./contentFingerprint');
+const retryPolicy = require('./retryPolicy');
+const { createHostScheduler } = require('./hostScheduler');
+const browserPool = require('./browserPool');
+const adDetector = require('./adDetector');
+const creativeService = require('./creativeService');
+const networkCapture = require('./networkCapture');
 
 // In-memory storage for active crawl jobs
 const activeCrawls = new Map();
 
+// Upper bound for parallel pages per crawl
+const MAX_CONCURRENCY = 20;
+
+// How long an idle worker waits before checking the frontier again
+const WORKER_IDLE_DELAY_MS = 500;
+
+// Preprocessing of ad creatives, which often have light text on colored backgrounds
+const DEFAULT_CREATIVE_PREPROCESS = 'creative';
+
 /**
  * Start a new crawl job
  * 
  * @param {string} crawlId - Unique identifier for the crawl job
  * @param {string} url - URL to crawl
  * @param {number} depth - Crawl depth
- * @param {Object} options - Additional crawl options
+ * @param {Object} crawlOptions - Additional crawl options
  * @returns {Promise<Object>} - Crawl job information
  */
-const startCrawl = async (crawlId, url, depth, options = {}) => {
+const startCrawl = async (crawlId, url, depth, crawlOptions = {}) => {
   try {
+    // Store the normalized scope with the crawl options
+    const options = {
+      ...crawlOptions,
+      scope: crawlScope.normalizeScope(url, crawlOptions.scope)
+    };
+    
     // Create crawl data directories if they don't exist
     const screenshotDir = path.join(process.cwd(), 'data', 'screenshots', crawlId);
     await fs.mkdir(screenshotDir, { recursive: true });
     
+    // Resolve crawl budgets now so later settings changes don't affect this crawl
+    const budgets = getBudgets(options);
+    
     // Initialize crawl job in database
     const crawlJob = new CrawlJob({
       _id: crawlId,
@@ -54,76 +106,31 @@ const startCrawl = async (crawlId, url, depth, options = {}) => {
       depth,
       status: 'running',
       options,
+      budgets,
       screenshotDir,
       startedAt: new Date(),
     });
     
     await crawlJob.save();
     
-    // Configure browser options
-    const browserOptions = {
-      headless: false, // Run with visible browser
-      args: [
-        '--disable-web-security',
-        '--disable-features=IsolateOrigins,site-per-process',
-        '--disable-site-isolation-trials',
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--window-size=1280,800',
-        '--start-maximized',
-        // Enable display forwarding for Docker
-        '--display=' + (process.env.DISPLAY || ':99')
-      ]
-    };
-    
-    // Launch browser
-    logger.info(`Launching browser for crawl job ${crawlId}`);
-    const browser = await chromium.launch(browserOptions);
-    
-    // Create new context with custom user agent if provided
-    const context = await browser.newContext({
-      userAgent: options.userAgent || process.env.USER_AGENT,
-      viewport: options.viewport || { width: 1280, height: 800 },
-      deviceScaleFactor: 1,
-    });
-    
-    // Add event listeners for page console and errors
-    context.on('page', async (page) => {
-      page.on('console', (msg) => {
-        const text = msg.text();
-        if (text.includes('error') || text.includes('exception')) {
-          logger.error(`Console ${msg.type()} in crawl ${crawlId}: ${text}`);
-        } else {
-          logger.debug(`Console ${msg.type()} in crawl ${crawlId}: ${text}`);
-        }
-      });
-      
-      page.on('pageerror', (error) => {
-        logger.error(`Page error in crawl ${crawlId}: ${error.message}`);
-      });
-    });
+    // Seed the persistent frontier with the normalized start URL
+    const seedUrl = urlNormalizer.createUrlNormalizer(options)(url) || url;
+    await frontier.initFrontier(crawlId, [{ url: seedUrl, depth: 0 }]);
     
-    // Store active crawl data
-    activeCrawls.set(crawlId, {
-      browser,
-      context,
-      status: 'running',
+    // Launch the browser session for this crawl
+    await launchCrawlSession(crawlId, {
       url,
       depth,
       options,
+      budgets,
       screenshotDir,
-      pages: new Set(),
-      errors: [],
-      capturedScreenshots: [],
       startTime: Date.now()
     });
     
-    // Begin the crawl process asynchronously
-    processCrawl(crawlId, url, depth, options)
-      .catch(async (error) => {
-        logger.error(`Crawl job ${crawlId} failed: ${error.message}`);
-        await updateCrawlStatus(crawlId, 'failed', error.message);
-      });
+    // Begin the crawl process asynchronously, after seeding from sitemaps
+    seedFromSitemaps(crawlId, url, depth, options)
+      .catch(error => logger.warn(`Sitemap seeding failed for crawl ${crawlId}: ${error.message}`))
+      .then(() => runCrawl(crawlId));
     
     return { crawlId, status: 'running' };
   } catch (error) {
@@ -132,9 +139,229 @@ const startCrawl = async (crawlId, url, depth, options = {}) => {
   }
 };
 
+/**
+ * Seed the frontier with page URLs listed in the site's sitemaps
+ * 
+ * Sitemap pages are queued one level below the start URL and ordered by
+ * their priority and lastmod values.
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {string} url - Start URL of the crawl
+ * @param {number} maxDepth - Maximum crawl depth
+ * @param {Object} options - Crawl options
+ * @returns {Promise<number>} - Number of URLs added to the frontier
+ */
+const seedFromSitemaps = async (crawlId, url, maxDepth, options) => {
+  const crawlData = activeCrawls.get(crawlId);
+  
+  if (options.useSitemaps === false || !crawlData) return 0;
+  
+  const entries = await sitemapService.collectSitemapUrls(url, {
+    maxUrls: options.maxSitemapUrls,
+    sitemapUrls: options.sitemapUrls,
+    filter: crawlData.inScope
+  });
+  
+  // Normalize sitemap URLs so they match the URLs found through links
+  const normalized = new Map();
+  for (const entry of entries) {
+    const normalizedUrl = crawlData.normalizeUrl(entry.url);
+    if (normalizedUrl && !normalized.has(normalizedUrl)) {
+      normalized.set(normalizedUrl, { ...entry, url: normalizedUrl });
+    }
+  }
+  
+  let urls = [...normalized.keys()];
+  
+  if (options.respectRobots !== false) {
+    urls = await robotsService.filterAllowed(urls, getRobotsUserAgent(options));
+  }
+  
+  const allowed = new Set(urls);
+  const added = await frontier.enqueue(
+    crawlId,
+    [...normalized.values()]
+      .filter(entry => allowed.has(entry.url))
+      .map(entry => ({
+        url: entry.url,
+        depth: Math.min(1, maxDepth),
+        priority: entry.priority,
+        lastmod: entry.lastmod
+      }))
+  );
+  
+  if (added > 0) {
+    logger.info(`Seeded crawl ${crawlId} with ${added} URL(s) from sitemaps`);
+  }
+  
+  return added;
+};
+
+/**
+ * Create the session of a crawl and register it as active
+ * 
+ * Used both for new crawls and for crawls restored from the persistent frontier.
+ * The browser context is taken from the shared pool when the crawl loop starts.
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {Object} session - Session data
+ * @param {string} session.url - Start URL of the crawl
+ * @param {number} session.depth - Maximum crawl depth
+ * @param {Object} session.options - Crawl options
+ * @param {Object} session.budgets - Crawl budgets
+ * @param {string} session.screenshotDir - Directory for screenshots
+ * @param {number} session.startTime - Crawl start time in milliseconds
+ * @param {number} session.pagesProcessed - Pages already processed before a restart
+ * @param {number} session.screenshotCount - Screenshots already captured before a restart
+ * @param {number} session.bytesDownloaded - Bytes already downloaded before a restart
+ * @param {string} session.status - Initial in-memory status
+ * @returns {Promise<Object>} - Active crawl data
+ */
+const launchCrawlSession = async (crawlId, session) => {
+  const { url, depth, options = {}, screenshotDir } = session;
+  
+  // Store active crawl data
+  const crawlData = {
+    context: null,
+    status: session.status || 'running',
+    url,
+    depth,
+    options,
+    screenshotDir,
+    inScope: crawlScope.createScopeFilter(url, crawlScope.normalizeScope(url, options.scope)),
+    normalizeUrl: urlNormalizer.createUrlNormalizer(options),
+    // Fingerprints of crawled pages, restored from Redis after a restart
+    fingerprints: options.dedupeContent !== false
+      ? contentFingerprint.createFingerprintIndex(await frontier.getFingerprints(crawlId))
+      : null,
+    pages: new Set(),
+    busyWorkers: 0,
+    // Settles once the running workers have finished
+    workers: null,
+    hostScheduler: createHostScheduler({
+      rateLimit: getRateLimit(options),
+      hostRateLimits: options.hostRateLimits,
+      maxInterval: parseInt(process.env.HOST_MAX_INTERVAL_MS) || undefined,
+      slowResponseMs: parseInt(process.env.SLOW_RESPONSE_MS) || undefined,
+      burst: options.hostBurst
+    }),
+    robotsSkipped: 0,
+    duplicatesSkipped: 0,
+    budgets: session.budgets || getBudgets(options),
+    retryPolicy: retryPolicy.getRetryPolicy(options),
+    retriesScheduled: 0,
+    terminationReason: null,
+    pagesProcessed: session.pagesProcessed || 0,
+    screenshotCount: session.screenshotCount || 0,
+    adCreativeCount: session.adCreativeCount || 0,
+    bytesDownloaded: session.bytesDownloaded || 0,
+    errors: [],
+    capturedScreenshots: [],
+    startTime: session.startTime || Date.now()
+  };
+  
+  activeCrawls.set(crawlId, crawlData);
+  
+  return crawlData;
+};
+
+/**
+ * Get an isolated browser context for a crawl from the browser pool
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {Object} crawlData - Active crawl data
+ * @returns {Promise<BrowserContext>} - Browser context with the crawl's event listeners
+ */
+const createCrawlContext = async (crawlId, crawlData) => {
+  const { options } = crawlData;
+  const headless = isHeadless(options);
+  
+  logger.info(`Acquiring ${headless ? 'headless' : 'headed'} browser context for crawl job ${crawlId}`);
+  
+  // Create new context with custom user agent if provided
+  const context = await browserPool.acquireContext({
+    userAgent: options.userAgent || process.env.USER_AGENT,
+    viewport: options.viewport || { width: 1280, height: 800 },
+    deviceScaleFactor: 1,
+  }, { headless });
+  
+  // Add event listeners for page console and errors
+  context.on('page', async (page) => {
+    page.on('console', (msg) => {
+      const text = msg.text();
+      if (text.includes('error') || text.includes('exception')) {
+        logger.error(`Console ${msg.type()} in crawl ${crawlId}: ${text}`);
+      } else {
+        logger.debug(`Console ${msg.type()} in crawl ${crawlId}: ${text}`);
+      }
+    });
+    
+    page.on('pageerror', (error) => {
+      logger.error(`Page error in crawl ${crawlId}: ${error.message}`);
+    });
+  });
+  
+  // Count downloaded bytes for the maxBytes budget
+  context.on('requestfinished', (request) => {
+    request.sizes()
+      .then(sizes => {
+        crawlData.bytesDownloaded += sizes.responseHeadersSize + sizes.responseBodySize;
+      })
+      .catch(() => {});
+  });
+  
+  return context;
+};
+
+/**
+ * Move a crawl to a fresh browser context when its browser is being recycled
+ * 
+ * Workers switch to the new context before their next page; the old context
+ * is released by the last worker that leaves it.
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {Object} crawlData - Active crawl data
+ * @returns {Promise<void>}
+ */
+const replaceCrawlContext = async (crawlId, crawlData) => {
+  if (crawlData.status !== 'running' || !crawlData.context || crawlData.replacingContext ||
+      !browserPool.shouldReplaceContext(crawlData.context)) {
+    return;
+  }
+  
+  crawlData.replacingContext = true;
+  try {
+    crawlData.context = await createCrawlContext(crawlId, crawlData);
+    logger.info(`Crawl ${crawlId} moved to a new browser context`);
+  } finally {
+    crawlData.replacingContext = false;
+  }
+};
+
+/**
+ * Run the crawl loop in the background for an active crawl
+ * 
+ * @param {string} crawlId - Crawl job ID
+ */
+const runCrawl = (crawlId) => {
+  const crawlData = activeCrawls.get(crawlId);
+  
+  // The crawl may have been stopped before its loop started
+  if (!crawlData) return;
+  
+  processCrawl(crawlId, crawlData.url, crawlData.depth, crawlData.options)
+    .catch(async (error) => {
+      logger.error(`Crawl job ${crawlId} failed: ${error.message}`);
+      await updateCrawlStatus(crawlId, 'failed', error.message);
+    });
+};
+
 /**
  * Main crawl processing function
  * 
+ * Runs a pool of workers that share the persistent frontier. Each worker
+ * uses its own page from the crawl's browser context.
+ * 
  * @param {string} crawlId - Crawl job ID
  * @param {string} startUrl - Starting URL
  * @param {number} maxDepth - Maximum crawl depth
@@ -148,145 +375,732 @@ const processCrawl = async (crawlId, startUrl, maxDepth, options) => {
   }
   
   try {
-    const { context } = crawlData;
-    const visitedUrls = new Set();
-    const urlQueue = [{ url: startUrl, depth: 0 }];
-    const rateLimit = options.rateLimit || parseInt(process.env.RATE_LIMIT_MS) || 2000;
-    
-    // Create a page for the current crawl
-    const page = await context.newPage();
-    crawlData.pages.add(page);
-    
-    // Add event listener for progress tracking
-    page.on('request', request => {
-      if (request.resourceType() === 'xhr' || request.resourceType() === 'fetch') {
-        logger.debug(`XHR/Fetch request in crawl ${crawlId}: ${request.url()}`);
+    // Wait for a browser context from the shared pool
+    if (!crawlData.context) {
+      const context = await createCrawlContext(crawlId, crawlData);
+      
+      // The crawl may have been stopped while waiting for the pool
+      if (activeCrawls.get(crawlId) !== crawlData) {
+        await browserPool.releaseContext(context);
+        return;
       }
-    });
+      
+      crawlData.context = context;
+    }
     
-    // Process URLs in the queue
-    while (urlQueue.length > 0 && crawlData.status === 'running') {
-      const { url, depth } = urlQueue.shift();
+    const concurrency = getConcurrency(options);
+    
+    logger.info(`Starting ${concurrency} crawl worker(s) for crawl ${crawlId}`);
+    
+    // Run the worker pool until the frontier is exhausted or the crawl is paused/stopped
+    const workers = [];
+    for (let workerId = 0; workerId < concurrency; workerId++) {
+      workers.push(crawlWorker(crawlId, workerId, startUrl, maxDepth, options));
+    }
+    
+    // All workers finish before the frontier may be cleared
+    crawlData.workers = Promise.allSettled(workers);
+    const failed = (await crawlData.workers).find(outcome => outcome.status === 'rejected');
+    if (failed) throw failed.reason;
+    
+    // A paused crawl keeps its browser session and frontier for resuming
+    if (crawlData.status === 'paused') {
+      logger.info(`Crawl loop for ${crawlId} paused`);
+      return;
+    }
+    
+    // Crawl completed successfully (unless it was stopped meanwhile)
+    if (crawlData.status === 'running') {
+      await updateCrawlStatus(crawlId, 'completed', null, crawlData.terminationReason || 'frontier_exhausted');
+    }
+    
+    await frontier.clearFrontier(crawlId);
+    await cleanupCrawl(crawlId);
+  } catch (error) {
+    // Workers fail on their closed pages once stopCrawl has cleaned up the crawl
+    if (crawlData.status === 'stopped') {
+      logger.debug(`Crawl ${crawlId} ended after being stopped: ${error.message}`);
+      return;
+    }
+    
+    logger.error(`Crawl process error: ${error.message}`);
+    await updateCrawlStatus(crawlId, 'failed', error.message);
+    await frontier.clearFrontier(crawlId);
+    await cleanupCrawl(crawlId);
+    throw error;
+  }
+};
+
+/**
+ * Crawl worker that takes URLs from the shared frontier until it is exhausted
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {number} workerId - Worker index for logging
+ * @param {string} startUrl - Starting URL
+ * @param {number} maxDepth - Maximum crawl depth
+ * @param {Object} options - Crawl options
+ */
+const crawlWorker = async (crawlId, workerId, startUrl, maxDepth, options) => {
+  const crawlData = activeCrawls.get(crawlId);
+  
+  // Create a page for this worker
+  let page = await openWorkerPage(crawlId, crawlData);
+  
+  try {
+    while (crawlData.status === 'running') {
+      // Follow the crawl to its new context after a browser recycle
+      if (page.context() !== crawlData.context) {
+        await closeWorkerPage(crawlData, page);
+        page = await openWorkerPage(crawlId, crawlData);
+      }
       
-      // Skip if URL already visited or depth exceeds maximum
-      if (visitedUrls.has(url) || depth > maxDepth) continue;
+      // End the crawl once any budget is used up
+      const exceededBudget = crawlData.terminationReason || getExceededBudget(crawlData);
+      if (exceededBudget) {
+        if (!crawlData.terminationReason) {
+          crawlData.terminationReason = exceededBudget;
+          logger.info(`Crawl ${crawlId} reached its budget: ${exceededBudget}`);
+        }
+        break;
+      }
       
-      // Mark as visited
-      visitedUrls.add(url);
+      // Don't start more pages than the page budget allows
+      const { maxPages } = crawlData.budgets;
+      if (maxPages && crawlData.pagesProcessed + crawlData.busyWorkers >= maxPages) {
+        await new Promise(resolve => setTimeout(resolve, WORKER_IDLE_DELAY_MS));
+        continue;
+      }
       
-      try {
-        logger.info(`Crawling URL: ${url} (depth: ${depth}/${maxDepth})`);
-        
-        // Navigate to URL with timeout
-        await page.goto(url, { 
-          waitUntil: 'networkidle',
-          timeout: options.navigationTimeout || 30000
-        });
-        
-        // Wait for page to stabilize
-        await page.waitForLoadState('networkidle');
-        
-        // Handle infinite scrolling if needed
-        if (options.handleInfiniteScroll !== false) {
-          await handleInfiniteScroll(page, crawlId, options);
-        }
+      // Count the worker as busy before dequeuing so idle workers don't exit early
+      crawlData.busyWorkers++;
+      
+      // Take the next unvisited URL (marked as visited and in flight)
+      const entry = await frontier.dequeue(crawlId);
+      
+      if (!entry) {
+        crawlData.busyWorkers--;
         
-        // Capture screenshot
-        const screenshotPath = path.join(crawlData.screenshotDir, `${Date.now()}.png`);
-        await page.screenshot({ path: screenshotPath, fullPage: true });
-        crawlData.capturedScreenshots.push(screenshotPath);
+        // Other workers may still add links, and failed pages may be waiting for a retry
+        if (crawlData.busyWorkers === 0 && !(await frontier.hasPendingRetries(crawlId))) break;
         
-        // Process screenshot with OCR if enabled and not explicitly skipped
-        if (options.performOcr !== false && options.skipOcr !== true) {
-          try {
-            await processScreenshotWithOCR(crawlId, screenshotPath, url);
-          } catch (ocrError) {
-            logger.warn(`OCR processing error for ${url}, continuing crawl: ${ocrError.message}`);
-            // Don't fail the crawl if OCR fails
-          }
-        } else if (options.skipOcr === true) {
-          logger.info(`Skipping OCR processing for ${url} as requested`);
-          
-          // Still broadcast the screenshot if possible
-          try {
-            const socketManager = require('../utils/socketManager');
-            socketManager.broadcastScreenshot(crawlId, url, screenshotPath);
-            socketManager.broadcastLog('info', `Screenshot captured for ${url} (OCR skipped)`, {
-              url
-            });
-          } catch (socketError) {
-            logger.warn(`Could not broadcast screenshot: ${socketError.message}`);
-          }
+        await new Promise(resolve => setTimeout(resolve, WORKER_IDLE_DELAY_MS));
+        continue;
+      }
+      
+      try {
+        // Skip if depth exceeds maximum or the crawl was stopped meanwhile
+        if (entry.depth <= maxDepth && crawlData.status !== 'stopped') {
+          await processUrl(crawlId, page, entry, startUrl, maxDepth, options);
         }
+      } finally {
+        crawlData.busyWorkers--;
         
-        // Extract links for next level if not at max depth
-        if (depth < maxDepth) {
-          const links = await extractLinks(page, startUrl);
-          
-          // Add new links to the queue
-          for (const link of links) {
-            urlQueue.push({ url: link, depth: depth + 1 });
-          }
+        // Remove the URL from the in-flight set
+        await frontier.complete(crawlId, entry.url);
+      }
+      
+      // Count the page against its browser and switch contexts if the browser is recycled
+      browserPool.recordPage(page.context());
+      await replaceCrawlContext(crawlId, crawlData);
+    }
+  } finally {
+    await closeWorkerPage(crawlData, page);
+    logger.debug(`Crawl worker ${workerId} for crawl ${crawlId} finished`);
+  }
+};
+
+/**
+ * Open a page for a crawl worker in the crawl's current context
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {Object} crawlData - Active crawl data
+ * @returns {Promise<Page>} - Playwright page
+ */
+const openWorkerPage = async (crawlId, crawlData) => {
+  const page = await crawlData.context.newPage();
+  crawlData.pages.add(page);
+  
+  // Add event listener for progress tracking
+  page.on('request', request => {
+    if (request.resourceType() === 'xhr' || request.resourceType() === 'fetch') {
+      logger.debug(`XHR/Fetch request in crawl ${crawlId}: ${request.url()}`);
+    }
+  });
+  
+  return page;
+};
+
+/**
+ * Close a worker page and release its context if the crawl has moved on from it
+ * 
+ * @param {Object} crawlData - Active crawl data
+ * @param {Page} page - Playwright page
+ * @returns {Promise<void>}
+ */
+const closeWorkerPage = async (crawlData, page) => {
+  const context = page.context();
+  
+  crawlData.pages.delete(page);
+  await page.close().catch(err => logger.error(`Error closing page: ${err.message}`));
+  
+  if (context !== crawlData.context && context.pages().length === 0) {
+    await browserPool.releaseContext(context);
+  }
+};
+
+/**
+ * Crawl a single URL: navigate, capture, run OCR and enqueue discovered links
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {Page} page - Playwright page object owned by the worker
+ * @param {Object} entry - Frontier entry ({ url, depth })
+ * @param {string} startUrl - Starting URL
+ * @param {number} maxDepth - Maximum crawl depth
+ * @param {Object} options - Crawl options
+ */
+const processUrl = async (crawlId, page, entry, startUrl, maxDepth, options) => {
+  const crawlData = activeCrawls.get(crawlId);
+  const { url, depth } = entry;
+  let pageCapture = null;
+  // Errors after the load are not retried, since the page's work may be recorded
+  let pageLoaded = false;
+  
+  try {
+    const respectRobots = options.respectRobots !== false;
+    
+    if (respectRobots) {
+      const robotsUserAgent = getRobotsUserAgent(options);
+      
+      // Seed and AI-suggested URLs bypass link filtering, so check every URL here
+      if (!(await robotsService.isAllowed(url, robotsUserAgent))) {
+        logger.info(`Skipping ${url}: disallowed by robots.txt`);
+        crawlData.robotsSkipped++;
+        return;
+      }
+      
+      // Crawl-delay is the minimum rate limit for the host
+      const crawlDelay = await robotsService.getCrawlDelay(url, robotsUserAgent);
+      if (crawlDelay !== null) {
+        crawlData.hostScheduler.setMinInterval(url, crawlDelay);
+      }
+    }
+    
+    // Wait until the host's rate limit allows another request
+    await crawlData.hostScheduler.acquire(url);
+    
+    logger.info(`Crawling URL: ${url} (depth: ${depth}/${maxDepth})`);
+    
+    // Record every request of the page, including those of its iframes
+    if (options.captureNetwork !== false) {
+      pageCapture = networkCapture.startCapture(page, { saveAssets: options.saveAssets });
+    }
+    
+    // Navigate to URL with timeout
+    const navigationStart = Date.now();
+    let response;
+    try {
+      response = await page.goto(url, { 
+        waitUntil: 'networkidle',
+        timeout: options.navigationTimeout || 30000
+      });
+    } catch (navigationError) {
+      crawlData.hostScheduler.report(url, { failed: true, responseTime: Date.now() - navigationStart });
+      throw navigationError;
+    }
+    
+    // Let the host's rate adapt to the status and time to first byte
+    const { responseStart } = response ? response.request().timing() : { responseStart: -1 };
+    crawlData.hostScheduler.report(url, {
+      status: response ? response.status() : null,
+      responseTime: responseStart >= 0 ? Math.round(responseStart) : Date.now() - navigationStart,
+      retryAfterMs: response ? retryPolicy.parseRetryAfter(response.headers()['retry-after']) : null
+    });
+    
+    // Server errors and rate limiting fail the attempt so it can be retried
+    if (response && (response.status() >= 500 || response.status() === 429)) {
+      throw retryPolicy.createHttpError(response);
+    }
+    
+    // Wait for page to stabilize
+    await page.waitForLoadState('networkidle');
+    pageLoaded = true;
+    
+    // Skip duplicate pages before the expensive screenshot and OCR steps
+    const duplicateReason = await findDuplicateContent(crawlId, page, url, options);
+    if (duplicateReason) {
+      logger.info(`Skipping ${url}: ${duplicateReason}`);
+      crawlData.duplicatesSkipped++;
+      return;
+    }
+    
+    // OCR of the page's images uses the language the page declares
+    const pageOptions = { ...options, htmlLang: await getPageLanguage(page) };
+    
+    // Handle infinite scrolling if needed
+    if (options.handleInfiniteScroll !== false) {
+      await handleInfiniteScroll(page, crawlId, options);
+    }
+    
+    // Ask the AI where the marketing content is before looking for ads
+    const aiSuggestions = options.useAI !== false
+      ? await aiAssistant.analyzePage({
+        url,
+        title: await page.title(),
+        depth,
+        crawlId
+      })
+      : null;
+    
+    if (aiSuggestions) {
+      logger.info(`AI suggestions for ${url}: ${JSON.stringify(aiSuggestions)}`);
+    }
+    
+    // Capture screenshot
+    // Suffix keeps names unique when several workers capture in the same millisecond
+    const screenshotPath = path.join(crawlData.screenshotDir, `${Date.now()}-${uuidv4().slice(0, 8)}.png`);
+    await page.screenshot({ path: screenshotPath, fullPage: true });
+    crawlData.capturedScreenshots.push(screenshotPath);
+    crawlData.screenshotCount++;
+    
+    // Queue the screenshot for OCR if enabled and not explicitly skipped
+    if (options.performOcr !== false && options.skipOcr !== true) {
+      try {
+        await queueScreenshotOcr(crawlId, screenshotPath, url, pageOptions);
+      } catch (ocrError) {
+        logger.warn(`Could not queue OCR for ${url}, continuing crawl: ${ocrError.message}`);
+        // Don't fail the crawl if OCR can't be queued
+      }
+    } else if (options.skipOcr === true) {
+      logger.info(`Skipping OCR processing for ${url} as requested`);
+      
+      // Still broadcast the screenshot if possible
+      try {
+        const socketManager = require('../utils/socketManager');
+        socketManager.broadcastScreenshot(crawlId, url, screenshotPath);
+        socketManager.broadcastLog('info', `Screenshot captured for ${url} (OCR skipped)`, {
+          url
+        });
+      } catch (socketError) {
+        logger.warn(`Could not broadcast screenshot: ${socketError.message}`);
+      }
+    }
+    
+    // Capture and OCR each ad creative on its own
+    if (options.detectAds !== false) {
+      try {
+        await processAdCreatives(crawlId, page, url, aiSuggestions?.focusAreas, pageOptions);
+      } catch (adError) {
+        logger.warn(`Ad detection error for ${url}, continuing crawl: ${adError.message}`);
+      }
+    }
+    
+    // OCR ad images straight from the network traffic
+    if (pageCapture && options.detectAds !== false) {
+      try {
+        const { entries } = await pageCapture.stop();
+        await processAdAssets(crawlId, url, entries, pageOptions);
+      } catch (assetError) {
+        logger.warn(`Ad asset processing error for ${url}, continuing crawl: ${assetError.message}`);
+      }
+    }
+    
+    // Extract links for next level if not at max depth
+    if (depth < maxDepth) {
+      let links = await extractLinks(page, startUrl, crawlData.inScope, crawlData.normalizeUrl);
+      
+      if (respectRobots) {
+        links = await robotsService.filterAllowed(links, getRobotsUserAgent(options));
+      }
+      
+      // Add new links to the frontier
+      await frontier.enqueue(crawlId, links.map(link => ({ url: link, depth: depth + 1 })));
+    }
+    
+    // Add page data to crawl job
+    await CrawlJob.updateOne(
+      { _id: crawlId },
+      { 
+        $push: { visitedUrls: url },
+        $inc: { pagesProcessed: 1 },
+        $set: {
+          screenshotCount: crawlData.screenshotCount,
+          adCreativeCount: crawlData.adCreativeCount,
+          bytesDownloaded: crawlData.bytesDownloaded
         }
-        
-        // Add page data to crawl job
-        await CrawlJob.updateOne(
-          { _id: crawlId },
-          { 
-            $push: { visitedUrls: url },
-            $inc: { pagesProcessed: 1 }
-          }
-        );
-        
-        // Use AI to analyze page and suggest next steps
-        if (options.useAI !== false) {
-          const aiSuggestions = await aiAssistant.analyzePage({
+      }
+    );
+    crawlData.pagesProcessed++;
+    
+    // Apply AI suggestions if available
+    if (aiSuggestions?.priorityUrls && aiSuggestions.priorityUrls.length > 0) {
+      // Add in-scope AI-suggested URLs with higher priority
+      await frontier.enqueue(
+        crawlId,
+        [...new Set(aiSuggestions.priorityUrls.map(crawlData.normalizeUrl))]
+          .filter(priorityUrl => priorityUrl && crawlData.inScope(priorityUrl))
+          .map(priorityUrl => ({ url: priorityUrl, depth: depth + 1 })),
+        { front: true }
+      );
+    }
+    
+  } catch (error) {
+    // Stopping the crawl closes the page under the load
+    if (crawlData.status === 'stopped') {
+      logger.debug(`Processing of ${url} aborted, crawl ${crawlId} was stopped: ${error.message}`);
+      return;
+    }
+    
+    const attempt = (entry.retries || 0) + 1;
+    const { errorType, willRetry, delay } = retryPolicy.getRetryDecision(error, attempt, crawlData.retryPolicy, pageLoaded);
+    
+    logger.error(`Error processing URL ${url} (attempt ${attempt}, ${errorType}${pageLoaded ? ', after load' : ''}): ${error.message}`);
+    
+    const errorRecord = {
+      url,
+      message: error.message,
+      timestamp: new Date(),
+      attempt,
+      errorType,
+      status: error.status || null,
+      willRetry
+    };
+    
+    crawlData.errors.push({ ...errorRecord, error: error.message });
+    
+    // Put the URL back into the frontier for another attempt
+    if (willRetry) {
+      await frontier.scheduleRetry(crawlId, { ...entry, retries: attempt }, Date.now() + delay);
+      crawlData.retriesScheduled++;
+      logger.info(`Retrying ${url} in ${delay}ms`);
+    }
+    
+    // Update crawl job with error
+    await CrawlJob.updateOne(
+      { _id: crawlId },
+      { 
+        $push: { errors: errorRecord }
+      }
+    );
+  } finally {
+    if (pageCapture) {
+      await saveNetworkCapture(crawlId, url, pageCapture);
+    }
+  }
+};
+
+/**
+ * Detect the ads on a page, capture each creative and run OCR on new ones
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {Page} page - Playwright page with the loaded URL
+ * @param {string} url - URL of the page
+ * @param {Array<string>} focusAreas - Focus areas from the AI page analysis
+ * @param {Object} options - Crawl options
+ * @returns {Promise<Array<Object>>} - Creative records stored with the crawl job
+ */
+const processAdCreatives = async (crawlId, page, url, focusAreas, options) => {
+  const crawlData = activeCrawls.get(crawlId);
+  const socketManager = require('../utils/socketManager');
+  
+  const ads = await adDetector.detectAds(page, {
+    focusAreas,
+    maxCreatives: options.maxCreativesPerPage || parseInt(process.env.MAX_CREATIVES_PER_PAGE) || undefined
+  });
+  
+  if (ads.length === 0) return [];
+  
+  const creatives = await adDetector.captureCreatives(page, ads, path.join(crawlData.screenshotDir, 'creatives'));
+  crawlData.adCreativeCount += creatives.length;
+  
+  logger.info(`Captured ${creatives.length} of ${ads.length} ad creatives on ${url}`);
+  socketManager.broadcastLog('info', `Captured ${creatives.length} ad creatives`, { url });
+  
+  return recordAdCreatives(crawlId, url, creatives, options);
+};
+
+/**
+ * Run OCR on the ad network images a page downloaded
+ * 
+ * These catch creatives rendered inside cross-origin iframes, where element
+ * screenshots are often blurry or cropped.
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {string} url - URL of the page
+ * @param {Array<Object>} entries - Network entries from networkCapture.js
+ * @param {Object} options - Crawl options
+ * @returns {Promise<Array<Object>>} - Creative records stored with the crawl job
+ */
+const processAdAssets = async (crawlId, url, entries, options) => {
+  const crawlData = activeCrawls.get(crawlId);
+  const maxCreatives = options.maxCreativesPerPage || parseInt(process.env.MAX_CREATIVES_PER_PAGE) || 20;
+  
+  // The same image is often requested more than once per page
+  const assets = new Map();
+  for (const entry of entries.filter(networkCapture.isOcrCandidate)) {
+    if (!assets.has(entry.asset.hash)) assets.set(entry.asset.hash, entry);
+  }
+  
+  if (assets.size === 0) return [];
+  
+  const captures = [...assets.values()].slice(0, maxCreatives).map(entry => ({
+    screenshotPath: entry.asset.path,
+    assetUrl: entry.url,
+    fromNetwork: true,
+    bbox: null,
+    iabSize: null,
+    network: entry.adNetwork,
+    clickUrl: null,
+    landingUrl: null,
+    frameUrl: entry.frameUrl,
+    sources: ['network_asset']
+  }));
+  crawlData.adCreativeCount += captures.length;
+  
+  logger.info(`Found ${captures.length} ad images in the network traffic of ${url}`);
+  
+  return recordAdCreatives(crawlId, url, captures, options);
+};
+
+/**
+ * Store captured creatives, queue OCR of new ones and link them to the crawl job
+ * 
+ * Creatives already seen on any crawl are recorded as another sighting of
+ * the stored creative instead of being processed again.
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {string} url - URL of the page
+ * @param {Array<Object>} captures - Element screenshots or network assets
+ * @param {Object} options - Crawl options
+ * @returns {Promise<Array<Object>>} - Creative records stored with the crawl job
+ */
+const recordAdCreatives = async (crawlId, url, captures, options) => {
+  const records = [];
+  const ocrQueue = [];
+  for (const capture of captures) {
+    // Known creatives only count as another sighting; their OCR result is reused
+    const { creative, isNew } = await creativeService.recordCreative(capture, { crawlId, url });
+    
+    if (!isNew) {
+      // Network assets live in shared storage; only element screenshots belong to this capture
+      if (!capture.fromNetwork) {
+        await fs.unlink(capture.screenshotPath).catch(err => {
+          logger.warn(`Failed to delete duplicate creative screenshot: ${err.message}`);
+        });
+      }
+    } else if (options.performOcr !== false && options.skipOcr !== true) {
+      ocrQueue.push({
+        imagePath: capture.screenshotPath,
+        crawlId,
+        url,
+        creativeId: String(creative._id),
+        network: capture.network,
+        clickUrl: capture.clickUrl,
+        preprocess: options.creativeOcrPreprocess ?? DEFAULT_CREATIVE_PREPROCESS,
+        htmlLang: options.htmlLang,
+        keywordAlgorithm: options.keywordAlgorithm,
+        corpusScope: options.corpusScope
+      });
+    }
+    
+    records.push({
+      creativeId: String(creative._id),
+      newCreative: isNew,
+      url,
+      screenshotPath: creative.screenshotPath,
+      assetUrl: capture.assetUrl || null,
+      bbox: capture.bbox,
+      iabSize: capture.iabSize,
+      network: capture.network,
+      clickUrl: capture.clickUrl,
+      landingUrl: capture.landingUrl,
+      frameUrl: capture.frameUrl,
+      sources: capture.sources,
+      ocrResultId: creative.ocrResultId,
+      confidence: creative.confidence,
+      timestamp: new Date()
+    });
+  }
+  
+  await CrawlJob.updateOne(
+    { _id: crawlId },
+    { $push: { adCreatives: { $each: records } } }
+  );
+  
+  // Queued after the records are stored, so the OCR jobs can link their results to them
+  for (const data of ocrQueue) {
+    await ocrJobs.queueOcr(data).catch(err => {
+      logger.warn(`Could not queue OCR for creative ${data.creativeId}: ${err.message}`);
+    });
+  }
+  
+  return records;
+};
+
+/**
+ * Stop the network capture of a page and store its log
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {string} url - URL of the page
+ * @param {Object} pageCapture - Capture from networkCapture.startCapture
+ * @returns {Promise<void>}
+ */
+const saveNetworkCapture = async (crawlId, url, pageCapture) => {
+  try {
+    const capture = await pageCapture.stop();
+    const logPath = await networkCapture.writeCaptureLog(
+      path.join(process.cwd(), 'data', 'network', crawlId),
+      url,
+      capture
+    );
+    
+    await CrawlJob.updateOne(
+      { _id: crawlId },
+      {
+        $push: {
+          networkCaptures: {
             url,
-            title: await page.title(),
-            depth,
-            crawlId
-          });
-          
-          logger.info(`AI suggestions for ${url}: ${JSON.stringify(aiSuggestions)}`);
-          
-          // Apply AI suggestions if available
-          if (aiSuggestions.priorityUrls && aiSuggestions.priorityUrls.length > 0) {
-            // Add AI-suggested URLs with higher priority
-            for (const priorityUrl of aiSuggestions.priorityUrls) {
-              if (!visitedUrls.has(priorityUrl)) {
-                urlQueue.unshift({ url: priorityUrl, depth: depth + 1 });
-              }
-            }
+            logPath,
+            requestCount: capture.entries.length,
+            failedCount: capture.entries.filter(entry => entry.failure).length,
+            assetCount: capture.entries.filter(entry => entry.asset).length,
+            timestamp: new Date()
           }
         }
-        
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, rateLimit));
-      } catch (error) {
-        logger.error(`Error processing URL ${url}: ${error.message}`);
-        crawlData.errors.push({ url, error: error.message, timestamp: new Date() });
-        
-        // Update crawl job with error
-        await CrawlJob.updateOne(
-          { _id: crawlId },
-          { 
-            $push: { errors: { url, message: error.message, timestamp: new Date() } }
-          }
-        );
       }
-    }
+    );
+  } catch (error) {
+    logger.warn(`Could not save network capture for ${url}: ${error.message}`);
+  }
+};
+
+/**
+ * Check whether a loaded page duplicates a page the crawl already processed
+ * 
+ * A page is a duplicate when its `<link rel="canonical">` URL was already
+ * crawled or when its text fingerprint is within the near-duplicate
+ * threshold of an earlier page.
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {Page} page - Playwright page with the loaded URL
+ * @param {string} url - Normalized URL of the page
+ * @param {Object} options - Crawl options
+ * @returns {Promise<string|null>} - Reason the page is a duplicate, or null
+ */
+const findDuplicateContent = async (crawlId, page, url, options) => {
+  const crawlData = activeCrawls.get(crawlId);
+  
+  const { canonicalHref, text } = await page.evaluate(() => ({
+    canonicalHref: document.querySelector('link[rel~="canonical"]')?.href || null,
+    text: document.body ? document.body.innerText : ''
+  }));
+  
+  if (options.useCanonical !== false && canonicalHref) {
+    const canonicalUrl = crawlData.normalizeUrl(canonicalHref);
     
-    // Crawl completed successfully
-    await updateCrawlStatus(crawlId, 'completed');
+    // Claim the canonical URL so it is not crawled again under its own address
+    if (canonicalUrl && canonicalUrl !== url && crawlData.inScope(canonicalUrl) &&
+        !(await frontier.markVisited(crawlId, canonicalUrl))) {
+      return `canonical URL ${canonicalUrl} was already crawled`;
+    }
+  }
+  
+  if (crawlData.fingerprints) {
+    const fingerprint = contentFingerprint.computeFingerprint(text);
     
-  } catch (error) {
-    logger.error(`Crawl process error: ${error.message}`);
-    await updateCrawlStatus(crawlId, 'failed', error.message);
-    throw error;
-  } finally {
-    // Clean up resources
-    await cleanupCrawl(crawlId);
+    if (fingerprint) {
+      const threshold = contentFingerprint.getThreshold(options);
+      const duplicateOf = crawlData.fingerprints.findDuplicate(url, fingerprint, threshold);
+      
+      if (duplicateOf) {
+        return `content is a near-duplicate of ${duplicateOf}`;
+      }
+      
+      crawlData.fingerprints.add(url, fingerprint);
+      await frontier.addFingerprint(crawlId, url, fingerprint);
+    }
   }
+  
+  return null;
+};
+
+/**
+ * Resolve the budgets of a crawl from its options and the settings
+ * 
+ * @param {Object} options - Crawl options
+ * @returns {Object} - Budgets ({ maxPages, maxDuration, maxScreenshots, maxBytes }), 0 = unlimited
+ */
+const getBudgets = (options) => {
+  const { crawler } = settingsStore.getSettings();
+  
+  return {
+    maxPages: options.maxPages ?? crawler.maxPages ?? 0,
+    maxDuration: options.maxDuration ?? crawler.maxDuration ?? 0,
+    maxScreenshots: options.maxScreenshots ?? crawler.maxScreenshots ?? 0,
+    maxBytes: options.maxBytes ?? crawler.maxBytes ?? 0
+  };
+};
+
+/**
+ * Find the first budget a crawl has used up
+ * 
+ * @param {Object} crawlData - Active crawl data
+ * @returns {string|null} - Termination reason or null if all budgets remain
+ */
+const getExceededBudget = (crawlData) => {
+  const { budgets } = crawlData;
+  
+  if (budgets.maxPages && crawlData.pagesProcessed >= budgets.maxPages) return 'max_pages';
+  if (budgets.maxDuration && Date.now() - crawlData.startTime >= budgets.maxDuration) return 'max_duration';
+  if (budgets.maxScreenshots && crawlData.screenshotCount >= budgets.maxScreenshots) return 'max_screenshots';
+  if (budgets.maxBytes && crawlData.bytesDownloaded >= budgets.maxBytes) return 'max_bytes';
+  
+  return null;
+};
+
+/**
+ * Get the number of parallel pages for a crawl
+ * 
+ * @param {Object} options - Crawl options
+ * @returns {number} - Number of crawl workers
+ */
+const getConcurrency = (options) => {
+  const concurrency = parseInt(options.concurrency) || parseInt(process.env.CRAWL_CONCURRENCY) || 1;
+  return Math.max(1, Math.min(MAX_CONCURRENCY, concurrency));
+};
+
+/**
+ * Check whether a crawl runs its browser without a window
+ * 
+ * @param {Object} options - Crawl options
+ * @returns {boolean} - True for headless mode (the default)
+ */
+const isHeadless = (options) => {
+  if (typeof options.headless === 'boolean') return options.headless;
+  return settingsStore.getSettings().crawler.headless !== false;
+};
+
+/**
+ * Get the politeness delay between requests to the same host
+ * 
+ * @param {Object} options - Crawl options
+ * @returns {number} - Delay in milliseconds
+ */
+const getRateLimit = (options) => {
+  return options.rateLimit || settingsStore.getSettings().crawler.rateLimit || 2000;
+};
+
+/**
+ * Get the user agent used to select robots.txt rules
+ * 
+ * @param {Object} options - Crawl options
+ * @returns {string} - User agent string
+ */
+const getRobotsUserAgent = (options) => {
+  return options.robotsUserAgent ||
+    process.env.ROBOTS_USER_AGENT ||
+    options.userAgent ||
+    process.env.USER_AGENT ||
+    '*';
 };
 
 /**
@@ -338,9 +1152,11 @@ const handleInfiniteScroll = async (page, crawlId, options) => {
  * 
  * @param {Page} page - Playwright page object
  * @param {string} baseUrl - Base URL for resolving relative links
- * @returns {Promise<string[]>} - Array of absolute URLs
+ * @param {Function} inScope - Predicate for URLs that belong to the crawl
+ * @param {Function} normalizeUrl - URL normalizer of the crawl
+ * @returns {Promise<string[]>} - Array of normalized absolute URLs
  */
-const extractLinks = async (page, baseUrl) => {
+const extractLinks = async (page, baseUrl, inScope, normalizeUrl) => {
   // Extract all links from the page
   const links = await page.evaluate((baseUrl) => {
     const anchors = Array.from(document.querySelectorAll('a[href]'));
@@ -354,129 +1170,83 @@ const extractLinks = async (page, baseUrl) => {
         }
       })
       .filter(url => 
-        // Filter valid URLs and same origin
-        url && url.startsWith('http') && new URL(url).origin === new URL(baseUrl).origin
+        // Filter valid URLs
+        url && url.startsWith('http')
       );
   }, baseUrl);
   
-  // Return unique links
-  return [...new Set(links)];
+  // Return unique normalized links within the crawl scope
+  return [...new Set(links.map(normalizeUrl))].filter(link => link && inScope(link));
 };
 
 /**
- * Process a screenshot with OCR
+ * Get the language a page declares in <html lang>
  * 
- * @param {string} crawlId - Crawl ID
- * @param {string} screenshotPath - Path to screenshot file
- * @param {string} url - URL that was captured
- * @returns {Promise<Object>} - OCR result data
+ * @param {Object} page - Playwright page
+ * @returns {Promise<string|null>} - Language tag (e.g. de-DE) or null
  */
-const processScreenshotWithOCR = async (crawlId, screenshotPath, url = '') => {
+const getPageLanguage = async (page) => {
   try {
-    // Import socketManager at the top of the file
-    const socketManager = require('../utils/socketManager');
-    
-    logger.debug(`Processing screenshot with OCR: ${screenshotPath}`);
-    
-    // Broadcast status update
-    socketManager.broadcastLog('info', `Processing screenshot with OCR`, { url });
-    
-    // Send screenshot to connected clients
-    socketManager.broadcastScreenshot(crawlId, url, screenshotPath);
-    
-    try {
-      // Process the screenshot with OCR service
-      const ocrResult = await ocrService.processImage(screenshotPath, {
-        crawlId,
-        url,
-        analysisId: require('uuid').v4()
-      });
-      
-      if (!ocrResult) {
-        logger.warn(`OCR processing returned no results for ${screenshotPath}`);
-        return null;
-      }
-      
-      if (ocrResult.error) {
-        logger.warn(`OCR processing had an error: ${ocrResult.error}`);
-        socketManager.broadcastLog('warn', `OCR processing had an error: ${ocrResult.error}`, { url });
-        return null;
-      }
-      
-      logger.info(`OCR completed for ${screenshotPath}: ${ocrResult.text.length} characters extracted`);
-      
-      // Broadcast OCR success
-      socketManager.broadcastLog('info', `OCR completed: ${ocrResult.text.length} characters extracted`, {
-        confidence: ocrResult.confidence || 0,
-        url
-      });
-      
-      // Store OCR result with the crawl job
-      await CrawlJob.updateOne(
-        { _id: crawlId },
-        {
-          $push: {
-            ocrResults: {
-              screenshotPath,
-              ocrResultId: ocrResult.analysisId,
-              confidence: ocrResult.confidence,
-              timestamp: new Date()
-            }
-          }
-        }
-      );
-      
-      return ocrResult;
-    } catch (ocrError) {
-      logger.error(`OCR processing exception: ${ocrError.message}`);
-      socketManager.broadcastLog('error', `OCR processing exception: ${ocrError.message}`);
-      
-      // Let the crawler continue despite OCR errors
-      return {
-        analysisId: require('uuid').v4(),
-        text: "",
-        confidence: 0,
-        processed: false,
-        error: ocrError.message
-      };
-    }
+    const lang = await page.evaluate(() => document.documentElement.lang);
+    return lang || null;
   } catch (error) {
-    logger.error(`OCR processing error: ${error.message}`);
-    // Broadcast error if possible, but don't fail if this fails too
-    try {
-      const socketManager = require('../utils/socketManager');
-      socketManager.broadcastLog('error', `OCR processing failed: ${error.message}`);
-    } catch (socketError) {
-      logger.error(`Failed to broadcast OCR error: ${socketError.message}`);
-    }
-    
-    // Return a minimal result to allow the crawler to continue
-    return {
-      analysisId: require('uuid').v4(),
-      text: "",
-      confidence: 0,
-      processed: false,
-      error: error.message
-    };
+    logger.debug(`Could not read page language: ${error.message}`);
+    return null;
   }
 };
 
+/**
+ * Queue a screenshot for OCR
+ * 
+ * The OCR job stores its result with the crawl job once it has run.
+ * 
+ * @param {string} crawlId - Crawl ID
+ * @param {string} screenshotPath - Path to screenshot file
+ * @param {string} url - URL that was captured
+ * @param {Object} options - Crawl options of the page (ocrPreprocess, htmlLang, keywordAlgorithm, corpusScope)
+ * @returns {Promise<Object>} - Queued job
+ */
+const queueScreenshotOcr = async (crawlId, screenshotPath, url = '', options = {}) => {
+  const socketManager = require('../utils/socketManager');
+  
+  // Send screenshot to connected clients
+  socketManager.broadcastScreenshot(crawlId, url, screenshotPath);
+  
+  const job = await ocrJobs.queueOcr({
+    imagePath: screenshotPath,
+    crawlId,
+    url,
+    preprocess: options.ocrPreprocess,
+    htmlLang: options.htmlLang,
+    keywordAlgorithm: options.keywordAlgorithm,
+    corpusScope: options.corpusScope
+  });
+  
+  logger.debug(`Queued OCR job ${job.id} for ${screenshotPath}`);
+  socketManager.broadcastLog('info', 'Screenshot queued for OCR', { url, jobId: job.id });
+  
+  return job;
+};
+
 /**
  * Update crawl status
  * 
  * @param {string} crawlId - Crawl ID
  * @param {string} status - New status
  * @param {string} errorMessage - Optional error message for failed status
+ * @param {string} terminationReason - Why the crawl ended (defaults to the status for stopped/failed)
  */
-const updateCrawlStatus = async (crawlId, status, errorMessage = null) => {
+const updateCrawlStatus = async (crawlId, status, errorMessage = null, terminationReason = null) => {
   try {
-    // Import socketManager at the top of the file
     const socketManager = require('../utils/socketManager');
     
     logger.info(`Updating crawl ${crawlId} status to ${status}`);
     
+    const reason = terminationReason || (status === 'stopped' || status === 'failed' ? status : null);
+    
     const updateData = {
       status,
+      ...(reason ? { terminationReason: reason } : {}),
       ...(status === 'completed' ? { completedAt: new Date() } : {}),
       ...(status === 'failed' ? { failedAt: new Date(), errorMessage } : {}),
       ...(status === 'paused' ? { pausedAt: new Date() } : {}),
@@ -501,6 +1271,10 @@ const updateCrawlStatus = async (crawlId, status, errorMessage = null) => {
     if (crawlData) {
       crawlData.status = status;
       
+      if (reason) {
+        crawlData.terminationReason = reason;
+      }
+      
       if (errorMessage) {
         crawlData.errors.push({
           message: errorMessage,
@@ -514,12 +1288,15 @@ const updateCrawlStatus = async (crawlId, status, errorMessage = null) => {
       crawlId,
       status,
       timestamp: new Date().toISOString(),
-      errorMessage: errorMessage || undefined
+      errorMessage: errorMessage || undefined,
+      terminationReason: reason || undefined
     });
     
     // Log status change
     const logLevel = status === 'failed' ? 'error' : 'info';
-    const statusMessage = `Crawl ${crawlId} ${status}` + (errorMessage ? `: ${errorMessage}` : '');
+    const statusMessage = `Crawl ${crawlId} ${status}` +
+      (reason && reason !== status ? ` (${reason})` : '') +
+      (errorMessage ? `: ${errorMessage}` : '');
     socketManager.broadcastLog(logLevel, statusMessage);
     
   } catch (error) {
@@ -537,23 +1314,24 @@ const cleanupCrawl = async (crawlId) => {
     const crawlData = activeCrawls.get(crawlId);
     
     if (crawlData) {
+      // Collect the crawl's contexts, including one it is still moving away from
+      const contexts = new Set(crawlData.context ? [crawlData.context] : []);
+      
       // Close all pages
       for (const page of crawlData.pages) {
+        contexts.add(page.context());
         await page.close().catch(err => logger.error(`Error closing page: ${err.message}`));
       }
+      crawlData.pages.clear();
       
-      // Close browser context and browser
-      if (crawlData.context) {
-        await crawlData.context.close().catch(err => logger.error(`Error closing context: ${err.message}`));
-      }
-      
-      if (crawlData.browser) {
-        await crawlData.browser.close().catch(err => logger.error(`Error closing browser: ${err.message}`));
+      // Return the browser contexts to the pool
+      for (const context of contexts) {
+        await browserPool.releaseContext(context);
       }
+      crawlData.context = null;
       
       // Calculate final statistics
       const duration = Date.now() - crawlData.startTime;
-      const screenshotCount = crawlData.capturedScreenshots.length;
       const errorCount = crawlData.errors.length;
       
       // Update final statistics in database
@@ -561,7 +1339,9 @@ const cleanupCrawl = async (crawlId) => {
         { _id: crawlId },
         {
           duration,
-          screenshotCount,
+          screenshotCount: crawlData.screenshotCount,
+          adCreativeCount: crawlData.adCreativeCount,
+          bytesDownloaded: crawlData.bytesDownloaded,
           errorCount
         }
       );
@@ -592,9 +1372,20 @@ const getCrawlStatus = async (crawlId) => {
         crawlId,
         url: activeCrawl.url,
         status: activeCrawl.status,
-        pagesProcessed: activeCrawl.visitedUrls?.size || 0,
-        screenshotCount: activeCrawl.capturedScreenshots.length,
+        pagesProcessed: activeCrawl.pagesProcessed,
+        screenshotCount: activeCrawl.screenshotCount,
+        adCreativeCount: activeCrawl.adCreativeCount,
+        bytesDownloaded: activeCrawl.bytesDownloaded,
+        budgets: activeCrawl.budgets,
         errorCount: activeCrawl.errors.length,
+        activeWorkers: activeCrawl.busyWorkers,
+        waitingForBrowser: !activeCrawl.context,
+        robotsSkipped: activeCrawl.robotsSkipped,
+        duplicatesSkipped: activeCrawl.duplicatesSkipped,
+        retriesScheduled: activeCrawl.retriesScheduled,
+        hosts: activeCrawl.hostScheduler.getState(),
+        terminationReason: activeCrawl.terminationReason,
+        frontier: await frontier.getStats(crawlId).catch(() => null),
         startTime: activeCrawl.startTime,
         duration: Date.now() - activeCrawl.startTime,
         isActive: true
@@ -614,6 +1405,10 @@ const getCrawlStatus = async (crawlId) => {
       status: crawlJob.status,
       pagesProcessed: crawlJob.visitedUrls?.length || 0,
       screenshotCount: crawlJob.screenshotCount || 0,
+      adCreativeCount: crawlJob.adCreativeCount || 0,
+      bytesDownloaded: crawlJob.bytesDownloaded || 0,
+      budgets: crawlJob.budgets,
+      terminationReason: crawlJob.terminationReason,
       errorCount: crawlJob.errorCount || 0,
       startTime: crawlJob.startedAt,
       completedAt: crawlJob.completedAt,
@@ -667,9 +1462,20 @@ const pauseCrawl = async (crawlId) => {
  */
 const resumeCrawl = async (crawlId) => {
   try {
-    const crawlData = activeCrawls.get(crawlId);
+    let crawlData = activeCrawls.get(crawlId);
     
-    if (!crawlData || crawlData.status !== 'paused') {
+    if (!crawlData) {
+      // A crawl paused before a restart has no browser session yet
+      const crawlJob = await CrawlJob.findById(crawlId);
+      
+      if (!crawlJob || crawlJob.status !== 'paused' || !(await frontier.exists(crawlId))) {
+        return false;
+      }
+      
+      crawlData = await restoreCrawlSession(crawlJob, 'paused');
+    }
+    
+    if (crawlData.status !== 'paused') {
       return false;
     }
     
@@ -682,12 +1488,8 @@ const resumeCrawl = async (crawlId) => {
       { status: 'running', resumedAt: new Date() }
     );
     
-    // Resume crawl process
-    processCrawl(crawlId, crawlData.url, crawlData.depth, crawlData.options)
-      .catch(async (error) => {
-        logger.error(`Resumed crawl job ${crawlId} failed: ${error.message}`);
-        await updateCrawlStatus(crawlId, 'failed', error.message);
-      });
+    // Resume crawl process from the persistent frontier
+    runCrawl(crawlId);
     
     logger.info(`Resumed crawl job ${crawlId}`);
     return true;
@@ -700,6 +1502,9 @@ const resumeCrawl = async (crawlId) => {
 /**
  * Stop a crawl job
  * 
+ * The frontier is cleared only after the workers have finished, since a
+ * worker still completes or retries the URL it was processing.
+ * 
  * @param {string} crawlId - Crawl ID
  * @returns {Promise<boolean>} - True if stopped, false if not found
  */
@@ -707,21 +1512,31 @@ const stopCrawl = async (crawlId) => {
   try {
     const crawlData = activeCrawls.get(crawlId);
     
-    if (!crawlData) {
-      return false;
+    if (crawlData) {
+      crawlData.status = 'stopped';
+      crawlData.terminationReason = 'stopped';
+    } else {
+      // A crawl paused before a restart has no browser session, only its frontier
+      const crawlJob = await CrawlJob.findById(crawlId);
+      
+      if (!crawlJob || crawlJob.status !== 'paused') {
+        return false;
+      }
     }
     
-    // Update status
-    crawlData.status = 'stopped';
-    
     // Update in database
     await CrawlJob.updateOne(
       { _id: crawlId },
-      { status: 'stopped', stoppedAt: new Date() }
+      { status: 'stopped', stoppedAt: new Date(), terminationReason: 'stopped' }
     );
     
-    // Clean up resources
-    await cleanupCrawl(crawlId);
+    if (crawlData) {
+      // Closing the pages aborts the page loads in progress, so the workers finish quickly
+      await cleanupCrawl(crawlId);
+      await crawlData.workers;
+    }
+    
+    await frontier.clearFrontier(crawlId);
     
     logger.info(`Stopped crawl job ${crawlId}`);
     return true;
@@ -731,6 +1546,78 @@ const stopCrawl = async (crawlId) => {
   }
 };
 
+/**
+ * Recreate the browser session for a crawl stored in the database
+ * 
+ * In-flight URLs from the previous process are put back into the frontier
+ * so no page is lost.
+ * 
+ * @param {Object} crawlJob - CrawlJob document
+ * @param {string} status - In-memory status for the restored session
+ * @returns {Promise<Object>} - Active crawl data
+ */
+const restoreCrawlSession = async (crawlJob, status) => {
+  const crawlId = crawlJob._id;
+  
+  await frontier.restoreInflight(crawlId);
+  
+  return await launchCrawlSession(crawlId, {
+    url: crawlJob.url,
+    depth: crawlJob.depth,
+    options: crawlJob.options || {},
+    budgets: crawlJob.toObject().budgets,
+    screenshotDir: crawlJob.screenshotDir,
+    startTime: crawlJob.startedAt ? crawlJob.startedAt.getTime() : Date.now(),
+    pagesProcessed: crawlJob.pagesProcessed || 0,
+    screenshotCount: crawlJob.screenshotCount || 0,
+    adCreativeCount: crawlJob.adCreativeCount || 0,
+    bytesDownloaded: crawlJob.bytesDownloaded || 0,
+    status
+  });
+};
+
+/**
+ * Restore crawls that were interrupted by a process restart
+ * 
+ * Running crawls continue from their persistent frontier. Paused crawls are
+ * left paused and get a new browser session when they are resumed.
+ * 
+ * @returns {Promise<number>} - Number of crawls restarted
+ */
+const restoreCrawls = async () => {
+  let restored = 0;
+  
+  try {
+    const crawlJobs = await CrawlJob.find({ status: 'running' });
+    
+    for (const crawlJob of crawlJobs) {
+      const crawlId = crawlJob._id;
+      
+      if (activeCrawls.has(crawlId)) continue;
+      
+      try {
+        if (!(await frontier.exists(crawlId))) {
+          await updateCrawlStatus(crawlId, 'failed', 'Crawl frontier was lost during restart');
+          continue;
+        }
+        
+        await restoreCrawlSession(crawlJob, 'running');
+        runCrawl(crawlId);
+        restored++;
+        
+        logger.info(`Restored crawl job ${crawlId} from persistent frontier`);
+      } catch (error) {
+        logger.error(`Failed to restore crawl job ${crawlId}: ${error.message}`);
+        await updateCrawlStatus(crawlId, 'failed', error.message);
+      }
+    }
+  } catch (error) {
+    logger.error(`Error restoring crawls: ${error.message}`);
+  }
+  
+  return restored;
+};
+
 /**
  * Get logs for a crawl job
  * 
@@ -813,8 +1700,8 @@ const getLatestScreenshot = async (crawlId) => {
       return null;
     }
     
-    // Get all screenshots in the directory
-    const files = await fs.readdir(crawlJob.screenshotDir);
+    // Get all page screenshots in the directory (creatives live in a subdirectory)
+    const files = (await fs.readdir(crawlJob.screenshotDir)).filter(file => file.endsWith('.png'));
     
     if (files.length === 0) {
       return null;
@@ -837,6 +1724,7 @@ module.exports = {
   pauseCrawl,
   resumeCrawl,
   stopCrawl,
+  restoreCrawls,
   getCrawlLogs,
   getLatestScreenshot
 }; 
\ No newline at end of file
@@ -0,0 +1,218 @@
+/**
+ * Creative Service Module
+ * 
+ * This module stores captured ad creatives and deduplicates them across all
+ * crawls. Every capture is hashed; when the hash matches a known creative
+ * (within CREATIVE_HASH_THRESHOLD bits for perceptual hashes), the capture
+ * counts as another sighting of that creative instead of a new one.
+ * 
+ * Near matches are looked up through 8-bit bands of the hash: two hashes
+ * within 7 bits of each other always share at least one band, so only
+ * creatives sharing a band need to be compared.
+ * 
+ * Relationships with other modules:
+ * - Used by crawlerService.js to record ad creatives found while crawling
+ * - Uses imageHash.js to hash creative screenshots
+ * - Stores creatives with the Creative model
+ */
+
+const logger = require('../utils/logger');
+const Creative = require('../models/Creative');
+const { computeImageHash } = require('../utils/imageHash');
+const { hammingDistance } = require('./contentFingerprint');
+
+// Default maximum Hamming distance for the same creative
+const DEFAULT_HASH_THRESHOLD = 5;
+
+// Largest threshold the band lookup can guarantee to find
+const MAX_HASH_THRESHOLD = 7;
+
+// Most recent pages and crawl jobs kept on a creative
+const MAX_CREATIVE_REFERENCES = 100;
+
+// Serializes lookups and inserts so parallel workers don't store the same creative twice
+let recordQueue = Promise.resolve();
+
+/**
+ * Get the near-match threshold for perceptual hashes
+ * 
+ * @returns {number} - Maximum Hamming distance
+ */
+const getHashThreshold = () => {
+  const threshold = parseInt(process.env.CREATIVE_HASH_THRESHOLD);
+  return Number.isInteger(threshold) && threshold >= 0
+    ? Math.min(threshold, MAX_HASH_THRESHOLD)
+    : DEFAULT_HASH_THRESHOLD;
+};
+
+/**
+ * Split a hash into its 8-bit bands
+ * 
+ * @param {string} hash - Hash as 16 hex characters
+ * @returns {Array<string>} - Bands as "<index>:<hex byte>"
+ */
+const getHashBands = (hash) => {
+  const bands = [];
+  for (let i = 0; i < 8; i++) {
+    bands.push(`${i}:${hash.slice(i * 2, i * 2 + 2)}`);
+  }
+  return bands;
+};
+
+/**
+ * Find the stored creative matching a hash
+ * 
+ * @param {string} hash - Image hash
+ * @param {string} hashType - Hash type ('dhash' or 'md5')
+ * @returns {Promise<Object|null>} - Matching creative or null
+ */
+const findMatchingCreative = async (hash, hashType) => {
+  if (hashType !== 'dhash') {
+    return Creative.findOne({ hashType, hash });
+  }
+  
+  const threshold = getHashThreshold();
+  const candidates = await Creative.find({ hashType, hashBands: { $in: getHashBands(hash) } })
+    .select('hash');
+  
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = hammingDistance(hash, candidate.hash);
+    if (distance <= threshold && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  
+  return best ? Creative.findById(best._id) : null;
+};
+
+/**
+ * Build an update appending a value to a capped list, unless already listed
+ * 
+ * @param {Array<string>} list - Current list
+ * @param {string} value - Value to append
+ * @returns {Object|null} - $push clause or null if the value is already listed
+ */
+const pushCapped = (list, value) => {
+  if (!value || (list || []).includes(value)) return null;
+  return { $each: [value], $slice: -MAX_CREATIVE_REFERENCES };
+};
+
+/**
+ * Record a captured creative as a new creative or another sighting of a known one
+ * 
+ * @param {Object} capture - Captured ad from adDetector.captureCreatives
+ * @param {Object} context - Where the creative was seen
+ * @param {string} context.crawlId - Crawl job ID
+ * @param {string} context.url - Page URL
+ * @returns {Promise<Object>} - Result ({ creative, isNew })
+ */
+const recordCreative = (capture, context) => {
+  const task = recordQueue.then(() => storeCreative(capture, context));
+  
+  // Keep the queue going even if this capture fails
+  recordQueue = task.catch(() => {});
+  
+  return task;
+};
+
+/**
+ * Store a captured creative
+ * 
+ * @param {Object} capture - Captured ad
+ * @param {Object} context - Crawl ID and page URL
+ * @returns {Promise<Object>} - Result ({ creative, isNew })
+ */
+const storeCreative = async (capture, { crawlId, url }) => {
+  try {
+    const { hash, hashType } = await computeImageHash(capture.screenshotPath);
+    const now = new Date();
+    
+    const existing = await findMatchingCreative(hash, hashType);
+    
+    if (existing) {
+      const update = {
+        $set: { lastSeenAt: now },
+        $inc: { seenCount: 1 }
+      };
+      
+      // Lookups run one at a time, so the loaded lists are current
+      const push = {};
+      const pagePush = pushCapped(existing.pages, url);
+      const crawlPush = pushCapped(existing.crawlJobs, crawlId);
+      if (pagePush) push.pages = pagePush;
+      if (crawlPush) push.crawlJobs = crawlPush;
+      if (Object.keys(push).length > 0) update.$push = push;
+      
+      // Landing pages can change while the creative keeps running
+      if (capture.landingUrl) update.$set.landingUrl = capture.landingUrl;
+      if (capture.clickUrl) update.$set.clickUrl = capture.clickUrl;
+      
+      const creative = await Creative.findByIdAndUpdate(existing._id, update, { new: true });
+      logger.debug(`Creative ${creative._id} seen again on ${url} (${creative.seenCount} sightings)`);
+      
+      return { creative, isNew: false };
+    }
+    
+    const creative = await Creative.create({
+      hash,
+      hashType,
+      hashBands: hashType === 'dhash' ? getHashBands(hash) : [],
+      width: capture.bbox ? capture.bbox.width : null,
+      height: capture.bbox ? capture.bbox.height : null,
+      iabSize: capture.iabSize,
+      network: capture.network,
+      clickUrl: capture.clickUrl,
+      landingUrl: capture.landingUrl,
+      screenshotPath: capture.screenshotPath,
+      origin: capture.fromNetwork ? 'network' : 'screenshot',
+      sourceUrl: url,
+      pages: [url],
+      crawlJobs: [crawlId],
+      firstSeenAt: now,
+      lastSeenAt: now
+    });
+    
+    logger.info(`New creative ${creative._id} found on ${url}`);
+    
+    return { creative, isNew: true };
+  } catch (error) {
+    logger.error(`Error recording creative from ${url}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Link the OCR result of a creative's screenshot
+ * 
+ * @param {string} creativeId - Creative ID
+ * @param {Object} ocrResult - Result of ocrService.processImage
+ * @returns {Promise<Object|null>} - Updated creative
+ */
+const attachOcrResult = async (creativeId, ocrResult) => {
+  try {
+    return await Creative.findByIdAndUpdate(
+      creativeId,
+      {
+        $set: {
+          ocrResultId: ocrResult.analysisId,
+          text: ocrResult.text || '',
+          confidence: ocrResult.confidence
+        }
+      },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(`Error linking OCR result to creative ${creativeId}: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  getHashBands,
+  findMatchingCreative,
+  recordCreative,
+  attachOcrResult
+};
\ No newline at end of file
@@ -0,0 +1,422 @@
+/**
+ * Crawl Frontier Module
+ * 
+ * This module stores the crawl frontier (the queue of URLs waiting to be crawled)
+ * and the set of visited URLs for each crawl job in Redis, so a crawl can be
+ * resumed exactly where it stopped after a process or container restart.
+ * 
+ * Each crawl uses the following Redis keys:
+ * - crawl:<crawlId>:queue    - Sorted set of pending entries ({ url, depth, ... }) as JSON
+ * - crawl:<crawlId>:visited  - Set of URLs that have been claimed for crawling
+ * - crawl:<crawlId>:inflight - Hash of URLs currently being processed
+ * - crawl:<crawlId>:retry    - Sorted set of failed entries waiting for a retry (score = due time)
+ * - crawl:<crawlId>:seq      - Counter that keeps insertion order for equal scores
+ * - crawl:<crawlId>:fingerprints - Hash of content fingerprints by URL (duplicate detection)
+ * 
+ * The queue is ordered by score (lowest first). The score grows with depth
+ * and is lowered by the entry's priority (0-1, e.g. from a sitemap) and by
+ * a recent lastmod date, so a breadth-first crawl visits important and fresh
+ * pages of each level first.
+ * 
+ * Entries that were in flight when the process died are put back at the
+ * front of the queue when the frontier is restored. Failed entries wait in
+ * the retry set and move to the front of the queue once they are due.
+ * 
+ * Relationships with other modules:
+ * - Used by crawlerService.js to schedule and track URLs
+ * - Uses the shared Redis client from config/redis.js
+ */
+
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Priority of entries that don't specify one (sitemap default)
+const DEFAULT_PRIORITY = 0.5;
+
+// Score used for entries that must be processed before everything else
+const FRONT_SCORE = -1;
+
+// Maximum score bonus for a recently modified page
+const FRESHNESS_WEIGHT = 0.25;
+
+// Age after which a lastmod date no longer counts as fresh
+const FRESHNESS_WINDOW_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Pops the next unclaimed entry and records it as visited and in flight in
+// one step (KEYS: queue, visited, inflight), so a crash can't lose it
+const DEQUEUE_SCRIPT = `
+while true do
+  local next = redis.call('ZPOPMIN', KEYS[1])
+  if #next == 0 then return false end
+  local raw = next[1]
+  local url = cjson.decode(raw).url
+  if redis.call('SADD', KEYS[2], url) == 1 then
+    redis.call('HSET', KEYS[3], url, raw)
+    return raw
+  end
+end`;
+
+/**
+ * Build the Redis keys used by a crawl's frontier
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @returns {Object} - Redis key names
+ */
+const getKeys = (crawlId) => ({
+  queue: `crawl:${crawlId}:queue`,
+  visited: `crawl:${crawlId}:visited`,
+  inflight: `crawl:${crawlId}:inflight`,
+  retry: `crawl:${crawlId}:retry`,
+  seq: `crawl:${crawlId}:seq`,
+  fingerprints: `crawl:${crawlId}:fingerprints`
+});
+
+/**
+ * Calculate the queue score of an entry (lower is crawled first)
+ * 
+ * @param {Object} entry - Frontier entry ({ url, depth, priority, lastmod })
+ * @param {number} seq - Insertion sequence number
+ * @param {boolean} front - Whether the entry goes to the front of the queue
+ * @returns {number} - Sorted set score
+ */
+const getScore = (entry, seq, front = false) => {
+  // Tiny sequence term keeps FIFO order between entries with equal scores
+  const order = seq * 1e-9;
+  
+  if (front) return FRONT_SCORE + order;
+  
+  const priority = typeof entry.priority === 'number'
+    ? Math.max(0, Math.min(1, entry.priority))
+    : DEFAULT_PRIORITY;
+  
+  let freshness = 0;
+  if (entry.lastmod) {
+    const age = Date.now() - new Date(entry.lastmod).getTime();
+    if (!isNaN(age)) {
+      freshness = Math.max(0, 1 - Math.max(0, age) / FRESHNESS_WINDOW_MS) * FRESHNESS_WEIGHT;
+    }
+  }
+  
+  return entry.depth + (1 - priority) - freshness + order;
+};
+
+/**
+ * Build sorted set members for a list of entries
+ * 
+ * @param {Object} redis - Redis client
+ * @param {string} crawlId - Crawl job ID
+ * @param {Object[]} entries - Entries to add
+ * @param {boolean} front - Whether the entries go to the front of the queue
+ * @returns {Promise<Object[]>} - Members with scores for ZADD
+ */
+const toMembers = async (redis, crawlId, entries, front = false) => {
+  const lastSeq = await redis.incrBy(getKeys(crawlId).seq, entries.length);
+  const firstSeq = lastSeq - entries.length + 1;
+  
+  return entries.map((entry, index) => ({
+    score: getScore(entry, firstSeq + index, front),
+    value: JSON.stringify(entry)
+  }));
+};
+
+/**
+ * Initialize the frontier for a new crawl with its seed URL(s)
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {Object[]} seeds - Seed entries ({ url, depth })
+ * @returns {Promise<void>}
+ */
+const initFrontier = async (crawlId, seeds) => {
+  try {
+    const redis = getRedisClient();
+    const keys = getKeys(crawlId);
+    
+    await redis.del([keys.queue, keys.visited, keys.inflight, keys.retry, keys.seq, keys.fingerprints]);
+    
+    if (seeds.length > 0) {
+      await redis.zAdd(keys.queue, await toMembers(redis, crawlId, seeds, true));
+    }
+    
+    logger.debug(`Initialized frontier for crawl ${crawlId} with ${seeds.length} seed(s)`);
+  } catch (error) {
+    logger.error(`Error initializing frontier for crawl ${crawlId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Add entries to the frontier
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {Object[]} entries - Entries to add ({ url, depth, priority, lastmod })
+ * @param {Object} options - Enqueue options
+ * @param {boolean} options.front - Add entries to the front of the queue
+ * @returns {Promise<number>} - Number of entries added
+ */
+const enqueue = async (crawlId, entries, options = {}) => {
+  if (!entries || entries.length === 0) return 0;
+  
+  try {
+    const redis = getRedisClient();
+    const keys = getKeys(crawlId);
+    
+    // Skip URLs that have already been claimed to keep the queue small
+    const visitedFlags = await redis.smIsMember(keys.visited, entries.map(entry => entry.url));
+    const pending = entries.filter((entry, index) => !visitedFlags[index]);
+    
+    if (pending.length === 0) return 0;
+    
+    await redis.zAdd(keys.queue, await toMembers(redis, crawlId, pending, options.front));
+    
+    return pending.length;
+  } catch (error) {
+    logger.error(`Error adding URLs to frontier for crawl ${crawlId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Move retries that are due to the front of the queue
+ * 
+ * @param {Object} redis - Redis client
+ * @param {string} crawlId - Crawl job ID
+ * @returns {Promise<number>} - Number of entries moved
+ */
+const promoteDueRetries = async (redis, crawlId) => {
+  const keys = getKeys(crawlId);
+  const due = await redis.zRangeByScore(keys.retry, 0, Date.now());
+  
+  // Only the caller that removes an entry moves it, so concurrent workers don't duplicate it
+  const removed = [];
+  for (const raw of due) {
+    if (await redis.zRem(keys.retry, raw)) {
+      removed.push(JSON.parse(raw));
+    }
+  }
+  
+  if (removed.length > 0) {
+    await redis.zAdd(keys.queue, await toMembers(redis, crawlId, removed, true));
+  }
+  
+  return removed.length;
+};
+
+/**
+ * Take the next unvisited entry from the frontier
+ * 
+ * The entry is popped, added to the visited set and recorded as in flight
+ * by a single Lua script, so it is never handed out twice and is not lost
+ * if the process dies in between. Entries whose URL was already claimed are
+ * dropped.
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @returns {Promise<Object|null>} - Next entry or null if the queue is empty
+ */
+const dequeue = async (crawlId) => {
+  try {
+    const redis = getRedisClient();
+    const keys = getKeys(crawlId);
+    
+    await promoteDueRetries(redis, crawlId);
+    
+    const raw = await redis.eval(DEQUEUE_SCRIPT, {
+      keys: [keys.queue, keys.visited, keys.inflight]
+    });
+    
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    logger.error(`Error reading from frontier for crawl ${crawlId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Mark an in-flight entry as finished
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {string} url - URL that finished processing
+ * @returns {Promise<void>}
+ */
+const complete = async (crawlId, url) => {
+  try {
+    await getRedisClient().hDel(getKeys(crawlId).inflight, url);
+  } catch (error) {
+    logger.error(`Error completing frontier entry for crawl ${crawlId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Schedule a failed entry for another attempt
+ * 
+ * The URL is released from the visited set so the retry can claim it again.
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {Object} entry - Entry to retry (including its retry count)
+ * @param {number} dueAt - Time of the retry in milliseconds since the epoch
+ * @returns {Promise<void>}
+ */
+const scheduleRetry = async (crawlId, entry, dueAt) => {
+  try {
+    const redis = getRedisClient();
+    const keys = getKeys(crawlId);
+    
+    await redis.zAdd(keys.retry, { score: dueAt, value: JSON.stringify(entry) });
+    await redis.sRem(keys.visited, entry.url);
+  } catch (error) {
+    logger.error(`Error scheduling retry for crawl ${crawlId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Check whether a crawl has retries waiting to become due
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @returns {Promise<boolean>} - True if retries are pending
+ */
+const hasPendingRetries = async (crawlId) => {
+  return (await getRedisClient().zCard(getKeys(crawlId).retry)) > 0;
+};
+
+/**
+ * Check whether a URL has already been claimed by a crawl
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {string} url - URL to check
+ * @returns {Promise<boolean>} - True if the URL was visited
+ */
+const isVisited = async (crawlId, url) => {
+  return await getRedisClient().sIsMember(getKeys(crawlId).visited, url);
+};
+
+/**
+ * Claim a URL without queueing it (e.g. the canonical URL of a crawled page)
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {string} url - URL to mark as visited
+ * @returns {Promise<boolean>} - True if the URL was not claimed before
+ */
+const markVisited = async (crawlId, url) => {
+  return (await getRedisClient().sAdd(getKeys(crawlId).visited, url)) > 0;
+};
+
+/**
+ * Store the content fingerprint of a crawled page
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @param {string} url - Page URL
+ * @param {string} fingerprint - Content fingerprint
+ * @returns {Promise<void>}
+ */
+const addFingerprint = async (crawlId, url, fingerprint) => {
+  try {
+    await getRedisClient().hSet(getKeys(crawlId).fingerprints, url, fingerprint);
+  } catch (error) {
+    logger.error(`Error storing fingerprint for crawl ${crawlId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the content fingerprints stored for a crawl
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @returns {Promise<Object>} - Fingerprints keyed by URL
+ */
+const getFingerprints = async (crawlId) => {
+  return await getRedisClient().hGetAll(getKeys(crawlId).fingerprints);
+};
+
+/**
+ * Put entries that were in flight during a restart back into the queue
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @returns {Promise<number>} - Number of entries restored
+ */
+const restoreInflight = async (crawlId) => {
+  try {
+    const redis = getRedisClient();
+    const keys = getKeys(crawlId);
+    
+    const inflight = await redis.hGetAll(keys.inflight);
+    const urls = Object.keys(inflight);
+    
+    if (urls.length === 0) return 0;
+    
+    await redis.sRem(keys.visited, urls);
+    await redis.zAdd(keys.queue, Object.values(inflight).map(raw => ({ score: FRONT_SCORE, value: raw })));
+    await redis.del(keys.inflight);
+    
+    logger.info(`Restored ${urls.length} in-flight URL(s) for crawl ${crawlId}`);
+    return urls.length;
+  } catch (error) {
+    logger.error(`Error restoring frontier for crawl ${crawlId}: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get frontier statistics for a crawl
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @returns {Promise<Object>} - Queue, visited, in-flight and retry counts
+ */
+const getStats = async (crawlId) => {
+  const redis = getRedisClient();
+  const keys = getKeys(crawlId);
+  
+  const [queued, visited, inflight, retrying] = await Promise.all([
+    redis.zCard(keys.queue),
+    redis.sCard(keys.visited),
+    redis.hLen(keys.inflight),
+    redis.zCard(keys.retry)
+  ]);
+  
+  return { queued, visited, inflight, retrying };
+};
+
+/**
+ * Check whether a frontier exists for a crawl
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @returns {Promise<boolean>} - True if frontier data is stored
+ */
+const exists = async (crawlId) => {
+  const keys = getKeys(crawlId);
+  const count = await getRedisClient().exists([keys.queue, keys.visited, keys.inflight, keys.retry]);
+  return count > 0;
+};
+
+/**
+ * Delete all frontier data for a crawl
+ * 
+ * @param {string} crawlId - Crawl job ID
+ * @returns {Promise<void>}
+ */
+const clearFrontier = async (crawlId) => {
+  try {
+    const keys = getKeys(crawlId);
+    await getRedisClient().del([keys.queue, keys.visited, keys.inflight, keys.retry, keys.seq, keys.fingerprints]);
+    logger.debug(`Cleared frontier for crawl ${crawlId}`);
+  } catch (error) {
+    logger.error(`Error clearing frontier for crawl ${crawlId}: ${error.message}`);
+  }
+};
+
+module.exports = {
+  initFrontier,
+  enqueue,
+  dequeue,
+  complete,
+  scheduleRetry,
+  hasPendingRetries,
+  isVisited,
+  markVisited,
+  addFingerprint,
+  getFingerprints,
+  restoreInflight,
+  getStats,
+  exists,
+  clearFrontier
+};
\ No newline at end of file
@@ -0,0 +1,238 @@
+/**
+ * Host Scheduler Module
+ * 
+ * This module spaces requests to each host with a token bucket whose refill
+ * interval adapts to how the host responds:
+ * - HTTP 429/503 double the interval and pause the host (Retry-After is honored)
+ * - Slow responses, timeouts and connection errors increase the interval
+ * - A run of fast, successful responses slowly lowers it again
+ * 
+ * The interval never drops below the host's floor, which is the crawl's rate
+ * limit, a per-host override from `hostRateLimits`, or the robots.txt
+ * Crawl-delay, whichever is largest. Every host has its own bucket, so
+ * third-party hosts (e.g. cross-origin URLs suggested by the AI assistant)
+ * don't share the budget of the start host.
+ * 
+ * Relationships with other modules:
+ * - Used by crawlerService.js to wait for a request slot and report responses
+ */
+
+// Default largest interval between requests to a throttled host
+const DEFAULT_MAX_INTERVAL_MS = 60000;
+
+// Default time to first byte above which a response counts as slow
+const DEFAULT_SLOW_RESPONSE_MS = 5000;
+
+// Successful responses needed before the interval is lowered
+const SPEEDUP_AFTER = 5;
+
+// Interval factors for backing off and speeding up
+const THROTTLE_FACTOR = 2;
+const SLOW_FACTOR = 1.5;
+const SPEEDUP_FACTOR = 0.9;
+
+// Weight of the latest response in the average response time
+const RESPONSE_TIME_WEIGHT = 0.3;
+
+/**
+ * Get the host key of a URL
+ * 
+ * @param {string} url - URL
+ * @returns {string} - Host including a non-default port
+ */
+const getHost = (url) => new URL(url).host;
+
+/**
+ * Create a scheduler for a crawl
+ * 
+ * @param {Object} config - Scheduler configuration
+ * @param {number} config.rateLimit - Minimum interval between requests to a host in ms
+ * @param {Object} config.hostRateLimits - Minimum intervals for specific hosts in ms
+ * @param {number} config.maxInterval - Largest interval after backing off in ms
+ * @param {number} config.slowResponseMs - Time to first byte that counts as slow
+ * @param {number} config.burst - Number of requests a rested host may receive at once
+ * @returns {Object} - Scheduler with acquire, report, setMinInterval and getState
+ */
+const createHostScheduler = (config = {}) => {
+  const rateLimit = config.rateLimit || 0;
+  const hostRateLimits = config.hostRateLimits || {};
+  const maxInterval = config.maxInterval || DEFAULT_MAX_INTERVAL_MS;
+  const slowResponseMs = config.slowResponseMs || DEFAULT_SLOW_RESPONSE_MS;
+  const burst = Math.max(1, config.burst || 1);
+  
+  const hosts = new Map();
+  
+  /**
+   * Get or create the state of a host
+   * 
+   * @param {string} host - Host key
+   * @returns {Object} - Host state
+   */
+  const getHostState = (host) => {
+    if (!hosts.has(host)) {
+      const floor = Math.max(rateLimit, hostRateLimits[host] || 0);
+      hosts.set(host, {
+        floor,
+        interval: floor,
+        tokens: burst,
+        lastRefill: Date.now(),
+        pausedUntil: 0,
+        successStreak: 0,
+        requests: 0,
+        throttled: 0,
+        slow: 0,
+        errors: 0,
+        avgResponseTime: null
+      });
+    }
+    return hosts.get(host);
+  };
+  
+  /**
+   * Add the tokens earned since the last refill
+   * 
+   * @param {Object} state - Host state
+   * @param {number} now - Current time in ms
+   */
+  const refill = (state, now) => {
+    if (state.interval > 0) {
+      state.tokens = Math.min(burst, state.tokens + (now - state.lastRefill) / state.interval);
+    } else {
+      state.tokens = burst;
+    }
+    state.lastRefill = now;
+  };
+  
+  /**
+   * Change the interval of a host within its floor and the maximum
+   * 
+   * @param {Object} state - Host state
+   * @param {number} factor - Multiplier for the current interval
+   */
+  const scaleInterval = (state, factor) => {
+    // A host without a floor still needs a base interval to back off from
+    const base = state.interval || 1000;
+    state.interval = Math.round(Math.max(state.floor, Math.min(maxInterval, base * factor)));
+  };
+  
+  return {
+    /**
+     * Raise the minimum interval of a host (e.g. from a robots.txt Crawl-delay)
+     * 
+     * @param {string} url - Any URL on the host
+     * @param {number} interval - Minimum interval in ms
+     */
+    setMinInterval: (url, interval) => {
+      const state = getHostState(getHost(url));
+      if (interval > state.floor) {
+        state.floor = interval;
+        state.interval = Math.max(state.interval, interval);
+      }
+    },
+    
+    /**
+     * Wait until a request to the URL's host is allowed
+     * 
+     * The token is taken synchronously, so concurrent workers hitting the
+     * same host queue up behind each other instead of starting at once.
+     * 
+     * @param {string} url - URL about to be requested
+     * @returns {Promise<number>} - Time waited in ms
+     */
+    acquire: async (url) => {
+      const state = getHostState(getHost(url));
+      const now = Date.now();
+      
+      refill(state, now);
+      state.tokens -= 1;
+      state.requests++;
+      
+      // A negative balance is the queue of requests waiting for this host
+      const tokenWait = state.tokens < 0 ? Math.ceil(-state.tokens * state.interval) : 0;
+      const wait = Math.max(tokenWait, state.pausedUntil - now);
+      
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      
+      return wait;
+    },
+    
+    /**
+     * Report the outcome of a request so the host's rate can adapt
+     * 
+     * @param {string} url - Requested URL
+     * @param {Object} result - Request outcome
+     * @param {number} result.status - HTTP status, if a response was received
+     * @param {number} result.responseTime - Time to first byte in ms
+     * @param {number} result.retryAfterMs - Delay requested by the server
+     * @param {boolean} result.failed - True for timeouts and connection errors
+     */
+    report: (url, result = {}) => {
+      const state = getHostState(getHost(url));
+      
+      if (typeof result.responseTime === 'number') {
+        state.avgResponseTime = state.avgResponseTime === null
+          ? result.responseTime
+          : Math.round(state.avgResponseTime * (1 - RESPONSE_TIME_WEIGHT) + result.responseTime * RESPONSE_TIME_WEIGHT);
+      }
+      
+      if (result.status === 429 || result.status === 503) {
+        state.throttled++;
+        state.successStreak = 0;
+        scaleInterval(state, THROTTLE_FACTOR);
+        state.pausedUntil = Date.now() + Math.max(result.retryAfterMs || 0, state.interval);
+      } else if (result.failed || result.status >= 500) {
+        state.errors++;
+        state.successStreak = 0;
+        scaleInterval(state, SLOW_FACTOR);
+      } else if (result.responseTime > slowResponseMs) {
+        state.slow++;
+        state.successStreak = 0;
+        scaleInterval(state, SLOW_FACTOR);
+      } else {
+        state.successStreak++;
+        
+        // Speed up carefully: only after a run of healthy responses
+        if (state.successStreak >= SPEEDUP_AFTER && state.interval > state.floor) {
+          state.successStreak = 0;
+          scaleInterval(state, SPEEDUP_FACTOR);
+        }
+      }
+    },
+    
+    /**
+     * Get the current state of all hosts
+     * 
+     * @returns {Object} - Host states keyed by host
+     */
+    getState: () => {
+      const now = Date.now();
+      const state = {};
+      
+      for (const [host, hostState] of hosts) {
+        const tokens = hostState.interval > 0
+          ? Math.min(burst, hostState.tokens + (now - hostState.lastRefill) / hostState.interval)
+          : burst;
+        
+        state[host] = {
+          interval: hostState.interval,
+          minInterval: hostState.floor,
+          pausedFor: Math.max(0, hostState.pausedUntil - now),
+          queued: tokens < 0 ? Math.ceil(-tokens) : 0,
+          requests: hostState.requests,
+          throttled: hostState.throttled,
+          slow: hostState.slow,
+          errors: hostState.errors,
+          avgResponseTime: hostState.avgResponseTime
+        };
+      }
+      
+      return state;
+    }
+  };
+};
+
+module.exports = {
+  createHostScheduler
+};
\ No newline at end of file
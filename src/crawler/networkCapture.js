@@ -0,0 +1,282 @@
+/**
+ * Network Capture Module
+ * 
+ * This module records the network traffic of a crawled page in a HAR-like
+ * form: one entry per request with URL, resource type, status, sizes,
+ * timing and headers. Failed requests are recorded with their error.
+ * Credentials in headers (cookies, authorization, API keys) are redacted
+ * before an entry is recorded.
+ * 
+ * Image and video responses are saved to content-addressed storage
+ * (data/assets/<first two hash characters>/<sha256>.<ext>), so an asset
+ * served on many pages or crawls is stored once. Entries of images served by
+ * ad networks, directly or inside an ad network iframe, are flagged as ad
+ * assets so they can go to OCR without a screenshot.
+ * 
+ * Relationships with other modules:
+ * - Used by crawlerService.js to capture the traffic of each page
+ * - Uses adDetector.js to recognize ad network hosts
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { matchAdNetwork } = require('./adDetector');
+
+// Default directory of the content-addressed asset storage
+const DEFAULT_ASSET_DIR = path.join(process.cwd(), 'data', 'assets');
+
+// Default largest response body saved as an asset
+const DEFAULT_MAX_ASSET_BYTES = 10 * 1024 * 1024;
+
+// Ad images smaller than this are tracking pixels, not creatives
+const MIN_AD_IMAGE_BYTES = 1024;
+
+// Headers whose values are credentials and never written to the logs
+const SENSITIVE_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'x-auth-token',
+  'x-csrf-token',
+  'x-xsrf-token'
+];
+
+// Replacement of redacted header values
+const REDACTED = '[REDACTED]';
+
+// Image types Tesseract can read
+const OCR_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp', 'image/tiff'];
+
+// File extensions of saved assets by MIME type
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg',
+  'image/bmp': 'bmp',
+  'image/tiff': 'tiff',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/ogg': 'ogv',
+  'video/quicktime': 'mov'
+};
+
+/**
+ * Check whether a response is an image or video asset
+ * 
+ * @param {string} resourceType - Playwright resource type
+ * @param {string} mimeType - Response MIME type
+ * @returns {boolean} - True for image and video responses
+ */
+const isMediaAsset = (resourceType, mimeType) => {
+  return resourceType === 'image' || resourceType === 'media' ||
+    mimeType.startsWith('image/') || mimeType.startsWith('video/');
+};
+
+/**
+ * Replace the values of credential headers
+ * 
+ * @param {Object} headers - Headers by lower-case name
+ * @returns {Object} - Copy of the headers with credentials redacted
+ */
+const redactHeaders = (headers) => {
+  const redacted = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    redacted[name] = SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : value;
+  }
+  return redacted;
+};
+
+/**
+ * Save a response body to content-addressed storage
+ * 
+ * @param {Buffer} body - Response body
+ * @param {string} mimeType - Response MIME type
+ * @param {string} assetDir - Asset storage directory
+ * @returns {Promise<Object>} - Stored asset ({ hash, path, size })
+ */
+const storeAsset = async (body, mimeType, assetDir = DEFAULT_ASSET_DIR) => {
+  const hash = crypto.createHash('sha256').update(body).digest('hex');
+  const extension = EXTENSIONS[mimeType] || 'bin';
+  const assetPath = path.join(assetDir, hash.slice(0, 2), `${hash}.${extension}`);
+  
+  try {
+    await fs.access(assetPath);
+  } catch (error) {
+    await fs.mkdir(path.dirname(assetPath), { recursive: true });
+    await fs.writeFile(assetPath, body);
+  }
+  
+  return { hash, path: assetPath, size: body.length };
+};
+
+/**
+ * Check whether a captured entry is an ad image that can go to OCR
+ * 
+ * @param {Object} entry - Network entry
+ * @returns {boolean} - True for saved ad network images Tesseract can read
+ */
+const isOcrCandidate = (entry) => {
+  return Boolean(entry.adNetwork && entry.asset && OCR_IMAGE_TYPES.includes(entry.mimeType) &&
+    entry.asset.size >= MIN_AD_IMAGE_BYTES);
+};
+
+/**
+ * Start capturing the network traffic of a page
+ * 
+ * @param {Page} page - Playwright page about to navigate
+ * @param {Object} options - Capture options
+ * @param {boolean} options.saveAssets - Save image and video bodies (default true)
+ * @param {string} options.assetDir - Asset storage directory
+ * @param {number} options.maxAssetBytes - Largest body saved as an asset
+ * @returns {Object} - Capture with stop() resolving to { startedAt, entries }
+ */
+const startCapture = (page, options = {}) => {
+  const saveAssets = options.saveAssets !== false;
+  const assetDir = options.assetDir || DEFAULT_ASSET_DIR;
+  const maxAssetBytes = options.maxAssetBytes || parseInt(process.env.MAX_ASSET_BYTES) || DEFAULT_MAX_ASSET_BYTES;
+  
+  const startedAt = new Date();
+  const entries = [];
+  const pending = new Set();
+  let stopped = null;
+  
+  /**
+   * Build the entry of a finished or failed request
+   * 
+   * @param {Request} request - Playwright request
+   * @param {string|null} failure - Error text of a failed request
+   * @returns {Promise<Object>} - Network entry
+   */
+  const buildEntry = async (request, failure) => {
+    const response = await request.response().catch(() => null);
+    const frameUrl = (() => {
+      try {
+        return request.frame().url();
+      } catch (error) {
+        // Service worker requests have no frame
+        return null;
+      }
+    })();
+    
+    const entry = {
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      frameUrl,
+      status: response ? response.status() : null,
+      statusText: response ? response.statusText() : null,
+      mimeType: '',
+      size: null,
+      timing: request.timing(),
+      requestHeaders: redactHeaders(await request.allHeaders().catch(() => ({}))),
+      responseHeaders: response ? redactHeaders(await response.allHeaders().catch(() => ({}))) : {},
+      adNetwork: matchAdNetwork(request.url()) || (frameUrl ? matchAdNetwork(frameUrl) : null),
+      asset: null,
+      failure
+    };
+    
+    entry.mimeType = (entry.responseHeaders['content-type'] || '').split(';')[0].trim().toLowerCase();
+    
+    const sizes = await request.sizes().catch(() => null);
+    if (sizes) {
+      entry.size = {
+        requestHeaders: sizes.requestHeadersSize,
+        requestBody: sizes.requestBodySize,
+        responseHeaders: sizes.responseHeadersSize,
+        responseBody: sizes.responseBodySize
+      };
+    }
+    
+    // Partial (206) responses of ranged video requests are not complete assets
+    if (saveAssets && response && entry.status === 200 && isMediaAsset(entry.resourceType, entry.mimeType) &&
+        (!sizes || sizes.responseBodySize <= maxAssetBytes)) {
+      try {
+        const body = await response.body();
+        if (body.length > 0 && body.length <= maxAssetBytes) {
+          entry.asset = await storeAsset(body, entry.mimeType, assetDir);
+        }
+      } catch (error) {
+        logger.debug(`Could not save asset ${entry.url}: ${error.message}`);
+      }
+    }
+    
+    return entry;
+  };
+  
+  /**
+   * Record a request without blocking the page's event loop
+   * 
+   * @param {Request} request - Playwright request
+   * @param {string|null} failure - Error text of a failed request
+   */
+  const record = (request, failure = null) => {
+    const task = buildEntry(request, failure)
+      .then(entry => { entries.push(entry); })
+      .catch(error => logger.debug(`Could not record request ${request.url()}: ${error.message}`))
+      .finally(() => pending.delete(task));
+    pending.add(task);
+  };
+  
+  const onFinished = (request) => record(request);
+  const onFailed = (request) => record(request, request.failure()?.errorText || 'failed');
+  
+  page.on('requestfinished', onFinished);
+  page.on('requestfailed', onFailed);
+  
+  return {
+    /**
+     * Stop capturing and wait for the entries still being recorded
+     * 
+     * @returns {Promise<Object>} - Capture ({ startedAt, entries })
+     */
+    stop: () => {
+      if (!stopped) {
+        page.off('requestfinished', onFinished);
+        page.off('requestfailed', onFailed);
+        stopped = Promise.allSettled([...pending]).then(() => ({ startedAt, entries }));
+      }
+      return stopped;
+    }
+  };
+};
+
+/**
+ * Write the network log of a page as JSON
+ * 
+ * @param {string} logDir - Directory for the network logs of a crawl
+ * @param {string} pageUrl - URL of the page
+ * @param {Object} capture - Result of stop() ({ startedAt, entries })
+ * @returns {Promise<string>} - Path of the written log
+ */
+const writeCaptureLog = async (logDir, pageUrl, capture) => {
+  await fs.mkdir(logDir, { recursive: true });
+  
+  const logPath = path.join(logDir, `${Date.now()}-${uuidv4().slice(0, 8)}.json`);
+  const log = {
+    pageUrl,
+    startedAt: capture.startedAt.toISOString(),
+    entryCount: capture.entries.length,
+    entries: capture.entries
+  };
+  
+  await fs.writeFile(logPath, JSON.stringify(log, null, 2));
+  return logPath;
+};
+
+module.exports = {
+  redactHeaders,
+  storeAsset,
+  isOcrCandidate,
+  startCapture,
+  writeCaptureLog
+};
\ No newline at end of file
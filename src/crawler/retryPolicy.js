@@ -0,0 +1,154 @@
+/**
+ * Retry Policy Module
+ * 
+ * This module decides whether a failed page load is retried and how long the
+ * crawler waits before the next attempt.
+ * 
+ * Errors are classified by type:
+ * - timeout: navigation or load timeouts
+ * - dns: host name could not be resolved
+ * - network: connection refused, reset or closed
+ * - http_5xx: server errors
+ * - rate_limited: HTTP 429 (the Retry-After header is honored)
+ * - http_4xx / other: not retried
+ * 
+ * Only the navigation and its response are retried. Once the page has loaded,
+ * its fingerprint, screenshot and OCR jobs may already be recorded, so a later
+ * failure (even a timeout) is not retried.
+ * 
+ * Delays grow exponentially per attempt with full jitter, so workers retrying
+ * the same host don't hit it at the same moment.
+ * 
+ * Relationships with other modules:
+ * - Used by crawlerService.js to schedule retries through frontier.js
+ * - Uses config/settings.js for the default maximum number of retries
+ */
+
+const settingsStore = require('../config/settings');
+
+// Error types that are retried unless the crawl options say otherwise
+const RETRYABLE_TYPES = ['timeout', 'dns', 'network', 'http_5xx', 'rate_limited'];
+
+// Longest Retry-After delay that is honored
+const MAX_RETRY_AFTER_MS = 10 * 60 * 1000;
+
+/**
+ * Parse a Retry-After header value
+ * 
+ * @param {string} value - Header value (seconds or an HTTP date)
+ * @returns {number|null} - Delay in milliseconds or null if missing/invalid
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.min(MAX_RETRY_AFTER_MS, Math.max(0, seconds * 1000));
+  }
+  
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.min(MAX_RETRY_AFTER_MS, Math.max(0, date - Date.now()));
+  }
+  
+  return null;
+};
+
+/**
+ * Create an error for an HTTP response that should fail the page load
+ * 
+ * @param {Response} response - Playwright response of the navigation
+ * @returns {Error} - Error with status and retryAfterMs properties
+ */
+const createHttpError = (response) => {
+  const error = new Error(`HTTP ${response.status()} ${response.statusText()}`.trim());
+  error.status = response.status();
+  error.retryAfterMs = parseRetryAfter(response.headers()['retry-after']);
+  return error;
+};
+
+/**
+ * Classify an error from a page load
+ * 
+ * @param {Error} error - Error thrown while processing a page
+ * @returns {string} - Error type
+ */
+const classifyError = (error) => {
+  const message = error.message || '';
+  
+  if (error.status === 429) return 'rate_limited';
+  if (error.status >= 500) return 'http_5xx';
+  if (error.status >= 400) return 'http_4xx';
+  
+  if (error.name === 'TimeoutError' || /timeout|ERR_TIMED_OUT/i.test(message)) return 'timeout';
+  if (/ERR_NAME_NOT_RESOLVED|ERR_NAME_RESOLUTION_FAILED|ENOTFOUND|EAI_AGAIN/.test(message)) return 'dns';
+  if (/ERR_CONNECTION_(REFUSED|RESET|CLOSED|ABORTED)|ERR_EMPTY_RESPONSE|ERR_NETWORK_CHANGED|ECONNRESET|ECONNREFUSED/.test(message)) {
+    return 'network';
+  }
+  
+  return 'other';
+};
+
+/**
+ * Get the retry policy for a crawl
+ * 
+ * @param {Object} options - Crawl options
+ * @returns {Object} - Policy ({ maxRetries, baseDelay, maxDelay, retryOn })
+ */
+const getRetryPolicy = (options = {}) => {
+  const { crawler } = settingsStore.getSettings();
+  
+  return {
+    maxRetries: options.maxRetries ?? crawler.maxRetries ?? 3,
+    baseDelay: options.retryBaseDelay || parseInt(process.env.RETRY_BASE_DELAY_MS) || 1000,
+    maxDelay: options.retryMaxDelay || parseInt(process.env.RETRY_MAX_DELAY_MS) || 60000,
+    retryOn: options.retryOn || RETRYABLE_TYPES
+  };
+};
+
+/**
+ * Calculate the delay before a retry
+ * 
+ * @param {number} attempt - Number of the attempt that failed (1 = first load)
+ * @param {Object} policy - Retry policy
+ * @param {number|null} retryAfterMs - Delay requested by the server
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempt, policy, retryAfterMs = null) => {
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+  
+  // Full jitter: anywhere between 0 and the exponential ceiling
+  const delay = Math.round(Math.random() * ceiling);
+  
+  return retryAfterMs !== null ? Math.max(retryAfterMs, delay) : delay;
+};
+
+/**
+ * Decide whether and when a failed page load is retried
+ * 
+ * @param {Error} error - Error thrown while processing the page
+ * @param {number} attempt - Number of the attempt that failed (1 = first load)
+ * @param {Object} policy - Retry policy
+ * @param {boolean} pageLoaded - Whether the page had loaded when the error was thrown
+ * @returns {Object} - Decision ({ errorType, willRetry, delay })
+ */
+const getRetryDecision = (error, attempt, policy, pageLoaded = false) => {
+  const errorType = classifyError(error);
+  const willRetry = !pageLoaded && policy.retryOn.includes(errorType) && attempt <= policy.maxRetries;
+  
+  return {
+    errorType,
+    willRetry,
+    delay: willRetry ? getRetryDelay(attempt, policy, error.retryAfterMs ?? null) : null
+  };
+};
+
+module.exports = {
+  RETRYABLE_TYPES,
+  parseRetryAfter,
+  createHttpError,
+  classifyError,
+  getRetryPolicy,
+  getRetryDelay,
+  getRetryDecision
+};
\ No newline at end of file
@@ -0,0 +1,320 @@
+/**
+ * Robots Service Module
+ * 
+ * This module fetches, parses and caches robots.txt files per origin and
+ * answers whether the crawler may fetch a URL.
+ * 
+ * The service handles:
+ * - Fetching robots.txt once per origin with an in-memory cache
+ * - Selecting the rule group for the configured user agent
+ * - Allow/Disallow matching with `*` wildcards and `$` anchors (longest match wins)
+ * - Crawl-delay and Sitemap directives
+ * 
+ * Relationships with other modules:
+ * - Used by crawlerService.js to filter URLs and apply crawl delays
+ */
+
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+// How long a fetched robots.txt stays cached
+const CACHE_TTL_MS = parseInt(process.env.ROBOTS_CACHE_TTL_MS) || 24 * 60 * 60 * 1000;
+
+// Shorter cache for robots.txt that could not be fetched, so we retry soon
+const ERROR_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Timeout for fetching robots.txt
+const FETCH_TIMEOUT_MS = 10000;
+
+// Cache of parsed robots.txt per origin
+const robotsCache = new Map();
+
+/**
+ * Parse the contents of a robots.txt file
+ * 
+ * @param {string} content - Raw robots.txt content
+ * @returns {Object} - Parsed rule groups and sitemap URLs
+ */
+const parseRobots = (content) => {
+  const groups = [];
+  const sitemaps = [];
+  let currentGroup = null;
+  let lastLineWasAgent = false;
+  
+  for (const rawLine of content.split(/\r?\n/)) {
+    // Strip comments and whitespace
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+    
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    
+    const directive = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+    
+    switch (directive) {
+      case 'user-agent':
+        // Consecutive user-agent lines share one group
+        if (!currentGroup || !lastLineWasAgent) {
+          currentGroup = { agents: [], rules: [], crawlDelay: null };
+          groups.push(currentGroup);
+        }
+        currentGroup.agents.push(value.toLowerCase());
+        lastLineWasAgent = true;
+        continue;
+      case 'allow':
+      case 'disallow':
+        // An empty Disallow means everything is allowed
+        if (currentGroup && value) {
+          currentGroup.rules.push({ type: directive, path: value });
+        }
+        break;
+      case 'crawl-delay': {
+        const delay = parseFloat(value);
+        if (currentGroup && !isNaN(delay) && delay >= 0) {
+          currentGroup.crawlDelay = delay;
+        }
+        break;
+      }
+      case 'sitemap':
+        if (value) sitemaps.push(value);
+        break;
+      default:
+        break;
+    }
+    
+    lastLineWasAgent = false;
+  }
+  
+  return { groups, sitemaps };
+};
+
+/**
+ * Select the rules that apply to a user agent
+ * 
+ * The group with the most specific matching agent token wins. Groups for
+ * `*` are used when no specific group matches.
+ * 
+ * @param {Object} robots - Parsed robots.txt
+ * @param {string} userAgent - Crawler user agent
+ * @returns {Object} - Rules and crawl delay for the user agent
+ */
+const selectRules = (robots, userAgent = '*') => {
+  const agent = userAgent.toLowerCase();
+  let bestLength = 0;
+  let matched = [];
+  
+  for (const group of robots.groups) {
+    for (const token of group.agents) {
+      if (token === '*' || !agent.includes(token)) continue;
+      
+      if (token.length > bestLength) {
+        bestLength = token.length;
+        matched = [group];
+      } else if (token.length === bestLength && !matched.includes(group)) {
+        matched.push(group);
+      }
+    }
+  }
+  
+  if (matched.length === 0) {
+    matched = robots.groups.filter(group => group.agents.includes('*'));
+  }
+  
+  const delays = matched
+    .map(group => group.crawlDelay)
+    .filter(delay => delay !== null);
+  
+  return {
+    rules: matched.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+};
+
+/**
+ * Convert a robots.txt path pattern into a regular expression
+ * 
+ * @param {string} pattern - Path pattern with optional `*` and `$`
+ * @returns {RegExp} - Regular expression anchored at the start of the path
+ */
+const patternToRegex = (pattern) => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Check a path against a set of rules
+ * 
+ * @param {Object[]} rules - Allow/Disallow rules
+ * @param {string} urlPath - Path and query of the URL
+ * @returns {boolean} - True if the path may be crawled
+ */
+const isPathAllowed = (rules, urlPath) => {
+  let bestRule = null;
+  
+  for (const rule of rules) {
+    if (!patternToRegex(rule.path).test(urlPath)) continue;
+    
+    // Longest match wins, Allow wins a tie
+    if (!bestRule ||
+        rule.path.length > bestRule.path.length ||
+        (rule.path.length === bestRule.path.length && rule.type === 'allow')) {
+      bestRule = rule;
+    }
+  }
+  
+  return !bestRule || bestRule.type === 'allow';
+};
+
+/**
+ * Fetch and parse robots.txt for an origin
+ * 
+ * @param {string} origin - URL origin (e.g. https://example.com)
+ * @returns {Promise<Object>} - Parsed robots.txt
+ */
+const fetchRobots = async (origin) => {
+  const robotsUrl = `${origin}/robots.txt`;
+  
+  try {
+    const response = await axios.get(robotsUrl, {
+      timeout: FETCH_TIMEOUT_MS,
+      responseType: 'text',
+      maxRedirects: 5,
+      validateStatus: () => true,
+      headers: { 'User-Agent': process.env.USER_AGENT || 'Mozilla/5.0' }
+    });
+    
+    if (response.status >= 200 && response.status < 300) {
+      logger.debug(`Fetched robots.txt for ${origin}`);
+      return { ...parseRobots(String(response.data || '')), expiresAt: Date.now() + CACHE_TTL_MS };
+    }
+    
+    if (response.status >= 400 && response.status < 500) {
+      // No robots.txt means there are no restrictions
+      logger.debug(`No robots.txt for ${origin} (HTTP ${response.status})`);
+      return { groups: [], sitemaps: [], expiresAt: Date.now() + CACHE_TTL_MS };
+    }
+    
+    throw new Error(`HTTP ${response.status}`);
+  } catch (error) {
+    // Treat an unreachable robots.txt as a full disallow until we can fetch it
+    logger.warn(`Could not fetch robots.txt for ${origin}, disallowing crawl: ${error.message}`);
+    return {
+      groups: [{ agents: ['*'], rules: [{ type: 'disallow', path: '/' }], crawlDelay: null }],
+      sitemaps: [],
+      unavailable: true,
+      expiresAt: Date.now() + ERROR_CACHE_TTL_MS
+    };
+  }
+};
+
+/**
+ * Get the parsed robots.txt for a URL's origin, using the cache
+ * 
+ * @param {string} url - Any URL on the origin
+ * @returns {Promise<Object>} - Parsed robots.txt
+ */
+const getRobots = async (url) => {
+  const { origin } = new URL(url);
+  const cached = robotsCache.get(origin);
+  
+  if (cached && (cached.pending || cached.expiresAt > Date.now())) {
+    return cached.pending ? await cached.pending : cached;
+  }
+  
+  // Share a single request between concurrent callers
+  const pending = fetchRobots(origin);
+  robotsCache.set(origin, { pending });
+  
+  const robots = await pending;
+  robotsCache.set(origin, robots);
+  
+  return robots;
+};
+
+/**
+ * Check whether a URL may be crawled
+ * 
+ * @param {string} url - URL to check
+ * @param {string} userAgent - Crawler user agent
+ * @returns {Promise<boolean>} - True if the URL is allowed
+ */
+const isAllowed = async (url, userAgent) => {
+  const parsedUrl = new URL(url);
+  
+  if (parsedUrl.pathname === '/robots.txt') return true;
+  
+  const robots = await getRobots(url);
+  const { rules } = selectRules(robots, userAgent);
+  
+  return isPathAllowed(rules, parsedUrl.pathname + parsedUrl.search);
+};
+
+/**
+ * Filter a list of URLs down to the ones allowed by robots.txt
+ * 
+ * @param {string[]} urls - URLs to filter
+ * @param {string} userAgent - Crawler user agent
+ * @returns {Promise<string[]>} - Allowed URLs
+ */
+const filterAllowed = async (urls, userAgent) => {
+  const allowed = [];
+  
+  for (const url of urls) {
+    try {
+      if (await isAllowed(url, userAgent)) {
+        allowed.push(url);
+      }
+    } catch (error) {
+      logger.warn(`Robots check failed for ${url}: ${error.message}`);
+    }
+  }
+  
+  return allowed;
+};
+
+/**
+ * Get the Crawl-delay for a URL's origin
+ * 
+ * @param {string} url - Any URL on the origin
+ * @param {string} userAgent - Crawler user agent
+ * @returns {Promise<number|null>} - Crawl delay in milliseconds or null if not set
+ */
+const getCrawlDelay = async (url, userAgent) => {
+  const robots = await getRobots(url);
+  const { crawlDelay } = selectRules(robots, userAgent);
+  
+  return crawlDelay !== null ? Math.round(crawlDelay * 1000) : null;
+};
+
+/**
+ * Get the sitemap URLs declared in an origin's robots.txt
+ * 
+ * @param {string} url - Any URL on the origin
+ * @returns {Promise<string[]>} - Sitemap URLs
+ */
+const getSitemaps = async (url) => {
+  const robots = await getRobots(url);
+  return robots.sitemaps;
+};
+
+/**
+ * Clear the robots.txt cache
+ */
+const clearCache = () => {
+  robotsCache.clear();
+};
+
+module.exports = {
+  parseRobots,
+  isAllowed,
+  filterAllowed,
+  getCrawlDelay,
+  getSitemaps,
+  clearCache
+};
\ No newline at end of file
@@ -0,0 +1,288 @@
+/**
+ * Crawl Scope Module
+ * 
+ * This module decides which discovered URLs belong to a crawl. A scope
+ * combines a mode with optional include and exclude pattern lists.
+ * 
+ * Scope modes:
+ * - same-origin: same scheme, host and port as the start URL (default)
+ * - same-domain: same registrable domain, subdomains included (shop.example.com)
+ * - prefix: URLs starting with a given prefix (defaults to the start URL)
+ * 
+ * Patterns are either globs or regular expressions:
+ * - Globs are matched against the URL path and query (`/cart/**`, `/logout*`,
+ *   `**calendar**`). `*` matches within one path segment, `**` matches anything.
+ *   Globs containing `://` are matched against the full URL.
+ * - Regular expressions are prefixed with `regex:` (e.g. `regex:[?&]sessionid=`)
+ *   and are matched case-insensitively against the full URL. They are limited
+ *   to MAX_REGEX_LENGTH characters, and repeated groups that contain a
+ *   quantifier or alternatives, such as `(a+)+` or `(a|aa)+`, are rejected
+ *   since they can backtrack for minutes on a crafted URL.
+ * 
+ * The prefix is normalized like discovered links, so differences in case of
+ * scheme and host or a trailing slash don't put links out of scope. It
+ * matches whole path segments: a prefix of /blog covers /blog/post-1 and
+ * /blog?page=2 but not /blogger-tips.
+ * 
+ * Relationships with other modules:
+ * - Used by crawlerService.js to filter links and sitemap URLs
+ * - Used by validation.js to validate crawl scope options
+ */
+
+const { getDomain } = require('tldts');
+const { normalizeUrl } = require('./urlNormalizer');
+
+// Supported scope modes
+const SCOPE_MODES = ['same-origin', 'same-domain', 'prefix'];
+
+// Default scope mode
+const DEFAULT_MODE = 'same-origin';
+
+// Prefix that marks a pattern as a regular expression
+const REGEX_PREFIX = 'regex:';
+
+// Longest accepted regular expression
+const MAX_REGEX_LENGTH = 200;
+
+// Quantifiers that repeat a group more than once
+const REPEAT_QUANTIFIER = /^(?:[+*]|\{\d+(?:,\d*)?\})/;
+
+/**
+ * Reject regular expressions that are too long or prone to catastrophic backtracking
+ * 
+ * A repeated group may neither contain a quantifier, e.g. (a+)+ or (\w*x){2,},
+ * nor alternatives, e.g. (a|aa)+, at any depth: both let the engine split the
+ * same input in exponentially many ways before it fails.
+ * 
+ * @param {string} source - Regular expression source
+ */
+const assertSafeRegex = (source) => {
+  if (source.length > MAX_REGEX_LENGTH) {
+    throw new Error(`Regular expression is longer than ${MAX_REGEX_LENGTH} characters`);
+  }
+  
+  // Open groups with what they contain so far ({ quantifier, alternation })
+  const groups = [];
+  
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const group = groups[groups.length - 1];
+    
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Quantifiers and | are literal inside a character class
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ quantifier: false, alternation: false });
+    } else if (char === '|') {
+      if (group) group.alternation = true;
+    } else if (char === ')' && group) {
+      groups.pop();
+      const repeated = REPEAT_QUANTIFIER.test(source.slice(i + 1));
+      
+      if (repeated && group.quantifier) {
+        throw new Error('Regular expression contains a nested quantifier');
+      }
+      if (repeated && group.alternation) {
+        throw new Error('Regular expression repeats a group with alternatives');
+      }
+      
+      const parent = groups[groups.length - 1];
+      if (parent) {
+        parent.quantifier = parent.quantifier || group.quantifier || repeated;
+        parent.alternation = parent.alternation || group.alternation;
+      }
+    } else if (group && REPEAT_QUANTIFIER.test(source.slice(i))) {
+      group.quantifier = true;
+    }
+  }
+};
+
+/**
+ * Compile a glob or regex pattern string
+ * 
+ * @param {string} pattern - Pattern string
+ * @returns {Object} - Compiled pattern ({ regex, fullUrl })
+ */
+const compilePattern = (pattern) => {
+  if (pattern.startsWith(REGEX_PREFIX)) {
+    const source = pattern.slice(REGEX_PREFIX.length);
+    assertSafeRegex(source);
+    return { regex: new RegExp(source, 'i'), fullUrl: true };
+  }
+  
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        source += '.*';
+        i++;
+      } else {
+        source += '[^/]*';
+      }
+    } else {
+      source += char.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  
+  return { regex: new RegExp(`^${source}$`), fullUrl: pattern.includes('://') };
+};
+
+/**
+ * Test a URL against a compiled pattern
+ * 
+ * @param {URL} parsedUrl - Parsed URL
+ * @param {Object} compiled - Compiled pattern
+ * @returns {boolean} - True if the pattern matches
+ */
+const matchesPattern = (parsedUrl, compiled) => {
+  const target = compiled.fullUrl ? parsedUrl.href : parsedUrl.pathname + parsedUrl.search;
+  return compiled.regex.test(target);
+};
+
+/**
+ * Check whether a URL starts with a prefix at a path segment boundary
+ * 
+ * @param {string} href - URL
+ * @param {string} prefix - Normalized prefix
+ * @returns {boolean} - True if the URL is the prefix or continues it with a new segment, query or fragment
+ */
+const matchesPrefix = (href, prefix) => {
+  if (!href.startsWith(prefix)) return false;
+  if (href.length === prefix.length || prefix.endsWith('/')) return true;
+  
+  return ['/', '?', '#'].includes(href[prefix.length]);
+};
+
+/**
+ * Get the registrable domain of a hostname (e.g. shop.example.co.uk -> example.co.uk)
+ * 
+ * @param {string} hostname - Hostname
+ * @returns {string} - Registrable domain, or the hostname for IPs and local hosts
+ */
+const getRegistrableDomain = (hostname) => {
+  return getDomain(hostname) || hostname;
+};
+
+/**
+ * Build a normalized scope from crawl options
+ * 
+ * @param {string} startUrl - Start URL of the crawl
+ * @param {string|Object} scopeOption - Scope mode or scope object from crawl options
+ * @returns {Object} - Normalized scope ({ mode, prefix, include, exclude })
+ */
+const normalizeScope = (startUrl, scopeOption = {}) => {
+  const scope = typeof scopeOption === 'string' ? { mode: scopeOption } : (scopeOption || {});
+  const mode = scope.mode || DEFAULT_MODE;
+  const prefix = scope.prefix || startUrl;
+  
+  return {
+    mode,
+    prefix: mode === 'prefix' ? (normalizeUrl(prefix) || prefix) : null,
+    include: scope.include || [],
+    exclude: scope.exclude || []
+  };
+};
+
+/**
+ * Create a URL filter for a crawl scope
+ * 
+ * @param {string} startUrl - Start URL of the crawl
+ * @param {Object} scope - Normalized scope
+ * @returns {Function} - Predicate returning true for in-scope URLs
+ */
+const createScopeFilter = (startUrl, scope) => {
+  const start = new URL(startUrl);
+  const startDomain = getRegistrableDomain(start.hostname);
+  const include = scope.include.map(compilePattern);
+  const exclude = scope.exclude.map(compilePattern);
+  
+  return (url) => {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      return false;
+    }
+    
+    if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') return false;
+    
+    // Scope mode
+    switch (scope.mode) {
+      case 'same-domain':
+        if (getRegistrableDomain(parsedUrl.hostname) !== startDomain) return false;
+        break;
+      case 'prefix':
+        if (!matchesPrefix(parsedUrl.href, scope.prefix)) return false;
+        break;
+      default:
+        if (parsedUrl.origin !== start.origin) return false;
+    }
+    
+    // Exclude rules win over include rules
+    if (exclude.some(compiled => matchesPattern(parsedUrl, compiled))) return false;
+    
+    return include.length === 0 || include.some(compiled => matchesPattern(parsedUrl, compiled));
+  };
+};
+
+/**
+ * Validate scope options from a crawl request
+ * 
+ * @param {string|Object} scopeOption - Scope mode or scope object
+ * @returns {string|null} - Error message or null if valid
+ */
+const validateScope = (scopeOption) => {
+  if (scopeOption === undefined) return null;
+  
+  const scope = typeof scopeOption === 'string' ? { mode: scopeOption } : scopeOption;
+  
+  if (!scope || typeof scope !== 'object' || Array.isArray(scope)) {
+    return 'Scope must be a scope mode or an object';
+  }
+  
+  if (scope.mode !== undefined && !SCOPE_MODES.includes(scope.mode)) {
+    return `Scope mode must be one of: ${SCOPE_MODES.join(', ')}`;
+  }
+  
+  if (scope.prefix !== undefined) {
+    try {
+      new URL(scope.prefix);
+    } catch (error) {
+      return 'Scope prefix must be a valid URL';
+    }
+  }
+  
+  for (const listName of ['include', 'exclude']) {
+    const list = scope[listName];
+    
+    if (list === undefined) continue;
+    
+    if (!Array.isArray(list) || !list.every(pattern => typeof pattern === 'string' && pattern.length > 0)) {
+      return `Scope ${listName} must be an array of glob or regex patterns`;
+    }
+    
+    for (const pattern of list) {
+      try {
+        compilePattern(pattern);
+      } catch (error) {
+        return `Invalid scope ${listName} pattern "${pattern}": ${error.message}`;
+      }
+    }
+  }
+  
+  return null;
+};
+
+module.exports = {
+  SCOPE_MODES,
+  normalizeScope,
+  createScopeFilter,
+  validateScope,
+  getRegistrableDomain
+};
\ No newline at end of file
@@ -0,0 +1,212 @@
+/**
+ * Sitemap Service Module
+ * 
+ * This module discovers and parses XML sitemaps so the crawl frontier can be
+ * seeded with pages that are not reachable through `<a href>` links (e.g.
+ * product landing pages behind JavaScript navigation).
+ * 
+ * The service handles:
+ * - Discovery through robots.txt `Sitemap:` lines and /sitemap.xml
+ * - Sitemap index files (recursively, with limits)
+ * - Gzip-compressed sitemaps
+ * - `lastmod` and `priority` values used to order the frontier
+ * 
+ * Relationships with other modules:
+ * - Used by crawlerService.js to seed the frontier
+ * - Uses robotsService.js to read Sitemap directives
+ */
+
+const axios = require('axios');
+const zlib = require('zlib');
+const logger = require('../utils/logger');
+const robotsService = require('./robotsService');
+
+// Timeout for fetching a single sitemap
+const FETCH_TIMEOUT_MS = 15000;
+
+// Largest sitemap accepted (the protocol limit is 50 MB uncompressed)
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+// Maximum number of sitemap files fetched per crawl
+const MAX_SITEMAP_FILES = 50;
+
+/**
+ * Decode XML entities and CDATA sections in a text value
+ * 
+ * @param {string} value - Raw XML text
+ * @returns {string} - Decoded text
+ */
+const decodeXml = (value) => {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+};
+
+/**
+ * Read the text of a child tag inside an XML block
+ * 
+ * @param {string} block - XML block
+ * @param {string} tag - Tag name (without namespace prefix)
+ * @returns {string|null} - Tag text or null if missing
+ */
+const readTag = (block, tag) => {
+  const match = block.match(new RegExp(`<(?:\\w+:)?${tag}[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'i'));
+  return match ? decodeXml(match[1]) : null;
+};
+
+/**
+ * Parse a sitemap or sitemap index document
+ * 
+ * @param {string} xml - Sitemap XML
+ * @returns {Object} - Page entries and child sitemap entries
+ */
+const parseSitemap = (xml) => {
+  const urls = [];
+  const sitemaps = [];
+  
+  const blockPattern = /<(?:\w+:)?(url|sitemap)[\s>]([\s\S]*?)<\/(?:\w+:)?\1>/gi;
+  let match;
+  
+  while ((match = blockPattern.exec(xml)) !== null) {
+    const type = match[1].toLowerCase();
+    const loc = readTag(match[2], 'loc');
+    
+    if (!loc) continue;
+    
+    const lastmod = readTag(match[2], 'lastmod');
+    
+    if (type === 'sitemap') {
+      sitemaps.push({ loc, lastmod });
+    } else {
+      const priority = parseFloat(readTag(match[2], 'priority'));
+      urls.push({
+        loc,
+        lastmod,
+        priority: isNaN(priority) ? null : priority
+      });
+    }
+  }
+  
+  return { urls, sitemaps };
+};
+
+/**
+ * Fetch a sitemap and return its XML text, decompressing gzip if needed
+ * 
+ * @param {string} sitemapUrl - Sitemap URL
+ * @returns {Promise<string|null>} - Sitemap XML or null if unavailable
+ */
+const fetchSitemap = async (sitemapUrl) => {
+  try {
+    const response = await axios.get(sitemapUrl, {
+      timeout: FETCH_TIMEOUT_MS,
+      responseType: 'arraybuffer',
+      maxContentLength: MAX_SITEMAP_BYTES,
+      validateStatus: status => status >= 200 && status < 300,
+      headers: { 'User-Agent': process.env.USER_AGENT || 'Mozilla/5.0' }
+    });
+    
+    let buffer = Buffer.from(response.data);
+    
+    // Gzip magic bytes (.xml.gz files are served without Content-Encoding)
+    if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      buffer = zlib.gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES });
+    }
+    
+    return buffer.toString('utf8');
+  } catch (error) {
+    logger.debug(`Could not fetch sitemap ${sitemapUrl}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Find the sitemap URLs for a site
+ * 
+ * @param {string} startUrl - Start URL of the crawl
+ * @param {string[]} extraSitemaps - Additional sitemap URLs from crawl options
+ * @returns {Promise<string[]>} - Candidate sitemap URLs
+ */
+const discoverSitemaps = async (startUrl, extraSitemaps = []) => {
+  const { origin } = new URL(startUrl);
+  const candidates = [...extraSitemaps];
+  
+  try {
+    candidates.push(...await robotsService.getSitemaps(startUrl));
+  } catch (error) {
+    logger.debug(`Could not read Sitemap lines from robots.txt: ${error.message}`);
+  }
+  
+  candidates.push(`${origin}/sitemap.xml`);
+  
+  return [...new Set(candidates)];
+};
+
+/**
+ * Collect page URLs from all sitemaps of a site
+ * 
+ * Sitemap index files are followed breadth-first. Results are sorted by
+ * priority (highest first) and lastmod (newest first).
+ * 
+ * @param {string} startUrl - Start URL of the crawl
+ * @param {Object} options - Collection options
+ * @param {number} options.maxUrls - Maximum number of page URLs to return
+ * @param {string[]} options.sitemapUrls - Additional sitemap URLs
+ * @param {Function} options.filter - Optional predicate that page URLs must pass
+ * @returns {Promise<Object[]>} - Page entries ({ url, lastmod, priority })
+ */
+const collectSitemapUrls = async (startUrl, options = {}) => {
+  const maxUrls = options.maxUrls || parseInt(process.env.SITEMAP_MAX_URLS) || 1000;
+  const queue = await discoverSitemaps(startUrl, options.sitemapUrls || []);
+  const fetched = new Set();
+  const pages = new Map();
+  
+  while (queue.length > 0 && fetched.size < MAX_SITEMAP_FILES) {
+    const sitemapUrl = queue.shift();
+    
+    if (fetched.has(sitemapUrl)) continue;
+    fetched.add(sitemapUrl);
+    
+    const xml = await fetchSitemap(sitemapUrl);
+    if (!xml) continue;
+    
+    const { urls, sitemaps } = parseSitemap(xml);
+    
+    // Newest child sitemaps first, so the freshest pages are collected before the limit
+    sitemaps
+      .sort((a, b) => (Date.parse(b.lastmod) || 0) - (Date.parse(a.lastmod) || 0))
+      .forEach(child => queue.push(child.loc));
+    
+    for (const entry of urls) {
+      if (options.filter && !options.filter(entry.loc)) continue;
+      
+      if (!pages.has(entry.loc)) {
+        pages.set(entry.loc, { url: entry.loc, lastmod: entry.lastmod, priority: entry.priority });
+      }
+    }
+    
+    logger.debug(`Parsed sitemap ${sitemapUrl}: ${urls.length} URL(s), ${sitemaps.length} child sitemap(s)`);
+  }
+  
+  const results = [...pages.values()]
+    .sort((a, b) =>
+      (b.priority ?? 0.5) - (a.priority ?? 0.5) ||
+      (Date.parse(b.lastmod) || 0) - (Date.parse(a.lastmod) || 0)
+    )
+    .slice(0, maxUrls);
+  
+  logger.info(`Collected ${results.length} URL(s) from ${fetched.size} sitemap(s) for ${startUrl}`);
+  
+  return results;
+};
+
+module.exports = {
+  parseSitemap,
+  discoverSitemaps,
+  collectSitemapUrls
+};
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * URL Normalizer Module
+ * 
+ * This module converts URLs into a canonical form so the same page is not
+ * crawled several times under different spellings.
+ * 
+ * Normalization rules:
+ * - Lowercase scheme and host, drop default ports (:80, :443)
+ * - Remove fragments (#section)
+ * - Remove tracking parameters (utm_*, gclid, fbclid, ...)
+ * - Sort the remaining query parameters
+ * - Remove the trailing slash of non-root paths
+ * 
+ * Tracking parameters can be extended with the TRACKING_PARAMS environment
+ * variable or the `stripParams` crawl option. Entries ending in `*` match
+ * every parameter with that prefix.
+ * 
+ * Relationships with other modules:
+ * - Used by crawlerService.js to normalize seed, link, sitemap and canonical URLs
+ */
+
+// Query parameters that only track the visitor and never change the page
+const DEFAULT_TRACKING_PARAMS = [
+  'utm_*',
+  'gclid',
+  'gclsrc',
+  'dclid',
+  'gbraid',
+  'wbraid',
+  'fbclid',
+  'msclkid',
+  'yclid',
+  'twclid',
+  'igshid',
+  'mc_cid',
+  'mc_eid',
+  '_ga',
+  '_gl',
+  '_hsenc',
+  '_hsmi',
+  'mkt_tok',
+  'ref_src',
+  'spm'
+];
+
+/**
+ * Get the list of tracking parameters for a crawl
+ * 
+ * @param {string[]} extraParams - Additional parameters from crawl options
+ * @returns {string[]} - Lowercase parameter names or prefixes ending in `*`
+ */
+const getTrackingParams = (extraParams = []) => {
+  const envParams = (process.env.TRACKING_PARAMS || '')
+    .split(',')
+    .map(param => param.trim())
+    .filter(Boolean);
+  
+  return [...new Set([...DEFAULT_TRACKING_PARAMS, ...envParams, ...extraParams])]
+    .map(param => param.toLowerCase());
+};
+
+/**
+ * Check whether a query parameter is a tracking parameter
+ * 
+ * @param {string} name - Query parameter name
+ * @param {string[]} trackingParams - Tracking parameter names and prefixes
+ * @returns {boolean} - True if the parameter should be removed
+ */
+const isTrackingParam = (name, trackingParams) => {
+  const lowerName = name.toLowerCase();
+  
+  return trackingParams.some(param => param.endsWith('*')
+    ? lowerName.startsWith(param.slice(0, -1))
+    : lowerName === param);
+};
+
+/**
+ * Normalize a URL
+ * 
+ * @param {string} url - URL to normalize
+ * @param {string[]} trackingParams - Tracking parameters to remove
+ * @returns {string|null} - Normalized URL or null if the URL is invalid
+ */
+const normalizeUrl = (url, trackingParams = getTrackingParams()) => {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  
+  // The URL parser already lowercases scheme and host and drops default ports
+  parsedUrl.hash = '';
+  
+  const params = [...parsedUrl.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name, trackingParams))
+    .sort(([a, aValue], [b, bValue]) => a.localeCompare(b) || aValue.localeCompare(bValue));
+  
+  parsedUrl.search = new URLSearchParams(params).toString();
+  
+  if (parsedUrl.pathname.length > 1 && parsedUrl.pathname.endsWith('/')) {
+    parsedUrl.pathname = parsedUrl.pathname.replace(/\/+$/, '') || '/';
+  }
+  
+  return parsedUrl.href;
+};
+
+/**
+ * Create a normalizer function for a crawl's options
+ * 
+ * @param {Object} options - Crawl options
+ * @param {string[]} options.stripParams - Additional tracking parameters to remove
+ * @returns {Function} - Function mapping a URL to its normalized form (or null)
+ */
+const createUrlNormalizer = (options = {}) => {
+  const trackingParams = getTrackingParams(options.stripParams || []);
+  return (url) => normalizeUrl(url, trackingParams);
+};
+
+module.exports = {
+  DEFAULT_TRACKING_PARAMS,
+  normalizeUrl,
+  createUrlNormalizer
+};
\ No newline at end of file
@@ -30,7 +30,10 @@ const connectDB = require('./config/database');
 const apiRoutes = require('./api/routes');
 const setupTaskManager = require('./tasks/taskManager');
 const { initializeRedis } = require('./config/redis');
+const jobQueue = require('./utils/jobQueue');
+const { registerOcrJobs } = require('./ocr/ocrJobs');
 const { setupSocketHandlers } = require('./utils/socketManager');
+const crawlerService = require('./crawler/crawlerService');
 
 // Initialize Express application
 const app = express();
@@ -52,7 +55,8 @@ setupSocketHandlers(io);
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Base64 images for OCR need a larger body limit than the default 100kb
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '15mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('dev'));
 
@@ -350,6 +354,14 @@ const initializeApp = async () => {
     await setupTaskManager();
     logger.info('Task manager initialized successfully');
 
+    // Start the background OCR and keyword workers
+    registerOcrJobs();
+    await jobQueue.startWorkers();
+    
+    // Resume crawls interrupted by a restart from their persistent frontier
+    const restoredCrawls = await crawlerService.restoreCrawls();
+    logger.info(`Restored ${restoredCrawls} interrupted crawl job(s)`);
+    
     // Start the server
     server.listen(PORT, () => {
       logger.info(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
@@ -0,0 +1,54 @@
+/**
+ * Corpus Index Model
+ * 
+ * This module defines the Mongoose schema and model for the document counts
+ * of the keyword corpus. The corpus is the set of OCR texts keyword scores
+ * are weighed against (TF-IDF); it is kept globally, per crawl and per
+ * domain.
+ * 
+ * The schema includes:
+ * - Scope (global, crawl or domain) and its key (crawl ID or domain)
+ * - Number of OCR texts in the scope
+ * 
+ * Relationships with other modules:
+ * - Maintained by corpusIndex.js when OCR results are analyzed
+ * - Complemented by CorpusTerm, which holds the document frequencies
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Corpus Index Schema Definition
+ */
+const corpusIndexSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['global', 'crawl', 'domain'],
+    required: true
+  },
+  // Crawl ID, domain, or 'global'
+  key: {
+    type: String,
+    required: true
+  },
+  documentCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Index definition for efficient querying
+ */
+corpusIndexSchema.index({ scope: 1, key: 1 }, { unique: true });
+corpusIndexSchema.index({ documentCount: -1 });
+
+/**
+ * Export the CorpusIndex model
+ */
+const CorpusIndex = mongoose.model('CorpusIndex', corpusIndexSchema);
+
+module.exports = CorpusIndex;
\ No newline at end of file
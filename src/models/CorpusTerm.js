@@ -0,0 +1,57 @@
+/**
+ * Corpus Term Model
+ * 
+ * This module defines the Mongoose schema and model for the document
+ * frequencies of the keyword corpus: in how many OCR texts of a scope a term
+ * (a stemmed word) occurs. Terms that occur in nearly every text, such as
+ * navigation labels and footer boilerplate, get a low inverse document
+ * frequency and stop dominating keyword scores.
+ * 
+ * The schema includes:
+ * - Scope and key of the corpus (see CorpusIndex)
+ * - Term and its document frequency
+ * 
+ * Relationships with other modules:
+ * - Maintained by corpusIndex.js when OCR results are analyzed
+ * - Read by corpusIndex.js to weigh keyword scores
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Corpus Term Schema Definition
+ */
+const corpusTermSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['global', 'crawl', 'domain'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Stem of the word as produced by the language tools
+  term: {
+    type: String,
+    required: true
+  },
+  documentFrequency: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+});
+
+/**
+ * Index definition for efficient querying
+ */
+corpusTermSchema.index({ scope: 1, key: 1, term: 1 }, { unique: true });
+corpusTermSchema.index({ scope: 1, key: 1, documentFrequency: -1 });
+
+/**
+ * Export the CorpusTerm model
+ */
+const CorpusTerm = mongoose.model('CorpusTerm', corpusTermSchema);
+
+module.exports = CorpusTerm;
\ No newline at end of file
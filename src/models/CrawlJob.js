@@ -7,10 +7,12 @@
  * 
  * The schema includes:
  * - Basic job information (URL, depth, status)
- * - Configuration options
+ * - Configuration options and crawl budgets
  * - Timestamps for tracking job lifecycle
  * - Lists of visited URLs and errors
  * - References to captured screenshots and OCR results
+ * - Detected ad creatives with their position, network and click-through URL
+ * - References to the network logs of crawled pages
  * 
  * Relationships with other modules:
  * - Used by crawlerService.js for job tracking
@@ -36,6 +38,26 @@ const errorSchema = new mongoose.Schema({
   timestamp: {
     type: Date,
     default: Date.now
+  },
+  // Attempt number of the page load (1 = first load)
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  // Error classification from retryPolicy.js (timeout, dns, http_5xx, ...)
+  errorType: {
+    type: String,
+    default: null
+  },
+  // HTTP status of the response, if any
+  status: {
+    type: Number,
+    default: null
+  },
+  // Whether the URL was scheduled for another attempt
+  willRetry: {
+    type: Boolean,
+    default: false
   }
 });
 
@@ -70,6 +92,116 @@ const ocrResultSchema = new mongoose.Schema({
   }
 });
 
+/**
+ * Ad Creative Schema Definition
+ * Represents an ad slot detected on a crawled page and its element screenshot
+ */
+const adCreativeSchema = new mongoose.Schema({
+  // ID of the deduplicated Creative document
+  creativeId: {
+    type: String,
+    ref: 'Creative',
+    required: true
+  },
+  // Whether this capture was the first sighting of the creative
+  newCreative: {
+    type: Boolean,
+    default: true
+  },
+  // Page the ad was found on
+  url: {
+    type: String,
+    required: true
+  },
+  screenshotPath: {
+    type: String,
+    required: true
+  },
+  // Image URL for creatives saved from the network traffic
+  assetUrl: {
+    type: String,
+    default: null
+  },
+  // Position and size on the page in CSS pixels
+  bbox: {
+    x: Number,
+    y: Number,
+    width: Number,
+    height: Number
+  },
+  // IAB standard size (e.g. "300x250"), if the slot matches one
+  iabSize: {
+    type: String,
+    default: null
+  },
+  // Ad network serving the creative (google, amazon, criteo, ...)
+  network: {
+    type: String,
+    default: null
+  },
+  clickUrl: {
+    type: String,
+    default: null
+  },
+  // Landing page, unwrapped from ad network click redirects
+  landingUrl: {
+    type: String,
+    default: null
+  },
+  frameUrl: {
+    type: String,
+    default: null
+  },
+  // Signals that detected the slot (network, selector, size, ai, network_asset)
+  sources: [{
+    type: String
+  }],
+  ocrResultId: {
+    type: String,
+    default: null
+  },
+  confidence: {
+    type: Number,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Network Capture Schema Definition
+ * References the HAR-like network log of a crawled page
+ */
+const networkCaptureSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  logPath: {
+    type: String,
+    required: true
+  },
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  // Image and video responses saved to the asset storage
+  assetCount: {
+    type: Number,
+    default: 0
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 /**
  * CrawlJob Schema Definition
  */
@@ -92,6 +224,8 @@ const crawlJobSchema = new mongoose.Schema({
     enum: ['pending', 'running', 'paused', 'completed', 'stopped', 'failed'],
     default: 'pending'
   },
+  // Crawl options, including the normalized scope
+  // ({ mode, prefix, include, exclude }) used to filter discovered URLs
   options: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -100,6 +234,19 @@ const crawlJobSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Budgets that end the crawl when reached (0 = unlimited)
+  budgets: {
+    maxPages: { type: Number, default: 0 },
+    maxDuration: { type: Number, default: 0 }, // milliseconds
+    maxScreenshots: { type: Number, default: 0 },
+    maxBytes: { type: Number, default: 0 }
+  },
+  // Why the crawl ended
+  terminationReason: {
+    type: String,
+    enum: ['frontier_exhausted', 'max_pages', 'max_duration', 'max_screenshots', 'max_bytes', 'stopped', 'failed', null],
+    default: null
+  },
   pagesProcessed: {
     type: Number,
     default: 0
@@ -108,15 +255,26 @@ const crawlJobSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  adCreativeCount: {
+    type: Number,
+    default: 0
+  },
   errorCount: {
     type: Number,
     default: 0
   },
+  // Response bytes (headers and bodies) downloaded by the browser
+  bytesDownloaded: {
+    type: Number,
+    default: 0
+  },
   visitedUrls: [{
     type: String
   }],
   errors: [errorSchema],
   ocrResults: [ocrResultSchema],
+  adCreatives: [adCreativeSchema],
+  networkCaptures: [networkCaptureSchema],
   duration: {
     type: Number,
     default: 0
@@ -179,10 +337,12 @@ crawlJobSchema.methods.getSummary = function() {
     status: this.status,
     pagesProcessed: this.pagesProcessed,
     screenshotCount: this.screenshotCount,
+    adCreativeCount: this.adCreativeCount,
     errorCount: this.errorCount,
     startedAt: this.startedAt,
     completedAt: this.completedAt,
     duration: this.duration,
+    terminationReason: this.terminationReason,
     completionPercentage: this.completionPercentage
   };
 };
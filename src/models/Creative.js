@@ -0,0 +1,168 @@
+/**
+ * Creative Model
+ * 
+ * This module defines the Mongoose schema and model for ad creatives.
+ * A creative is a unique ad image; captures of the same image on other pages
+ * or in later crawls update the existing creative instead of adding a new one.
+ * 
+ * The schema includes:
+ * - Perceptual image hash used for deduplication
+ * - Dimensions, ad network and landing page
+ * - Pages and crawl jobs the creative was seen on
+ * - First and last sighting for tracking how long an ad ran
+ * - Linked OCR text and keywords
+ * 
+ * Relationships with other modules:
+ * - Created and updated by creativeService.js
+ * - Referenced by CrawlJob ad creative entries
+ * - Linked to OCRResult through the OCR analysis ID
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Creative Schema Definition
+ */
+const creativeSchema = new mongoose.Schema({
+  // Image hash as 16 hex characters
+  hash: {
+    type: String,
+    required: true
+  },
+  // dhash (perceptual) or md5 (exact match only)
+  hashType: {
+    type: String,
+    enum: ['dhash', 'md5'],
+    required: true
+  },
+  // 8-bit slices of the hash used to find candidates for near matches
+  hashBands: [{
+    type: String
+  }],
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  iabSize: {
+    type: String,
+    default: null
+  },
+  network: {
+    type: String,
+    default: null
+  },
+  clickUrl: {
+    type: String,
+    default: null
+  },
+  landingUrl: {
+    type: String,
+    default: null
+  },
+  // Screenshot of the first capture, or the saved asset for network captures
+  screenshotPath: {
+    type: String,
+    required: true
+  },
+  // Captured as an element screenshot or saved from the network traffic
+  origin: {
+    type: String,
+    enum: ['screenshot', 'network'],
+    default: 'screenshot'
+  },
+  // Page the creative was first found on
+  sourceUrl: {
+    type: String,
+    required: true
+  },
+  pages: [{
+    type: String
+  }],
+  crawlJobs: [{
+    type: String,
+    ref: 'CrawlJob'
+  }],
+  seenCount: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // OCR analysis ID of the creative's screenshot
+  ocrResultId: {
+    type: String,
+    default: null
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  confidence: {
+    type: Number,
+    default: null
+  },
+  keywords: [{
+    word: String,
+    score: Number,
+    category: String,
+    tokens: [String]
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Index definition for efficient querying
+ */
+creativeSchema.index({ hashType: 1, hash: 1 });
+creativeSchema.index({ hashType: 1, hashBands: 1 });
+creativeSchema.index({ network: 1 });
+creativeSchema.index({ firstSeenAt: -1 });
+creativeSchema.index({ lastSeenAt: -1 });
+
+/**
+ * Virtual for how long the creative has been running in milliseconds
+ */
+creativeSchema.virtual('runDuration').get(function() {
+  return this.lastSeenAt.getTime() - this.firstSeenAt.getTime();
+});
+
+/**
+ * Static method to find creatives first seen in a time range
+ */
+creativeSchema.statics.findNew = function(since, limit = 20) {
+  return this.find({ firstSeenAt: { $gte: since } })
+    .sort({ firstSeenAt: -1 })
+    .limit(limit);
+};
+
+/**
+ * Static method to find the longest running creatives
+ */
+creativeSchema.statics.findLongestRunning = function(limit = 20) {
+  return this.aggregate([
+    { $addFields: { runDuration: { $subtract: ['$lastSeenAt', '$firstSeenAt'] } } },
+    { $sort: { runDuration: -1 } },
+    { $limit: limit }
+  ]);
+};
+
+/**
+ * Export the Creative model
+ */
+const Creative = mongoose.model('Creative', creativeSchema);
+
+module.exports = Creative;
\ No newline at end of file
@@ -7,6 +7,7 @@
  * 
  * The schema includes:
  * - Keyword identification and frequency tracking
+ * - Component tokens of multi-word keyphrases (e.g. marketing slogans)
  * - Scoring and relevance metrics
  * - Categorization for analysis
  * - References to source crawl jobs
@@ -52,6 +53,20 @@ const keywordSchema = new mongoose.Schema({
     type: String,
     ref: 'CrawlJob'
   }],
+  // Single word or multi-word phrase (derived from tokens)
+  type: {
+    type: String,
+    enum: ['word', 'phrase'],
+    default: 'word'
+  },
+  // Words the keyword consists of, lowercase
+  tokens: [{
+    type: String
+  }],
+  // OCR languages of the texts the keyword was found in
+  languages: [{
+    type: String
+  }],
   firstSeenAt: {
     type: Date,
     default: Date.now
@@ -73,8 +88,21 @@ keywordSchema.index({ word: 1 }, { unique: true });
 keywordSchema.index({ frequency: -1 });
 keywordSchema.index({ averageScore: -1 });
 keywordSchema.index({ category: 1 });
+keywordSchema.index({ languages: 1 });
+keywordSchema.index({ type: 1 });
+keywordSchema.index({ tokens: 1 });
 keywordSchema.index({ lastSeenAt: -1 });
 
+/**
+ * Pre-save middleware to derive the type from the tokens
+ */
+keywordSchema.pre('save', function(next) {
+  if (this.isModified('tokens')) {
+    this.type = this.tokens.length > 1 ? 'phrase' : 'word';
+  }
+  next();
+});
+
 /**
  * Virtual property for relevance score
  * Combines frequency and average score for a comprehensive metric
@@ -8,8 +8,10 @@
  * The schema includes:
  * - OCR processing metadata (analysis ID, source image)
  * - Extracted text content
- * - Confidence score
- * - Keyword analysis results
+ * - Confidence score calculated from the word confidences
+ * - Recognized words with confidence and bounding box
+ * - OCR language and how it was chosen
+ * - Keyword analysis results and the corpus they were scored against
  * - Relationships to crawl jobs
  * 
  * Relationships with other modules:
@@ -20,6 +22,38 @@
 
 const mongoose = require('mongoose');
 
+/**
+ * Bounding Box Schema Definition
+ * Region of the image in pixels
+ */
+const bboxSchema = new mongoose.Schema({
+  x: Number,
+  y: Number,
+  width: Number,
+  height: Number
+}, { _id: false });
+
+/**
+ * Word Schema Definition
+ * Represents a word recognized by Tesseract
+ */
+const wordSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true
+  },
+  confidence: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  bbox: bboxSchema,
+  // Position in the Tesseract layout
+  block: Number,
+  paragraph: Number,
+  line: Number
+}, { _id: false });
+
 /**
  * Keyword Schema Definition
  * Represents a keyword extracted from OCR text
@@ -40,7 +74,11 @@ const keywordSchema = new mongoose.Schema({
   category: {
     type: String,
     default: null
-  }
+  },
+  // Words of a keyphrase (a single entry for single words)
+  tokens: [String],
+  // Image regions the keyword was read from
+  boxes: [bboxSchema]
 });
 
 /**
@@ -52,9 +90,11 @@ const ocrResultSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  // Image file the text was read from; null for downloaded and base64 images,
+  // which are only kept while they are processed (see options.imageUrl)
   imagePath: {
     type: String,
-    required: true
+    default: null
   },
   crawlId: {
     type: String,
@@ -71,11 +111,59 @@ const ocrResultSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  words: [wordSchema],
+  // Words below this confidence were left out of keyword extraction
+  minWordConfidence: {
+    type: Number,
+    default: null
+  },
+  // Main Tesseract language of the text (e.g. deu), used for keyword extraction
+  language: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // How the language was chosen
+  languageDetection: {
+    // Tesseract languages used for recognition (e.g. deu+eng)
+    lang: String,
+    source: {
+      type: String,
+      enum: ['request', 'html', 'osd', 'default']
+    },
+    // Script found by Tesseract OSD and its confidence
+    script: String,
+    scriptConfidence: Number,
+    // Detected languages without installed traineddata
+    unavailable: [String]
+  },
   options: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
   keywords: [keywordSchema],
+  // How the keyword scores were calculated
+  keywordScoring: {
+    algorithm: String,
+    // Corpus the TF-IDF weights came from (see corpusIndex.js)
+    corpusScope: {
+      type: String,
+      enum: ['global', 'crawl', 'domain']
+    },
+    corpusKey: String,
+    corpusDocuments: Number
+  },
+  // When the keywords were extracted; set once, so retried keyword jobs don't count them again
+  keywordsProcessedAt: {
+    type: Date,
+    default: null
+  },
+  // When the text was added to the keyword corpus
+  corpusIndexedAt: {
+    type: Date,
+    default: null
+  },
+  // Milliseconds processImage took to produce the result
   processingTime: {
     type: Number,
     default: 0
@@ -146,6 +234,8 @@ ocrResultSchema.methods.addKeywords = async function(keywords) {
       existingKeyword.score = keyword.score;
       existingKeyword.frequency += 1;
       existingKeyword.category = keyword.category || existingKeyword.category;
+      if (keyword.boxes) existingKeyword.boxes = keyword.boxes;
+      if (keyword.tokens) existingKeyword.tokens = keyword.tokens;
     } else {
       this.keywords.push(keyword);
     }
@@ -0,0 +1,368 @@
+/**
+ * Corpus Index Module
+ * 
+ * This module maintains the document-frequency index keyword scores are
+ * weighed against. Every analyzed OCR text is a document; its terms (the
+ * stems of the words that can be keywords, see languageTools.js) are counted
+ * once per document in three scopes:
+ * 
+ * - global: all OCR results
+ * - crawl: the results of one crawl job
+ * - domain: the results captured on one domain
+ * 
+ * The inverse document frequency of a term is the smoothed
+ * `ln((1 + N) / (1 + df)) + 1`, where N is the number of documents in the
+ * scope and df the number containing the term. Boilerplate that appears on
+ * every page of a site gets an IDF close to 1, while distinctive terms get
+ * more weight. Scopes with too few documents fall back to the global corpus.
+ * 
+ * The index lives in MongoDB (CorpusIndex and CorpusTerm) and survives
+ * restarts. rebuildIndex recreates it from all OCR results, e.g. after the
+ * language tools changed; keyword jobs are paused meanwhile, since documents
+ * indexed while the old index is replaced would be lost or counted twice.
+ * A document whose counts fail to be written also queues a rebuild, since a
+ * partial write can't be retried without counting some terms twice.
+ * 
+ * Relationships with other modules:
+ * - Used by keywordService.js to index documents and weigh keyword scores
+ * - Registers the corpus rebuild job with jobQueue.js
+ * - Uses languageTools.js and tesseractTsv.js to find the terms of stored results
+ */
+
+const logger = require('../utils/logger');
+const jobQueue = require('../utils/jobQueue');
+const languageTools = require('./languageTools');
+const tesseractTsv = require('./tesseractTsv');
+const OCRResult = require('../models/OCRResult');
+const CorpusIndex = require('../models/CorpusIndex');
+const CorpusTerm = require('../models/CorpusTerm');
+
+// Job type of the index rebuild
+const JOB_TYPE = 'corpus';
+
+// Corpus scopes
+const CORPUS_SCOPES = ['global', 'crawl', 'domain'];
+
+// Default scope keyword scores are weighed against
+const DEFAULT_SCOPE = 'global';
+
+// Default number of documents a crawl or domain corpus needs before it is used
+const DEFAULT_MIN_DOCUMENTS = 10;
+
+// Number of index updates written at once during a rebuild
+const REBUILD_BATCH_SIZE = 1000;
+
+// Longest pause of keyword jobs during a rebuild; ends on its own if the rebuild dies
+const REBUILD_PAUSE_SECONDS = 60 * 60;
+
+// Longest wait for running keyword jobs before a rebuild
+const REBUILD_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Get the domain of a URL without a leading www.
+ * 
+ * @param {string} url - URL
+ * @returns {string|null} - Domain or null for missing and invalid URLs
+ */
+const getDomain = (url) => {
+  try {
+    return url ? new URL(url).hostname.replace(/^www\./, '') : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the corpus scopes an OCR result belongs to
+ * 
+ * @param {Object} ocrResult - OCR result
+ * @returns {Object[]} - Scopes ({ scope, key })
+ */
+const getDocumentScopes = (ocrResult) => {
+  const options = ocrResult.options || {};
+  const domain = getDomain(options.url || options.imageUrl);
+  const scopes = [{ scope: 'global', key: 'global' }];
+  
+  if (ocrResult.crawlId) scopes.push({ scope: 'crawl', key: String(ocrResult.crawlId) });
+  if (domain) scopes.push({ scope: 'domain', key: domain });
+  
+  return scopes;
+};
+
+/**
+ * Get the text of an OCR result that keywords are extracted from
+ * 
+ * @param {Object} ocrResult - OCR result
+ * @returns {string} - Text of the words above the minimum word confidence
+ */
+const getDocumentText = (ocrResult) => {
+  if (!ocrResult.words || ocrResult.words.length === 0) return ocrResult.text || '';
+  return tesseractTsv.buildText(tesseractTsv.filterWords(ocrResult.words, ocrResult.minWordConfidence || 0));
+};
+
+/**
+ * Queue a rebuild unless one is already waiting
+ * 
+ * @returns {Promise<void>}
+ */
+const requestRebuild = async () => {
+  const { total } = await jobQueue.listJobs({ status: 'waiting', type: JOB_TYPE, limit: 1 });
+  if (total === 0) await queueRebuild();
+};
+
+/**
+ * Add an OCR result to the corpus
+ * 
+ * Each result is counted once, even if its keyword job runs again: the
+ * result is claimed before the counts are written. If writing fails, some
+ * of the increments may already be applied and a retry would count them
+ * twice, so the claim is kept and a rebuild recounts the corpus instead.
+ * 
+ * @param {Object} ocrResult - OCR result
+ * @param {string[]} terms - Distinct terms of the result
+ * @returns {Promise<boolean>} - True if the result was added, false if it was already
+ *   indexed or is left to a rebuild
+ */
+const indexDocument = async (ocrResult, terms) => {
+  try {
+    const claimed = await OCRResult.findOneAndUpdate(
+      { _id: ocrResult._id, corpusIndexedAt: null },
+      { $set: { corpusIndexedAt: new Date() } }
+    );
+    
+    if (!claimed) return false;
+    
+    const scopes = getDocumentScopes(ocrResult);
+    
+    try {
+      // Terms first: a document counted in documentCount always has its terms
+      if (terms.length > 0) {
+        await CorpusTerm.bulkWrite(scopes.flatMap(scope => terms.map(term => ({
+          updateOne: { filter: { ...scope, term }, update: { $inc: { documentFrequency: 1 } }, upsert: true }
+        }))), { ordered: false });
+      }
+      
+      await CorpusIndex.bulkWrite(scopes.map(scope => ({
+        updateOne: { filter: scope, update: { $inc: { documentCount: 1 } }, upsert: true }
+      })));
+    } catch (error) {
+      logger.error(`Error counting OCR result ${ocrResult.analysisId} in the corpus, queueing a rebuild: ${error.message}`);
+      await requestRebuild();
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    logger.error(`Error adding OCR result ${ocrResult.analysisId} to the corpus: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get the inverse document frequencies of terms
+ * 
+ * @param {Object} ocrResult - OCR result the terms belong to (decides the crawl or domain)
+ * @param {string[]} terms - Terms
+ * @param {string} scope - Corpus scope: global, crawl or domain (default: KEYWORD_CORPUS_SCOPE)
+ * @returns {Promise<Object>} - Weights ({ scope, key, documentCount, idf(term) })
+ */
+const getIdf = async (ocrResult, terms, scope = null) => {
+  try {
+    const requested = scope || process.env.KEYWORD_CORPUS_SCOPE || DEFAULT_SCOPE;
+    const minDocuments = parseInt(process.env.CORPUS_MIN_DOCUMENTS) || DEFAULT_MIN_DOCUMENTS;
+    const scopes = getDocumentScopes(ocrResult);
+    
+    // Use the requested scope if it has enough documents, otherwise the global corpus
+    let corpus = null;
+    const candidate = scopes.find(entry => entry.scope === requested);
+    if (candidate && candidate.scope !== 'global') {
+      corpus = await CorpusIndex.findOne(candidate).lean();
+      if (corpus && corpus.documentCount < minDocuments) corpus = null;
+    }
+    if (!corpus) {
+      corpus = await CorpusIndex.findOne({ scope: 'global', key: 'global' }).lean();
+    }
+    
+    const documentCount = corpus ? corpus.documentCount : 0;
+    const frequencies = new Map();
+    
+    if (corpus && terms.length > 0) {
+      const entries = await CorpusTerm.find({ scope: corpus.scope, key: corpus.key, term: { $in: terms } }).lean();
+      for (const entry of entries) frequencies.set(entry.term, entry.documentFrequency);
+    }
+    
+    return {
+      scope: corpus ? corpus.scope : 'global',
+      key: corpus ? corpus.key : 'global',
+      documentCount,
+      idf: term => Math.log((1 + documentCount) / (1 + (frequencies.get(term) || 0))) + 1
+    };
+  } catch (error) {
+    logger.error(`Error reading corpus frequencies: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Count the terms of all stored OCR results and replace the index
+ * 
+ * @returns {Promise<Object>} - Rebuild result ({ documents, scopes, terms })
+ */
+const buildIndex = async () => {
+  const documentCounts = new Map();
+  const termCounts = new Map();
+  let documents = 0;
+  let processed = [];
+  
+  /**
+   * Mark the results read so far as indexed
+   * 
+   * Results saved during the rebuild that the cursor didn't read stay
+   * unmarked and are added by their keyword jobs once these are resumed.
+   */
+  const markProcessed = async () => {
+    await OCRResult.updateMany({ _id: { $in: processed } }, { $set: { corpusIndexedAt: new Date() } });
+    processed = [];
+  };
+  
+  const cursor = OCRResult.find({}, 'analysisId text words minWordConfidence language crawlId options').lean().cursor();
+  
+  for await (const ocrResult of cursor) {
+    processed.push(ocrResult._id);
+    if (processed.length >= REBUILD_BATCH_SIZE) await markProcessed();
+    
+    // Results without text never get keywords and aren't part of the corpus
+    const text = getDocumentText(ocrResult);
+    if (!text.trim()) continue;
+    
+    const terms = languageTools.getTerms(text, ocrResult.language);
+    
+    for (const { scope, key } of getDocumentScopes(ocrResult)) {
+      const scopeKey = `${scope}\u0000${key}`;
+      documentCounts.set(scopeKey, (documentCounts.get(scopeKey) || 0) + 1);
+      
+      for (const term of terms) {
+        const termKey = `${scopeKey}\u0000${term}`;
+        termCounts.set(termKey, (termCounts.get(termKey) || 0) + 1);
+      }
+    }
+    
+    documents++;
+  }
+  
+  // Replace the old index
+  await CorpusIndex.deleteMany({});
+  await CorpusTerm.deleteMany({});
+  
+  await CorpusIndex.insertMany([...documentCounts].map(([scopeKey, documentCount]) => {
+    const [scope, key] = scopeKey.split('\u0000');
+    return { scope, key, documentCount };
+  }));
+  
+  const entries = [...termCounts];
+  for (let i = 0; i < entries.length; i += REBUILD_BATCH_SIZE) {
+    await CorpusTerm.insertMany(entries.slice(i, i + REBUILD_BATCH_SIZE).map(([termKey, documentFrequency]) => {
+      const [scope, key, term] = termKey.split('\u0000');
+      return { scope, key, term, documentFrequency };
+    }), { ordered: false });
+  }
+  
+  if (processed.length > 0) await markProcessed();
+  
+  logger.info(`Keyword corpus rebuilt from ${documents} OCR results: ${documentCounts.size} scopes, ${termCounts.size} terms`);
+  
+  return { documents, scopes: documentCounts.size, terms: termCounts.size };
+};
+
+/**
+ * Recreate the index from all stored OCR results
+ * 
+ * Jobs of the given types (the keyword jobs, which add documents) are paused
+ * until the new index is in place.
+ * 
+ * @param {string[]} pauseTypes - Job types to pause during the rebuild
+ * @returns {Promise<Object>} - Rebuild result ({ documents, scopes, terms })
+ */
+const rebuildIndex = async (pauseTypes = []) => {
+  try {
+    logger.info('Rebuilding keyword corpus index');
+    
+    for (const type of pauseTypes) await jobQueue.pauseType(type, REBUILD_PAUSE_SECONDS);
+    
+    try {
+      for (const type of pauseTypes) await jobQueue.waitForIdle(type, REBUILD_IDLE_TIMEOUT_MS);
+      return await buildIndex();
+    } finally {
+      for (const type of pauseTypes) await jobQueue.resumeType(type);
+    }
+  } catch (error) {
+    logger.error(`Error rebuilding keyword corpus: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Queue a rebuild of the index
+ * 
+ * @returns {Promise<Object>} - Queued job
+ */
+const queueRebuild = async () => {
+  return await jobQueue.addJob(JOB_TYPE, {});
+};
+
+/**
+ * Get the corpora with their document and term counts
+ * 
+ * @param {Object} options - Filter and pagination options
+ * @param {string} options.scope - Only corpora of this scope
+ * @param {number} options.skip - Number of corpora to skip
+ * @param {number} options.limit - Maximum number of corpora
+ * @returns {Promise<Object>} - Corpora and total ({ corpora, total })
+ */
+const listCorpora = async (options = {}) => {
+  try {
+    const { scope = null, skip = 0, limit = 20 } = options;
+    const filter = scope ? { scope } : {};
+    
+    const [corpora, total] = await Promise.all([
+      CorpusIndex.find(filter).sort({ documentCount: -1, _id: 1 }).skip(skip).limit(limit).lean(),
+      CorpusIndex.countDocuments(filter)
+    ]);
+    
+    const withTerms = await Promise.all(corpora.map(async corpus => ({
+      scope: corpus.scope,
+      key: corpus.key,
+      documentCount: corpus.documentCount,
+      termCount: await CorpusTerm.countDocuments({ scope: corpus.scope, key: corpus.key }),
+      updatedAt: corpus.updatedAt
+    })));
+    
+    return { corpora: withTerms, total };
+  } catch (error) {
+    logger.error(`Error listing keyword corpora: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Register the rebuild job handler with the job queue
+ * 
+ * @param {Object} options - Handler options
+ * @param {string[]} options.pauseTypes - Job types that index documents (paused during a rebuild)
+ */
+const registerJobHandler = (options = {}) => {
+  // A single rebuild at a time; concurrent rebuilds would double the counts
+  jobQueue.registerHandler(JOB_TYPE, () => rebuildIndex(options.pauseTypes), { concurrency: 1, maxAttempts: 1 });
+};
+
+module.exports = {
+  JOB_TYPE,
+  CORPUS_SCOPES,
+  getDocumentScopes,
+  indexDocument,
+  getIdf,
+  rebuildIndex,
+  queueRebuild,
+  listCorpora,
+  registerJobHandler
+};
\ No newline at end of file
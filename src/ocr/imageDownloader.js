@@ -0,0 +1,160 @@
+/**
+ * Image Downloader Module
+ * 
+ * This module downloads images from caller-supplied URLs for OCR. Since the
+ * URL comes from an API request, the download is restricted:
+ * 
+ * - Only http and https URLs on public addresses; hosts resolving to
+ *   loopback, private, link-local or other internal ranges are rejected,
+ *   also when reached through a redirect
+ * - A timeout covering the whole download
+ * - A size limit checked against Content-Length and the streamed bytes
+ * 
+ * Relationships with other modules:
+ * - Used by ocrService.js for the imageUrl source of OCR requests
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+const fs = require('fs').promises;
+
+// Default download timeout in milliseconds
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Default largest downloaded image in bytes (same as the upload limit)
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+// Redirects followed before giving up
+const MAX_REDIRECTS = 3;
+
+// Address ranges that must not be reached from a download
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Check whether an IP address is publicly routable
+ * 
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - False for loopback, private, link-local and reserved addresses
+ */
+const isPublicAddress = (address) => {
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+  
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  
+  return !blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Reject URLs that aren't http(s) or point to internal hosts
+ * 
+ * @param {URL} url - URL to check
+ */
+const assertPublicUrl = async (url) => {
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`Image URL must use http or https: ${url.href}`);
+  }
+  
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.lookup(hostname, { all: true });
+  
+  if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+    throw new Error(`Image URL points to an internal address: ${url.hostname}`);
+  }
+};
+
+/**
+ * Read a response body, stopping at the size limit
+ * 
+ * @param {Response} response - Fetch response
+ * @param {number} maxBytes - Largest accepted body in bytes
+ * @returns {Promise<Buffer>} - Body
+ */
+const readBody = async (response, maxBytes) => {
+  const declared = parseInt(response.headers.get('content-length'), 10);
+  if (declared > maxBytes) {
+    throw new Error(`Image is too large: ${declared} bytes`);
+  }
+  
+  const chunks = [];
+  let received = 0;
+  
+  for await (const chunk of response.body) {
+    received += chunk.length;
+    if (received > maxBytes) {
+      throw new Error(`Image is too large: more than ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Download an image to a file
+ * 
+ * @param {string} imageUrl - http or https URL of the image
+ * @param {string} destinationPath - File the image is written to
+ * @param {Object} options - Download options
+ * @param {number} options.timeout - Timeout in milliseconds (default: OCR_DOWNLOAD_TIMEOUT_MS)
+ * @param {number} options.maxBytes - Largest accepted image in bytes (default: MAX_UPLOAD_BYTES)
+ * @returns {Promise<number>} - Number of bytes written
+ */
+const downloadImage = async (imageUrl, destinationPath, options = {}) => {
+  const timeout = options.timeout || parseInt(process.env.OCR_DOWNLOAD_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const maxBytes = options.maxBytes || parseInt(process.env.MAX_UPLOAD_BYTES) || DEFAULT_MAX_BYTES;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  
+  try {
+    let url = new URL(imageUrl);
+    
+    // Redirects are followed by hand so every hop is checked
+    for (let redirects = 0; ; redirects++) {
+      await assertPublicUrl(url);
+      
+      const response = await fetch(url, { redirect: 'manual', signal: controller.signal });
+      
+      if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+        if (redirects >= MAX_REDIRECTS) {
+          throw new Error('Too many redirects while downloading image');
+        }
+        url = new URL(response.headers.get('location'), url);
+        continue;
+      }
+      
+      if (!response.ok) {
+        throw new Error(`Failed to download image: HTTP ${response.status}`);
+      }
+      
+      const buffer = await readBody(response, maxBytes);
+      await fs.writeFile(destinationPath, buffer);
+      return buffer.length;
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error(`Image download timed out after ${timeout} ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+module.exports = {
+  isPublicAddress,
+  downloadImage
+};
\ No newline at end of file
@@ -0,0 +1,576 @@
+/**
+ * Image Preprocessor Module
+ * 
+ * This module prepares images for OCR with a configurable pipeline of named
+ * steps. A pipeline is given as a preset name, a list of step names, or a
+ * list of steps with parameters, e.g.
+ * `['grayscale', { name: 'upscale', scale: 3 }, 'invert', 'binarize']`.
+ * 
+ * Steps:
+ * - grayscale: convert to luma
+ * - contrast: stretch contrast around mid-gray ({ factor }, -255 to 255)
+ * - upscale: enlarge small images ({ scale }, default 2, up to MAX_UPSCALED_WIDTH)
+ * - invert: turn light-on-dark text into dark-on-light (only when the image is mostly dark)
+ * - denoise: 3x3 median filter
+ * - sharpen: 3x3 sharpening kernel
+ * - binarize: global black and white threshold chosen with Otsu's method
+ * - adaptive: local threshold against the mean of the surrounding window ({ window, offset })
+ * - deskew: detect and undo a rotation of up to ±5 degrees
+ * - crop: cut off uniform borders ({ margin })
+ * 
+ * The result is written to a derived file; the original image is never
+ * changed. The applied steps are returned with their parameters and
+ * findings, together with the transform needed to map coordinates in the
+ * derived image back to the original (upscaling and cropping).
+ * 
+ * Relationships with other modules:
+ * - Used by ocrService.js before running Tesseract
+ * - Used by validation.js to validate pipelines given in requests
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+// Try to import canvas; images are OCRed unprocessed without it
+let createCanvas;
+let loadImage;
+let canvasAvailable = false;
+
+try {
+  const canvas = require('canvas');
+  createCanvas = canvas.createCanvas;
+  loadImage = canvas.loadImage;
+  canvasAvailable = true;
+} catch (error) {
+  logger.warn('Canvas module not available - images are OCRed without preprocessing');
+}
+
+// Directory for preprocessed images
+const OUTPUT_DIR = path.join(process.cwd(), 'data', 'temp', 'preprocessed');
+
+// Upscaling never makes an image wider than this
+const MAX_UPSCALED_WIDTH = 4000;
+
+// Largest rotation deskew looks for, and the search step, in degrees
+const MAX_SKEW_ANGLE = 5;
+const SKEW_ANGLE_STEP = 0.25;
+
+// Number of dark pixels sampled to estimate the skew
+const SKEW_SAMPLE_SIZE = 200000;
+
+// Named pipelines
+const PRESETS = {
+  none: [],
+  // Matches the former behaviour: grayscale (and contrast if requested)
+  default: ['grayscale'],
+  // Ad creatives: small images, often light text on colored backgrounds
+  creative: [{ name: 'upscale', scale: 2 }, 'grayscale', 'invert', 'denoise', 'binarize'],
+  // Full-page screenshots with mixed backgrounds
+  screenshot: ['grayscale', 'invert', 'adaptive'],
+  // Photos and scans of printed material
+  scan: ['grayscale', 'denoise', 'deskew', 'crop', 'sharpen', 'binarize']
+};
+
+/**
+ * Get the luma of every pixel
+ * 
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @returns {Uint8ClampedArray} - One gray value per pixel
+ */
+const toGray = (data) => {
+  const gray = new Uint8ClampedArray(data.length / 4);
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return gray;
+};
+
+/**
+ * Write gray values back into RGBA pixel data
+ * 
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {Uint8ClampedArray} gray - One gray value per pixel
+ */
+const fromGray = (data, gray) => {
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    data[i] = data[i + 1] = data[i + 2] = gray[p];
+  }
+};
+
+/**
+ * Apply a function to the gray values of the current image
+ * 
+ * @param {Object} state - Pipeline state ({ canvas })
+ * @param {Function} fn - Called with (gray, width, height); returns new gray values or nothing
+ * @returns {*} - Return value of fn
+ */
+const withGray = (state, fn) => {
+  const { width, height } = state.canvas;
+  const ctx = state.canvas.getContext('2d');
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const gray = toGray(imageData.data);
+  
+  const result = fn(gray, width, height);
+  fromGray(imageData.data, result instanceof Uint8ClampedArray ? result : gray);
+  ctx.putImageData(imageData, 0, 0);
+  
+  return result instanceof Uint8ClampedArray ? undefined : result;
+};
+
+/**
+ * Replace the canvas with a new one of a different size
+ * 
+ * @param {Object} state - Pipeline state ({ canvas })
+ * @param {number} width - New width
+ * @param {number} height - New height
+ * @param {Function} draw - Called with the new 2D context
+ */
+const redraw = (state, width, height, draw) => {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  draw(ctx);
+  state.canvas = canvas;
+};
+
+/**
+ * Find the Otsu threshold of gray values
+ * 
+ * @param {Uint8ClampedArray} gray - Gray values
+ * @returns {number} - Threshold (values above are background)
+ */
+const getOtsuThreshold = (gray) => {
+  const histogram = new Array(256).fill(0);
+  for (const value of gray) histogram[value]++;
+  
+  const total = gray.length;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+  
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = 0;
+  let threshold = 127;
+  
+  for (let i = 0; i < 256; i++) {
+    weightBackground += histogram[i];
+    if (weightBackground === 0) continue;
+    
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+    
+    sumBackground += i * histogram[i];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    
+    if (variance > best) {
+      best = variance;
+      threshold = i;
+    }
+  }
+  
+  return threshold;
+};
+
+/**
+ * Apply a 3x3 kernel to gray values
+ * 
+ * @param {Uint8ClampedArray} gray - Gray values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Function} combine - Called with the 9 neighbourhood values, returns the new value
+ * @returns {Uint8ClampedArray} - Filtered gray values
+ */
+const filter3x3 = (gray, width, height, combine) => {
+  const output = new Uint8ClampedArray(gray);
+  const neighbourhood = new Array(9);
+  
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      let n = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          neighbourhood[n++] = gray[(y + dy) * width + x + dx];
+        }
+      }
+      output[y * width + x] = combine(neighbourhood);
+    }
+  }
+  
+  return output;
+};
+
+/**
+ * Estimate the rotation of the text in degrees
+ * 
+ * Dark pixels are projected onto the rows of the image rotated by each
+ * candidate angle; text lines make the projection peak sharpest at the
+ * right angle.
+ * 
+ * @param {Uint8ClampedArray} gray - Gray values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {number} - Skew angle in degrees
+ */
+const estimateSkew = (gray, width, height) => {
+  const threshold = getOtsuThreshold(gray);
+  const points = [];
+  
+  let darkCount = 0;
+  for (const value of gray) if (value <= threshold) darkCount++;
+  const stride = Math.max(1, Math.ceil(darkCount / SKEW_SAMPLE_SIZE));
+  
+  let seen = 0;
+  for (let p = 0; p < gray.length; p++) {
+    if (gray[p] <= threshold && seen++ % stride === 0) {
+      points.push(p % width, Math.floor(p / width));
+    }
+  }
+  
+  let bestAngle = 0;
+  let bestScore = -1;
+  const diagonal = Math.ceil(Math.hypot(width, height));
+  
+  for (let angle = -MAX_SKEW_ANGLE; angle <= MAX_SKEW_ANGLE; angle += SKEW_ANGLE_STEP) {
+    const radians = angle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const rows = new Float64Array(diagonal * 2);
+    
+    for (let i = 0; i < points.length; i += 2) {
+      rows[Math.round(points[i + 1] * cos - points[i] * sin) + diagonal]++;
+    }
+    
+    let score = 0;
+    for (const count of rows) score += count * count;
+    
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+  
+  return bestAngle;
+};
+
+/**
+ * Pipeline steps
+ * 
+ * Each step receives the pipeline state ({ canvas, transform }) and its
+ * parameters and returns details to record (or nothing).
+ */
+const STEPS = {
+  grayscale: (state) => {
+    withGray(state, () => {});
+  },
+  
+  contrast: (state, { factor = 0 }) => {
+    const contrast = Math.max(-255, Math.min(255, Number(factor) || 0));
+    const scale = (259 * (contrast + 255)) / (255 * (259 - contrast));
+    
+    const { width, height } = state.canvas;
+    const ctx = state.canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const data = imageData.data;
+    
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = scale * (data[i] - 128) + 128;
+      data[i + 1] = scale * (data[i + 1] - 128) + 128;
+      data[i + 2] = scale * (data[i + 2] - 128) + 128;
+    }
+    
+    ctx.putImageData(imageData, 0, 0);
+    return { factor: contrast };
+  },
+  
+  upscale: (state, { scale = 2 }) => {
+    const { width, height } = state.canvas;
+    const factor = Math.min(Number(scale) || 2, MAX_UPSCALED_WIDTH / width);
+    if (factor <= 1) return { applied: false };
+    
+    const source = state.canvas;
+    const newWidth = Math.round(width * factor);
+    const newHeight = Math.round(height * factor);
+    
+    redraw(state, newWidth, newHeight, ctx => {
+      ctx.imageSmoothingEnabled = true;
+      ctx.imageSmoothingQuality = 'high';
+      ctx.drawImage(source, 0, 0, newWidth, newHeight);
+    });
+    
+    state.transform.scale *= newWidth / width;
+    return { applied: true, scale: Math.round((newWidth / width) * 100) / 100 };
+  },
+  
+  invert: (state) => {
+    return withGray(state, (gray) => {
+      let sum = 0;
+      for (const value of gray) sum += value;
+      const mean = sum / gray.length;
+      
+      // Mostly dark images have light text
+      if (mean >= 128) return { applied: false, meanLuma: Math.round(mean) };
+      
+      for (let i = 0; i < gray.length; i++) gray[i] = 255 - gray[i];
+      return { applied: true, meanLuma: Math.round(mean) };
+    });
+  },
+  
+  denoise: (state) => {
+    withGray(state, (gray, width, height) => filter3x3(gray, width, height, values => {
+      values.sort((a, b) => a - b);
+      return values[4];
+    }));
+  },
+  
+  sharpen: (state) => {
+    withGray(state, (gray, width, height) => filter3x3(gray, width, height, values => {
+      return 5 * values[4] - values[1] - values[3] - values[5] - values[7];
+    }));
+  },
+  
+  binarize: (state) => {
+    return withGray(state, (gray) => {
+      const threshold = getOtsuThreshold(gray);
+      for (let i = 0; i < gray.length; i++) gray[i] = gray[i] > threshold ? 255 : 0;
+      return { threshold };
+    });
+  },
+  
+  adaptive: (state, { window = 31, offset = 10 }) => {
+    const size = Math.max(3, Math.floor(Number(window) / 2) * 2 + 1);
+    const half = Math.floor(size / 2);
+    
+    withGray(state, (gray, width, height) => {
+      // Integral image for constant-time window sums
+      const integral = new Float64Array((width + 1) * (height + 1));
+      for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+          rowSum += gray[y * width + x];
+          integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+        }
+      }
+      
+      const output = new Uint8ClampedArray(gray.length);
+      for (let y = 0; y < height; y++) {
+        const top = Math.max(0, y - half);
+        const bottom = Math.min(height, y + half + 1);
+        for (let x = 0; x < width; x++) {
+          const left = Math.max(0, x - half);
+          const right = Math.min(width, x + half + 1);
+          const sum = integral[bottom * (width + 1) + right] - integral[top * (width + 1) + right] -
+            integral[bottom * (width + 1) + left] + integral[top * (width + 1) + left];
+          const mean = sum / ((bottom - top) * (right - left));
+          output[y * width + x] = gray[y * width + x] > mean - offset ? 255 : 0;
+        }
+      }
+      
+      return output;
+    });
+    
+    return { window: size, offset: Number(offset) };
+  },
+  
+  deskew: (state) => {
+    const angle = withGray(state, estimateSkew);
+    if (Math.abs(angle) < SKEW_ANGLE_STEP) return { applied: false, angle: 0 };
+    
+    const source = state.canvas;
+    const { width, height } = source;
+    
+    redraw(state, width, height, ctx => {
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, width, height);
+      ctx.translate(width / 2, height / 2);
+      ctx.rotate(-angle * Math.PI / 180);
+      ctx.drawImage(source, -width / 2, -height / 2);
+    });
+    
+    // Small rotations are not part of the coordinate transform
+    return { applied: true, angle };
+  },
+  
+  crop: (state, { margin = 10 }) => {
+    const source = state.canvas;
+    const { width, height } = source;
+    
+    const bounds = withGray(state, (gray) => {
+      // The top-left pixel defines the border color
+      const border = gray[0];
+      let top = height;
+      let bottom = -1;
+      let left = width;
+      let right = -1;
+      
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          if (Math.abs(gray[y * width + x] - border) <= 32) continue;
+          top = Math.min(top, y);
+          bottom = Math.max(bottom, y);
+          left = Math.min(left, x);
+          right = Math.max(right, x);
+        }
+      }
+      
+      return bottom < 0 ? null : { top, bottom, left, right };
+    });
+    
+    if (!bounds) return { applied: false };
+    
+    const pad = Math.max(0, Number(margin) || 0);
+    const x = Math.max(0, bounds.left - pad);
+    const y = Math.max(0, bounds.top - pad);
+    const cropWidth = Math.min(width, bounds.right + pad + 1) - x;
+    const cropHeight = Math.min(height, bounds.bottom + pad + 1) - y;
+    
+    if (cropWidth === width && cropHeight === height) return { applied: false };
+    
+    redraw(state, cropWidth, cropHeight, ctx => {
+      ctx.drawImage(source, x, y, cropWidth, cropHeight, 0, 0, cropWidth, cropHeight);
+    });
+    
+    state.transform.offsetX += x / state.transform.scale;
+    state.transform.offsetY += y / state.transform.scale;
+    return { applied: true, x, y, width: cropWidth, height: cropHeight };
+  }
+};
+
+/**
+ * Turn a pipeline specification into a list of steps
+ * 
+ * @param {boolean|string|Array} spec - false/'none', true, a preset name, a comma-separated
+ *   list of step names, or an array of step names and { name, ...params } objects
+ * @param {Object} options - OCR options (legacy grayscale and contrast options of the default pipeline)
+ * @returns {Object} - Pipeline ({ preset, steps: [{ name, params }] })
+ * @throws {Error} - If the specification names an unknown preset or step
+ */
+const resolvePipeline = (spec, options = {}) => {
+  let preset = null;
+  let entries;
+  
+  if (spec === false || spec === 'false') {
+    return { preset: 'none', steps: [] };
+  } else if (spec === undefined || spec === null || spec === true || spec === 'true') {
+    preset = 'default';
+    entries = PRESETS.default;
+  } else if (typeof spec === 'string' && PRESETS[spec]) {
+    preset = spec;
+    entries = PRESETS[spec];
+  } else if (typeof spec === 'string') {
+    entries = spec.split(',').map(name => name.trim()).filter(Boolean);
+  } else if (Array.isArray(spec)) {
+    entries = spec;
+  } else {
+    throw new Error('preprocess must be a boolean, a preset name or a list of steps');
+  }
+  
+  const steps = entries.map(entry => {
+    const { name, ...params } = typeof entry === 'string' ? { name: entry } : (entry || {});
+    if (!STEPS[name]) {
+      throw new Error(`Unknown preprocessing step or preset: ${name}`);
+    }
+    return { name, params };
+  });
+  
+  // Legacy options of the default pipeline
+  if (preset === 'default') {
+    if (options.grayscale === false) steps.shift();
+    if (options.contrast) steps.push({ name: 'contrast', params: { factor: options.contrast } });
+  }
+  
+  return { preset, steps };
+};
+
+/**
+ * Validate a pipeline specification
+ * 
+ * @param {*} spec - Pipeline specification
+ * @returns {string|null} - Error message or null if valid
+ */
+const validatePipeline = (spec) => {
+  try {
+    resolvePipeline(spec);
+    return null;
+  } catch (error) {
+    return `${error.message} (presets: ${Object.keys(PRESETS).join(', ')}; steps: ${Object.keys(STEPS).join(', ')})`;
+  }
+};
+
+/**
+ * Preprocess an image into a derived file
+ * 
+ * @param {string} imagePath - Path to the original image
+ * @param {*} spec - Pipeline specification
+ * @param {Object} options - OCR options
+ * @returns {Promise<Object>} - Result ({ path, preset, steps, transform }); path is the
+ *   original image when nothing was applied
+ */
+const preprocessImage = async (imagePath, spec, options = {}) => {
+  const pipeline = resolvePipeline(spec, options);
+  const transform = { scale: 1, offsetX: 0, offsetY: 0 };
+  const unchanged = { path: imagePath, preset: pipeline.preset, steps: [], transform };
+  
+  if (pipeline.steps.length === 0) return unchanged;
+  
+  if (!canvasAvailable) {
+    logger.info('Skipping image preprocessing because canvas module is not available');
+    return { ...unchanged, skipped: 'canvas unavailable' };
+  }
+  
+  try {
+    logger.debug(`Preprocessing image ${path.basename(imagePath)}: ${pipeline.steps.map(step => step.name).join(', ')}`);
+    
+    const image = await loadImage(imagePath);
+    const state = { canvas: createCanvas(image.width, image.height), transform };
+    state.canvas.getContext('2d').drawImage(image, 0, 0);
+    
+    const applied = [];
+    for (const step of pipeline.steps) {
+      const details = STEPS[step.name](state, step.params) || {};
+      applied.push({ name: step.name, ...step.params, ...details });
+    }
+    
+    await fs.mkdir(OUTPUT_DIR, { recursive: true });
+    const outputPath = path.join(OUTPUT_DIR, `${path.parse(imagePath).name}-${uuidv4().slice(0, 8)}.png`);
+    await fs.writeFile(outputPath, state.canvas.toBuffer('image/png'));
+    
+    return { path: outputPath, preset: pipeline.preset, steps: applied, transform };
+  } catch (error) {
+    logger.warn(`Image preprocessing error: ${error.message}`);
+    // Continue with the original image if preprocessing fails
+    return { ...unchanged, error: error.message };
+  }
+};
+
+/**
+ * Map word boxes from the preprocessed image back to the original image
+ * 
+ * @param {Object[]} words - Words with bounding boxes in the preprocessed image
+ * @param {Object} transform - Transform returned by preprocessImage
+ * @returns {Object[]} - Words with bounding boxes in the original image
+ */
+const mapWordsToOriginal = (words, transform) => {
+  const { scale, offsetX, offsetY } = transform;
+  if (scale === 1 && offsetX === 0 && offsetY === 0) return words;
+  
+  return words.map(word => ({
+    ...word,
+    bbox: {
+      x: Math.round(word.bbox.x / scale + offsetX),
+      y: Math.round(word.bbox.y / scale + offsetY),
+      width: Math.round(word.bbox.width / scale),
+      height: Math.round(word.bbox.height / scale)
+    }
+  }));
+};
+
+module.exports = {
+  PRESETS,
+  resolvePipeline,
+  validatePipeline,
+  preprocessImage,
+  mapWordsToOriginal
+};
\ No newline at end of file
@@ -0,0 +1,240 @@
+/**
+ * Image Tiler Module
+ * 
+ * Full-page screenshots of long or infinitely scrolling pages can be tens of
+ * thousands of pixels tall, which Tesseract handles badly. This module splits
+ * such images into horizontal bands that overlap by a few lines of text, runs
+ * OCR on the bands in parallel and merges the words back into page
+ * coordinates.
+ * 
+ * Words in an overlap are read twice. Each overlap is cut in the middle: the
+ * upper band keeps the words above the cut and the lower band the words below
+ * it, so a line cut off at the edge of one band is taken from the band that
+ * shows it whole. Remaining duplicates (same text, overlapping boxes) are
+ * dropped.
+ * 
+ * Tiling needs the canvas module; without it images are read in one piece.
+ * 
+ * Relationships with other modules:
+ * - Used by ocrService.js to OCR tall images
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+
+// Try to import canvas; images can't be tiled without it
+let createCanvas;
+let loadImage;
+let canvasAvailable = false;
+
+try {
+  const canvas = require('canvas');
+  createCanvas = canvas.createCanvas;
+  loadImage = canvas.loadImage;
+  canvasAvailable = true;
+} catch (error) {
+  logger.warn('Canvas module not available - tall images are OCRed without tiling');
+}
+
+// Default height of a band in pixels
+const DEFAULT_TILE_HEIGHT = 4000;
+
+// Default overlap between neighbouring bands in pixels
+const DEFAULT_TILE_OVERLAP = 200;
+
+// Default number of bands OCRed at the same time
+const DEFAULT_TILE_CONCURRENCY = 2;
+
+// Directory for the band images
+const TILE_DIR = path.join(process.cwd(), 'data', 'temp', 'tiles');
+
+/**
+ * Get the tiling settings
+ * 
+ * @param {Object} options - OCR options
+ * @returns {Object} - Settings ({ tileHeight, overlap, concurrency })
+ */
+const getTileSettings = (options = {}) => {
+  const tileHeight = options.tileHeight || parseInt(process.env.OCR_TILE_HEIGHT) || DEFAULT_TILE_HEIGHT;
+  const overlap = options.tileOverlap ?? (parseInt(process.env.OCR_TILE_OVERLAP) || DEFAULT_TILE_OVERLAP);
+  
+  return {
+    tileHeight,
+    // The overlap must leave every band some new rows
+    overlap: Math.max(0, Math.min(overlap, Math.floor(tileHeight / 2))),
+    concurrency: options.tileConcurrency || parseInt(process.env.OCR_TILE_CONCURRENCY) || DEFAULT_TILE_CONCURRENCY
+  };
+};
+
+/**
+ * Calculate the vertical ranges of the bands of an image
+ * 
+ * @param {number} height - Image height in pixels
+ * @param {number} tileHeight - Band height
+ * @param {number} overlap - Overlap between bands
+ * @returns {Object[]} - Bands ({ top, height })
+ */
+const getTileRanges = (height, tileHeight, overlap) => {
+  const ranges = [];
+  const step = tileHeight - overlap;
+  
+  for (let top = 0; ; top += step) {
+    const bottom = Math.min(height, top + tileHeight);
+    ranges.push({ top, height: bottom - top });
+    if (bottom >= height) break;
+  }
+  
+  return ranges;
+};
+
+/**
+ * Check whether an image should be split into bands
+ * 
+ * @param {string} imagePath - Path to the image
+ * @param {Object} options - OCR options
+ * @returns {Promise<boolean>} - True if the image is taller than one band
+ */
+const needsTiling = async (imagePath, options = {}) => {
+  if (!canvasAvailable || options.tile === false) return false;
+  
+  const image = await loadImage(imagePath);
+  return image.height > getTileSettings(options).tileHeight;
+};
+
+/**
+ * Write the bands of an image to temporary files
+ * 
+ * @param {string} imagePath - Path to the image
+ * @param {Object} settings - Tiling settings
+ * @returns {Promise<Object[]>} - Bands ({ path, top, height })
+ */
+const splitImage = async (imagePath, settings) => {
+  const image = await loadImage(imagePath);
+  const ranges = getTileRanges(image.height, settings.tileHeight, settings.overlap);
+  const prefix = uuidv4().slice(0, 8);
+  
+  await fs.mkdir(TILE_DIR, { recursive: true });
+  
+  const tiles = [];
+  for (const [index, range] of ranges.entries()) {
+    const canvas = createCanvas(image.width, range.height);
+    canvas.getContext('2d').drawImage(image, 0, range.top, image.width, range.height, 0, 0, image.width, range.height);
+    
+    const tilePath = path.join(TILE_DIR, `${prefix}-${index}.png`);
+    await fs.writeFile(tilePath, canvas.toBuffer('image/png'));
+    tiles.push({ path: tilePath, ...range });
+  }
+  
+  return tiles;
+};
+
+/**
+ * Run an async function on items with limited concurrency
+ * 
+ * @param {Array} items - Items
+ * @param {number} concurrency - Maximum number of calls running at the same time
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} - Results in item order
+ */
+const mapWithConcurrency = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Calculate how much two boxes overlap (intersection over the smaller box)
+ * 
+ * @param {Object} a - Box ({ x, y, width, height })
+ * @param {Object} b - Box ({ x, y, width, height })
+ * @returns {number} - Overlap ratio (0-1)
+ */
+const getOverlapRatio = (a, b) => {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) return 0;
+  
+  const smaller = Math.min(a.width * a.height, b.width * b.height);
+  return smaller > 0 ? (width * height) / smaller : 0;
+};
+
+/**
+ * Merge the words of all bands into page coordinates
+ * 
+ * @param {Object[]} tiles - Bands ({ top, height })
+ * @param {Object[][]} tileWords - Words of each band in band coordinates
+ * @param {number} overlap - Overlap between bands
+ * @returns {Object[]} - Words in page coordinates, in reading order
+ */
+const mergeTileWords = (tiles, tileWords, overlap) => {
+  const merged = [];
+  let blockOffset = 0;
+  
+  tiles.forEach((tile, index) => {
+    // Cuts in the middle of the overlaps with the previous and next band
+    const upperCut = index > 0 ? tile.top + overlap / 2 : -Infinity;
+    const lowerCut = index < tiles.length - 1 ? tiles[index + 1].top + overlap / 2 : Infinity;
+    let lastBlock = 0;
+    
+    for (const word of tileWords[index]) {
+      const bbox = { ...word.bbox, y: word.bbox.y + tile.top };
+      const center = bbox.y + bbox.height / 2;
+      if (center < upperCut || center >= lowerCut) continue;
+      
+      // Only words in the overlap with the previous band can be duplicates
+      const duplicate = index > 0 && bbox.y < tile.top + overlap && merged.some(other =>
+        other.text === word.text && getOverlapRatio(other.bbox, bbox) > 0.5);
+      if (duplicate) continue;
+      
+      // Blocks are numbered per band; keep them apart across bands
+      merged.push({ ...word, bbox, block: word.block + blockOffset });
+      lastBlock = Math.max(lastBlock, word.block);
+    }
+    
+    blockOffset += lastBlock;
+  });
+  
+  return merged;
+};
+
+/**
+ * OCR an image band by band
+ * 
+ * @param {string} imagePath - Path to the image
+ * @param {Function} recognize - Async function returning the words of an image path
+ * @param {Object} options - OCR options (tileHeight, tileOverlap, tileConcurrency)
+ * @returns {Promise<Object[]>} - Words in page coordinates
+ */
+const recognizeTiled = async (imagePath, recognize, options = {}) => {
+  const settings = getTileSettings(options);
+  const tiles = await splitImage(imagePath, settings);
+  
+  logger.info(`OCR of ${path.basename(imagePath)} split into ${tiles.length} bands`);
+  
+  try {
+    const tileWords = await mapWithConcurrency(tiles, settings.concurrency, tile => recognize(tile.path));
+    return mergeTileWords(tiles, tileWords, settings.overlap);
+  } finally {
+    await Promise.all(tiles.map(tile => fs.unlink(tile.path).catch(err => {
+      logger.warn(`Failed to delete OCR tile: ${err.message}`);
+    })));
+  }
+};
+
+module.exports = {
+  getTileRanges,
+  needsTiling,
+  mergeTileWords,
+  recognizeTiled
+};
\ No newline at end of file
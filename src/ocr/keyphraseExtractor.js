@@ -0,0 +1,270 @@
+/**
+ * Keyphrase Extractor Module
+ * 
+ * This module finds multi-word keyphrases such as "free shipping" or
+ * "limited time offer" in OCR text. Two methods are available:
+ * 
+ * - RAKE (Rapid Automatic Keyword Extraction): candidate phrases are the runs
+ *   of words between stopwords and punctuation. Every word scores its degree
+ *   (the length of the phrases it appears in) divided by its frequency, and a
+ *   phrase scores the sum of its words.
+ * - N-gram collocations: word pairs and triples that occur together more
+ *   often than their words would by chance, scored by their frequency times
+ *   their pointwise mutual information (PMI).
+ * 
+ * Phrases never cross a line break or punctuation, since OCR lines of an ad
+ * are usually separate statements. Scores are normalized to 0-1 within a
+ * text. Words are compared by their stem, so "offers" and "offer" count as
+ * the same word.
+ * 
+ * Relationships with other modules:
+ * - Used by keywordService.js for the rake, ngram and keyphrase algorithms
+ * - Uses the language tools of languageTools.js to tokenize and stem
+ */
+
+// Longest RAKE phrase in words
+const MAX_PHRASE_WORDS = 4;
+
+// Longest collocation in words
+const MAX_NGRAM_WORDS = 3;
+
+// Number of phrases returned
+const MAX_PHRASES = 20;
+
+/**
+ * Split text into fragments no phrase can cross
+ * 
+ * @param {string} text - OCR text
+ * @returns {string[]} - Lowercase fragments
+ */
+const splitFragments = (text) => {
+  // Line breaks, punctuation and numbers end a phrase; apostrophes and hyphens don't
+  return text.toLowerCase().split(/\n|[^\p{L}\p{M}\s'’-]+/u).filter(fragment => fragment.trim());
+};
+
+/**
+ * Tokenize the fragments of a text
+ * 
+ * @param {string} text - OCR text
+ * @param {Object} tools - Language tools (see languageTools.js)
+ * @returns {Object[][]} - Tokens of each fragment ({ token, stem, stopword })
+ */
+const tokenizeFragments = (text, tools) => {
+  return splitFragments(text)
+    .map(fragment => tools.tokenize(fragment).map(token => ({
+      token,
+      stem: tools.stem(token),
+      stopword: tools.stopwords.has(token)
+    })))
+    .filter(tokens => tokens.length > 0);
+};
+
+/**
+ * Count phrase occurrences, keeping the most common surface form
+ * 
+ * @param {Map} phrases - Phrases by stem key
+ * @param {Object[]} tokens - Tokens of one occurrence
+ * @param {Object} tools - Language tools
+ * @returns {Object} - Phrase entry ({ key, forms, frequency })
+ */
+const countPhrase = (phrases, tokens, tools) => {
+  const key = tokens.map(t => t.stem).join(' ');
+  const form = tokens.map(t => t.token).join(tools.separator);
+  
+  if (!phrases.has(key)) {
+    phrases.set(key, { key, forms: new Map(), frequency: 0 });
+  }
+  
+  const phrase = phrases.get(key);
+  phrase.frequency++;
+  
+  if (!phrase.forms.has(form)) {
+    phrase.forms.set(form, { count: 0, tokens: tokens.map(t => t.token) });
+  }
+  phrase.forms.get(form).count++;
+  
+  return phrase;
+};
+
+/**
+ * Turn scored phrase entries into keywords with normalized scores
+ * 
+ * @param {Object[]} phrases - Phrase entries with a raw score
+ * @returns {Object[]} - Keywords ({ word, score, frequency, tokens }), best first
+ */
+const toKeywords = (phrases) => {
+  const maxScore = Math.max(0, ...phrases.map(phrase => phrase.score));
+  if (maxScore === 0) return [];
+  
+  return phrases
+    .filter(phrase => phrase.score > 0)
+    .map(phrase => {
+      const [word, form] = [...phrase.forms.entries()].sort((a, b) => b[1].count - a[1].count)[0];
+      return {
+        word,
+        score: Math.round((phrase.score / maxScore) * 1000) / 1000,
+        frequency: phrase.frequency,
+        tokens: form.tokens
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.frequency - a.frequency);
+};
+
+/**
+ * Drop phrases that only ever occur inside a longer phrase of the result
+ * 
+ * @param {Object[]} phrases - Phrase entries ({ key, frequency })
+ * @returns {Object[]} - Remaining phrase entries
+ */
+const dropContainedPhrases = (phrases) => {
+  return phrases.filter(phrase => !phrases.some(other =>
+    other !== phrase &&
+    other.frequency >= phrase.frequency &&
+    ` ${other.key} `.includes(` ${phrase.key} `)));
+};
+
+/**
+ * Check whether a token can start or end a phrase
+ * 
+ * @param {Object} token - Token ({ token, stopword })
+ * @param {Object} tools - Language tools
+ * @returns {boolean} - True for words that aren't stopwords or too short
+ */
+const canBorderPhrase = (token, tools) => !token.stopword && token.token.length >= tools.minLength;
+
+/**
+ * Extract keyphrases with RAKE
+ * 
+ * @param {string} text - OCR text
+ * @param {Object} tools - Language tools
+ * @param {Object} options - Options ({ maxWords })
+ * @returns {Object[]} - Keywords ({ word, score, frequency, tokens })
+ */
+const extractRake = (text, tools, options = {}) => {
+  const maxWords = tools.phrases ? options.maxWords || MAX_PHRASE_WORDS : 1;
+  const phrases = new Map();
+  const degree = new Map();
+  const frequency = new Map();
+  
+  for (const tokens of tokenizeFragments(text, tools)) {
+    // Candidates are the runs between stopwords (single tokens if phrases can't be formed)
+    const runs = [[]];
+    for (const token of tokens) {
+      if (token.stopword) {
+        runs.push([]);
+      } else if (!tools.phrases) {
+        runs.push([token]);
+      } else {
+        runs[runs.length - 1].push(token);
+      }
+    }
+    
+    for (const candidate of runs) {
+      // Short words (e.g. a missing stopword) don't start or end a phrase
+      const first = candidate.findIndex(token => canBorderPhrase(token, tools));
+      const last = candidate.length - 1 - [...candidate].reverse().findIndex(token => canBorderPhrase(token, tools));
+      const run = first === -1 ? [] : candidate.slice(first, last + 1);
+      if (run.length === 0 || run.length > maxWords) continue;
+      
+      countPhrase(phrases, run, tools);
+      for (const { stem } of run) {
+        degree.set(stem, (degree.get(stem) || 0) + run.length);
+        frequency.set(stem, (frequency.get(stem) || 0) + 1);
+      }
+    }
+  }
+  
+  const scored = [...phrases.values()].map(phrase => ({
+    ...phrase,
+    score: phrase.key.split(' ').reduce((sum, stem) => sum + degree.get(stem) / frequency.get(stem), 0)
+  }));
+  
+  return toKeywords(scored).slice(0, options.limit || MAX_PHRASES);
+};
+
+/**
+ * Extract n-gram collocations scored by frequency and PMI
+ * 
+ * @param {string} text - OCR text
+ * @param {Object} tools - Language tools
+ * @param {Object} options - Options ({ maxWords, minCount })
+ * @returns {Object[]} - Keywords ({ word, score, frequency, tokens })
+ */
+const extractNgrams = (text, tools, options = {}) => {
+  if (!tools.phrases) return [];
+  
+  const maxWords = options.maxWords || MAX_NGRAM_WORDS;
+  const minCount = options.minCount || 1;
+  const fragments = tokenizeFragments(text, tools);
+  const unigrams = new Map();
+  let total = 0;
+  
+  for (const tokens of fragments) {
+    for (const { stem } of tokens) {
+      unigrams.set(stem, (unigrams.get(stem) || 0) + 1);
+      total++;
+    }
+  }
+  
+  const phrases = new Map();
+  for (const tokens of fragments) {
+    for (let n = 2; n <= maxWords; n++) {
+      for (let i = 0; i + n <= tokens.length; i++) {
+        const gram = tokens.slice(i, i + n);
+        
+        // Stopwords may only join the words of a longer phrase ("buy one get one")
+        if (!canBorderPhrase(gram[0], tools) || !canBorderPhrase(gram[n - 1], tools)) continue;
+        
+        countPhrase(phrases, gram, tools);
+      }
+    }
+  }
+  
+  const scored = [...phrases.values()]
+    .filter(phrase => phrase.frequency >= minCount)
+    .map(phrase => {
+      const stems = phrase.key.split(' ');
+      const expected = stems.reduce((p, stem) => p * unigrams.get(stem) / total, 1);
+      const pmi = Math.log2((phrase.frequency / total) / expected);
+      return { ...phrase, score: pmi > 0 ? phrase.frequency * pmi : 0 };
+    });
+  
+  return toKeywords(dropContainedPhrases(scored)).slice(0, options.limit || MAX_PHRASES);
+};
+
+/**
+ * Extract keyphrases with RAKE and n-gram collocations combined
+ * 
+ * Phrases found by both methods rank highest.
+ * 
+ * @param {string} text - OCR text
+ * @param {Object} tools - Language tools
+ * @param {Object} options - Options ({ limit })
+ * @returns {Object[]} - Keywords ({ word, score, frequency, tokens })
+ */
+const extractKeyphrases = (text, tools, options = {}) => {
+  const merged = new Map();
+  const unlimited = { ...options, limit: Infinity };
+  
+  for (const keyword of [...extractRake(text, tools, unlimited), ...extractNgrams(text, tools, unlimited)]) {
+    const existing = merged.get(keyword.word);
+    if (existing) {
+      existing.score += keyword.score;
+      existing.frequency = Math.max(existing.frequency, keyword.frequency);
+    } else {
+      merged.set(keyword.word, { ...keyword });
+    }
+  }
+  
+  return [...merged.values()]
+    .map(keyword => ({ ...keyword, score: Math.round((keyword.score / 2) * 1000) / 1000 }))
+    .sort((a, b) => b.score - a.score || b.frequency - a.frequency)
+    .slice(0, options.limit || MAX_PHRASES);
+};
+
+module.exports = {
+  splitFragments,
+  extractRake,
+  extractNgrams,
+  extractKeyphrases
+};
\ No newline at end of file
@@ -6,28 +6,60 @@
  * categorize them, and track their frequency across multiple OCR results.
  * 
  * The service handles:
- * - Keyword extraction using NLP techniques
- * - Keyword scoring based on relevance
+ * - Keyword extraction using NLP techniques, with the tokenizer, stopwords and
+ *   stemmer of the OCR language
+ * - Keyphrase extraction (RAKE and n-gram collocations) as alternative algorithms
+ * - Keyword scoring with TF-IDF against a corpus of earlier OCR texts, so words
+ *   that appear on every page (navigation, legal text) score low
  * - Keyword categorization (e.g., brands, products, marketing terms)
+ * - Locating keywords in the image through the OCR word bounding boxes
  * - Tracking keyword trends over time
  * 
  * Relationships with other modules:
  * - Used by ocrService.js to analyze extracted text
  * - Provides data to the keyword analytics dashboard
  * - Can be called directly via API through keywordController
+ * - Uses languageTools.js for the text pipeline of each language
+ * - Uses keyphraseExtractor.js for multi-word keyphrases
+ * - Uses corpusIndex.js for the document frequencies of the corpus
  */
 
 const natural = require('natural');
-const stopwords = require('stopwords').english;
 const logger = require('../utils/logger');
 const OCRResult = require('../models/OCRResult');
 const Keyword = require('../models/Keyword');
 const aiAssistant = require('../utils/aiAssistant');
+const languageTools = require('./languageTools');
+const keyphraseExtractor = require('./keyphraseExtractor');
+const corpusIndex = require('./corpusIndex');
 
-// Initialize NLP tools
-const tokenizer = new natural.WordTokenizer();
+// Calls to action recognized by guessCategory
+const ACTION_WORDS = [
+  'buy', 'shop', 'order', 'download', 'subscribe', 'join', 'register', 'signup', 'book',
+  'call', 'try', 'get', 'discover', 'learn', 'install', 'start', 'click', 'apply', 'claim'
+];
+
+// Marketing terms recognized by guessCategory
+const MARKETING_TERMS = [
+  'sale', 'free', 'offer', 'discount', 'deal', 'new', 'limited', 'exclusive', 'best', 'save',
+  'bonus', 'gift', 'promo', 'coupon', 'clearance', 'bestseller', 'official', 'guarantee',
+  'premium', 'special', 'today', 'now', 'off', 'cheap', 'price', 'trial'
+];
+
+// Categories a keyword can have (see the Keyword model)
+const CATEGORIES = ['brand', 'product', 'feature', 'marketing', 'action', 'other'];
+
+// Most image regions stored per keyword
+const MAX_KEYWORD_BOXES = 20;
+
+// Statistical extraction algorithms
+const KEYWORD_ALGORITHMS = ['frequency', 'rake', 'ngram', 'keyphrase'];
+
+// Default statistical extraction algorithm
+const DEFAULT_KEYWORD_ALGORITHM = 'frequency';
+
+// Initialize NLP tools (the stemmer matches the English category word lists)
 const stemmer = natural.PorterStemmer;
-const tfidf = new natural.TfIdf();
 
 /**
  * Extract keywords from OCR text
@@ -35,6 +67,12 @@ const tfidf = new natural.TfIdf();
  * @param {string} analysisId - OCR analysis ID
  * @param {string} text - Text to extract keywords from
  * @param {Object} options - Extraction options
+ * @param {boolean} options.useAI - Use AI for keyword extraction when GEMINI_API_KEY is set
+ * @param {string} options.language - OCR language (defaults to the language of the OCR result)
+ * @param {string} options.algorithm - Statistical algorithm: frequency, rake, ngram or keyphrase
+ *   (default: KEYWORD_ALGORITHM)
+ * @param {string} options.corpusScope - Corpus the scores are weighed against: global, crawl or domain
+ *   (default: KEYWORD_CORPUS_SCOPE)
  * @returns {Promise<Object[]>} - Array of extracted keywords
  */
 const extractKeywords = async (analysisId, text, options = {}) => {
@@ -53,11 +91,32 @@ const extractKeywords = async (analysisId, text, options = {}) => {
       throw new Error(`OCR result with ID ${analysisId} not found`);
     }
     
+    // A retried job finds the keywords of its earlier run and must not count them again
+    if (ocrResult.keywordsProcessedAt) {
+      logger.info(`Keywords of OCR analysis ${analysisId} were already extracted`);
+      return ocrResult.keywords.map(keyword => keyword.toObject());
+    }
+    
+    // Tokenizer, stopwords and stemmer follow the language the text was read in
+    const language = options.language || ocrResult.language || 'eng';
+    const algorithm = options.algorithm || process.env.KEYWORD_ALGORITHM || DEFAULT_KEYWORD_ALGORITHM;
+    
+    // Add the text to the corpus, then weigh its terms by how rare they are there
+    const terms = languageTools.getTerms(text, language);
+    await corpusIndex.indexDocument(ocrResult, terms);
+    const corpus = await corpusIndex.getIdf(ocrResult, terms, options.corpusScope);
+    
     // Preprocess text
-    const preprocessedText = preprocessText(text);
+    const preprocessedText = languageTools.normalizeText(text);
     
     // Extract keywords using NLP
     let keywords = [];
+    let scoring = {
+      algorithm,
+      corpusScope: corpus.scope,
+      corpusKey: corpus.key,
+      corpusDocuments: corpus.documentCount
+    };
     
     // Check if AI-based extraction is enabled
     if (options.useAI !== false && process.env.GEMINI_API_KEY) {
@@ -65,21 +124,49 @@ const extractKeywords = async (analysisId, text, options = {}) => {
         // Use AI to extract keywords
         const aiKeywords = await extractKeywordsWithAI(preprocessedText);
         keywords = aiKeywords;
+        scoring = { algorithm: 'ai' };
       } catch (error) {
         logger.error(`AI keyword extraction failed: ${error.message}`);
         // Fall back to statistical extraction
-        keywords = extractKeywordsStatistical(preprocessedText);
+        keywords = extractKeywordsWithAlgorithm(text, language, algorithm, corpus.idf);
       }
     } else {
       // Use statistical methods for keyword extraction
-      keywords = extractKeywordsStatistical(preprocessedText);
+      keywords = extractKeywordsWithAlgorithm(text, language, algorithm, corpus.idf);
+    }
+    
+    // Component tokens let phrases be tracked across results
+    const { tokenize } = languageTools.getLanguageTools(language);
+    keywords = keywords.map(keyword => ({
+      ...keyword,
+      tokens: keyword.tokens || tokenize(keyword.word)
+    }));
+    
+    // Point each keyword to the image regions it was read from
+    if (ocrResult.words && ocrResult.words.length > 0) {
+      keywords = keywords.map(keyword => ({
+        ...keyword,
+        boxes: locateKeyword(keyword.word, ocrResult.words)
+      }));
     }
     
-    // Save keywords to OCR result
-    await ocrResult.addKeywords(keywords);
+    // Save keywords to OCR result and mark it processed in one step, so
+    // concurrent or retried jobs can't store or count the keywords twice
+    const now = new Date();
+    const saved = await OCRResult.findOneAndUpdate(
+      { _id: ocrResult._id, keywordsProcessedAt: null },
+      { $set: { keywords, keywordScoring: scoring, keywordsProcessedAt: now, updatedAt: now } },
+      { new: true }
+    );
+    
+    if (!saved) {
+      logger.info(`Keywords of OCR analysis ${analysisId} were stored by another job`);
+      const stored = await OCRResult.findById(ocrResult._id);
+      return stored.keywords.map(keyword => keyword.toObject());
+    }
     
     // Add keywords to global keyword tracking
-    await addKeywordsToGlobal(keywords, ocrResult.crawlId);
+    await addKeywordsToGlobal(keywords, ocrResult.crawlId, language);
     
     logger.info(`Extracted ${keywords.length} keywords from OCR analysis ${analysisId}`);
     
@@ -91,59 +178,146 @@ const extractKeywords = async (analysisId, text, options = {}) => {
 };
 
 /**
- * Preprocess text for keyword extraction
+ * Split OCR text into lowercase letter and digit runs
+ * 
+ * @param {string} text - Word or phrase
+ * @returns {string[]} - Tokens
+ */
+const toTokens = (text) => text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * Find the bounding boxes of a keyword in the recognized words
  * 
- * @param {string} text - Raw text
- * @returns {string} - Preprocessed text
+ * Single words match any OCR word containing them as a token (e.g. "sale"
+ * in "SALE!"); phrases match consecutive words on the same line.
+ * 
+ * @param {string} keyword - Keyword or key phrase
+ * @param {Object[]} words - OCR words ({ text, bbox, block, paragraph, line })
+ * @returns {Object[]} - Bounding boxes ({ x, y, width, height })
  */
-const preprocessText = (text) => {
-  // Convert to lowercase
-  let processed = text.toLowerCase();
+const locateKeyword = (keyword, words) => {
+  const tokens = toTokens(keyword);
+  if (tokens.length === 0) return [];
+  
+  const wordTokens = words.map(word => toTokens(word.text));
+  const sameLine = (a, b) => a.block === b.block && a.paragraph === b.paragraph && a.line === b.line;
+  const boxes = [];
   
-  // Remove extra whitespace
-  processed = processed.replace(/\s+/g, ' ').trim();
+  for (let i = 0; i + tokens.length <= words.length && boxes.length < MAX_KEYWORD_BOXES; i++) {
+    const matched = tokens.length === 1
+      ? wordTokens[i].includes(tokens[0])
+      : tokens.every((token, k) => wordTokens[i + k].length === 1 && wordTokens[i + k][0] === token &&
+          sameLine(words[i], words[i + k]));
+    
+    if (!matched) continue;
+    
+    // Union of the matched words' boxes
+    const matchedWords = words.slice(i, i + tokens.length);
+    const left = Math.min(...matchedWords.map(word => word.bbox.x));
+    const top = Math.min(...matchedWords.map(word => word.bbox.y));
+    const right = Math.max(...matchedWords.map(word => word.bbox.x + word.bbox.width));
+    const bottom = Math.max(...matchedWords.map(word => word.bbox.y + word.bbox.height));
+    
+    boxes.push({ x: left, y: top, width: right - left, height: bottom - top });
+  }
+  
+  return boxes;
+};
+
+/**
+ * Extract keywords with a statistical algorithm
+ * 
+ * The keyphrase algorithms work on the raw text, since line breaks and
+ * punctuation separate phrases.
+ * 
+ * @param {string} text - OCR text
+ * @param {string} language - OCR language (Tesseract code)
+ * @param {string} algorithm - frequency, rake, ngram or keyphrase
+ * @param {Function} idf - Inverse document frequency of a term in the corpus (default: 1 for every term)
+ * @returns {Object[]} - Array of extracted keywords
+ */
+const extractKeywordsWithAlgorithm = (text, language, algorithm, idf = () => 1) => {
+  const tools = languageTools.getLanguageTools(language);
   
-  // Remove special characters except alphanumeric and spaces
-  processed = processed.replace(/[^\w\s]/g, ' ');
+  switch (algorithm) {
+    case 'rake':
+      return weighPhrases(keyphraseExtractor.extractRake(text, tools), tools, idf);
+    case 'ngram':
+      return weighPhrases(keyphraseExtractor.extractNgrams(text, tools), tools, idf);
+    case 'keyphrase':
+      return weighPhrases(keyphraseExtractor.extractKeyphrases(text, tools), tools, idf);
+    case 'frequency':
+      return extractKeywordsStatistical(languageTools.normalizeText(text), language, idf);
+    default:
+      throw new Error(`Unknown keyword algorithm: ${algorithm}`);
+  }
+};
+
+/**
+ * Weigh keyphrase scores by the inverse document frequency of their words
+ * 
+ * A phrase is weighed by the mean IDF of its words; stopwords inside a phrase
+ * ("buy one get one") aren't corpus terms and don't count. Scores are
+ * normalized to 0-1 again afterwards.
+ * 
+ * @param {Object[]} keywords - Keyphrases ({ word, score, frequency, tokens })
+ * @param {Object} tools - Language tools (see languageTools.js)
+ * @param {Function} idf - Inverse document frequency of a term
+ * @returns {Object[]} - Keyphrases with weighed scores, best first
+ */
+const weighPhrases = (keywords, tools, idf) => {
+  const weighed = keywords.map(keyword => {
+    const weights = keyword.tokens
+      .filter(token => token.length >= tools.minLength && !tools.stopwords.has(token))
+      .map(token => idf(tools.stem(token)));
+    const weight = weights.length > 0 ? weights.reduce((sum, w) => sum + w, 0) / weights.length : 1;
+    
+    return { ...keyword, score: keyword.score * weight };
+  });
   
-  // Remove numbers
-  processed = processed.replace(/\d+/g, ' ');
+  const maxScore = Math.max(0, ...weighed.map(keyword => keyword.score));
   
-  return processed;
+  return weighed
+    .map(keyword => ({ ...keyword, score: maxScore > 0 ? Math.round((keyword.score / maxScore) * 1000) / 1000 : 0 }))
+    .sort((a, b) => b.score - a.score || b.frequency - a.frequency);
 };
 
 /**
  * Extract keywords using statistical methods
  * 
+ * Each word scores its term frequency in the text times the inverse document
+ * frequency of its stem in the corpus.
+ * 
  * @param {string} text - Preprocessed text
+ * @param {string} language - OCR language (Tesseract code); see languageTools.js
+ * @param {Function} idf - Inverse document frequency of a term (default: 1 for every term)
  * @returns {Object[]} - Array of extracted keywords
  */
-const extractKeywordsStatistical = (text) => {
+const extractKeywordsStatistical = (text, language = 'eng', idf = () => 1) => {
+  const { tokenize, stopwords, stem, minLength } = languageTools.getLanguageTools(language);
+  
   // Tokenize the text
-  const tokens = tokenizer.tokenize(text);
+  const tokens = tokenize(text);
   
   // Remove stopwords and short words
   const filteredTokens = tokens.filter(token => 
-    token.length > 2 && 
-    !stopwords.includes(token)
+    token.length >= minLength && 
+    !stopwords.has(token)
   );
   
-  // Add document to TF-IDF
-  tfidf.addDocument(filteredTokens);
-  
   // Get term frequency
   const terms = {};
   filteredTokens.forEach(token => {
-    const stem = stemmer.stem(token);
-    terms[stem] = (terms[stem] || 0) + 1;
+    const tokenStem = stem(token);
+    terms[tokenStem] = (terms[tokenStem] || 0) + 1;
   });
   
   // Convert to array and sort by frequency
   const keywords = Object.entries(terms)
-    .map(([stem, frequency]) => {
+    .map(([tokenStem, frequency]) => {
       // Find original form of the word
       const originalForms = filteredTokens.filter(token => 
-        stemmer.stem(token) === stem
+        stem(token) === tokenStem
       );
       
       // Get the most common original form
@@ -155,8 +329,8 @@ const extractKeywordsStatistical = (text) => {
       const word = Object.entries(wordFreq)
         .sort((a, b) => b[1] - a[1])[0][0];
       
-      // Calculate score based on frequency and word length
-      const score = frequency * (0.5 + Math.min(0.5, word.length / 10));
+      // TF-IDF: frequent in this text, rare in the corpus
+      const score = Math.round(frequency * idf(tokenStem) * 1000) / 1000;
       
       return { word, score, frequency };
     })
@@ -222,7 +396,7 @@ const extractKeywordsWithAI = async (text) => {
  * @param {Object[]} keywords - Array of keywords
  * @param {string} crawlId - Crawl job ID
  */
-const addKeywordsToGlobal = async (keywords, crawlId) => {
+const addKeywordsToGlobal = async (keywords, crawlId, language = null) => {
   try {
     for (const keywordData of keywords) {
       // Find or create keyword
@@ -239,6 +413,15 @@ const addKeywordsToGlobal = async (keywords, crawlId) => {
           keyword.crawlJobs.push(crawlId);
         }
         
+        if (language && !keyword.languages.includes(language)) {
+          keyword.languages.push(language);
+        }
+        
+        // Keywords stored before phrases were tracked have no tokens
+        if (keyword.tokens.length === 0 && keywordData.tokens) {
+          keyword.tokens = keywordData.tokens;
+        }
+        
         // Update last seen
         keyword.lastSeenAt = new Date();
       } else {
@@ -249,7 +432,9 @@ const addKeywordsToGlobal = async (keywords, crawlId) => {
           totalScore: keywordData.score,
           averageScore: keywordData.score,
           category: keywordData.category,
-          crawlJobs: crawlId ? [crawlId] : []
+          crawlJobs: crawlId ? [crawlId] : [],
+          languages: language ? [language] : [],
+          tokens: keywordData.tokens || []
         });
       }
       
@@ -262,38 +447,88 @@ const addKeywordsToGlobal = async (keywords, crawlId) => {
 };
 
 /**
- * Get top keywords with optional filtering
+ * Build the query filter for keyword listings
  * 
  * @param {Object} options - Filter options
+ * @param {number} options.minFrequency - Minimum frequency
+ * @param {string} options.category - Keyword category
+ * @param {string} options.crawlId - Only keywords seen in this crawl
+ * @param {string} options.language - Only keywords seen in text of this language
+ * @param {string} options.type - Only single words (word) or phrases (phrase)
+ * @param {string} options.token - Only keywords containing this token (e.g. phrases with "shipping")
+ * @param {Date} options.from - Last seen on or after this date
+ * @param {Date} options.to - Last seen on or before this date
+ * @returns {Object} - MongoDB filter
+ */
+const buildKeywordFilter = (options = {}) => {
+  const {
+    minFrequency = 1, category = null, crawlId = null, language = null, type = null, token = null,
+    from = null, to = null
+  } = options;
+  
+  const filter = { frequency: { $gte: minFrequency } };
+  if (category) filter.category = String(category);
+  if (crawlId) filter.crawlJobs = String(crawlId);
+  if (language) filter.languages = String(language);
+  if (type) filter.type = String(type);
+  if (token) filter.tokens = String(token).toLowerCase();
+  
+  if (from || to) {
+    filter.lastSeenAt = {};
+    if (from) filter.lastSeenAt.$gte = from;
+    if (to) filter.lastSeenAt.$lte = to;
+  }
+  
+  return filter;
+};
+
+// Sort options of keyword listings mapped to model fields
+const KEYWORD_SORT_FIELDS = {
+  frequency: 'frequency',
+  score: 'averageScore',
+  lastSeen: 'lastSeenAt',
+  firstSeen: 'firstSeenAt',
+  word: 'word'
+};
+
+/**
+ * Get top keywords with optional filtering
+ * 
+ * @param {Object} options - Filter, sort and pagination options (see buildKeywordFilter)
+ * @param {number} options.limit - Maximum number of keywords
+ * @param {number} options.skip - Number of keywords to skip
+ * @param {string} options.sortBy - Sort field (frequency, score, lastSeen, firstSeen, word)
+ * @param {string} options.order - Sort order (asc or desc)
  * @returns {Promise<Object[]>} - Array of top keywords
  */
 const getTopKeywords = async (options = {}) => {
   try {
     const { 
       limit = 100, 
-      minFrequency = 1, 
+      skip = 0,
       sortBy = 'frequency', 
-      category = null 
+      order = sortBy === 'word' ? 'asc' : 'desc'
     } = options;
     
-    // Build filter
-    const filter = { frequency: { $gte: minFrequency } };
-    if (category) filter.category = category;
-    
-    // Build sort options
-    const sort = {};
-    sort[sortBy === 'score' ? 'averageScore' : 'frequency'] = -1;
+    // Build sort options, with the word as a stable tie-breaker for pagination
+    const sort = { [KEYWORD_SORT_FIELDS[sortBy] || 'frequency']: order === 'asc' ? 1 : -1 };
+    if (!sort.word) sort.word = 1;
     
     // Query database
-    const keywords = await Keyword.find(filter)
+    const keywords = await Keyword.find(buildKeywordFilter(options))
       .sort(sort)
+      .skip(skip)
       .limit(limit);
     
     return keywords.map(keyword => ({
       word: keyword.word,
+      type: keyword.type,
+      tokens: keyword.tokens,
+      languages: keyword.languages,
       frequency: keyword.frequency,
       score: keyword.averageScore,
       category: keyword.category,
+      firstSeenAt: keyword.firstSeenAt,
       lastSeenAt: keyword.lastSeenAt
     }));
   } catch (error) {
@@ -302,6 +537,21 @@ const getTopKeywords = async (options = {}) => {
   }
 };
 
+/**
+ * Count the keywords matching a filter
+ * 
+ * @param {Object} options - Filter options (see buildKeywordFilter)
+ * @returns {Promise<number>} - Number of matching keywords
+ */
+const countKeywords = async (options = {}) => {
+  try {
+    return await Keyword.countDocuments(buildKeywordFilter(options));
+  } catch (error) {
+    logger.error(`Error counting keywords: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * Categorize keywords using AI
  * 
@@ -361,6 +611,32 @@ const categorizeKeywords = async (words) => {
   }
 };
 
+/**
+ * Guess the category of a keyword without AI
+ * 
+ * Only calls to action and common marketing terms can be recognized from the
+ * word alone; everything else is 'other'. Phrases starting with a call to
+ * action ("shop now") are actions, phrases containing a marketing term
+ * ("free shipping") are marketing.
+ * 
+ * @param {string} word - Keyword or key phrase
+ * @returns {string} - Category
+ */
+const guessCategory = (word) => {
+  const words = toTokens(word);
+  if (words.length === 0) return 'other';
+  
+  const matches = (list, token) => {
+    const stem = stemmer.stem(token);
+    return list.some(entry => entry === token || stemmer.stem(entry) === stem);
+  };
+  
+  if (matches(ACTION_WORDS, words[0])) return 'action';
+  if (words.some(token => matches(MARKETING_TERMS, token))) return 'marketing';
+  
+  return 'other';
+};
+
 /**
  * Get keyword statistics
  * 
@@ -405,8 +681,14 @@ const getKeywordStats = async () => {
 };
 
 module.exports = {
+  KEYWORD_SORT_FIELDS,
+  KEYWORD_ALGORITHMS,
+  CATEGORIES,
   extractKeywords,
   getTopKeywords,
+  countKeywords,
+  guessCategory,
+  locateKeyword,
   categorizeKeywords,
   getKeywordStats
 }; 
\ No newline at end of file
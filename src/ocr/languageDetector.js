@@ -0,0 +1,195 @@
+/**
+ * Language Detector Module
+ * 
+ * This module chooses the Tesseract language of an image. Crawled images
+ * take the language from the `<html lang>` attribute of their page; uploads
+ * and pages without one are checked with Tesseract's orientation and script
+ * detection (OSD), which recognizes the writing system (Latin, Cyrillic,
+ * Arabic, Japanese, ...) but not the language of Latin text.
+ * 
+ * The detected language is combined with the default language (e.g.
+ * `deu+eng`), because ads in any language are full of English brand names
+ * and slogans. Languages whose traineddata isn't installed are left out.
+ * 
+ * Language codes are Tesseract codes (ISO 639-2, e.g. `eng`, `deu`, `jpn`,
+ * `ara`); the same codes are used for keyword extraction.
+ * 
+ * Relationships with other modules:
+ * - Used by ocrService.js to choose the OCR language of an image
+ * - Uses config/settings.js for the default language
+ */
+
+const { execFile } = require('child_process');
+const util = require('util');
+const tesseract = require('node-tesseract-ocr');
+const logger = require('../utils/logger');
+const settingsStore = require('../config/settings');
+
+const execFileAsync = util.promisify(execFile);
+
+// Default minimum OSD script confidence
+const DEFAULT_MIN_SCRIPT_CONFIDENCE = 2;
+
+// Tesseract languages of ISO 639-1 codes used in <html lang>
+const HTML_LANGUAGES = {
+  ar: 'ara', bg: 'bul', cs: 'ces', da: 'dan', de: 'deu', el: 'ell', en: 'eng', es: 'spa',
+  fa: 'fas', fi: 'fin', fr: 'fra', he: 'heb', hi: 'hin', hr: 'hrv', hu: 'hun', id: 'ind',
+  it: 'ita', ja: 'jpn', ko: 'kor', ms: 'msa', nb: 'nor', nl: 'nld', nn: 'nor', no: 'nor',
+  pl: 'pol', pt: 'por', ro: 'ron', ru: 'rus', sk: 'slk', sr: 'srp', sv: 'swe', th: 'tha',
+  tr: 'tur', uk: 'ukr', vi: 'vie', zh: 'chi_sim'
+};
+
+// Tesseract languages of OSD scripts; Latin text is read with the default language
+const SCRIPT_LANGUAGES = {
+  Arabic: 'ara',
+  Cyrillic: 'rus',
+  Devanagari: 'hin',
+  Greek: 'ell',
+  Han: 'chi_sim',
+  Hangul: 'kor',
+  Hebrew: 'heb',
+  Hiragana: 'jpn',
+  Japanese: 'jpn',
+  Katakana: 'jpn',
+  Korean: 'kor',
+  Thai: 'tha'
+};
+
+// Installed languages, loaded once
+let installedLanguages = null;
+
+/**
+ * Get the default OCR language
+ * 
+ * @returns {string} - Tesseract language (may be a combination such as eng+deu)
+ */
+const getDefaultLanguage = () => {
+  return settingsStore.getSettings().ocr.language || 'eng';
+};
+
+/**
+ * Get the languages Tesseract has traineddata for
+ * 
+ * @returns {Promise<string[]|null>} - Installed languages, or null if they can't be listed
+ */
+const getInstalledLanguages = async () => {
+  if (!installedLanguages) {
+    installedLanguages = execFileAsync('tesseract', ['--list-langs'])
+      .then(({ stdout }) => stdout.split(/\r?\n/).slice(1).map(line => line.trim()).filter(Boolean))
+      .catch(error => {
+        logger.warn(`Could not list Tesseract languages: ${error.message}`);
+        return null;
+      });
+  }
+  
+  return await installedLanguages;
+};
+
+/**
+ * Map an HTML lang attribute to a Tesseract language
+ * 
+ * @param {string} htmlLang - Value of <html lang>, e.g. de-DE or zh-Hant
+ * @returns {string|null} - Tesseract language or null if unknown
+ */
+const fromHtmlLang = (htmlLang) => {
+  if (!htmlLang || typeof htmlLang !== 'string') return null;
+  
+  const [primary, ...subtags] = htmlLang.trim().toLowerCase().split(/[-_]/);
+  
+  // Traditional Chinese is written in Taiwan, Hong Kong and Macau
+  if (primary === 'zh' && subtags.some(tag => ['hant', 'tw', 'hk', 'mo'].includes(tag))) {
+    return 'chi_tra';
+  }
+  
+  return HTML_LANGUAGES[primary] || null;
+};
+
+/**
+ * Detect the script of an image with Tesseract OSD
+ * 
+ * @param {string} imagePath - Path to the image
+ * @returns {Promise<Object|null>} - Script ({ script, confidence }) or null if OSD failed
+ */
+const detectScript = async (imagePath) => {
+  try {
+    const output = await tesseract.recognize(imagePath, { psm: 0 });
+    const script = output.match(/^Script:\s*(\S+)/m);
+    const confidence = output.match(/^Script confidence:\s*([\d.]+)/m);
+    
+    if (!script) return null;
+    
+    return {
+      script: script[1],
+      confidence: confidence ? parseFloat(confidence[1]) : 0
+    };
+  } catch (error) {
+    // OSD fails on images with too little text
+    logger.debug(`Script detection failed for ${imagePath}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Choose the OCR language of an image
+ * 
+ * An explicit `lang` is used as given. Otherwise the language comes from
+ * `htmlLang`, then from the script found by OSD, then from the default.
+ * 
+ * @param {string} imagePath - Path to the image
+ * @param {Object} options - OCR options
+ * @param {string} options.lang - Tesseract language to use as given
+ * @param {string} options.htmlLang - <html lang> of the page the image was captured on
+ * @param {boolean} options.detectLanguage - Run OSD when no language is known (default: OCR_DETECT_LANGUAGE)
+ * @returns {Promise<Object>} - Language ({ lang, language, source, script, scriptConfidence, unavailable })
+ */
+const resolveLanguage = async (imagePath, options = {}) => {
+  const defaultLang = getDefaultLanguage();
+  
+  if (options.lang) {
+    return { lang: options.lang, language: options.lang.split('+')[0], source: 'request' };
+  }
+  
+  let language = fromHtmlLang(options.htmlLang);
+  let source = language ? 'html' : 'default';
+  let detected = null;
+  
+  const detectLanguage = options.detectLanguage ?? process.env.OCR_DETECT_LANGUAGE !== 'false';
+  const installed = await getInstalledLanguages();
+  
+  if (!language && detectLanguage && (!installed || installed.includes('osd'))) {
+    const minConfidence = parseFloat(process.env.OCR_OSD_MIN_CONFIDENCE) || DEFAULT_MIN_SCRIPT_CONFIDENCE;
+    detected = await detectScript(imagePath);
+    
+    if (detected && detected.confidence >= minConfidence) {
+      language = SCRIPT_LANGUAGES[detected.script] || null;
+      source = 'osd';
+    }
+  }
+  
+  // Combine with the default language, keeping only installed traineddata
+  const defaults = defaultLang.split('+');
+  const candidates = [...new Set([language || defaults[0], ...defaults])];
+  const available = installed ? candidates.filter(lang => installed.includes(lang)) : candidates;
+  const unavailable = candidates.filter(lang => !available.includes(lang));
+  
+  if (unavailable.length > 0) {
+    logger.warn(`Tesseract traineddata not installed for ${unavailable.join(', ')}`);
+  }
+  
+  const lang = available.length > 0 ? available.join('+') : defaultLang;
+  
+  return {
+    lang,
+    language: lang.split('+')[0],
+    source,
+    ...(detected && { script: detected.script, scriptConfidence: detected.confidence }),
+    ...(unavailable.length > 0 && { unavailable })
+  };
+};
+
+module.exports = {
+  fromHtmlLang,
+  detectScript,
+  getInstalledLanguages,
+  resolveLanguage
+};
\ No newline at end of file
@@ -0,0 +1,210 @@
+/**
+ * Language Tools Module
+ * 
+ * This module provides the text pipeline of keyword extraction per language:
+ * a tokenizer, a stopword list and a stemmer. Languages are keyed by their
+ * Tesseract code (`eng`, `deu`, `jpn`, ...), the same code the OCR result
+ * stores as its language.
+ * 
+ * Tokenizers keep all Unicode letters and combining marks, so accented,
+ * Cyrillic, Arabic or Devanagari words survive. Japanese is segmented with
+ * the natural tokenizer; Chinese, which has no word boundaries either, is
+ * split into overlapping character pairs. Languages without registered
+ * tools use the Unicode tokenizer without stopwords or stemming.
+ * 
+ * More languages can be added with registerLanguage.
+ * 
+ * Relationships with other modules:
+ * - Used by keywordService.js to tokenize, filter and stem OCR text
+ * - Used by corpusIndex.js to find the terms of a document
+ */
+
+const natural = require('natural');
+const stopwordLists = require('stopwords');
+
+// Stopword lists shipped with natural
+const naturalStopwords = (name) => require(`natural/lib/natural/util/stopwords_${name}`).words;
+
+// Common Arabic function words
+const ARABIC_STOPWORDS = [
+  'في', 'من', 'على', 'إلى', 'عن', 'مع', 'هذا', 'هذه', 'ذلك', 'تلك', 'التي', 'الذي', 'الذين',
+  'هو', 'هي', 'هم', 'نحن', 'أنت', 'أنا', 'كان', 'كانت', 'يكون', 'أن', 'إن', 'أو', 'ثم',
+  'لا', 'لم', 'لن', 'ما', 'ماذا', 'كل', 'بعد', 'قبل', 'عند', 'حتى', 'قد', 'كما', 'بين',
+  'وهو', 'وهي', 'أي', 'غير', 'بل', 'لكن', 'هناك', 'هنا'
+];
+
+// Default minimum token length
+const DEFAULT_MIN_LENGTH = 3;
+
+// Registered languages
+const languages = new Map();
+
+/**
+ * Normalize text for keyword extraction
+ * 
+ * Letters of every script and their combining marks are kept, so accented,
+ * Cyrillic, Arabic and CJK text survives.
+ * 
+ * @param {string} text - Raw text
+ * @returns {string} - Lowercase text without punctuation and numbers
+ */
+const normalizeText = (text) => {
+  return text
+    .toLowerCase()
+    // Remove special characters except letters, marks, digits and whitespace
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    // Remove numbers
+    .replace(/\p{N}+/gu, ' ')
+    // Remove extra whitespace
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Split text into lowercase tokens of Unicode letters, marks and digits
+ * 
+ * @param {string} text - Text
+ * @returns {string[]} - Tokens
+ */
+const unicodeTokenize = (text) => {
+  return text.toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+};
+
+/**
+ * Split Chinese text into overlapping character pairs
+ * 
+ * Runs of other scripts (e.g. English brand names) are kept whole.
+ * 
+ * @param {string} text - Text
+ * @returns {string[]} - Tokens
+ */
+const chineseTokenize = (text) => {
+  const tokens = [];
+  
+  for (const token of unicodeTokenize(text)) {
+    for (const run of token.match(/\p{Script=Han}+|[^\p{Script=Han}]+/gu)) {
+      if (!/\p{Script=Han}/u.test(run) || run.length < 3) {
+        tokens.push(run);
+        continue;
+      }
+      
+      for (let i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+    }
+  }
+  
+  return tokens;
+};
+
+/**
+ * Register the tools of a language
+ * 
+ * @param {string} code - Tesseract language code (e.g. deu)
+ * @param {Object} tools - Language tools
+ * @param {Function} tools.tokenize - Splits text into lowercase tokens (default: Unicode word characters)
+ * @param {string[]} tools.stopwords - Words that are never keywords
+ * @param {Function} tools.stem - Reduces a token to its stem (default: no stemming)
+ * @param {number} tools.minLength - Shortest token that can be a keyword
+ * @param {string} tools.separator - Joins the tokens of a phrase (default: a space)
+ * @param {boolean} tools.phrases - Tokens can be joined into phrases (default: true)
+ */
+const registerLanguage = (code, tools = {}) => {
+  languages.set(code, {
+    code,
+    tokenize: tools.tokenize || unicodeTokenize,
+    stopwords: new Set(tools.stopwords || []),
+    stem: tools.stem || (token => token),
+    minLength: tools.minLength || DEFAULT_MIN_LENGTH,
+    separator: tools.separator ?? ' ',
+    phrases: tools.phrases !== false
+  });
+};
+
+/**
+ * Get the tools of a language
+ * 
+ * @param {string} language - Tesseract language; of combinations (deu+eng) the first is used
+ * @returns {Object} - Language tools ({ code, tokenize, stopwords, stem, minLength, separator, phrases })
+ */
+const getLanguageTools = (language) => {
+  const code = (language || 'eng').split('+')[0];
+  
+  if (!languages.has(code)) {
+    // Unknown languages keep all words unstemmed
+    return { ...languages.get('und'), code };
+  }
+  
+  return languages.get(code);
+};
+
+/**
+ * Get the distinct terms (stems of the words that can be keywords) of a text
+ * 
+ * @param {string} text - Raw text
+ * @param {string} language - Tesseract language
+ * @returns {string[]} - Terms
+ */
+const getTerms = (text, language) => {
+  const { tokenize, stopwords, stem, minLength } = getLanguageTools(language);
+  const terms = new Set();
+  
+  for (const token of tokenize(normalizeText(text))) {
+    if (token.length >= minLength && !stopwords.has(token)) terms.add(stem(token));
+  }
+  
+  return [...terms];
+};
+
+/**
+ * Get the registered language codes
+ * 
+ * @returns {string[]} - Language codes
+ */
+const getLanguages = () => [...languages.keys()].filter(code => code !== 'und');
+
+// Undetermined language
+registerLanguage('und');
+
+// Languages with a Porter stemmer in natural
+const porter = (stemmer, stopwords) => ({
+  stopwords,
+  stem: token => stemmer.stem(token)
+});
+
+registerLanguage('eng', porter(natural.PorterStemmer, stopwordLists.english));
+registerLanguage('deu', porter(natural.PorterStemmerDe, stopwordLists.german));
+registerLanguage('fra', porter(natural.PorterStemmerFr, stopwordLists.french));
+registerLanguage('spa', porter(natural.PorterStemmerEs, stopwordLists.spanish));
+registerLanguage('ita', porter(natural.PorterStemmerIt, stopwordLists.italian));
+registerLanguage('nld', porter(natural.PorterStemmerNl, stopwordLists.dutch));
+registerLanguage('por', porter(natural.PorterStemmerPt, naturalStopwords('pt')));
+registerLanguage('rus', porter(natural.PorterStemmerRu, naturalStopwords('ru')));
+registerLanguage('ukr', porter(natural.PorterStemmerUk, naturalStopwords('uk')));
+registerLanguage('swe', porter(natural.PorterStemmerSv, naturalStopwords('sv')));
+registerLanguage('nor', porter(natural.PorterStemmerNo, naturalStopwords('no')));
+registerLanguage('fas', porter(natural.PorterStemmerFa, naturalStopwords('fa')));
+registerLanguage('pol', { stopwords: naturalStopwords('pl') });
+registerLanguage('ind', { stopwords: naturalStopwords('id'), stem: token => natural.StemmerId.stem(token) });
+registerLanguage('ara', { stopwords: ARABIC_STOPWORDS });
+
+// Languages without spaces between words
+const japaneseTokenizer = new natural.TokenizerJa();
+registerLanguage('jpn', {
+  tokenize: text => japaneseTokenizer.tokenize(text.toLowerCase()).filter(token => /[\p{L}\p{N}]/u.test(token)),
+  stopwords: naturalStopwords('ja'),
+  minLength: 2,
+  separator: ''
+});
+
+// Overlapping character pairs can't be joined into phrases
+const chinese = { tokenize: chineseTokenize, stopwords: naturalStopwords('zh'), minLength: 2, phrases: false };
+registerLanguage('chi_sim', chinese);
+registerLanguage('chi_tra', chinese);
+
+module.exports = {
+  normalizeText,
+  unicodeTokenize,
+  registerLanguage,
+  getLanguageTools,
+  getTerms,
+  getLanguages
+};
\ No newline at end of file
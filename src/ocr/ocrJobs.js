@@ -0,0 +1,187 @@
+/**
+ * OCR Jobs Module
+ * 
+ * This module moves OCR of crawled images off the crawl loop. The crawler
+ * queues an `ocr` job for every page screenshot and new ad creative and
+ * continues with the next URL; workers run Tesseract in the background and
+ * store the result with the crawl job (and the creative) when it is done.
+ * 
+ * Failed OCR jobs are retried by the job queue and end up in its dead letter
+ * list once they run out of attempts. The analysis of a job is named after the
+ * job, so a retry reuses the result an earlier attempt saved instead of storing
+ * a second one (and queueing its keywords twice).
+ * 
+ * Relationships with other modules:
+ * - Used by crawlerService.js to queue OCR of screenshots and creatives
+ * - Used by the main application (index.js) to register the job handlers
+ * - Uses jobQueue.js to queue and process the jobs
+ * - Uses ocrService.js to run OCR and ocrPipeline.js for the keyword jobs
+ * - Uses creativeService.js to link OCR results to creatives
+ */
+
+const logger = require('../utils/logger');
+const socketManager = require('../utils/socketManager');
+const jobQueue = require('../utils/jobQueue');
+const ocrService = require('./ocrService');
+const ocrPipeline = require('./ocrPipeline');
+const corpusIndex = require('./corpusIndex');
+const creativeService = require('../crawler/creativeService');
+const CrawlJob = require('../models/CrawlJob');
+const OCRResult = require('../models/OCRResult');
+
+// Job type of OCR work
+const JOB_TYPE = 'ocr';
+
+// Default number of images processed by Tesseract at the same time
+const DEFAULT_CONCURRENCY = 1;
+
+/**
+ * Store the OCR result of a page screenshot with its crawl job
+ * 
+ * @param {Object} data - Job data
+ * @param {Object} ocrResult - OCR result
+ * @returns {Promise<void>}
+ */
+const saveScreenshotResult = async (data, ocrResult) => {
+  await CrawlJob.updateOne(
+    { _id: data.crawlId },
+    {
+      $push: {
+        ocrResults: {
+          screenshotPath: data.imagePath,
+          ocrResultId: ocrResult.analysisId,
+          confidence: ocrResult.confidence,
+          timestamp: new Date()
+        }
+      }
+    }
+  );
+};
+
+/**
+ * Link the OCR result of a creative to the creative and its crawl job entries
+ * 
+ * @param {Object} data - Job data
+ * @param {Object} ocrResult - OCR result
+ * @returns {Promise<void>}
+ */
+const saveCreativeResult = async (data, ocrResult) => {
+  await creativeService.attachOcrResult(data.creativeId, ocrResult);
+  
+  // Every sighting in the crawl points to the same creative
+  await CrawlJob.updateOne(
+    { _id: data.crawlId },
+    {
+      $set: {
+        'adCreatives.$[entry].ocrResultId': ocrResult.analysisId,
+        'adCreatives.$[entry].confidence': ocrResult.confidence
+      }
+    },
+    { arrayFilters: [{ 'entry.creativeId': data.creativeId }] }
+  );
+};
+
+/**
+ * Find the OCR result an earlier attempt of a job saved
+ * 
+ * @param {string} analysisId - Analysis ID of the job
+ * @returns {Promise<Object|null>} - Stored result ({ analysisId, text, confidence }) or null
+ */
+const findSavedResult = async (analysisId) => {
+  return await OCRResult.findOne({ analysisId }, 'analysisId text confidence').lean();
+};
+
+/**
+ * Handle a queued OCR job
+ * 
+ * @param {Object} data - Job data ({ imagePath, crawlId, url, creativeId, network, clickUrl, preprocess,
+ *   htmlLang, keywordAlgorithm, corpusScope })
+ * @param {Object} queueJob - Job queue entry
+ * @returns {Promise<Object>} - Job result ({ analysisId, confidence, characters })
+ */
+const processOcrJob = async (data, queueJob) => {
+  const { imagePath, crawlId, url, creativeId } = data;
+  const analysisId = queueJob.id;
+  
+  // An earlier attempt may have saved its result before linking it failed
+  let ocrResult = await findSavedResult(analysisId);
+  
+  if (ocrResult) {
+    logger.debug(`Reusing OCR result ${analysisId} of an earlier attempt for ${imagePath}`);
+  } else {
+    logger.debug(`Processing ${creativeId ? `creative ${creativeId}` : 'screenshot'} with OCR: ${imagePath}`);
+    
+    ocrResult = await ocrService.processImage(imagePath, {
+      analysisId,
+      crawlId,
+      url,
+      creativeId: creativeId || undefined,
+      network: data.network,
+      clickUrl: data.clickUrl,
+      preprocess: data.preprocess,
+      htmlLang: data.htmlLang,
+      keywordAlgorithm: data.keywordAlgorithm,
+      corpusScope: data.corpusScope
+    });
+    
+    if (ocrResult.error) {
+      socketManager.broadcastLog('warn', `OCR processing had an error: ${ocrResult.error}`, { url });
+      throw new Error(ocrResult.error);
+    }
+  }
+  
+  if (creativeId) {
+    await saveCreativeResult(data, ocrResult);
+  } else {
+    await saveScreenshotResult(data, ocrResult);
+  }
+  
+  logger.info(`OCR completed for ${imagePath}: ${ocrResult.text.length} characters extracted`);
+  socketManager.broadcastLog('info', `OCR completed: ${ocrResult.text.length} characters extracted`, {
+    confidence: ocrResult.confidence || 0,
+    url
+  });
+  
+  return {
+    analysisId: ocrResult.analysisId,
+    confidence: ocrResult.confidence,
+    characters: ocrResult.text.length
+  };
+};
+
+/**
+ * Queue OCR of a crawled image
+ * 
+ * @param {Object} data - Job data
+ * @param {string} data.imagePath - Path to the screenshot or creative image
+ * @param {string} data.crawlId - Crawl job ID
+ * @param {string} data.url - Page the image was captured on
+ * @param {string} data.creativeId - Creative ID (for ad creatives)
+ * @param {string} data.network - Ad network of the creative
+ * @param {string} data.clickUrl - Click URL of the creative
+ * @param {*} data.preprocess - Preprocessing pipeline (see imagePreprocessor.js)
+ * @param {string} data.htmlLang - <html lang> of the page, used to choose the OCR language
+ * @param {string} data.keywordAlgorithm - Statistical keyword algorithm (see keywordService.js)
+ * @param {string} data.corpusScope - Corpus keyword scores are weighed against (see corpusIndex.js)
+ * @returns {Promise<Object>} - Queued job
+ */
+const queueOcr = async (data) => {
+  return await jobQueue.addJob(JOB_TYPE, data);
+};
+
+/**
+ * Register the OCR, keyword and corpus job handlers with the job queue
+ */
+const registerOcrJobs = () => {
+  jobQueue.registerHandler(JOB_TYPE, processOcrJob, {
+    concurrency: parseInt(process.env.OCR_WORKER_CONCURRENCY) || DEFAULT_CONCURRENCY
+  });
+  ocrPipeline.registerJobHandler();
+  corpusIndex.registerJobHandler({ pauseTypes: [ocrPipeline.JOB_TYPE] });
+};
+
+module.exports = {
+  JOB_TYPE,
+  queueOcr,
+  registerOcrJobs
+};
\ No newline at end of file
@@ -0,0 +1,232 @@
+/**
+ * OCR Pipeline Module
+ * 
+ * This module runs the processing stages that follow a successful OCR
+ * result:
+ * 1. Keyword extraction (keywordService.extractKeywords)
+ * 2. Category assignment (AI when GEMINI_API_KEY is set, word lists otherwise)
+ * 3. Linking the keywords to the ad creative the image belongs to
+ * 
+ * Results are processed as `keywords` jobs on the job queue, at most
+ * OCR_PIPELINE_CONCURRENCY at a time, so OCR callers (and the crawl) never
+ * wait for them. Progress is broadcast as `ocrProgress` socket events; a
+ * failing stage is logged and retried by the queue but never thrown to the
+ * caller.
+ * 
+ * Relationships with other modules:
+ * - Used by ocrService.js after an OCR result is saved
+ * - Used by ocrJobs.js to register the keyword job handler
+ * - Uses jobQueue.js to queue the work
+ * - Uses keywordService.js for extraction and categorization
+ * - Uses socketManager.js to report progress
+ */
+
+const logger = require('../utils/logger');
+const socketManager = require('../utils/socketManager');
+const jobQueue = require('../utils/jobQueue');
+const keywordService = require('./keywordService');
+const OCRResult = require('../models/OCRResult');
+const Keyword = require('../models/Keyword');
+const Creative = require('../models/Creative');
+
+// Job type of the keyword work
+const JOB_TYPE = 'keywords';
+
+// Default number of OCR results processed at the same time
+const DEFAULT_CONCURRENCY = 2;
+
+/**
+ * Get the number of results processed at the same time
+ * 
+ * @returns {number} - Concurrency
+ */
+const getConcurrency = () => parseInt(process.env.OCR_PIPELINE_CONCURRENCY) || DEFAULT_CONCURRENCY;
+
+/**
+ * Report the progress of a result
+ * 
+ * @param {Object} job - Pipeline job
+ * @param {string} stage - Stage name (queued, extracting, categorizing, completed, retrying, failed)
+ * @param {Object} data - Additional progress data
+ */
+const reportProgress = (job, stage, data = {}) => {
+  socketManager.broadcastOcrProgress({
+    analysisId: job.analysisId,
+    crawlId: job.crawlId || null,
+    url: job.url || null,
+    stage,
+    ...data
+  });
+};
+
+/**
+ * Assign a category to every keyword that doesn't have a valid one
+ * 
+ * @param {Object[]} keywords - Extracted keywords
+ * @returns {Promise<Object[]>} - Keywords with categories
+ */
+const assignCategories = async (keywords) => {
+  const categories = new Map();
+  const uncategorized = keywords
+    .filter(keyword => !keywordService.CATEGORIES.includes(keyword.category))
+    .map(keyword => keyword.word);
+  
+  if (uncategorized.length > 0 && process.env.GEMINI_API_KEY) {
+    try {
+      const categorized = await keywordService.categorizeKeywords(uncategorized);
+      for (const item of categorized) {
+        if (item.word && keywordService.CATEGORIES.includes(item.category)) {
+          categories.set(item.word.toLowerCase().trim(), item.category);
+        }
+      }
+    } catch (error) {
+      logger.warn(`AI categorization failed, using word lists: ${error.message}`);
+    }
+  }
+  
+  return keywords.map(keyword => ({
+    ...keyword,
+    category: keywordService.CATEGORIES.includes(keyword.category)
+      ? keyword.category
+      : categories.get(keyword.word) || keywordService.guessCategory(keyword.word)
+  }));
+};
+
+/**
+ * Store the categories on the OCR result, the global keywords and the creative
+ * 
+ * @param {Object} job - Pipeline job
+ * @param {Object[]} keywords - Categorized keywords
+ * @returns {Promise<void>}
+ */
+const saveCategories = async (job, keywords) => {
+  const ocrResult = await OCRResult.findOne({ analysisId: job.analysisId });
+  if (ocrResult) {
+    for (const keyword of ocrResult.keywords) {
+      const categorized = keywords.find(item => item.word === keyword.word);
+      if (categorized) keyword.category = categorized.category;
+    }
+    await ocrResult.save();
+  }
+  
+  // Categories set earlier (e.g. by the AI) are kept
+  await Promise.all(keywords.map(keyword => Keyword.updateOne(
+    { word: keyword.word, category: null },
+    { category: keyword.category }
+  )));
+  
+  if (job.creativeId) {
+    await Creative.updateOne(
+      { _id: job.creativeId },
+      {
+        $set: {
+          keywords: keywords.map(({ word, score, category, tokens }) => ({ word, score, category, tokens }))
+        }
+      }
+    );
+  }
+};
+
+/**
+ * Run all stages for one OCR result
+ * 
+ * @param {Object} job - Pipeline job
+ * @returns {Promise<Object[]>} - Categorized keywords
+ */
+const runStages = async (job) => {
+  reportProgress(job, 'extracting');
+  const keywords = await keywordService.extractKeywords(job.analysisId, job.text, {
+    useAI: job.useAI,
+    language: job.language,
+    algorithm: job.keywordAlgorithm,
+    corpusScope: job.corpusScope
+  });
+  
+  if (keywords.length === 0) {
+    reportProgress(job, 'completed', { keywordCount: 0 });
+    return [];
+  }
+  
+  reportProgress(job, 'categorizing', { keywordCount: keywords.length });
+  const categorized = await assignCategories(keywords);
+  await saveCategories(job, categorized);
+  
+  reportProgress(job, 'completed', {
+    keywordCount: categorized.length,
+    keywords: categorized.slice(0, 10).map(({ word, category }) => ({ word, category }))
+  });
+  
+  return categorized;
+};
+
+/**
+ * Handle a queued keyword job
+ * 
+ * Failed jobs are retried by the queue. Every stage can run again safely:
+ * extraction stores its keywords once (keywordsProcessedAt) and a later
+ * attempt reuses them, and the categories are overwritten, not added.
+ * 
+ * @param {Object} data - Pipeline job
+ * @param {Object} queueJob - Job queue entry (attempt counters)
+ * @returns {Promise<Object>} - Job result ({ keywordCount })
+ */
+const processKeywordJob = async (data, queueJob) => {
+  try {
+    const keywords = await runStages(data);
+    return { keywordCount: keywords.length };
+  } catch (error) {
+    const willRetry = queueJob.attempts < queueJob.maxAttempts;
+    logger.error(`Post-OCR processing failed for analysis ${data.analysisId}: ${error.message}`);
+    reportProgress(data, willRetry ? 'retrying' : 'failed', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Queue a successful OCR result for keyword extraction and categorization
+ * 
+ * Returns immediately; the stages run in the background.
+ * 
+ * @param {Object} ocrResult - OCR result ({ analysisId, text, language })
+ * @param {Object} options - OCR options of the result
+ * @param {string} options.crawlId - Crawl job ID
+ * @param {string} options.url - Page URL
+ * @param {string} options.creativeId - ID of the creative the image shows
+ * @param {boolean} options.useAI - Use AI for keyword extraction
+ * @param {string} options.keywordAlgorithm - Statistical keyword algorithm (see keywordService.js)
+ * @param {string} options.corpusScope - Corpus keyword scores are weighed against (see corpusIndex.js)
+ */
+const enqueue = (ocrResult, options = {}) => {
+  const job = {
+    analysisId: ocrResult.analysisId,
+    text: ocrResult.text,
+    language: ocrResult.language || null,
+    crawlId: options.crawlId || null,
+    url: options.url || null,
+    creativeId: options.creativeId || null,
+    useAI: options.useAI,
+    keywordAlgorithm: options.keywordAlgorithm,
+    corpusScope: options.corpusScope
+  };
+  
+  reportProgress(job, 'queued');
+  jobQueue.addJob(JOB_TYPE, job)
+    .catch(error => {
+      logger.error(`Could not queue keyword extraction for analysis ${job.analysisId}: ${error.message}`);
+      reportProgress(job, 'failed', { error: error.message });
+    });
+};
+
+/**
+ * Register the keyword job handler with the job queue
+ */
+const registerJobHandler = () => {
+  jobQueue.registerHandler(JOB_TYPE, processKeywordJob, { concurrency: getConcurrency() });
+};
+
+module.exports = {
+  JOB_TYPE,
+  enqueue,
+  assignCategories,
+  registerJobHandler
+};
\ No newline at end of file
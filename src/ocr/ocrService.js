@@ -6,8 +6,11 @@
  * and insights.
  * 
  * The service handles:
- * - Image preprocessing to optimize OCR accuracy
- * - Text extraction with confidence scoring
+ * - Configurable image preprocessing to optimize OCR accuracy
+ * - Choosing the OCR language from the page or the detected script
+ * - Text extraction with per-word confidence and bounding boxes (Tesseract TSV)
+ * - Band-wise OCR of very tall images such as full-page screenshots
+ * - Dropping low-confidence words before keyword extraction
  * - Storage of OCR results
  * - Error handling and retry mechanisms
  * 
@@ -15,6 +18,13 @@
  * - Used by crawlerService.js to process crawled screenshots
  * - Used by ocrController.js to handle OCR API requests
  * - Provides data to keywordService.js for further analysis
+ * - Hands saved results to ocrPipeline.js for keyword extraction
+ * - Uses tesseractTsv.js to read words and confidences from Tesseract
+ * - Uses imageTiler.js to split tall images into overlapping bands
+ * - Uses imagePreprocessor.js to prepare images before recognition
+ * - Uses languageDetector.js to choose the Tesseract language
+ * - Uses imageDownloader.js to fetch images from URLs
+ * - Uses config/settings.js for the minimum word confidence
  */
 
 const tesseract = require('node-tesseract-ocr');
@@ -23,37 +33,15 @@ const path = require('path');
 const util = require('util');
 const logger = require('../utils/logger');
 const OCRResult = require('../models/OCRResult');
+const settingsStore = require('../config/settings');
+const tesseractTsv = require('./tesseractTsv');
+const imageTiler = require('./imageTiler');
+const imagePreprocessor = require('./imagePreprocessor');
+const languageDetector = require('./languageDetector');
+const imageDownloader = require('./imageDownloader');
+const ocrPipeline = require('./ocrPipeline');
 const { getRedisClient } = require('../config/redis');
 
-// Try to import canvas, but fallback to a mock implementation if not available
-let createCanvas;
-let loadImage;
-let canvasAvailable = false;
-
-try {
-  const canvas = require('canvas');
-  createCanvas = canvas.createCanvas;
-  loadImage = canvas.loadImage;
-  canvasAvailable = true;
-  logger.info('Canvas module loaded successfully for image preprocessing');
-} catch (error) {
-  logger.warn('Canvas module not available - OCR preprocessing will be limited');
-  // Create mock implementations that will be used when canvas is not available
-  createCanvas = (width, height) => {
-    return {
-      width,
-      height,
-      getContext: () => ({
-        drawImage: () => {},
-        getImageData: () => ({ data: new Uint8ClampedArray(width * height * 4) }),
-        putImageData: () => {}
-      }),
-      toBuffer: () => Buffer.from([])
-    };
-  };
-  loadImage = async (src) => ({ width: 100, height: 100 });
-}
-
 /**
  * Process an image using OCR to extract text
  * 
@@ -64,32 +52,31 @@ try {
  */
 const processImage = async (imageSource, options = {}) => {
   const analysisId = options.analysisId || require('uuid').v4();
+  const startTime = Date.now();
+  
+  // Downloaded and decoded images are written to a temporary file
+  let isTemporary = false;
+  let imagePath;
   
   try {
     logger.info(`Starting OCR processing for analysis ${analysisId}`);
     
     // Determine if imageSource is a path or base64 data
-    let imagePath;
-    let isTemporary = false;
-    
     if (typeof imageSource === 'string' && (imageSource.startsWith('data:image') || imageSource.startsWith('http'))) {
       // Create a temporary file for the image data
       imagePath = path.join(process.cwd(), 'data', 'temp', `${analysisId}.png`);
       await fs.mkdir(path.dirname(imagePath), { recursive: true });
       
       // Download or convert base64 to file
+      isTemporary = true;
       if (imageSource.startsWith('http')) {
-        const response = await fetch(imageSource);
-        const buffer = await response.arrayBuffer();
-        await fs.writeFile(imagePath, Buffer.from(buffer));
+        await imageDownloader.downloadImage(imageSource, imagePath);
       } else {
         // Extract base64 data
         const base64Data = imageSource.replace(/^data:image\/\w+;base64,/, '');
         const buffer = Buffer.from(base64Data, 'base64');
         await fs.writeFile(imagePath, buffer);
       }
-      
-      isTemporary = true;
     } else if (typeof imageSource === 'string') {
       // Use the provided file path
       imagePath = imageSource;
@@ -100,53 +87,94 @@ const processImage = async (imageSource, options = {}) => {
     // Verify that the image file exists
     await fs.access(imagePath);
     
-    // Preprocess the image if enabled and canvas is available
-    if (options.preprocess !== false && canvasAvailable) {
-      await preprocessImage(imagePath, options);
-    } else if (options.preprocess !== false && !canvasAvailable) {
-      logger.info('Skipping image preprocessing because canvas module is not available');
-    }
+    // Preprocess into a derived image; the original is left untouched
+    const preprocessed = await imagePreprocessor.preprocessImage(imagePath, options.preprocess, options);
+    const ocrPath = preprocessed.path;
+    
+    // Language from the request, the page or the script in the image
+    const detection = await languageDetector.resolveLanguage(ocrPath, options);
+    logger.debug(`OCR language for analysis ${analysisId}: ${detection.lang} (${detection.source})`);
     
     // Configure Tesseract options
     const tesseractConfig = {
-      lang: options.lang || process.env.OCR_LANG || 'eng',
+      lang: detection.lang,
       oem: 1, // Neural net LSTM engine only
       psm: 3, // Auto page segmentation with OSD
-      ...options.tesseract
+      ...options.tesseract,
+      // Word-level output with confidences and bounding boxes
+      presets: ['tsv']
     };
     
     // Perform OCR
     logger.debug(`Running Tesseract OCR on ${path.basename(imagePath)}`);
-    const text = await tesseract.recognize(imagePath, tesseractConfig);
+    const recognizeWords = async (inputPath) => {
+      return tesseractTsv.parseTsv(await tesseract.recognize(inputPath, tesseractConfig));
+    };
+    
+    // Tall images are read in overlapping bands
+    let words;
+    try {
+      words = await imageTiler.needsTiling(ocrPath, options)
+        ? await imageTiler.recognizeTiled(ocrPath, recognizeWords, options)
+        : await recognizeWords(ocrPath);
+    } finally {
+      if (ocrPath !== imagePath) {
+        await fs.unlink(ocrPath).catch(err => {
+          logger.warn(`Failed to delete preprocessed image file: ${err.message}`);
+        });
+      }
+    }
+    
+    // Word boxes refer to the original image
+    words = imagePreprocessor.mapWordsToOriginal(words, preprocessed.transform);
+    
+    const text = tesseractTsv.buildText(words);
+    const confidence = tesseractTsv.calculateConfidence(words);
     
-    // Extract confidence from Tesseract output (approximation)
-    const confidence = calculateConfidence(text);
+    // Misread fragments would end up as keywords, so only reliable words are analyzed
+    const minWordConfidence = options.minWordConfidence ?? settingsStore.getSettings().ocr.minConfidence;
+    const keywordText = tesseractTsv.buildText(tesseractTsv.filterWords(words, minWordConfidence));
     
     // Create OCR result record
+    // Temporary files are deleted below, so only lasting sources are recorded
     const result = new OCRResult({
       analysisId,
-      imagePath,
+      imagePath: isTemporary ? null : imagePath,
       text,
       confidence,
-      options,
-      crawlId: options.crawlId || null
+      words,
+      minWordConfidence,
+      language: detection.language,
+      languageDetection: detection,
+      options: {
+        ...options,
+        preprocessing: {
+          preset: preprocessed.preset,
+          steps: preprocessed.steps,
+          ...(preprocessed.skipped && { skipped: preprocessed.skipped }),
+          ...(preprocessed.error && { error: preprocessed.error })
+        }
+      },
+      crawlId: options.crawlId || null,
+      processingTime: Date.now() - startTime
     });
     
     await result.save();
     
-    // Clean up temporary file if needed
-    if (isTemporary) {
-      await fs.unlink(imagePath).catch(err => {
-        logger.warn(`Failed to delete temporary image file: ${err.message}`);
-      });
+    // Extract and categorize keywords in the background
+    if (keywordText.trim() && options.extractKeywords !== false) {
+      ocrPipeline.enqueue({ analysisId, text: keywordText, language: detection.language }, options);
     }
     
-    logger.info(`OCR processing completed for analysis ${analysisId} with confidence ${confidence}%`);
+    logger.info(`OCR processing completed for analysis ${analysisId}: ${words.length} words with confidence ${confidence}%`);
     
     return {
       analysisId,
       text,
       confidence,
+      language: detection.language,
+      wordCount: words.length,
+      processingTime: result.processingTime,
       processed: true
     };
   } catch (error) {
@@ -160,121 +188,17 @@ const processImage = async (imageSource, options = {}) => {
       processed: false,
       error: error.message
     };
-  }
-};
-
-/**
- * Preprocess an image to improve OCR accuracy
- * Only runs if canvas is available
- * 
- * @param {string} imagePath - Path to the image file
- * @param {Object} options - Preprocessing options
- * @returns {Promise<void>}
- */
-const preprocessImage = async (imagePath, options = {}) => {
-  if (!canvasAvailable) {
-    logger.warn('Skipping image preprocessing because canvas module is not available');
-    return;
-  }
-  
-  try {
-    logger.debug(`Preprocessing image: ${path.basename(imagePath)}`);
-    
-    const image = await loadImage(imagePath);
-    const canvas = createCanvas(image.width, image.height);
-    const ctx = canvas.getContext('2d');
-    
-    // Draw original image
-    ctx.drawImage(image, 0, 0);
-    
-    // Apply grayscale
-    if (options.grayscale !== false) {
-      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-      const data = imageData.data;
-      
-      for (let i = 0; i < data.length; i += 4) {
-        const avg = (data[i] + data[i + 1] + data[i + 2]) / 3;
-        data[i] = avg; // r
-        data[i + 1] = avg; // g
-        data[i + 2] = avg; // b
-      }
-      
-      ctx.putImageData(imageData, 0, 0);
-    }
-    
-    // Apply contrast adjustment if specified
-    if (options.contrast) {
-      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-      const data = imageData.data;
-      const factor = (259 * (options.contrast + 255)) / (255 * (259 - options.contrast));
-      
-      for (let i = 0; i < data.length; i += 4) {
-        data[i] = truncateColor(factor * (data[i] - 128) + 128);
-        data[i + 1] = truncateColor(factor * (data[i + 1] - 128) + 128);
-        data[i + 2] = truncateColor(factor * (data[i + 2] - 128) + 128);
-      }
-      
-      ctx.putImageData(imageData, 0, 0);
+  } finally {
+    // Clean up temporary file if needed
+    if (isTemporary) {
+      await fs.unlink(imagePath).catch(err => {
+        // A failed download leaves no file behind
+        if (err.code !== 'ENOENT') logger.warn(`Failed to delete temporary image file: ${err.message}`);
+      });
     }
-    
-    // Save the preprocessed image
-    const outputBuffer = canvas.toBuffer('image/png');
-    await fs.writeFile(imagePath, outputBuffer);
-    
-    logger.debug(`Image preprocessing completed for ${path.basename(imagePath)}`);
-  } catch (error) {
-    logger.warn(`Image preprocessing error: ${error.message}`);
-    // Continue with original image if preprocessing fails
   }
 };
 
-/**
- * Helper function to ensure color values stay within 0-255 range
- * 
- * @param {number} value - Color value
- * @returns {number} - Truncated color value
- */
-const truncateColor = (value) => {
-  if (value < 0) return 0;
-  if (value > 255) return 255;
-  return Math.round(value);
-};
-
-/**
- * Calculate OCR confidence based on text output
- * 
- * @param {string} text - OCR extracted text
- * @returns {number} - Confidence percentage (0-100)
- */
-const calculateConfidence = (text) => {
-  if (!text || text.trim().length === 0) {
-    return 0;
-  }
-  
-  // Simple heuristic: longer text with more words generally means higher confidence
-  const words = text.split(/\s+/).filter(word => word.length > 0);
-  const wordCount = words.length;
-  
-  // Calculate word length average (longer words tend to be more reliable)
-  const avgWordLength = words.reduce((sum, word) => sum + word.length, 0) / Math.max(1, wordCount);
-  
-  // Count common OCR errors (?, #, ~, |, etc.)
-  const errorChars = text.match(/[?#~|{}\[\]]/g) || [];
-  const errorRatio = errorChars.length / text.length;
-  
-  // Calculate base confidence from word count (logarithmic scale)
-  let confidence = Math.min(100, 40 + 30 * Math.log10(Math.max(1, wordCount)));
-  
-  // Adjust based on average word length
-  confidence += Math.min(20, avgWordLength * 2);
-  
-  // Penalize for error characters
-  confidence -= errorRatio * 50;
-  
-  // Ensure confidence is within 0-100 range
-  return Math.max(0, Math.min(100, Math.round(confidence)));
-};
-
 /**
  * Get OCR results for a specific analysis ID
  * 
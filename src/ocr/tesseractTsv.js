@@ -0,0 +1,134 @@
+/**
+ * Tesseract TSV Module
+ * 
+ * This module reads the TSV output of Tesseract (`tesseract <image> stdout tsv`).
+ * Every row describes a page, block, paragraph, line or word; word rows
+ * (level 5) carry the recognized text, a confidence of 0-100 and the
+ * bounding box in image pixels.
+ * 
+ * The words are used to rebuild the page text with its line and block
+ * structure, to calculate the page confidence from the real per-word
+ * confidences, and to drop unreliable words before keyword extraction.
+ * 
+ * Relationships with other modules:
+ * - Used by ocrService.js to parse OCR output
+ */
+
+// TSV level of word rows
+const WORD_LEVEL = 5;
+
+/**
+ * Parse Tesseract TSV output into words
+ * 
+ * @param {string} tsv - TSV output including the header row
+ * @returns {Object[]} - Words ({ text, confidence, bbox, block, paragraph, line })
+ */
+const parseTsv = (tsv) => {
+  const rows = (tsv || '').split(/\r?\n/);
+  const header = rows.shift();
+  
+  if (!header || !header.startsWith('level')) {
+    throw new Error('Unexpected Tesseract output: TSV header missing');
+  }
+  
+  const words = [];
+  for (const row of rows) {
+    const columns = row.split('\t');
+    if (columns.length < 12 || parseInt(columns[0]) !== WORD_LEVEL) continue;
+    
+    // The text column may itself contain tabs
+    const text = columns.slice(11).join('\t').trim();
+    const confidence = parseFloat(columns[10]);
+    if (!text || !(confidence >= 0)) continue;
+    
+    words.push({
+      text,
+      confidence: Math.round(confidence * 100) / 100,
+      bbox: {
+        x: parseInt(columns[6]),
+        y: parseInt(columns[7]),
+        width: parseInt(columns[8]),
+        height: parseInt(columns[9])
+      },
+      block: parseInt(columns[2]),
+      paragraph: parseInt(columns[3]),
+      line: parseInt(columns[4])
+    });
+  }
+  
+  return words;
+};
+
+/**
+ * Rebuild text from words, one line per OCR line and a blank line between blocks
+ * 
+ * @param {Object[]} words - Words in reading order
+ * @returns {string} - Text
+ */
+const buildText = (words) => {
+  const blocks = [];
+  let lastBlock = null;
+  let lastLine = null;
+  
+  for (const word of words) {
+    const blockKey = `${word.block}`;
+    const lineKey = `${word.block}.${word.paragraph}.${word.line}`;
+    
+    if (blockKey !== lastBlock) {
+      blocks.push([]);
+      lastBlock = blockKey;
+      lastLine = null;
+    }
+    
+    const lines = blocks[blocks.length - 1];
+    if (lineKey !== lastLine) {
+      lines.push([]);
+      lastLine = lineKey;
+    }
+    
+    lines[lines.length - 1].push(word.text);
+  }
+  
+  return blocks
+    .map(lines => lines.map(line => line.join(' ')).join('\n'))
+    .join('\n\n');
+};
+
+/**
+ * Calculate the page confidence from word confidences
+ * 
+ * Words are weighted by their length, so a misread one-letter fragment
+ * counts less than a long word.
+ * 
+ * @param {Object[]} words - Words
+ * @returns {number} - Confidence percentage (0-100)
+ */
+const calculateConfidence = (words) => {
+  let weighted = 0;
+  let characters = 0;
+  
+  for (const word of words) {
+    weighted += word.confidence * word.text.length;
+    characters += word.text.length;
+  }
+  
+  return characters > 0 ? Math.round(weighted / characters) : 0;
+};
+
+/**
+ * Keep only the words recognized with at least a minimum confidence
+ * 
+ * @param {Object[]} words - Words
+ * @param {number} minConfidence - Minimum word confidence (0-100)
+ * @returns {Object[]} - Reliable words
+ */
+const filterWords = (words, minConfidence) => {
+  return words.filter(word => word.confidence >= minConfidence);
+};
+
+module.exports = {
+  parseTsv,
+  buildText,
+  calculateConfidence,
+  filterWords
+};
\ No newline at end of file
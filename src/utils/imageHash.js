@@ -0,0 +1,107 @@
+/**
+ * Image Hash Module
+ * 
+ * Computes perceptual hashes of images so that the same creative is
+ * recognized again after re-encoding, slight scaling or compression noise.
+ * 
+ * The hash is a 64-bit difference hash (dHash): the image is reduced to 9x8
+ * grayscale pixels and every bit records whether a pixel is brighter than its
+ * right neighbour. Similar images produce hashes that differ in few bits.
+ * 
+ * When the canvas module is not available, an MD5 hash of the file is used
+ * instead, which only matches byte-identical images. Flat images (blank or
+ * single-colour captures) also get an MD5 hash: their gradients are noise,
+ * so their dHashes would all match each other.
+ * 
+ * Relationships with other modules:
+ * - Used by creativeService.js to deduplicate ad creatives
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const logger = require('./logger');
+
+// Try to import canvas, but fall back to exact file hashes if not available
+let createCanvas;
+let loadImage;
+let canvasAvailable = false;
+
+try {
+  const canvas = require('canvas');
+  createCanvas = canvas.createCanvas;
+  loadImage = canvas.loadImage;
+  canvasAvailable = true;
+} catch (error) {
+  logger.warn('Canvas module not available - creatives are deduplicated by exact file hash');
+}
+
+// Size of the reduced image (one extra column for the horizontal gradient)
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Smallest luma range (0-255) of the reduced image for a meaningful dHash
+const MIN_LUMA_RANGE = 16;
+
+/**
+ * Compute the difference hash of an image
+ * 
+ * @param {string} imagePath - Path to the image file
+ * @returns {Promise<string|null>} - Hash as 16 hex characters, or null for flat images
+ */
+const computeDHash = async (imagePath) => {
+  const image = await loadImage(imagePath);
+  const canvas = createCanvas(HASH_WIDTH, HASH_HEIGHT);
+  const ctx = canvas.getContext('2d');
+  
+  ctx.drawImage(image, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+  const { data } = ctx.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT);
+  
+  // Luma of each reduced pixel
+  const gray = [];
+  for (let i = 0; i < data.length; i += 4) {
+    gray.push(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+  }
+  
+  if (Math.max(...gray) - Math.min(...gray) < MIN_LUMA_RANGE) {
+    return null;
+  }
+  
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = gray[y * HASH_WIDTH + x];
+      const right = gray[y * HASH_WIDTH + x + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  
+  return hash.toString(16).padStart(16, '0');
+};
+
+/**
+ * Compute the hash of an image
+ * 
+ * @param {string} imagePath - Path to the image file
+ * @returns {Promise<Object>} - Hash ({ hash, hashType }) where hashType is 'dhash' or 'md5'
+ */
+const computeImageHash = async (imagePath) => {
+  if (canvasAvailable) {
+    try {
+      const hash = await computeDHash(imagePath);
+      if (hash) return { hash, hashType: 'dhash' };
+      logger.debug(`Image ${imagePath} is too flat for a perceptual hash`);
+    } catch (error) {
+      logger.warn(`Could not compute perceptual hash of ${imagePath}: ${error.message}`);
+    }
+  }
+  
+  const buffer = await fs.readFile(imagePath);
+  return {
+    hash: crypto.createHash('md5').update(buffer).digest('hex').slice(0, 16),
+    hashType: 'md5'
+  };
+};
+
+module.exports = {
+  computeImageHash
+};
\ No newline at end of file
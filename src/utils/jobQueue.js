@@ -0,0 +1,608 @@
+/**
+ * Job Queue Module
+ * 
+ * This module implements a small Redis-backed job queue for work that should
+ * not block the caller, such as OCR of screenshots and keyword extraction.
+ * Jobs survive process restarts and can be queried through the API.
+ * 
+ * Each job type uses the following Redis keys:
+ * - jobs:<type>:waiting   - List of job IDs waiting for a worker (oldest on the right)
+ * - jobs:<type>:active    - List of job IDs being processed
+ * - jobs:<type>:delayed   - Sorted set of failed job IDs waiting for a retry (score = due time)
+ * - jobs:<type>:completed - Sorted set of finished job IDs (score = finish time)
+ * - jobs:<type>:dead      - List of job IDs that failed on every attempt (dead letters)
+ * - jobs:<type>:paused    - Set while no new jobs of the type may start (expires on its own)
+ * - job:<id>              - Hash with the job's type, status, data, attempts and result
+ * 
+ * Handlers are registered per job type with a concurrency limit. Workers poll
+ * the waiting lists, and a failed job is retried with exponential backoff
+ * until it runs out of attempts; it is then moved to the dead letter list,
+ * where it stays until it is retried through the API. Jobs that were active
+ * when the process died are put back at the front of their queue on start.
+ * 
+ * Relationships with other modules:
+ * - Used by ocrJobs.js and ocrPipeline.js to queue OCR and keyword work
+ * - Used by jobController.js to query and retry jobs
+ * - Uses the shared Redis client from config/redis.js
+ * - Uses retryPolicy.js for the backoff between attempts
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getRedisClient } = require('../config/redis');
+const { getRetryDelay } = require('../crawler/retryPolicy');
+const logger = require('./logger');
+
+// Job states, in the order a job passes through them
+const JOB_STATUSES = ['waiting', 'active', 'delayed', 'completed', 'dead'];
+
+// Default number of attempts before a job becomes a dead letter
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Default interval between polls for new jobs
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+
+// Default time finished jobs can still be queried
+const DEFAULT_RETENTION_SECONDS = 24 * 60 * 60;
+
+// Number of finished jobs kept in the completed history of each type
+const COMPLETED_HISTORY_LIMIT = 1000;
+
+// Registered handlers by job type ({ handler, concurrency, maxAttempts, running })
+const workers = new Map();
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Build the Redis keys used by a job type
+ * 
+ * @param {string} type - Job type
+ * @returns {Object} - Redis key names
+ */
+const getKeys = (type) => ({
+  waiting: `jobs:${type}:waiting`,
+  active: `jobs:${type}:active`,
+  delayed: `jobs:${type}:delayed`,
+  completed: `jobs:${type}:completed`,
+  dead: `jobs:${type}:dead`,
+  paused: `jobs:${type}:paused`
+});
+
+/**
+ * Build the Redis key of a job
+ * 
+ * @param {string} jobId - Job ID
+ * @returns {string} - Redis key
+ */
+const getJobKey = (jobId) => `job:${jobId}`;
+
+/**
+ * Get the retry backoff settings
+ * 
+ * @returns {Object} - Policy ({ baseDelay, maxDelay })
+ */
+const getBackoff = () => ({
+  baseDelay: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 5000,
+  maxDelay: parseInt(process.env.JOB_RETRY_MAX_DELAY_MS) || 300000
+});
+
+/**
+ * Convert a stored job hash to a job object
+ * 
+ * @param {string} jobId - Job ID
+ * @param {Object} raw - Hash fields
+ * @returns {Object|null} - Job or null if the hash is empty
+ */
+const parseJob = (jobId, raw) => {
+  if (!raw || Object.keys(raw).length === 0) return null;
+  
+  const toDate = (value) => value ? new Date(parseInt(value)) : null;
+  
+  return {
+    id: jobId,
+    type: raw.type,
+    status: raw.status,
+    data: JSON.parse(raw.data || '{}'),
+    attempts: parseInt(raw.attempts) || 0,
+    maxAttempts: parseInt(raw.maxAttempts) || DEFAULT_MAX_ATTEMPTS,
+    result: raw.result ? JSON.parse(raw.result) : null,
+    error: raw.error || null,
+    createdAt: toDate(raw.createdAt),
+    startedAt: toDate(raw.startedAt),
+    finishedAt: toDate(raw.finishedAt),
+    nextAttemptAt: toDate(raw.nextAttemptAt)
+  };
+};
+
+/**
+ * Register the handler of a job type
+ * 
+ * @param {string} type - Job type
+ * @param {Function} handler - Async function called with (data, job); its return value is stored as the result
+ * @param {Object} options - Worker options
+ * @param {number} options.concurrency - Jobs of this type processed at the same time (default 1)
+ * @param {number} options.maxAttempts - Attempts before a job becomes a dead letter
+ */
+const registerHandler = (type, handler, options = {}) => {
+  workers.set(type, {
+    handler,
+    concurrency: Math.max(1, options.concurrency || 1),
+    maxAttempts: options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+    running: 0
+  });
+};
+
+/**
+ * Add a job to the queue
+ * 
+ * @param {string} type - Job type
+ * @param {Object} data - Job data (must be JSON serializable)
+ * @param {Object} options - Job options
+ * @param {number} options.maxAttempts - Attempts before the job becomes a dead letter
+ * @returns {Promise<Object>} - Queued job
+ */
+const addJob = async (type, data, options = {}) => {
+  try {
+    const redis = getRedisClient();
+    const jobId = uuidv4();
+    const worker = workers.get(type);
+    
+    await redis.hSet(getJobKey(jobId), {
+      type,
+      status: 'waiting',
+      data: JSON.stringify(data),
+      attempts: 0,
+      maxAttempts: options.maxAttempts || (worker ? worker.maxAttempts : DEFAULT_MAX_ATTEMPTS),
+      createdAt: Date.now()
+    });
+    await redis.lPush(getKeys(type).waiting, jobId);
+    
+    logger.debug(`Queued ${type} job ${jobId}`);
+    
+    // Start the job right away if a local worker is idle
+    if (pollTimer) setImmediate(poll);
+    
+    return await getJob(jobId);
+  } catch (error) {
+    logger.error(`Error queueing ${type} job: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get a job by ID
+ * 
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} - Job or null if not found
+ */
+const getJob = async (jobId) => {
+  return parseJob(jobId, await getRedisClient().hGetAll(getJobKey(jobId)));
+};
+
+/**
+ * Move delayed jobs that are due back to the front of the waiting list
+ * 
+ * @param {Object} redis - Redis client
+ * @param {string} type - Job type
+ * @returns {Promise<number>} - Number of jobs moved
+ */
+const promoteDueJobs = async (redis, type) => {
+  const keys = getKeys(type);
+  const due = await redis.zRangeByScore(keys.delayed, 0, Date.now());
+  
+  let moved = 0;
+  for (const jobId of due) {
+    // Only the caller that removes a job moves it, so concurrent workers don't duplicate it
+    if (await redis.zRem(keys.delayed, jobId)) {
+      await redis.hSet(getJobKey(jobId), 'status', 'waiting');
+      await redis.rPush(keys.waiting, jobId);
+      moved++;
+    }
+  }
+  
+  return moved;
+};
+
+/**
+ * Take the next waiting job of a type and mark it as active
+ * 
+ * @param {Object} redis - Redis client
+ * @param {string} type - Job type
+ * @returns {Promise<Object|null>} - Claimed job or null if none is waiting
+ */
+const claimJob = async (redis, type) => {
+  const keys = getKeys(type);
+  
+  while (true) {
+    const jobId = await redis.lMove(keys.waiting, keys.active, 'RIGHT', 'LEFT');
+    if (!jobId) return null;
+    
+    const jobKey = getJobKey(jobId);
+    if (!(await redis.exists(jobKey))) {
+      // Expired or deleted while waiting
+      await redis.lRem(keys.active, 1, jobId);
+      continue;
+    }
+    
+    await redis.hIncrBy(jobKey, 'attempts', 1);
+    await redis.hSet(jobKey, { status: 'active', startedAt: Date.now() });
+    return await getJob(jobId);
+  }
+};
+
+/**
+ * Store the result of a finished job
+ * 
+ * @param {Object} redis - Redis client
+ * @param {Object} job - Job
+ * @param {*} result - Handler return value
+ * @returns {Promise<void>}
+ */
+const completeJob = async (redis, job, result) => {
+  const keys = getKeys(job.type);
+  const jobKey = getJobKey(job.id);
+  const finishedAt = Date.now();
+  
+  await redis.hSet(jobKey, {
+    status: 'completed',
+    result: JSON.stringify(result === undefined ? null : result),
+    finishedAt
+  });
+  await redis.hDel(jobKey, ['error', 'nextAttemptAt']);
+  await redis.expire(jobKey, parseInt(process.env.JOB_RETENTION_SECONDS) || DEFAULT_RETENTION_SECONDS);
+  await redis.lRem(keys.active, 1, job.id);
+  await redis.zAdd(keys.completed, { score: finishedAt, value: job.id });
+  await redis.zRemRangeByRank(keys.completed, 0, -(COMPLETED_HISTORY_LIMIT + 1));
+};
+
+/**
+ * Schedule a retry of a failed job or move it to the dead letter list
+ * 
+ * @param {Object} redis - Redis client
+ * @param {Object} job - Job
+ * @param {Error} error - Error thrown by the handler
+ * @returns {Promise<boolean>} - True if the job will be retried
+ */
+const failJob = async (redis, job, error) => {
+  const keys = getKeys(job.type);
+  const jobKey = getJobKey(job.id);
+  const willRetry = job.attempts < job.maxAttempts;
+  
+  await redis.lRem(keys.active, 1, job.id);
+  
+  if (willRetry) {
+    const nextAttemptAt = Date.now() + getRetryDelay(job.attempts, getBackoff());
+    await redis.hSet(jobKey, { status: 'delayed', error: error.message, nextAttemptAt });
+    await redis.zAdd(keys.delayed, { score: nextAttemptAt, value: job.id });
+  } else {
+    await redis.hSet(jobKey, { status: 'dead', error: error.message, finishedAt: Date.now() });
+    await redis.hDel(jobKey, 'nextAttemptAt');
+    await redis.lPush(keys.dead, job.id);
+  }
+  
+  return willRetry;
+};
+
+/**
+ * Run a claimed job with its handler
+ * 
+ * @param {Object} worker - Registered worker
+ * @param {Object} job - Claimed job
+ * @returns {Promise<void>}
+ */
+const runJob = async (worker, job) => {
+  worker.running++;
+  
+  try {
+    const result = await worker.handler(job.data, job);
+    await completeJob(getRedisClient(), job, result);
+    logger.debug(`${job.type} job ${job.id} completed`);
+  } catch (error) {
+    try {
+      const willRetry = await failJob(getRedisClient(), job, error);
+      if (willRetry) {
+        logger.warn(`${job.type} job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying: ${error.message}`);
+      } else {
+        logger.error(`${job.type} job ${job.id} failed after ${job.attempts} attempt(s), moved to dead letters: ${error.message}`);
+      }
+    } catch (queueError) {
+      logger.error(`Error recording failure of ${job.type} job ${job.id}: ${queueError.message}`);
+    }
+  } finally {
+    worker.running--;
+    setImmediate(poll);
+  }
+};
+
+/**
+ * Start waiting jobs while workers are below their concurrency limits
+ * 
+ * @returns {Promise<void>}
+ */
+const poll = async () => {
+  if (polling || !pollTimer) return;
+  polling = true;
+  
+  try {
+    const redis = getRedisClient();
+    
+    for (const [type, worker] of workers) {
+      await promoteDueJobs(redis, type);
+      
+      // Paused types keep their waiting jobs until they are resumed
+      if (await redis.exists(getKeys(type).paused)) continue;
+      
+      while (worker.running < worker.concurrency) {
+        const job = await claimJob(redis, type);
+        if (!job) break;
+        runJob(worker, job);
+      }
+    }
+  } catch (error) {
+    logger.error(`Error polling job queue: ${error.message}`);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Put jobs that were active during a restart back at the front of their queue
+ * 
+ * @returns {Promise<number>} - Number of jobs restored
+ */
+const restoreActiveJobs = async () => {
+  const redis = getRedisClient();
+  let restored = 0;
+  
+  for (const type of workers.keys()) {
+    const keys = getKeys(type);
+    
+    let jobId;
+    while ((jobId = await redis.lMove(keys.active, keys.waiting, 'RIGHT', 'RIGHT'))) {
+      await redis.hSet(getJobKey(jobId), 'status', 'waiting');
+      restored++;
+    }
+  }
+  
+  return restored;
+};
+
+/**
+ * Start processing jobs of all registered types
+ * 
+ * @returns {Promise<void>}
+ */
+const startWorkers = async () => {
+  try {
+    if (pollTimer) return;
+    
+    const restored = await restoreActiveJobs();
+    if (restored > 0) {
+      logger.info(`Restored ${restored} interrupted job(s)`);
+    }
+    
+    pollTimer = setInterval(poll, parseInt(process.env.JOB_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS);
+    poll();
+    
+    logger.info(`Job workers started for: ${[...workers.keys()].join(', ') || 'no job types'}`);
+  } catch (error) {
+    logger.error(`Error starting job workers: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Stop taking new jobs (jobs already running finish normally)
+ */
+const stopWorkers = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+    logger.info('Job workers stopped');
+  }
+};
+
+/**
+ * Stop starting jobs of a type in every process
+ * 
+ * Jobs already running finish normally; see waitForIdle.
+ * 
+ * @param {string} type - Job type
+ * @param {number} ttlSeconds - Time after which the pause ends on its own (e.g. if the caller dies)
+ * @returns {Promise<void>}
+ */
+const pauseType = async (type, ttlSeconds) => {
+  await getRedisClient().set(getKeys(type).paused, Date.now(), { EX: ttlSeconds });
+  logger.info(`Paused ${type} jobs`);
+};
+
+/**
+ * Start jobs of a paused type again
+ * 
+ * @param {string} type - Job type
+ * @returns {Promise<void>}
+ */
+const resumeType = async (type) => {
+  await getRedisClient().del(getKeys(type).paused);
+  logger.info(`Resumed ${type} jobs`);
+  if (pollTimer) setImmediate(poll);
+};
+
+/**
+ * Wait until no job of a type is active
+ * 
+ * @param {string} type - Job type
+ * @param {number} timeoutMs - Longest wait in milliseconds
+ * @returns {Promise<void>}
+ */
+const waitForIdle = async (type, timeoutMs) => {
+  const redis = getRedisClient();
+  const deadline = Date.now() + timeoutMs;
+  
+  while ((await redis.lLen(getKeys(type).active)) > 0) {
+    if (Date.now() >= deadline) {
+      throw new Error(`${type} jobs still active after ${timeoutMs} ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+};
+
+/**
+ * Get the job types to query (all registered types if none is given)
+ * 
+ * @param {string} type - Job type
+ * @returns {string[]} - Job types
+ */
+const getTypes = (type) => type ? [type] : [...workers.keys()];
+
+/**
+ * Count the jobs of a type in a state
+ * 
+ * @param {Object} redis - Redis client
+ * @param {string} type - Job type
+ * @param {string} status - Job status
+ * @returns {Promise<number>} - Number of jobs
+ */
+const countByStatus = (redis, type, status) => {
+  const key = getKeys(type)[status];
+  return ['delayed', 'completed'].includes(status) ? redis.zCard(key) : redis.lLen(key);
+};
+
+/**
+ * Get the IDs of jobs of a type in a state, next or newest first
+ * 
+ * @param {Object} redis - Redis client
+ * @param {string} type - Job type
+ * @param {string} status - Job status
+ * @param {number} start - Index of the first ID
+ * @param {number} stop - Index of the last ID
+ * @returns {Promise<string[]>} - Job IDs
+ */
+const getIdsByStatus = async (redis, type, status, start, stop) => {
+  const key = getKeys(type)[status];
+  
+  switch (status) {
+    case 'delayed':
+      return redis.zRange(key, start, stop);
+    case 'completed':
+      return redis.zRange(key, start, stop, { REV: true });
+    case 'waiting': {
+      // The next job is at the right end of the list
+      const length = await redis.lLen(key);
+      if (start >= length) return [];
+      const ids = await redis.lRange(key, Math.max(0, length - 1 - stop), length - 1 - start);
+      return ids.reverse();
+    }
+    default:
+      return redis.lRange(key, start, stop);
+  }
+};
+
+/**
+ * List jobs in a state
+ * 
+ * @param {Object} options - List options
+ * @param {string} options.status - Job status
+ * @param {string} options.type - Job type (all registered types if not set)
+ * @param {number} options.skip - Number of jobs to skip
+ * @param {number} options.limit - Maximum number of jobs
+ * @returns {Promise<Object>} - Jobs and total count ({ jobs, total })
+ */
+const listJobs = async ({ status, type, skip = 0, limit = 20 }) => {
+  try {
+    const redis = getRedisClient();
+    const types = getTypes(type);
+    const counts = await Promise.all(types.map(jobType => countByStatus(redis, jobType, status)));
+    
+    // Page through the types one after another
+    const ids = [];
+    let offset = skip;
+    for (let i = 0; i < types.length && ids.length < limit; i++) {
+      if (offset >= counts[i]) {
+        offset -= counts[i];
+        continue;
+      }
+      const remaining = limit - ids.length;
+      ids.push(...await getIdsByStatus(redis, types[i], status, offset, offset + remaining - 1));
+      offset = 0;
+    }
+    
+    const jobs = await Promise.all(ids.map(getJob));
+    
+    return {
+      jobs: jobs.filter(Boolean),
+      total: counts.reduce((sum, count) => sum + count, 0)
+    };
+  } catch (error) {
+    logger.error(`Error listing ${status} jobs: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Get queue statistics for each job type
+ * 
+ * @returns {Promise<Object>} - Counts by status and running jobs keyed by job type
+ */
+const getQueueStats = async () => {
+  const redis = getRedisClient();
+  const stats = {};
+  
+  for (const [type, worker] of workers) {
+    const counts = await Promise.all(JOB_STATUSES.map(status => countByStatus(redis, type, status)));
+    
+    stats[type] = {
+      ...Object.fromEntries(JOB_STATUSES.map((status, index) => [status, counts[index]])),
+      running: worker.running,
+      concurrency: worker.concurrency
+    };
+  }
+  
+  return stats;
+};
+
+/**
+ * Queue a dead letter job again with a fresh set of attempts
+ * 
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} - Queued job, or null if the job is not a dead letter
+ */
+const retryJob = async (jobId) => {
+  try {
+    const redis = getRedisClient();
+    const job = await getJob(jobId);
+    
+    if (!job || job.status !== 'dead') return null;
+    
+    const keys = getKeys(job.type);
+    if (!(await redis.lRem(keys.dead, 1, jobId))) return null;
+    
+    await redis.hSet(getJobKey(jobId), { status: 'waiting', attempts: 0 });
+    await redis.hDel(getJobKey(jobId), ['finishedAt', 'nextAttemptAt']);
+    await redis.lPush(keys.waiting, jobId);
+    
+    logger.info(`Retrying dead ${job.type} job ${jobId}`);
+    
+    if (pollTimer) setImmediate(poll);
+    
+    return await getJob(jobId);
+  } catch (error) {
+    logger.error(`Error retrying job ${jobId}: ${error.message}`);
+    throw error;
+  }
+};
+
+module.exports = {
+  JOB_STATUSES,
+  registerHandler,
+  addJob,
+  getJob,
+  listJobs,
+  getQueueStats,
+  retryJob,
+  pauseType,
+  resumeType,
+  waitForIdle,
+  startWorkers,
+  stopWorkers
+};
\ No newline at end of file
@@ -10,11 +10,13 @@
  * - Event emission for crawler updates
  * - Real-time logging to connected clients
  * - Screenshot streaming
+ * - Post-OCR processing progress
  * 
  * Relationships with other modules:
  * - Used by index.js for Socket.io initialization
  * - Used by crawlerService.js to broadcast crawler status
  * - Used by ocrService.js to broadcast OCR results
+ * - Used by ocrPipeline.js to broadcast keyword extraction progress
  * - Connected to the web UI for real-time updates
  */
 
@@ -129,6 +131,24 @@ const broadcastScreenshot = (crawlId, url, screenshotPath) => {
   }
 };
 
+/**
+ * Broadcast the progress of post-OCR processing to all connected clients
+ * 
+ * @param {Object} progressData - Progress data ({ analysisId, crawlId, stage, ... })
+ */
+const broadcastOcrProgress = (progressData) => {
+  if (!io) return;
+  
+  try {
+    io.emit('ocrProgress', {
+      ...progressData,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Error broadcasting OCR progress: ${error.message}`);
+  }
+};
+
 /**
  * Get the number of connected clients
  * 
@@ -143,5 +163,6 @@ module.exports = {
   broadcastCrawlerUpdate,
   broadcastLog,
   broadcastScreenshot,
+  broadcastOcrProgress,
   getConnectionCount
 }; 
\ No newline at end of file
@@ -0,0 +1,76 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('../../src/ocr/ocrService', () => ({ processImage: jest.fn() }));
+jest.mock('../../src/ocr/keywordService', () => ({}));
+jest.mock('../../src/ocr/corpusIndex', () => ({}));
+jest.mock('../../src/models/OCRResult', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/api/middleware/upload', () => ({ removeUpload: jest.fn() }));
+
+const ocrService = require('../../src/ocr/ocrService');
+const OCRResult = require('../../src/models/OCRResult');
+const { removeUpload } = require('../../src/api/middleware/upload');
+const ocrController = require('../../src/api/controllers/ocrController');
+
+/**
+ * Create a response that records its status and body
+ * 
+ * @returns {Object} - Express response mock
+ */
+const createResponse = () => {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(() => res)
+  };
+  return res;
+};
+
+/**
+ * Create a request with an uploaded image
+ * 
+ * @returns {Object} - Express request mock
+ */
+const createUploadRequest = () => ({
+  body: {},
+  file: { path: '/data/uploads/ad.png', originalname: 'ad.png' }
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('analyzeImage', () => {
+  it('keeps the upload of a successful analysis', async () => {
+    const req = createUploadRequest();
+    const res = createResponse();
+    ocrService.processImage.mockResolvedValue({ analysisId: 'analysis-1', text: 'Sale', processed: true });
+    OCRResult.findOne.mockResolvedValue({ analysisId: 'analysis-1' });
+    
+    await ocrController.analyzeImage(req, res);
+    
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(ocrService.processImage).toHaveBeenCalledWith('/data/uploads/ad.png', expect.objectContaining({ source: 'upload' }));
+    expect(removeUpload).not.toHaveBeenCalled();
+  });
+  
+  it('deletes the upload when the image could not be read', async () => {
+    const req = createUploadRequest();
+    const res = createResponse();
+    ocrService.processImage.mockResolvedValue({ analysisId: 'analysis-1', text: '', processed: false, error: 'Unsupported image' });
+    
+    await ocrController.analyzeImage(req, res);
+    
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(removeUpload).toHaveBeenCalledWith(req);
+  });
+  
+  it('deletes the upload when the analysis failed', async () => {
+    const req = createUploadRequest();
+    const res = createResponse();
+    ocrService.processImage.mockResolvedValue({ analysisId: 'analysis-1', text: 'Sale', processed: true });
+    OCRResult.findOne.mockRejectedValue(new Error('connection lost'));
+    
+    await ocrController.analyzeImage(req, res);
+    
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(removeUpload).toHaveBeenCalledWith(req);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('natural', () => require('../helpers/natural'));
+
+const {
+  validateOcrResultsQuery,
+  validateKeywordsQuery,
+  validateJobsQuery
+} = require('../../src/api/middleware/validation');
+
+/**
+ * Run a validation middleware on a query
+ * 
+ * @param {Function} middleware - Validation middleware
+ * @param {Object} query - Parsed query string
+ * @returns {Object} - Outcome ({ passed, status, body })
+ */
+const runValidation = (middleware, query) => {
+  const outcome = { passed: false, status: null, body: null };
+  const res = {
+    status: (status) => {
+      outcome.status = status;
+      return res;
+    },
+    json: (body) => {
+      outcome.body = body;
+      return res;
+    }
+  };
+  
+  middleware({ query }, res, () => { outcome.passed = true; });
+  return outcome;
+};
+
+describe('list query validation', () => {
+  it('passes valid queries', () => {
+    expect(runValidation(validateOcrResultsQuery, {
+      page: '2', limit: '50', sort: 'confidence', order: 'asc', minConfidence: '60', from: '2024-01-01'
+    }).passed).toBe(true);
+    expect(runValidation(validateKeywordsQuery, { type: 'phrase', token: 'shipping', minFrequency: '2' }).passed).toBe(true);
+  });
+  
+  it('rejects operator objects and repeated parameters', () => {
+    const outcome = runValidation(validateOcrResultsQuery, { crawlId: { $ne: 'x' }, language: ['eng', 'deu'] });
+    
+    expect(outcome.status).toBe(400);
+    expect(outcome.body.errors).toEqual(expect.arrayContaining([
+      'crawlId must be a single value',
+      'language must be a single value'
+    ]));
+  });
+  
+  it('rejects invalid paging, sorting and dates', () => {
+    const { body } = runValidation(validateKeywordsQuery, {
+      page: '0', limit: '500', sort: 'random', order: 'up', from: 'yesterday'
+    });
+    
+    expect(body.errors).toEqual(expect.arrayContaining([
+      'page must be a positive integer',
+      'limit must be at most 100',
+      'order must be asc or desc',
+      'from must be a date'
+    ]));
+    expect(body.errors.some(error => error.startsWith('sort must be one of'))).toBe(true);
+  });
+  
+  it('rejects confidence ranges outside 0-100 or in the wrong order', () => {
+    expect(runValidation(validateOcrResultsQuery, { maxConfidence: '120' }).body.errors)
+      .toEqual(['maxConfidence must be a number between 0 and 100']);
+    expect(runValidation(validateOcrResultsQuery, { minConfidence: '90', maxConfidence: '60' }).body.errors)
+      .toEqual(['minConfidence must not be greater than maxConfidence']);
+  });
+  
+  it('rejects unknown keyword types and job statuses', () => {
+    expect(runValidation(validateKeywordsQuery, { type: 'sentence' }).body.errors).toEqual(['type must be word or phrase']);
+    expect(runValidation(validateJobsQuery, { status: 'lost' }).body.errors[0]).toMatch(/^status must be one of/);
+  });
+});
\ No newline at end of file
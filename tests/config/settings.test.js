@@ -0,0 +1,43 @@
+const settingsStore = require('../../src/config/settings');
+
+const BUDGET_VARIABLES = ['MAX_PAGES', 'MAX_DURATION_MS', 'MAX_SCREENSHOTS', 'MAX_BYTES', 'MAX_RETRIES'];
+
+describe('settings', () => {
+  afterEach(() => {
+    for (const name of BUDGET_VARIABLES) delete process.env[name];
+    settingsStore.resetSettings();
+  });
+  
+  it('leaves crawl budgets unlimited by default', () => {
+    const { crawler } = settingsStore.resetSettings();
+    
+    expect(crawler).toMatchObject({ maxPages: 0, maxDuration: 0, maxScreenshots: 0, maxBytes: 0, maxRetries: 3 });
+  });
+  
+  it('reads budgets from the environment and keeps an explicit 0', () => {
+    process.env.MAX_PAGES = '250';
+    process.env.MAX_BYTES = '1048576';
+    process.env.MAX_RETRIES = '0';
+    
+    const { crawler } = settingsStore.resetSettings();
+    
+    expect(crawler.maxPages).toBe(250);
+    expect(crawler.maxBytes).toBe(1048576);
+    expect(crawler.maxRetries).toBe(0);
+  });
+  
+  it('falls back to the default for values that are not numbers', () => {
+    process.env.MAX_RETRIES = 'often';
+    
+    expect(settingsStore.resetSettings().crawler.maxRetries).toBe(3);
+  });
+  
+  it('merges updates into the current settings', () => {
+    settingsStore.updateSettings({ crawler: { maxPages: 10 } });
+    
+    const { crawler, ocr } = settingsStore.getSettings();
+    expect(crawler.maxPages).toBe(10);
+    expect(crawler.maxRetries).toBe(3);
+    expect(ocr.language).toBeDefined();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,50 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const { matchAdNetwork, matchIabSize, getLandingUrl } = require('../../src/crawler/adDetector');
+
+describe('matchAdNetwork', () => {
+  it('recognizes ad-serving hosts and their subdomains', () => {
+    expect(matchAdNetwork('https://tpc.googlesyndication.com/simgad/123')).toBe('google');
+    expect(matchAdNetwork('https://securepubads.g.doubleclick.net/gampad/ads')).toBe('google');
+    expect(matchAdNetwork('https://aax.amazon-adsystem.com/e/dtb/bid')).toBe('amazon');
+  });
+  
+  it('matches on host boundaries only', () => {
+    expect(matchAdNetwork('https://notdoubleclick.net/banner.png')).toBeNull();
+    expect(matchAdNetwork('https://shop.example/?ref=doubleclick.net')).toBeNull();
+  });
+  
+  it('leaves out conversion pixels that serve no creatives', () => {
+    expect(matchAdNetwork('https://bat.bing.com/action/0?ti=123')).toBeNull();
+  });
+  
+  it('ignores invalid URLs', () => {
+    expect(matchAdNetwork('not a url')).toBeNull();
+  });
+});
+
+describe('matchIabSize', () => {
+  it('matches IAB sizes within the tolerance', () => {
+    expect(matchIabSize(300, 250)).toBe('300x250');
+    expect(matchIabSize(729, 88)).toBe('728x90');
+    expect(matchIabSize(160, 602)).toBe('160x600');
+  });
+  
+  it('rejects other sizes', () => {
+    expect(matchIabSize(300, 254)).toBeNull();
+    expect(matchIabSize(250, 300)).toBeNull();
+  });
+});
+
+describe('getLandingUrl', () => {
+  it('unwraps the landing page of ad network redirects', () => {
+    expect(getLandingUrl('https://adclick.g.doubleclick.net/pcs/click?xai=1&adurl=https://shop.example/sale'))
+      .toBe('https://shop.example/sale');
+    expect(getLandingUrl('https://adclick.g.doubleclick.net/pcs/click?xai=1')).toBeNull();
+  });
+  
+  it('keeps other links as they are', () => {
+    expect(getLandingUrl('https://shop.example/sale?url=https://other.example/')).toBe('https://shop.example/sale?url=https://other.example/');
+    expect(getLandingUrl(null)).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,119 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('playwright', () => ({ chromium: { launch: jest.fn() } }));
+
+/**
+ * Create a Playwright browser mock
+ * 
+ * @returns {Object} - Browser with newContext(), on() and close()
+ */
+const createBrowser = () => ({
+  newContext: jest.fn(async () => ({ close: jest.fn(async () => {}) })),
+  on: jest.fn(),
+  close: jest.fn(async () => {}),
+  isConnected: () => true
+});
+
+let browserPool;
+let chromium;
+
+beforeEach(() => {
+  jest.resetModules();
+  process.env.BROWSER_POOL_MAX_BROWSERS = '1';
+  process.env.BROWSER_POOL_MAX_CONTEXTS = '2';
+  process.env.BROWSER_RECYCLE_PAGES = '3';
+  
+  ({ chromium } = require('playwright'));
+  chromium.launch.mockImplementation(async () => createBrowser());
+  browserPool = require('../../src/crawler/browserPool');
+});
+
+afterEach(async () => {
+  await browserPool.closePool();
+  delete process.env.BROWSER_POOL_MAX_BROWSERS;
+  delete process.env.BROWSER_POOL_MAX_CONTEXTS;
+  delete process.env.BROWSER_RECYCLE_PAGES;
+});
+
+describe('launch options', () => {
+  it('launches headless browsers by default', async () => {
+    await browserPool.acquireContext();
+    
+    expect(chromium.launch).toHaveBeenCalledWith(expect.objectContaining({ headless: true }));
+    expect(chromium.launch.mock.calls[0][0].args).not.toContain('--start-maximized');
+  });
+  
+  it('launches headed browsers on the X display on request', async () => {
+    process.env.DISPLAY = ':1';
+    await browserPool.acquireContext({}, { headless: false });
+    delete process.env.DISPLAY;
+    
+    expect(chromium.launch).toHaveBeenCalledWith(expect.objectContaining({ headless: false }));
+    expect(chromium.launch.mock.calls[0][0].args).toEqual(expect.arrayContaining(['--start-maximized', '--display=:1']));
+    expect(browserPool.getPoolStats().browsers[0]).toMatchObject({ headless: false });
+  });
+  
+  it('closes an idle browser of the other mode to make room', async () => {
+    const headless = await browserPool.acquireContext();
+    await browserPool.releaseContext(headless);
+    
+    await browserPool.acquireContext({}, { headless: false });
+    
+    const [first] = await Promise.all(chromium.launch.mock.results.map(result => result.value));
+    expect(first.close).toHaveBeenCalled();
+    expect(browserPool.getPoolStats()).toMatchObject({ browserCount: 1, browsers: [{ headless: false }] });
+  });
+});
+
+describe('context slots', () => {
+  it('shares a browser between contexts up to its limit', async () => {
+    await Promise.all([browserPool.acquireContext(), browserPool.acquireContext()]);
+    
+    expect(chromium.launch).toHaveBeenCalledTimes(1);
+    expect(browserPool.getPoolStats()).toMatchObject({ browserCount: 1, contextCount: 2 });
+  });
+  
+  it('waits for a released context when the pool is full', async () => {
+    const first = await browserPool.acquireContext();
+    await browserPool.acquireContext();
+    
+    let acquired = false;
+    const waiting = browserPool.acquireContext().then(() => { acquired = true; });
+    await new Promise(resolve => setImmediate(resolve));
+    
+    expect(acquired).toBe(false);
+    expect(browserPool.getPoolStats().waiting).toBe(1);
+    
+    await browserPool.releaseContext(first);
+    await waiting;
+    
+    expect(first.close).toHaveBeenCalled();
+    expect(browserPool.getPoolStats()).toMatchObject({ contextCount: 2, waiting: 0 });
+  });
+});
+
+describe('recycling', () => {
+  it('retires a browser after its page budget and replaces it once its contexts are released', async () => {
+    const context = await browserPool.acquireContext();
+    
+    browserPool.recordPage(context);
+    browserPool.recordPage(context);
+    expect(browserPool.shouldReplaceContext(context)).toBe(false);
+    
+    browserPool.recordPage(context);
+    expect(browserPool.shouldReplaceContext(context)).toBe(true);
+    expect(browserPool.getPoolStats().browsers[0]).toMatchObject({ recycling: true, recycleReason: 'served 3 pages' });
+    
+    // The crawl moves to a fresh context before the old one is released
+    const replacement = browserPool.acquireContext();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(chromium.launch).toHaveBeenCalledTimes(1);
+    
+    await browserPool.releaseContext(context);
+    await replacement;
+    
+    const [retired] = await Promise.all(chromium.launch.mock.results.map(result => result.value));
+    expect(retired.close).toHaveBeenCalled();
+    expect(chromium.launch).toHaveBeenCalledTimes(2);
+    expect(browserPool.getPoolStats()).toMatchObject({ browserCount: 1, contextCount: 1, browsers: [{ recycling: false }] });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+const {
+  computeFingerprint,
+  hammingDistance,
+  getThreshold,
+  createFingerprintIndex
+} = require('../../src/crawler/contentFingerprint');
+
+const ARTICLE = [
+  'Our spring collection brings lightweight jackets, breathable running shoes and',
+  'colourful summer dresses to every store. Members get free shipping on all orders',
+  'above fifty euros, and returns stay free for thirty days after delivery. Visit the',
+  'nearest store to try the new styles or order online with same day dispatch.',
+  'Our designers worked with recycled cotton and organic linen for most of the pieces',
+  'this season. Every jacket is water repellent without harmful coatings, and the shoes',
+  'use soles made from reclaimed rubber. Sizes range from extra small to triple extra',
+  'large, with petite and tall fits for trousers and dresses. Gift cards are available',
+  'in every store and online in amounts from ten to five hundred euros. They never',
+  'expire and can be combined with member discounts during the seasonal sale, which',
+  'starts on the first weekend of June and runs until the end of the month.'
+].join(' ');
+
+describe('computeFingerprint', () => {
+  it('returns 16 hex characters for long enough texts', () => {
+    expect(computeFingerprint(ARTICLE)).toMatch(/^[0-9a-f]{16}$/);
+  });
+  
+  it('skips texts that are too short to compare', () => {
+    expect(computeFingerprint('Page not found')).toBeNull();
+    expect(computeFingerprint(null)).toBeNull();
+  });
+  
+  it('ignores case and punctuation', () => {
+    expect(computeFingerprint(ARTICLE.toUpperCase().replace(/\./g, '!'))).toBe(computeFingerprint(ARTICLE));
+  });
+  
+  it('keeps near-duplicates within the default threshold and different texts apart', () => {
+    const variant = `${ARTICLE} Session 4711.`;
+    const other = [
+      'The city council approved the new budget on Tuesday after a long debate about',
+      'school funding, road repairs and the planned extension of the tram line towards',
+      'the northern districts, which is expected to open in three years at the earliest.'
+    ].join(' ');
+    
+    const fingerprint = computeFingerprint(ARTICLE);
+    
+    expect(hammingDistance(fingerprint, computeFingerprint(variant))).toBeLessThanOrEqual(getThreshold());
+    expect(hammingDistance(fingerprint, computeFingerprint(other))).toBeGreaterThan(getThreshold());
+  });
+});
+
+describe('hammingDistance', () => {
+  it('counts the differing bits', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('0000000000000000', '000000000000000f')).toBe(4);
+    expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+  });
+});
+
+describe('getThreshold', () => {
+  afterEach(() => {
+    delete process.env.DUPLICATE_THRESHOLD;
+  });
+  
+  it('prefers the crawl option over DUPLICATE_THRESHOLD and the default', () => {
+    expect(getThreshold()).toBe(3);
+    
+    process.env.DUPLICATE_THRESHOLD = '6';
+    expect(getThreshold()).toBe(6);
+    expect(getThreshold({ duplicateThreshold: 0 })).toBe(0);
+  });
+  
+  it('falls back to the default for invalid values', () => {
+    process.env.DUPLICATE_THRESHOLD = 'many';
+    expect(getThreshold()).toBe(3);
+    expect(getThreshold({ duplicateThreshold: -1 })).toBe(3);
+  });
+});
+
+describe('createFingerprintIndex', () => {
+  it('finds near-duplicates of other URLs only', () => {
+    const index = createFingerprintIndex({ 'https://example.com/a': '0000000000000000' });
+    index.add('https://example.com/b', 'ffffffffffffffff');
+    
+    expect(index.size).toBe(2);
+    expect(index.findDuplicate('https://example.com/c', '0000000000000003', 3)).toBe('https://example.com/a');
+    expect(index.findDuplicate('https://example.com/a', '0000000000000000', 3)).toBeNull();
+    expect(index.findDuplicate('https://example.com/c', '00000000000000ff', 3)).toBeNull();
+  });
+});
\ No newline at end of file
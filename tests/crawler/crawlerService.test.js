@@ -0,0 +1,187 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('../../src/config/redis', () => ({ getRedisClient: jest.fn() }));
+jest.mock('../../src/config/settings', () => ({ getSettings: jest.fn() }));
+jest.mock('../../src/utils/socketManager', () => ({ broadcastCrawlerUpdate: jest.fn(), broadcastLog: jest.fn() }));
+jest.mock('../../src/utils/aiAssistant', () => ({ analyzePage: jest.fn() }));
+jest.mock('../../src/ocr/ocrJobs', () => ({ queueOcr: jest.fn() }));
+jest.mock('../../src/models/CrawlJob', () => ({ findById: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/crawler/robotsService', () => ({}));
+jest.mock('../../src/crawler/sitemapService', () => ({}));
+jest.mock('../../src/crawler/adDetector', () => ({}));
+jest.mock('../../src/crawler/creativeService', () => ({}));
+jest.mock('../../src/crawler/networkCapture', () => ({}));
+jest.mock('../../src/crawler/browserPool', () => ({
+  acquireContext: jest.fn(),
+  releaseContext: jest.fn(),
+  recordPage: jest.fn(),
+  shouldReplaceContext: jest.fn()
+}));
+
+const { getRedisClient } = require('../../src/config/redis');
+const settingsStore = require('../../src/config/settings');
+const CrawlJob = require('../../src/models/CrawlJob');
+const browserPool = require('../../src/crawler/browserPool');
+const frontier = require('../../src/crawler/frontier');
+const { createFakeRedis } = require('../helpers/fakeRedis');
+const crawlerService = require('../../src/crawler/crawlerService');
+
+const CRAWL_ID = 'crawl-1';
+
+// Options that leave only navigation and the screenshot to the fake pages
+const OPTIONS = {
+  concurrency: 2,
+  rateLimit: 1,
+  respectRobots: false,
+  captureNetwork: false,
+  dedupeContent: false,
+  useCanonical: false,
+  handleInfiniteScroll: false,
+  useAI: false,
+  performOcr: false,
+  detectAds: false
+};
+
+/**
+ * Create a browser context whose pages load URLs with the given function
+ * 
+ * @param {Function} load - Called with (url, page) for every navigation
+ * @returns {Object} - Browser context mock
+ */
+const createContext = (load) => {
+  const context = {
+    on: jest.fn(),
+    pages: () => [],
+    newPage: jest.fn(async () => {
+      const page = {
+        closed: false,
+        on: jest.fn(),
+        context: () => context,
+        goto: jest.fn(url => load(url, page)),
+        waitForLoadState: jest.fn(),
+        evaluate: jest.fn(async () => 'en'),
+        screenshot: jest.fn(),
+        close: jest.fn(async () => {
+          page.closed = true;
+          if (page.onClose) page.onClose();
+        })
+      };
+      return page;
+    })
+  };
+  return context;
+};
+
+/**
+ * Store a crawl that was paused before a restart
+ * 
+ * @param {Object} options - Crawl options
+ */
+const storePausedCrawl = (options = OPTIONS) => {
+  CrawlJob.findById.mockResolvedValue({
+    _id: CRAWL_ID,
+    url: 'https://shop.example/',
+    depth: 0,
+    status: 'paused',
+    options,
+    screenshotDir: '/tmp/screenshots',
+    startedAt: new Date(),
+    toObject: () => ({ budgets: null })
+  });
+};
+
+/**
+ * Wait until a condition holds
+ * 
+ * @param {Function} condition - Condition to check
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition) => {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > 3000) throw new Error('Timed out waiting for the crawl');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+let redis;
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  redis = createFakeRedis();
+  getRedisClient.mockReturnValue(redis);
+  settingsStore.getSettings.mockReturnValue({ crawler: {} });
+  browserPool.shouldReplaceContext.mockReturnValue(false);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('crawl workers', () => {
+  it('share the frontier and load every URL once', async () => {
+    const urls = ['https://shop.example/', 'https://shop.example/a', 'https://shop.example/b', 'https://shop.example/c'];
+    const loaded = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const context = createContext(async (url) => {
+      loaded.push(url);
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      inFlight--;
+      return null;
+    });
+    browserPool.acquireContext.mockResolvedValue(context);
+    storePausedCrawl();
+    await frontier.initFrontier(CRAWL_ID, urls.map(url => ({ url, depth: 0 })));
+    
+    expect(await crawlerService.resumeCrawl(CRAWL_ID)).toBe(true);
+    await waitFor(() => browserPool.releaseContext.mock.calls.length > 0);
+    
+    expect(loaded.sort()).toEqual(urls);
+    expect(maxInFlight).toBe(2);
+    expect(context.newPage).toHaveBeenCalledTimes(2);
+    expect(CrawlJob.updateOne).toHaveBeenCalledWith({ _id: CRAWL_ID }, expect.objectContaining({ status: 'completed' }));
+    expect(redis.data.size).toBe(0);
+  });
+});
+
+describe('stopCrawl', () => {
+  it('lets the workers finish before clearing the frontier', async () => {
+    const completeSpy = jest.spyOn(frontier, 'complete');
+    const clearSpy = jest.spyOn(frontier, 'clearFrontier');
+    const context = createContext((url, page) => new Promise((resolve, reject) => {
+      page.onClose = () => reject(new Error('page.goto: Timeout 30000ms exceeded, target page has been closed'));
+    }));
+    browserPool.acquireContext.mockResolvedValue(context);
+    storePausedCrawl({ ...OPTIONS, concurrency: 1 });
+    await frontier.initFrontier(CRAWL_ID, [{ url: 'https://shop.example/', depth: 0 }, { url: 'https://shop.example/a', depth: 0 }]);
+    
+    await crawlerService.resumeCrawl(CRAWL_ID);
+    await waitFor(() => context.newPage.mock.calls.length > 0 && redis.data.get(`crawl:${CRAWL_ID}:inflight`));
+    
+    expect(await crawlerService.stopCrawl(CRAWL_ID)).toBe(true);
+    
+    expect(completeSpy).toHaveBeenCalledWith(CRAWL_ID, 'https://shop.example/');
+    expect(completeSpy.mock.invocationCallOrder[0]).toBeLessThan(clearSpy.mock.invocationCallOrder[0]);
+    expect(CrawlJob.updateOne).not.toHaveBeenCalledWith({ _id: CRAWL_ID }, expect.objectContaining({ $push: expect.anything() }));
+    expect(redis.data.size).toBe(0);
+  });
+  
+  it('stops a crawl paused before a restart', async () => {
+    storePausedCrawl();
+    await frontier.initFrontier(CRAWL_ID, [{ url: 'https://shop.example/', depth: 0 }]);
+    
+    expect(await crawlerService.stopCrawl(CRAWL_ID)).toBe(true);
+    
+    expect(CrawlJob.updateOne).toHaveBeenCalledWith({ _id: CRAWL_ID }, expect.objectContaining({ status: 'stopped' }));
+    expect(await frontier.exists(CRAWL_ID)).toBe(false);
+    expect(browserPool.acquireContext).not.toHaveBeenCalled();
+  });
+  
+  it('does not stop finished crawls', async () => {
+    CrawlJob.findById.mockResolvedValue({ _id: CRAWL_ID, status: 'completed' });
+    
+    expect(await crawlerService.stopCrawl(CRAWL_ID)).toBe(false);
+    expect(CrawlJob.updateOne).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
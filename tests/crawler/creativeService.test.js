@@ -0,0 +1,125 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('../../src/utils/imageHash', () => ({ computeImageHash: jest.fn() }));
+jest.mock('../../src/models/Creative', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  create: jest.fn()
+}));
+
+const Creative = require('../../src/models/Creative');
+const { computeImageHash } = require('../../src/utils/imageHash');
+const { getHashBands, findMatchingCreative, recordCreative } = require('../../src/crawler/creativeService');
+
+const HASH = '0123456789abcdef';
+
+/**
+ * Make Creative.find(...).select(...) resolve to candidates
+ * 
+ * @param {Object[]} candidates - Stored creatives ({ _id, hash })
+ */
+const mockCandidates = (candidates) => {
+  Creative.find.mockReturnValue({ select: jest.fn().mockResolvedValue(candidates) });
+};
+
+describe('getHashBands', () => {
+  it('splits a hash into eight indexed bytes', () => {
+    expect(getHashBands(HASH)).toEqual(['0:01', '1:23', '2:45', '3:67', '4:89', '5:ab', '6:cd', '7:ef']);
+  });
+  
+  it('gives hashes up to seven bits apart a shared band', () => {
+    // One differing bit in each of the first seven bytes
+    const near = '0022446688aaccef';
+    
+    expect(getHashBands(near).filter(band => getHashBands(HASH).includes(band))).toEqual(['7:ef']);
+  });
+});
+
+describe('findMatchingCreative', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    delete process.env.CREATIVE_HASH_THRESHOLD;
+  });
+  
+  it('matches perceptual hashes within the threshold, closest first', async () => {
+    mockCandidates([
+      { _id: 'far', hash: 'fedcba9876543210' },
+      { _id: 'near', hash: '0123456789abcdee' },
+      { _id: 'exact', hash: HASH }
+    ]);
+    Creative.findById.mockImplementation(async (id) => ({ _id: id }));
+    
+    expect(await findMatchingCreative(HASH, 'dhash')).toEqual({ _id: 'exact' });
+    expect(Creative.find).toHaveBeenCalledWith({ hashType: 'dhash', hashBands: { $in: getHashBands(HASH) } });
+  });
+  
+  it('ignores candidates beyond the threshold', async () => {
+    process.env.CREATIVE_HASH_THRESHOLD = '1';
+    mockCandidates([{ _id: 'two-bits', hash: '0123456789abcdec' }]);
+    
+    expect(await findMatchingCreative(HASH, 'dhash')).toBeNull();
+  });
+  
+  it('matches file hashes exactly', async () => {
+    Creative.findOne.mockResolvedValue({ _id: 'file' });
+    
+    expect(await findMatchingCreative(HASH, 'md5')).toEqual({ _id: 'file' });
+    expect(Creative.findOne).toHaveBeenCalledWith({ hashType: 'md5', hash: HASH });
+    expect(Creative.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('recordCreative', () => {
+  const capture = { screenshotPath: '/tmp/creative.png', bbox: { width: 300, height: 250 }, iabSize: '300x250' };
+  
+  beforeEach(() => {
+    jest.resetAllMocks();
+    computeImageHash.mockResolvedValue({ hash: HASH, hashType: 'md5' });
+    Creative.findByIdAndUpdate.mockImplementation(async (id) => ({ _id: id, seenCount: 2 }));
+  });
+  
+  it('stores unknown creatives with their first page and crawl', async () => {
+    Creative.findOne.mockResolvedValue(null);
+    Creative.create.mockImplementation(async (doc) => ({ _id: 'new', ...doc }));
+    
+    const { creative, isNew } = await recordCreative(capture, { crawlId: 'crawl-1', url: 'https://example.com/' });
+    
+    expect(isNew).toBe(true);
+    expect(creative).toMatchObject({ hash: HASH, pages: ['https://example.com/'], crawlJobs: ['crawl-1'], width: 300 });
+  });
+  
+  it('counts another sighting without listing the same page twice', async () => {
+    Creative.findOne.mockResolvedValue({ _id: 'known', pages: ['https://example.com/'], crawlJobs: ['crawl-1'] });
+    
+    const { isNew } = await recordCreative(capture, { crawlId: 'crawl-1', url: 'https://example.com/' });
+    
+    expect(isNew).toBe(false);
+    const update = Creative.findByIdAndUpdate.mock.calls[0][1];
+    expect(update.$inc).toEqual({ seenCount: 1 });
+    expect(update.$push).toBeUndefined();
+  });
+  
+  it('keeps only the most recent pages and crawls of a creative', async () => {
+    Creative.findOne.mockResolvedValue({ _id: 'known', pages: ['https://example.com/'], crawlJobs: ['crawl-1'] });
+    
+    await recordCreative(capture, { crawlId: 'crawl-2', url: 'https://example.com/news' });
+    
+    expect(Creative.findByIdAndUpdate.mock.calls[0][1].$push).toEqual({
+      pages: { $each: ['https://example.com/news'], $slice: -100 },
+      crawlJobs: { $each: ['crawl-2'], $slice: -100 }
+    });
+  });
+  
+  it('keeps recording after a failed capture', async () => {
+    computeImageHash.mockRejectedValueOnce(new Error('ENOENT'));
+    Creative.findOne.mockResolvedValue(null);
+    Creative.create.mockImplementation(async (doc) => ({ _id: 'new', ...doc }));
+    
+    const failed = recordCreative(capture, { crawlId: 'crawl-1', url: 'https://example.com/a' });
+    const next = recordCreative(capture, { crawlId: 'crawl-1', url: 'https://example.com/b' });
+    
+    await expect(failed).rejects.toThrow('ENOENT');
+    await expect(next).resolves.toMatchObject({ isNew: true });
+  });
+});
\ No newline at end of file
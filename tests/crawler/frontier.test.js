@@ -0,0 +1,125 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('../../src/config/redis', () => ({ getRedisClient: jest.fn() }));
+
+const { getRedisClient } = require('../../src/config/redis');
+const { createFakeRedis } = require('../helpers/fakeRedis');
+const frontier = require('../../src/crawler/frontier');
+
+const CRAWL_ID = 'crawl-1';
+
+describe('frontier', () => {
+  let redis;
+  
+  beforeEach(() => {
+    redis = createFakeRedis();
+    getRedisClient.mockReturnValue(redis);
+  });
+  
+  it('hands out seeds before discovered links, then by depth and priority', async () => {
+    await frontier.initFrontier(CRAWL_ID, [{ url: 'https://example.com/', depth: 0 }]);
+    await frontier.enqueue(CRAWL_ID, [
+      { url: 'https://example.com/deep', depth: 2 },
+      { url: 'https://example.com/low', depth: 1, priority: 0.1 },
+      { url: 'https://example.com/high', depth: 1, priority: 0.9 }
+    ]);
+    
+    const order = [];
+    let entry;
+    while ((entry = await frontier.dequeue(CRAWL_ID))) {
+      order.push(entry.url);
+    }
+    
+    expect(order).toEqual([
+      'https://example.com/',
+      'https://example.com/high',
+      'https://example.com/low',
+      'https://example.com/deep'
+    ]);
+  });
+  
+  it('keeps insertion order between entries with equal scores', async () => {
+    await frontier.initFrontier(CRAWL_ID, []);
+    await frontier.enqueue(CRAWL_ID, ['a', 'b', 'c'].map(name => ({ url: `https://example.com/${name}`, depth: 1 })));
+    
+    const urls = [];
+    for (let i = 0; i < 3; i++) urls.push((await frontier.dequeue(CRAWL_ID)).url);
+    
+    expect(urls).toEqual(['https://example.com/a', 'https://example.com/b', 'https://example.com/c']);
+  });
+  
+  it('never hands out a URL twice', async () => {
+    await frontier.initFrontier(CRAWL_ID, [{ url: 'https://example.com/', depth: 0 }]);
+    await frontier.enqueue(CRAWL_ID, [{ url: 'https://example.com/', depth: 1 }]);
+    
+    expect(await frontier.dequeue(CRAWL_ID)).toMatchObject({ url: 'https://example.com/' });
+    expect(await frontier.dequeue(CRAWL_ID)).toBeNull();
+    
+    // Claimed URLs are not queued again
+    expect(await frontier.enqueue(CRAWL_ID, [{ url: 'https://example.com/', depth: 1 }])).toBe(0);
+  });
+  
+  it('records a dequeued entry as visited and in flight until it completes', async () => {
+    await frontier.initFrontier(CRAWL_ID, [{ url: 'https://example.com/', depth: 0 }]);
+    
+    await frontier.dequeue(CRAWL_ID);
+    expect(await frontier.getStats(CRAWL_ID)).toEqual({ queued: 0, visited: 1, inflight: 1, retrying: 0 });
+    
+    await frontier.complete(CRAWL_ID, 'https://example.com/');
+    expect(await frontier.getStats(CRAWL_ID)).toEqual({ queued: 0, visited: 1, inflight: 0, retrying: 0 });
+  });
+  
+  it('claims entries with one dequeue script on the queue, visited and in-flight keys', async () => {
+    await frontier.initFrontier(CRAWL_ID, []);
+    await frontier.enqueue(CRAWL_ID, ['a', 'b'].map(name => ({ url: `https://example.com/${name}`, depth: 1 })));
+    await frontier.markVisited(CRAWL_ID, 'https://example.com/a');
+    const evalSpy = jest.spyOn(redis, 'eval');
+    
+    // The script drops the claimed URL and hands out the next one
+    expect(await frontier.dequeue(CRAWL_ID)).toEqual({ url: 'https://example.com/b', depth: 1 });
+    
+    expect(evalSpy).toHaveBeenCalledTimes(1);
+    expect(evalSpy.mock.calls[0][0]).toMatch(/ZPOPMIN/);
+    expect(evalSpy.mock.calls[0][1]).toEqual({
+      keys: [`crawl:${CRAWL_ID}:queue`, `crawl:${CRAWL_ID}:visited`, `crawl:${CRAWL_ID}:inflight`]
+    });
+    expect(JSON.parse(redis.data.get(`crawl:${CRAWL_ID}:inflight`)['https://example.com/b'])).toEqual({ url: 'https://example.com/b', depth: 1 });
+    expect(await frontier.getStats(CRAWL_ID)).toEqual({ queued: 0, visited: 2, inflight: 1, retrying: 0 });
+  });
+  
+  it('puts in-flight entries back at the front of the queue after a restart', async () => {
+    await frontier.initFrontier(CRAWL_ID, [{ url: 'https://example.com/', depth: 0 }]);
+    await frontier.enqueue(CRAWL_ID, [{ url: 'https://example.com/next', depth: 1 }]);
+    await frontier.dequeue(CRAWL_ID);
+    
+    expect(await frontier.restoreInflight(CRAWL_ID)).toBe(1);
+    expect(await frontier.isVisited(CRAWL_ID, 'https://example.com/')).toBe(false);
+    expect(await frontier.dequeue(CRAWL_ID)).toMatchObject({ url: 'https://example.com/', depth: 0 });
+  });
+  
+  it('moves retries to the front of the queue once they are due', async () => {
+    await frontier.initFrontier(CRAWL_ID, [{ url: 'https://example.com/', depth: 0 }]);
+    await frontier.enqueue(CRAWL_ID, [{ url: 'https://example.com/next', depth: 1 }]);
+    const entry = await frontier.dequeue(CRAWL_ID);
+    
+    await frontier.scheduleRetry(CRAWL_ID, { ...entry, retries: 1 }, Date.now() + 60000);
+    expect(await frontier.hasPendingRetries(CRAWL_ID)).toBe(true);
+    expect(await frontier.dequeue(CRAWL_ID)).toMatchObject({ url: 'https://example.com/next' });
+    
+    await frontier.scheduleRetry(CRAWL_ID, { ...entry, retries: 1 }, Date.now() - 1);
+    await frontier.enqueue(CRAWL_ID, [{ url: 'https://example.com/other', depth: 1 }]);
+    expect(await frontier.dequeue(CRAWL_ID)).toMatchObject({ url: 'https://example.com/', retries: 1 });
+    expect(await frontier.hasPendingRetries(CRAWL_ID)).toBe(false);
+  });
+  
+  it('deletes all data of a crawl', async () => {
+    await frontier.initFrontier(CRAWL_ID, [{ url: 'https://example.com/', depth: 0 }]);
+    await frontier.addFingerprint(CRAWL_ID, 'https://example.com/', '0123456789abcdef');
+    
+    expect(await frontier.exists(CRAWL_ID)).toBe(true);
+    
+    await frontier.clearFrontier(CRAWL_ID);
+    
+    expect(await frontier.exists(CRAWL_ID)).toBe(false);
+    expect(await frontier.getFingerprints(CRAWL_ID)).toEqual({});
+  });
+});
\ No newline at end of file
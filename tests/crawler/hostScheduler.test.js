@@ -0,0 +1,123 @@
+const { createHostScheduler } = require('../../src/crawler/hostScheduler');
+
+const PAGE = 'https://shop.example/sale';
+
+/**
+ * Acquire a slot and let the fake clock run until it is granted
+ * 
+ * @param {Object} scheduler - Host scheduler
+ * @param {string} url - Requested URL
+ * @returns {Promise<number>} - Time waited in ms
+ */
+const acquireNow = async (scheduler, url) => {
+  const waited = scheduler.acquire(url);
+  await jest.runAllTimersAsync();
+  return await waited;
+};
+
+/**
+ * Report a number of fast, successful responses
+ * 
+ * @param {Object} scheduler - Host scheduler
+ * @param {number} count - Number of responses
+ */
+const reportHealthy = (scheduler, count) => {
+  for (let i = 0; i < count; i++) scheduler.report(PAGE, { status: 200, responseTime: 100 });
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('createHostScheduler', () => {
+  it('spaces requests to a host by the rate limit', async () => {
+    const scheduler = createHostScheduler({ rateLimit: 1000 });
+    
+    expect(await acquireNow(scheduler, PAGE)).toBe(0);
+    expect(await acquireNow(scheduler, PAGE)).toBe(1000);
+    
+    jest.advanceTimersByTime(500);
+    expect(await acquireNow(scheduler, PAGE)).toBe(500);
+  });
+  
+  it('queues concurrent requests to the same host one interval apart', async () => {
+    const scheduler = createHostScheduler({ rateLimit: 1000 });
+    
+    const waits = Promise.all([PAGE, PAGE, PAGE].map(url => scheduler.acquire(url)));
+    expect(scheduler.getState()['shop.example'].queued).toBe(2);
+    await jest.runAllTimersAsync();
+    
+    expect(await waits).toEqual([0, 1000, 2000]);
+  });
+  
+  it('gives every host its own budget', async () => {
+    const scheduler = createHostScheduler({ rateLimit: 1000, hostRateLimits: { 'cdn.shop.example': 3000 } });
+    
+    await acquireNow(scheduler, PAGE);
+    expect(await acquireNow(scheduler, 'https://cdn.shop.example/banner.png')).toBe(0);
+    expect(await acquireNow(scheduler, 'https://cdn.shop.example/logo.png')).toBe(3000);
+  });
+  
+  it('lets a rested host take a burst of requests', async () => {
+    const scheduler = createHostScheduler({ rateLimit: 1000, burst: 3 });
+    
+    expect(await Promise.all([1, 2, 3].map(() => scheduler.acquire(PAGE)))).toEqual([0, 0, 0]);
+    expect(await acquireNow(scheduler, PAGE)).toBe(1000);
+  });
+  
+  it('backs off and pauses a host that answers 429, honoring Retry-After', async () => {
+    const scheduler = createHostScheduler({ rateLimit: 1000 });
+    await acquireNow(scheduler, PAGE);
+    
+    scheduler.report(PAGE, { status: 429, retryAfterMs: 10000 });
+    
+    expect(scheduler.getState()['shop.example']).toMatchObject({ interval: 2000, pausedFor: 10000, throttled: 1 });
+    expect(await acquireNow(scheduler, PAGE)).toBe(10000);
+  });
+  
+  it('slows down for slow responses and errors up to the maximum interval', () => {
+    const scheduler = createHostScheduler({ rateLimit: 1000, maxInterval: 2000, slowResponseMs: 3000 });
+    
+    scheduler.report(PAGE, { status: 200, responseTime: 4000 });
+    expect(scheduler.getState()['shop.example']).toMatchObject({ interval: 1500, slow: 1 });
+    
+    scheduler.report(PAGE, { failed: true });
+    expect(scheduler.getState()['shop.example']).toMatchObject({ interval: 2000, errors: 1 });
+  });
+  
+  it('speeds up again after a run of healthy responses, but not below the floor', () => {
+    const scheduler = createHostScheduler({ rateLimit: 1000 });
+    scheduler.report(PAGE, { status: 503 });
+    expect(scheduler.getState()['shop.example'].interval).toBe(2000);
+    
+    reportHealthy(scheduler, 4);
+    expect(scheduler.getState()['shop.example'].interval).toBe(2000);
+    reportHealthy(scheduler, 1);
+    expect(scheduler.getState()['shop.example'].interval).toBe(1800);
+    
+    reportHealthy(scheduler, 100);
+    expect(scheduler.getState()['shop.example'].interval).toBe(1000);
+  });
+  
+  it('raises the floor to the robots.txt crawl delay', () => {
+    const scheduler = createHostScheduler({ rateLimit: 1000 });
+    
+    scheduler.setMinInterval(PAGE, 5000);
+    scheduler.setMinInterval(PAGE, 2000);
+    
+    expect(scheduler.getState()['shop.example']).toMatchObject({ interval: 5000, minInterval: 5000 });
+  });
+  
+  it('keeps a moving average of response times', () => {
+    const scheduler = createHostScheduler();
+    
+    scheduler.report(PAGE, { status: 200, responseTime: 100 });
+    scheduler.report(PAGE, { status: 200, responseTime: 200 });
+    
+    expect(scheduler.getState()['shop.example'].avgResponseTime).toBe(130);
+  });
+});
\ No newline at end of file
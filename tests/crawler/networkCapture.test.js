@@ -0,0 +1,91 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { redactHeaders, storeAsset, isOcrCandidate, writeCaptureLog } = require('../../src/crawler/networkCapture');
+
+describe('redactHeaders', () => {
+  it('replaces credentials and keeps other headers', () => {
+    expect(redactHeaders({
+      cookie: 'session=abc',
+      authorization: 'Bearer token',
+      'Proxy-Authorization': 'Basic xyz',
+      'set-cookie': 'id=1; HttpOnly',
+      'x-api-key': 'key',
+      'content-type': 'image/png',
+      referer: 'https://example.com/'
+    })).toEqual({
+      cookie: '[REDACTED]',
+      authorization: '[REDACTED]',
+      'Proxy-Authorization': '[REDACTED]',
+      'set-cookie': '[REDACTED]',
+      'x-api-key': '[REDACTED]',
+      'content-type': 'image/png',
+      referer: 'https://example.com/'
+    });
+  });
+  
+  it('accepts missing headers', () => {
+    expect(redactHeaders(undefined)).toEqual({});
+  });
+});
+
+describe('storeAsset', () => {
+  let assetDir;
+  
+  beforeEach(() => {
+    assetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(assetDir, { recursive: true, force: true });
+  });
+  
+  it('stores identical bodies once under their hash', async () => {
+    const body = Buffer.from('banner');
+    
+    const first = await storeAsset(body, 'image/png', assetDir);
+    const second = await storeAsset(body, 'image/png', assetDir);
+    
+    expect(second).toEqual(first);
+    expect(first.path).toBe(path.join(assetDir, first.hash.slice(0, 2), `${first.hash}.png`));
+    expect(fs.readFileSync(first.path, 'utf8')).toBe('banner');
+  });
+});
+
+describe('isOcrCandidate', () => {
+  const entry = { adNetwork: 'google', mimeType: 'image/png', asset: { size: 4096 } };
+  
+  it('accepts saved ad network images Tesseract can read', () => {
+    expect(isOcrCandidate(entry)).toBe(true);
+  });
+  
+  it('rejects tracking pixels, unreadable formats and non-ad images', () => {
+    expect(isOcrCandidate({ ...entry, asset: { size: 43 } })).toBe(false);
+    expect(isOcrCandidate({ ...entry, mimeType: 'image/svg+xml' })).toBe(false);
+    expect(isOcrCandidate({ ...entry, adNetwork: null })).toBe(false);
+  });
+});
+
+describe('writeCaptureLog', () => {
+  it('writes the entries of a page as JSON', async () => {
+    const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'network-'));
+    
+    try {
+      const logPath = await writeCaptureLog(logDir, 'https://example.com/', {
+        startedAt: new Date('2024-01-01T00:00:00Z'),
+        entries: [{ url: 'https://example.com/app.js', requestHeaders: redactHeaders({ cookie: 'a=1' }) }]
+      });
+      
+      expect(JSON.parse(fs.readFileSync(logPath, 'utf8'))).toEqual({
+        pageUrl: 'https://example.com/',
+        startedAt: '2024-01-01T00:00:00.000Z',
+        entryCount: 1,
+        entries: [{ url: 'https://example.com/app.js', requestHeaders: { cookie: '[REDACTED]' } }]
+      });
+    } finally {
+      fs.rmSync(logDir, { recursive: true, force: true });
+    }
+  });
+});
\ No newline at end of file
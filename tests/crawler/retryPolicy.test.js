@@ -0,0 +1,140 @@
+const {
+  parseRetryAfter,
+  createHttpError,
+  classifyError,
+  getRetryPolicy,
+  getRetryDelay,
+  getRetryDecision
+} = require('../../src/crawler/retryPolicy');
+
+const POLICY = { maxRetries: 3, baseDelay: 1000, maxDelay: 60000, retryOn: ['timeout', 'dns', 'network', 'http_5xx', 'rate_limited'] };
+
+/**
+ * Create an error with an HTTP status
+ * 
+ * @param {number} status - HTTP status
+ * @returns {Error} - Error like createHttpError's
+ */
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+describe('classifyError', () => {
+  it('classifies HTTP errors by status', () => {
+    expect(classifyError(httpError(429))).toBe('rate_limited');
+    expect(classifyError(httpError(503))).toBe('http_5xx');
+    expect(classifyError(httpError(404))).toBe('http_4xx');
+  });
+  
+  it('classifies navigation errors by message', () => {
+    expect(classifyError(new Error('page.goto: Timeout 30000ms exceeded.'))).toBe('timeout');
+    expect(classifyError(new Error('net::ERR_NAME_NOT_RESOLVED at https://nope.invalid/'))).toBe('dns');
+    expect(classifyError(new Error('net::ERR_CONNECTION_RESET at https://example.com/'))).toBe('network');
+    expect(classifyError(new Error('Execution context was destroyed'))).toBe('other');
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('parses seconds and HTTP dates', () => {
+    expect(parseRetryAfter('120')).toBe(120000);
+    
+    const date = new Date(Date.now() + 30000).toUTCString();
+    expect(parseRetryAfter(date)).toBeGreaterThan(25000);
+    expect(parseRetryAfter(date)).toBeLessThanOrEqual(30000);
+  });
+  
+  it('caps long delays at ten minutes', () => {
+    expect(parseRetryAfter('86400')).toBe(10 * 60 * 1000);
+  });
+  
+  it('ignores missing and invalid values', () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('createHttpError', () => {
+  it('carries the status and Retry-After delay of the response', () => {
+    const response = {
+      status: () => 429,
+      statusText: () => 'Too Many Requests',
+      headers: () => ({ 'retry-after': '5' })
+    };
+    
+    const error = createHttpError(response);
+    
+    expect(error.message).toBe('HTTP 429 Too Many Requests');
+    expect(error.status).toBe(429);
+    expect(error.retryAfterMs).toBe(5000);
+  });
+});
+
+describe('getRetryDelay', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  it('grows exponentially up to the maximum delay', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    
+    expect(getRetryDelay(1, POLICY)).toBe(1000);
+    expect(getRetryDelay(2, POLICY)).toBe(2000);
+    expect(getRetryDelay(4, POLICY)).toBe(8000);
+    expect(getRetryDelay(10, POLICY)).toBe(60000);
+  });
+  
+  it('applies full jitter below the ceiling', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.25);
+    
+    expect(getRetryDelay(3, POLICY)).toBe(1000);
+  });
+  
+  it('waits at least as long as the server asked', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    
+    expect(getRetryDelay(1, POLICY, 5000)).toBe(5000);
+  });
+});
+
+describe('getRetryDecision', () => {
+  it('retries retryable errors until the attempts are used up', () => {
+    expect(getRetryDecision(httpError(503), 1, POLICY)).toMatchObject({ errorType: 'http_5xx', willRetry: true });
+    expect(getRetryDecision(httpError(503), 3, POLICY).willRetry).toBe(true);
+    expect(getRetryDecision(httpError(503), 4, POLICY)).toEqual({ errorType: 'http_5xx', willRetry: false, delay: null });
+  });
+  
+  it('never retries client errors', () => {
+    expect(getRetryDecision(httpError(404), 1, POLICY)).toEqual({ errorType: 'http_4xx', willRetry: false, delay: null });
+  });
+  
+  it('only retries the error types of the crawl', () => {
+    const policy = { ...POLICY, retryOn: ['timeout'] };
+    
+    expect(getRetryDecision(httpError(503), 1, policy).willRetry).toBe(false);
+    expect(getRetryDecision(new Error('Timeout 30000ms exceeded'), 1, policy).willRetry).toBe(true);
+  });
+  
+  it('never retries errors after the page loaded', () => {
+    expect(getRetryDecision(new Error('Timeout 30000ms exceeded'), 1, POLICY, true))
+      .toEqual({ errorType: 'timeout', willRetry: false, delay: null });
+    expect(getRetryDecision(new Error('Timeout 30000ms exceeded'), 1, POLICY, false).willRetry).toBe(true);
+  });
+  
+  it('honors Retry-After of rate-limited responses', () => {
+    const error = Object.assign(httpError(429), { retryAfterMs: 90000 });
+    
+    expect(getRetryDecision(error, 1, POLICY).delay).toBeGreaterThanOrEqual(90000);
+  });
+});
+
+describe('getRetryPolicy', () => {
+  it('prefers crawl options over the settings', () => {
+    expect(getRetryPolicy({ maxRetries: 0, retryBaseDelay: 200, retryOn: ['dns'] })).toMatchObject({
+      maxRetries: 0,
+      baseDelay: 200,
+      retryOn: ['dns']
+    });
+  });
+  
+  it('defaults to the retry settings and all retryable types', () => {
+    expect(getRetryPolicy()).toEqual({ ...POLICY });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,119 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+const axios = require('axios');
+const robotsService = require('../../src/crawler/robotsService');
+
+const ROBOTS = [
+  '# Example robots.txt',
+  'User-agent: *',
+  'Disallow: /admin',
+  'Allow: /admin/public',
+  'Disallow: /*.pdf$',
+  'Crawl-delay: 2',
+  '',
+  'User-agent: AdCrawler',
+  'User-agent: OtherBot',
+  'Disallow: /private',
+  'Crawl-delay: 0.5',
+  '',
+  'Sitemap: https://shop.example/sitemap.xml'
+].join('\n');
+
+/**
+ * Let axios answer robots.txt requests
+ * 
+ * @param {number} status - HTTP status
+ * @param {string} data - Response body
+ */
+const serveRobots = (status, data = '') => {
+  axios.get.mockResolvedValue({ status, data });
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  robotsService.clearCache();
+});
+
+describe('parseRobots', () => {
+  it('groups consecutive user agents and collects sitemaps', () => {
+    const { groups, sitemaps } = robotsService.parseRobots(ROBOTS);
+    
+    expect(groups).toHaveLength(2);
+    expect(groups[0]).toMatchObject({ agents: ['*'], crawlDelay: 2 });
+    expect(groups[1]).toEqual({
+      agents: ['adcrawler', 'otherbot'],
+      rules: [{ type: 'disallow', path: '/private' }],
+      crawlDelay: 0.5
+    });
+    expect(sitemaps).toEqual(['https://shop.example/sitemap.xml']);
+  });
+  
+  it('ignores empty Disallow lines', () => {
+    expect(robotsService.parseRobots('User-agent: *\nDisallow:').groups[0].rules).toEqual([]);
+  });
+});
+
+describe('isAllowed', () => {
+  it('applies the longest matching rule', async () => {
+    serveRobots(200, ROBOTS);
+    
+    expect(await robotsService.isAllowed('https://shop.example/admin/users')).toBe(false);
+    expect(await robotsService.isAllowed('https://shop.example/admin/public/logo.png')).toBe(true);
+    expect(await robotsService.isAllowed('https://shop.example/sale')).toBe(true);
+  });
+  
+  it('supports wildcards and end anchors', async () => {
+    serveRobots(200, ROBOTS);
+    
+    expect(await robotsService.isAllowed('https://shop.example/docs/terms.pdf')).toBe(false);
+    expect(await robotsService.isAllowed('https://shop.example/docs/terms.pdf?download=1')).toBe(true);
+  });
+  
+  it('uses the group of the most specific user agent instead of *', async () => {
+    serveRobots(200, ROBOTS);
+    
+    expect(await robotsService.isAllowed('https://shop.example/admin', 'Mozilla/5.0 (compatible; AdCrawler/1.0)')).toBe(true);
+    expect(await robotsService.isAllowed('https://shop.example/private', 'Mozilla/5.0 (compatible; AdCrawler/1.0)')).toBe(false);
+  });
+  
+  it('allows everything when there is no robots.txt', async () => {
+    serveRobots(404);
+    
+    expect(await robotsService.isAllowed('https://shop.example/admin')).toBe(true);
+  });
+  
+  it('disallows everything while robots.txt is unreachable', async () => {
+    serveRobots(503);
+    
+    expect(await robotsService.isAllowed('https://shop.example/sale')).toBe(false);
+  });
+  
+  it('fetches robots.txt once per origin', async () => {
+    serveRobots(200, ROBOTS);
+    
+    await Promise.all([
+      robotsService.isAllowed('https://shop.example/a'),
+      robotsService.isAllowed('https://shop.example/b'),
+      robotsService.filterAllowed(['https://shop.example/c', 'https://shop.example/admin'])
+    ]);
+    
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(axios.get.mock.calls[0][0]).toBe('https://shop.example/robots.txt');
+  });
+});
+
+describe('getCrawlDelay', () => {
+  it('returns the crawl delay of the user agent in milliseconds', async () => {
+    serveRobots(200, ROBOTS);
+    
+    expect(await robotsService.getCrawlDelay('https://shop.example/', 'AdCrawler')).toBe(500);
+    expect(await robotsService.getCrawlDelay('https://shop.example/', 'SomeBot')).toBe(2000);
+  });
+  
+  it('returns null without a Crawl-delay', async () => {
+    serveRobots(200, 'User-agent: *\nDisallow: /admin');
+    
+    expect(await robotsService.getCrawlDelay('https://shop.example/')).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,120 @@
+const { normalizeScope, createScopeFilter, validateScope } = require('../../src/crawler/scope');
+
+const START_URL = 'https://www.example.com/blog/';
+
+/**
+ * Build the scope filter of a crawl starting at START_URL
+ * 
+ * @param {string|Object} scopeOption - Scope option of the crawl
+ * @returns {Function} - Scope filter
+ */
+const filterFor = (scopeOption) => createScopeFilter(START_URL, normalizeScope(START_URL, scopeOption));
+
+describe('scope modes', () => {
+  it('keeps same-origin crawls on the start origin', () => {
+    const inScope = filterFor(undefined);
+    
+    expect(inScope('https://www.example.com/about')).toBe(true);
+    expect(inScope('http://www.example.com/about')).toBe(false);
+    expect(inScope('https://shop.example.com/')).toBe(false);
+    expect(inScope('mailto:info@example.com')).toBe(false);
+    expect(inScope('not a url')).toBe(false);
+  });
+  
+  it('includes subdomains of the registrable domain in same-domain crawls', () => {
+    const inScope = filterFor('same-domain');
+    
+    expect(inScope('https://shop.example.com/cart')).toBe(true);
+    expect(inScope('http://example.com/')).toBe(true);
+    expect(inScope('https://example.org/')).toBe(false);
+  });
+  
+  it('matches prefix crawls against the normalized start URL', () => {
+    const startUrl = 'HTTPS://WWW.Example.com/blog/';
+    const inScope = createScopeFilter(startUrl, normalizeScope(startUrl, 'prefix'));
+    
+    expect(inScope('https://www.example.com/blog')).toBe(true);
+    expect(inScope('https://www.example.com/blog/post-1')).toBe(true);
+    expect(inScope('https://www.example.com/shop')).toBe(false);
+  });
+  
+  it('uses an explicit prefix instead of the start URL', () => {
+    const inScope = filterFor({ mode: 'prefix', prefix: 'https://www.example.com/docs/' });
+    
+    expect(inScope('https://www.example.com/docs/intro')).toBe(true);
+    expect(inScope('https://www.example.com/blog/post-1')).toBe(false);
+  });
+  
+  it('matches the prefix on path segment boundaries only', () => {
+    const inScope = filterFor('prefix');
+    
+    expect(inScope('https://www.example.com/blog?page=2')).toBe(true);
+    expect(inScope('https://www.example.com/blog#comments')).toBe(true);
+    expect(inScope('https://www.example.com/blogger-tips')).toBe(false);
+  });
+});
+
+describe('scope patterns', () => {
+  it('matches globs against the path and query', () => {
+    const inScope = filterFor({ exclude: ['/cart/**', '/logout*', '**calendar**'] });
+    
+    expect(inScope('https://www.example.com/cart/items/1')).toBe(false);
+    expect(inScope('https://www.example.com/logout?next=home')).toBe(false);
+    expect(inScope('https://www.example.com/events/calendar?month=5')).toBe(false);
+    expect(inScope('https://www.example.com/cartoons')).toBe(true);
+  });
+  
+  it('matches a single path segment with *', () => {
+    const inScope = filterFor({ include: ['/blog/*'] });
+    
+    expect(inScope('https://www.example.com/blog/post-1')).toBe(true);
+    expect(inScope('https://www.example.com/blog/2024/post-1')).toBe(false);
+  });
+  
+  it('matches regex patterns case-insensitively against the full URL', () => {
+    const inScope = filterFor({ exclude: ['regex:[?&]sessionid='] });
+    
+    expect(inScope('https://www.example.com/page?SessionId=abc')).toBe(false);
+    expect(inScope('https://www.example.com/page?id=abc')).toBe(true);
+  });
+  
+  it('lets exclude rules win over include rules', () => {
+    const inScope = filterFor({ include: ['/blog/**'], exclude: ['/blog/drafts/**'] });
+    
+    expect(inScope('https://www.example.com/blog/post-1')).toBe(true);
+    expect(inScope('https://www.example.com/blog/drafts/post-2')).toBe(false);
+    expect(inScope('https://www.example.com/about')).toBe(false);
+  });
+});
+
+describe('validateScope', () => {
+  it('accepts modes, scope objects and a missing scope', () => {
+    expect(validateScope(undefined)).toBeNull();
+    expect(validateScope('same-domain')).toBeNull();
+    expect(validateScope({ mode: 'prefix', prefix: 'https://example.com/a', include: ['/a/**'] })).toBeNull();
+  });
+  
+  it('rejects unknown modes, invalid prefixes and malformed pattern lists', () => {
+    expect(validateScope('everything')).toMatch(/Scope mode must be one of/);
+    expect(validateScope({ prefix: 'not a url' })).toBe('Scope prefix must be a valid URL');
+    expect(validateScope({ include: '/a/**' })).toMatch(/Scope include must be an array/);
+    expect(validateScope({ exclude: ['regex:('] })).toMatch(/Invalid scope exclude pattern/);
+  });
+  
+  it('rejects regex patterns with nested quantifiers', () => {
+    expect(validateScope({ exclude: ['regex:(a+)+$'] })).toMatch(/nested quantifier/);
+    expect(validateScope({ exclude: ['regex:(\\w*x){2,}'] })).toMatch(/nested quantifier/);
+    expect(validateScope({ exclude: ['regex:((ab)+c)+'] })).toMatch(/nested quantifier/);
+    expect(validateScope({ exclude: ['regex:(?:ab)+', 'regex:[(+)]+'] })).toBeNull();
+  });
+  
+  it('rejects regex patterns that repeat a group with alternatives', () => {
+    expect(validateScope({ exclude: ['regex:(a|aa)+$'] })).toMatch(/repeats a group with alternatives/);
+    expect(validateScope({ exclude: ['regex:((a|b)c)*'] })).toMatch(/repeats a group with alternatives/);
+    expect(validateScope({ exclude: ['regex:(foo|bar)', 'regex:(x\\|y)+'] })).toBeNull();
+  });
+  
+  it('rejects overly long regex patterns', () => {
+    expect(validateScope({ include: [`regex:${'a'.repeat(201)}`] })).toMatch(/longer than 200 characters/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,113 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('axios', () => ({ get: jest.fn() }));
+jest.mock('../../src/crawler/robotsService', () => ({ getSitemaps: jest.fn() }));
+
+const zlib = require('zlib');
+const axios = require('axios');
+const robotsService = require('../../src/crawler/robotsService');
+const sitemapService = require('../../src/crawler/sitemapService');
+
+const INDEX = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://shop.example/sitemap-old.xml</loc><lastmod>2023-01-01</lastmod></sitemap>
+  <sitemap><loc>https://shop.example/sitemap-products.xml.gz</loc><lastmod>2024-06-01</lastmod></sitemap>
+</sitemapindex>`;
+
+const PRODUCTS = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url><loc>https://shop.example/shoes?color=red&amp;size=42</loc><lastmod>2024-05-01</lastmod><priority>0.8</priority></url>
+  <url><loc><![CDATA[https://shop.example/socks]]></loc><lastmod>2024-06-01</lastmod></url>
+  <url><priority>1.0</priority></url>
+</urlset>`;
+
+const OLD = `<urlset>
+  <url><loc>https://shop.example/</loc><priority>1.0</priority></url>
+  <url><loc>https://shop.example/archive</loc><lastmod>2020-01-01</lastmod></url>
+</urlset>`;
+
+/**
+ * Let axios serve sitemaps by URL
+ * 
+ * @param {Object} files - Response bodies (strings or buffers) by URL
+ */
+const serveSitemaps = (files) => {
+  axios.get.mockImplementation(async (url) => {
+    if (!(url in files)) throw new Error('Request failed with status code 404');
+    return { status: 200, data: Buffer.from(files[url]) };
+  });
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  robotsService.getSitemaps.mockResolvedValue([]);
+});
+
+describe('parseSitemap', () => {
+  it('reads page entries with decoded locations, lastmod and priority', () => {
+    expect(sitemapService.parseSitemap(PRODUCTS)).toEqual({
+      urls: [
+        { loc: 'https://shop.example/shoes?color=red&size=42', lastmod: '2024-05-01', priority: 0.8 },
+        { loc: 'https://shop.example/socks', lastmod: '2024-06-01', priority: null }
+      ],
+      sitemaps: []
+    });
+  });
+  
+  it('reads the child sitemaps of an index', () => {
+    expect(sitemapService.parseSitemap(INDEX).sitemaps.map(entry => entry.loc)).toEqual([
+      'https://shop.example/sitemap-old.xml',
+      'https://shop.example/sitemap-products.xml.gz'
+    ]);
+  });
+});
+
+describe('discoverSitemaps', () => {
+  it('combines configured, robots.txt and default sitemap URLs without duplicates', async () => {
+    robotsService.getSitemaps.mockResolvedValue(['https://shop.example/sitemap_index.xml', 'https://shop.example/sitemap.xml']);
+    
+    expect(await sitemapService.discoverSitemaps('https://shop.example/sale', ['https://cdn.shop.example/extra.xml'])).toEqual([
+      'https://cdn.shop.example/extra.xml',
+      'https://shop.example/sitemap_index.xml',
+      'https://shop.example/sitemap.xml'
+    ]);
+  });
+});
+
+describe('collectSitemapUrls', () => {
+  it('follows sitemap indexes, decompresses gzip and orders pages by priority and lastmod', async () => {
+    serveSitemaps({
+      'https://shop.example/sitemap.xml': INDEX,
+      'https://shop.example/sitemap-products.xml.gz': zlib.gzipSync(PRODUCTS),
+      'https://shop.example/sitemap-old.xml': OLD
+    });
+    
+    const pages = await sitemapService.collectSitemapUrls('https://shop.example/');
+    
+    expect(pages.map(page => page.url)).toEqual([
+      'https://shop.example/',
+      'https://shop.example/shoes?color=red&size=42',
+      'https://shop.example/socks',
+      'https://shop.example/archive'
+    ]);
+  });
+  
+  it('applies the filter and the URL limit', async () => {
+    serveSitemaps({ 'https://shop.example/sitemap.xml': OLD + PRODUCTS });
+    
+    const pages = await sitemapService.collectSitemapUrls('https://shop.example/', {
+      maxUrls: 2,
+      filter: url => url !== 'https://shop.example/'
+    });
+    
+    expect(pages.map(page => page.url)).toEqual([
+      'https://shop.example/shoes?color=red&size=42',
+      'https://shop.example/socks'
+    ]);
+  });
+  
+  it('returns no pages when no sitemap can be fetched', async () => {
+    serveSitemaps({});
+    
+    expect(await sitemapService.collectSitemapUrls('https://shop.example/')).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,47 @@
+const { normalizeUrl, createUrlNormalizer } = require('../../src/crawler/urlNormalizer');
+
+describe('normalizeUrl', () => {
+  it('lowercases scheme and host and drops default ports and fragments', () => {
+    expect(normalizeUrl('HTTPS://Example.COM:443/Path#top')).toBe('https://example.com/Path');
+    expect(normalizeUrl('http://example.com:80/')).toBe('http://example.com/');
+    expect(normalizeUrl('http://example.com:8080/')).toBe('http://example.com:8080/');
+  });
+  
+  it('removes tracking parameters and sorts the remaining ones', () => {
+    expect(normalizeUrl('https://example.com/p?utm_source=x&b=2&gclid=y&a=1&utm_medium=z'))
+      .toBe('https://example.com/p?a=1&b=2');
+  });
+  
+  it('matches tracking parameters case-insensitively', () => {
+    expect(normalizeUrl('https://example.com/p?UTM_Source=x&FbClId=y&id=3')).toBe('https://example.com/p?id=3');
+  });
+  
+  it('removes the trailing slash of non-root paths only', () => {
+    expect(normalizeUrl('https://example.com/blog/')).toBe('https://example.com/blog');
+    expect(normalizeUrl('https://example.com/')).toBe('https://example.com/');
+  });
+  
+  it('returns null for invalid URLs', () => {
+    expect(normalizeUrl('not a url')).toBeNull();
+  });
+});
+
+describe('createUrlNormalizer', () => {
+  it('strips the extra parameters of a crawl, including prefixes', () => {
+    const normalize = createUrlNormalizer({ stripParams: ['sessionid', 'ref_*'] });
+    
+    expect(normalize('https://example.com/?sessionid=1&ref_page=home&ref=2&q=shoes'))
+      .toBe('https://example.com/?q=shoes&ref=2');
+  });
+  
+  it('strips the parameters listed in TRACKING_PARAMS', () => {
+    process.env.TRACKING_PARAMS = 'affiliate, campaign_*';
+    
+    try {
+      const normalize = createUrlNormalizer();
+      expect(normalize('https://example.com/?affiliate=1&campaign_id=2&page=3')).toBe('https://example.com/?page=3');
+    } finally {
+      delete process.env.TRACKING_PARAMS;
+    }
+  });
+});
\ No newline at end of file
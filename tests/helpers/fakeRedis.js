@@ -0,0 +1,255 @@
+/**
+ * In-memory Redis client for tests
+ * 
+ * Implements the subset of the node-redis v4 API used by frontier.js and
+ * jobQueue.js. eval runs the real Lua script (see luaScript.js); scripts can
+ * call the commands in scriptCommands.
+ */
+
+const { runScript } = require('./luaScript');
+
+/**
+ * Create an empty fake Redis client
+ * 
+ * @returns {Object} - Client with a `data` map of key -> value
+ */
+const createFakeRedis = () => {
+  const data = new Map();
+  
+  const get = (key, create) => {
+    if (!data.has(key) && create) data.set(key, create());
+    return data.get(key);
+  };
+  
+  const sortedSet = (key) => get(key, () => new Map());
+  const sortedEntries = (key) => [...(data.get(key) || new Map())]
+    .sort(([a, aScore], [b, bScore]) => aScore - bScore || (a < b ? -1 : a > b ? 1 : 0));
+  const range = (list, start, stop) => {
+    const length = list.length;
+    const from = start < 0 ? Math.max(0, length + start) : start;
+    const to = stop < 0 ? length + stop : Math.min(stop, length - 1);
+    return list.slice(from, to + 1);
+  };
+  const toArray = (value) => Array.isArray(value) ? value : [value];
+  const cleanup = (key) => {
+    const value = data.get(key);
+    if (value !== undefined && typeof value === 'object' && (value.size === 0 || value.length === 0)) {
+      data.delete(key);
+    }
+  };
+  
+  const addToSet = (key, members) => {
+    const set = get(key, () => new Set());
+    let added = 0;
+    for (const member of toArray(members)) {
+      if (!set.has(member)) {
+        set.add(member);
+        added++;
+      }
+    }
+    return added;
+  };
+  const setHashFields = (key, fields) => {
+    const hash = get(key, () => ({}));
+    let added = 0;
+    for (const [name, value] of Object.entries(fields)) {
+      if (!(name in hash)) added++;
+      hash[name] = String(value);
+    }
+    return added;
+  };
+  const popMin = (key) => {
+    const [first] = sortedEntries(key);
+    if (!first) return null;
+    data.get(key).delete(first[0]);
+    cleanup(key);
+    return { value: first[0], score: first[1] };
+  };
+  
+  // Commands Lua scripts can run through redis.call, with Redis' reply types
+  const scriptCommands = {
+    ZPOPMIN: (key) => {
+      const first = popMin(key);
+      return first ? [first.value, String(first.score)] : [];
+    },
+    SADD: (key, ...members) => addToSet(key, members),
+    HSET: (key, ...pairs) => {
+      const fields = {};
+      for (let i = 0; i < pairs.length; i += 2) fields[pairs[i]] = pairs[i + 1];
+      return setHashFields(key, fields);
+    }
+  };
+  
+  const client = {
+    data,
+    
+    async get(key) {
+      return data.has(key) ? String(data.get(key)) : null;
+    },
+    async set(key, value) {
+      data.set(key, String(value));
+      return 'OK';
+    },
+    async del(keys) {
+      let removed = 0;
+      for (const key of toArray(keys)) {
+        if (data.delete(key)) removed++;
+      }
+      return removed;
+    },
+    async exists(keys) {
+      return toArray(keys).filter(key => data.has(key)).length;
+    },
+    async expire() {
+      return 1;
+    },
+    async incrBy(key, amount) {
+      const value = (parseInt(data.get(key)) || 0) + amount;
+      data.set(key, String(value));
+      return value;
+    },
+    
+    async sAdd(key, members) {
+      return addToSet(key, members);
+    },
+    async sRem(key, members) {
+      const set = data.get(key);
+      if (!set) return 0;
+      let removed = 0;
+      for (const member of toArray(members)) {
+        if (set.delete(member)) removed++;
+      }
+      cleanup(key);
+      return removed;
+    },
+    async sIsMember(key, member) {
+      return Boolean(data.get(key) && data.get(key).has(member));
+    },
+    async smIsMember(key, members) {
+      return members.map(member => Boolean(data.get(key) && data.get(key).has(member)));
+    },
+    async sCard(key) {
+      return data.get(key) ? data.get(key).size : 0;
+    },
+    
+    async hSet(key, field, value) {
+      return setHashFields(key, typeof field === 'object' ? field : { [field]: value });
+    },
+    async hDel(key, fields) {
+      const hash = data.get(key);
+      if (!hash) return 0;
+      let removed = 0;
+      for (const field of toArray(fields)) {
+        if (field in hash) {
+          delete hash[field];
+          removed++;
+        }
+      }
+      if (Object.keys(hash).length === 0) data.delete(key);
+      return removed;
+    },
+    async hGetAll(key) {
+      return { ...(data.get(key) || {}) };
+    },
+    async hLen(key) {
+      return Object.keys(data.get(key) || {}).length;
+    },
+    async hIncrBy(key, field, amount) {
+      const hash = get(key, () => ({}));
+      hash[field] = String((parseInt(hash[field]) || 0) + amount);
+      return parseInt(hash[field]);
+    },
+    
+    async zAdd(key, members) {
+      const set = sortedSet(key);
+      let added = 0;
+      for (const { score, value } of toArray(members)) {
+        if (!set.has(value)) added++;
+        set.set(value, score);
+      }
+      return added;
+    },
+    async zRem(key, members) {
+      const set = data.get(key);
+      if (!set) return 0;
+      let removed = 0;
+      for (const member of toArray(members)) {
+        if (set.delete(member)) removed++;
+      }
+      cleanup(key);
+      return removed;
+    },
+    async zCard(key) {
+      return data.get(key) ? data.get(key).size : 0;
+    },
+    async zRange(key, start, stop, options = {}) {
+      const values = sortedEntries(key).map(([value]) => value);
+      if (options.REV) values.reverse();
+      return range(values, start, stop);
+    },
+    async zRangeByScore(key, min, max) {
+      return sortedEntries(key)
+        .filter(([, score]) => score >= min && score <= max)
+        .map(([value]) => value);
+    },
+    async zRemRangeByRank(key, start, stop) {
+      const values = range(sortedEntries(key).map(([value]) => value), start, stop);
+      return client.zRem(key, values);
+    },
+    async zPopMin(key) {
+      return popMin(key);
+    },
+    
+    async lPush(key, values) {
+      const list = get(key, () => []);
+      for (const value of toArray(values)) list.unshift(value);
+      return list.length;
+    },
+    async rPush(key, values) {
+      const list = get(key, () => []);
+      for (const value of toArray(values)) list.push(value);
+      return list.length;
+    },
+    async lLen(key) {
+      return data.get(key) ? data.get(key).length : 0;
+    },
+    async lRange(key, start, stop) {
+      return range(data.get(key) || [], start, stop);
+    },
+    async lRem(key, count, value) {
+      const list = data.get(key);
+      if (!list) return 0;
+      let removed = 0;
+      for (let i = 0; i < list.length && (count === 0 || removed < count); ) {
+        if (list[i] === value) {
+          list.splice(i, 1);
+          removed++;
+        } else {
+          i++;
+        }
+      }
+      cleanup(key);
+      return removed;
+    },
+    async lMove(source, destination, from, to) {
+      const list = data.get(source);
+      if (!list || list.length === 0) return null;
+      const value = from === 'LEFT' ? list.shift() : list.pop();
+      cleanup(source);
+      const target = get(destination, () => []);
+      if (to === 'LEFT') target.unshift(value);
+      else target.push(value);
+      return value;
+    },
+    
+    async eval(script, { keys = [], arguments: args = [] } = {}) {
+      return runScript(script, { keys, args, commands: scriptCommands });
+    }
+  };
+  
+  return client;
+};
+
+module.exports = {
+  createFakeRedis
+};
\ No newline at end of file
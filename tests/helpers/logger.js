@@ -0,0 +1,14 @@
+/**
+ * Silent logger for tests
+ * 
+ * Replaces utils/logger.js so tests don't write to the log files:
+ * 
+ *   jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+ */
+
+module.exports = {
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+};
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Lua script runner for tests
+ * 
+ * Runs Redis Lua scripts in the fengari Lua VM, so the fake Redis client
+ * executes the real scripts instead of re-implementing them. Scripts get
+ * KEYS, ARGV, redis.call (bound to the given command handlers) and
+ * cjson.decode, and replies are converted like Redis does: false becomes
+ * null, numbers become integers and tables become arrays.
+ */
+
+const { lua, lauxlib, lualib, to_luastring: toLuaString } = require('fengari');
+
+/**
+ * Push a JavaScript value onto the Lua stack
+ * 
+ * @param {Object} L - Lua state
+ * @param {*} value - Command reply or decoded JSON
+ */
+const pushValue = (L, value) => {
+  if (value === null || value === undefined) {
+    lua.lua_pushboolean(L, false);
+  } else if (typeof value === 'boolean') {
+    lua.lua_pushboolean(L, value);
+  } else if (typeof value === 'number') {
+    if (Number.isInteger(value)) lua.lua_pushinteger(L, value);
+    else lua.lua_pushnumber(L, value);
+  } else if (typeof value === 'string') {
+    lua.lua_pushstring(L, toLuaString(value));
+  } else if (Array.isArray(value)) {
+    lua.lua_createtable(L, value.length, 0);
+    value.forEach((item, index) => {
+      pushValue(L, item);
+      lua.lua_rawseti(L, -2, index + 1);
+    });
+  } else {
+    lua.lua_createtable(L, 0, 0);
+    for (const [key, item] of Object.entries(value)) {
+      pushValue(L, item);
+      lua.lua_setfield(L, -2, toLuaString(key));
+    }
+  }
+};
+
+/**
+ * Read the reply of a script from the Lua stack
+ * 
+ * @param {Object} L - Lua state
+ * @param {number} index - Stack index
+ * @returns {*} - Reply as node-redis returns it
+ */
+const readReply = (L, index) => {
+  switch (lua.lua_type(L, index)) {
+    case lua.LUA_TSTRING:
+      return lua.lua_tojsstring(L, index);
+    case lua.LUA_TNUMBER:
+      return Math.trunc(lua.lua_tonumber(L, index));
+    case lua.LUA_TBOOLEAN:
+      return lua.lua_toboolean(L, index) ? 1 : null;
+    case lua.LUA_TTABLE: {
+      const reply = [];
+      const table = lua.lua_absindex(L, index);
+      for (let i = 1; lua.lua_rawgeti(L, table, i) !== lua.LUA_TNIL; i++) {
+        reply.push(readReply(L, -1));
+        lua.lua_pop(L, 1);
+      }
+      lua.lua_pop(L, 1);
+      return reply;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Set a global array of strings
+ * 
+ * @param {Object} L - Lua state
+ * @param {string} name - Global name
+ * @param {string[]} values - Values
+ */
+const setGlobalArray = (L, name, values) => {
+  pushValue(L, values.map(String));
+  lua.lua_setglobal(L, toLuaString(name));
+};
+
+/**
+ * Set a global table of JavaScript functions
+ * 
+ * @param {Object} L - Lua state
+ * @param {string} name - Global name
+ * @param {Object} functions - Functions taking the Lua state and returning the number of results
+ */
+const setGlobalLibrary = (L, name, functions) => {
+  lua.lua_createtable(L, 0, 0);
+  for (const [key, fn] of Object.entries(functions)) {
+    lua.lua_pushjsfunction(L, fn);
+    lua.lua_setfield(L, -2, toLuaString(key));
+  }
+  lua.lua_setglobal(L, toLuaString(name));
+};
+
+/**
+ * Run a Redis Lua script
+ * 
+ * @param {string} script - Lua source
+ * @param {Object} context - Script context
+ * @param {string[]} context.keys - KEYS
+ * @param {string[]} context.args - ARGV
+ * @param {Object} context.commands - Synchronous command handlers by upper-case name
+ * @returns {*} - Script reply
+ */
+const runScript = (script, { keys = [], args = [], commands }) => {
+  const L = lauxlib.luaL_newstate();
+  lualib.luaL_openlibs(L);
+  
+  setGlobalArray(L, 'KEYS', keys);
+  setGlobalArray(L, 'ARGV', args);
+  
+  setGlobalLibrary(L, 'redis', {
+    call: (state) => {
+      const argc = lua.lua_gettop(state);
+      const [name, ...commandArgs] = Array.from({ length: argc }, (_, i) => lua.lua_tojsstring(state, i + 1));
+      const command = commands[name.toUpperCase()];
+      
+      if (!command) {
+        return lauxlib.luaL_error(state, toLuaString(`Unknown Redis command called from script: ${name}`));
+      }
+      
+      pushValue(state, command(...commandArgs));
+      return 1;
+    }
+  });
+  
+  setGlobalLibrary(L, 'cjson', {
+    decode: (state) => {
+      pushValue(state, JSON.parse(lua.lua_tojsstring(state, 1)));
+      return 1;
+    }
+  });
+  
+  if (lauxlib.luaL_loadstring(L, toLuaString(script)) !== lua.LUA_OK ||
+      lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+    throw new Error(`Lua script failed: ${lua.lua_tojsstring(L, -1)}`);
+  }
+  
+  return readReply(L, -1);
+};
+
+module.exports = {
+  runScript
+};
\ No newline at end of file
@@ -0,0 +1,14 @@
+/**
+ * natural without its sentiment analyzer for tests
+ * 
+ * natural's index loads the sentiment module, which requires the ESM-only
+ * afinn-165 package that Jest can't load. The app only uses natural's
+ * stemmers and tokenizers, so tests load those directly:
+ * 
+ *   jest.mock('natural', () => require('../helpers/natural'));
+ */
+
+module.exports = {
+  ...require('natural/lib/natural/stemmers'),
+  ...require('natural/lib/natural/tokenizers')
+};
\ No newline at end of file
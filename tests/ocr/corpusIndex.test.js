@@ -0,0 +1,221 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('natural', () => require('../helpers/natural'));
+jest.mock('../../src/utils/jobQueue', () => ({
+  pauseType: jest.fn(),
+  waitForIdle: jest.fn(),
+  resumeType: jest.fn(),
+  addJob: jest.fn(),
+  listJobs: jest.fn(),
+  registerHandler: jest.fn()
+}));
+jest.mock('../../src/models/OCRResult', () => ({
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  find: jest.fn()
+}));
+jest.mock('../../src/models/CorpusIndex', () => ({
+  bulkWrite: jest.fn(),
+  findOne: jest.fn(),
+  deleteMany: jest.fn(),
+  insertMany: jest.fn()
+}));
+jest.mock('../../src/models/CorpusTerm', () => ({
+  bulkWrite: jest.fn(),
+  find: jest.fn(),
+  deleteMany: jest.fn(),
+  insertMany: jest.fn()
+}));
+
+const jobQueue = require('../../src/utils/jobQueue');
+const OCRResult = require('../../src/models/OCRResult');
+const CorpusIndex = require('../../src/models/CorpusIndex');
+const CorpusTerm = require('../../src/models/CorpusTerm');
+const corpusIndex = require('../../src/ocr/corpusIndex');
+
+const OCR_RESULT = {
+  _id: 'result-1',
+  analysisId: 'analysis-1',
+  crawlId: 'crawl-1',
+  options: { url: 'https://www.shop.example/sale' }
+};
+
+/**
+ * Create a query whose lean() resolves to a value
+ * 
+ * @param {*} value - Query result
+ * @returns {Object} - Query
+ */
+const leanQuery = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  delete process.env.KEYWORD_CORPUS_SCOPE;
+  delete process.env.CORPUS_MIN_DOCUMENTS;
+});
+
+describe('getDocumentScopes', () => {
+  it('counts a result in the global, crawl and domain corpus', () => {
+    expect(corpusIndex.getDocumentScopes(OCR_RESULT)).toEqual([
+      { scope: 'global', key: 'global' },
+      { scope: 'crawl', key: 'crawl-1' },
+      { scope: 'domain', key: 'shop.example' }
+    ]);
+    expect(corpusIndex.getDocumentScopes({ options: { url: 'not a url' } })).toEqual([{ scope: 'global', key: 'global' }]);
+  });
+});
+
+describe('indexDocument', () => {
+  it('writes the terms before the document counts', async () => {
+    const writes = [];
+    OCRResult.findOneAndUpdate.mockResolvedValue({ _id: 'result-1' });
+    CorpusTerm.bulkWrite.mockImplementation(async () => writes.push('terms'));
+    CorpusIndex.bulkWrite.mockImplementation(async () => writes.push('counts'));
+    
+    expect(await corpusIndex.indexDocument(OCR_RESULT, ['sale', 'shoe'])).toBe(true);
+    
+    expect(writes).toEqual(['terms', 'counts']);
+    expect(CorpusTerm.bulkWrite.mock.calls[0][0]).toHaveLength(6);
+    expect(CorpusTerm.bulkWrite.mock.calls[0][0][0]).toEqual({
+      updateOne: { filter: { scope: 'global', key: 'global', term: 'sale' }, update: { $inc: { documentFrequency: 1 } }, upsert: true }
+    });
+    expect(CorpusIndex.bulkWrite.mock.calls[0][0]).toHaveLength(3);
+  });
+  
+  it('counts an already indexed result only once', async () => {
+    OCRResult.findOneAndUpdate.mockResolvedValue(null);
+    
+    expect(await corpusIndex.indexDocument(OCR_RESULT, ['sale'])).toBe(false);
+    expect(OCRResult.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'result-1', corpusIndexedAt: null });
+    expect(CorpusTerm.bulkWrite).not.toHaveBeenCalled();
+    expect(CorpusIndex.bulkWrite).not.toHaveBeenCalled();
+  });
+  
+  it('keeps its claim and queues a rebuild when the counts could not be written', async () => {
+    OCRResult.findOneAndUpdate.mockResolvedValue({ _id: 'result-1' });
+    CorpusTerm.bulkWrite.mockRejectedValue(new Error('connection lost'));
+    jobQueue.listJobs.mockResolvedValue({ jobs: [], total: 0 });
+    
+    expect(await corpusIndex.indexDocument(OCR_RESULT, ['sale'])).toBe(false);
+    expect(OCRResult.updateOne).not.toHaveBeenCalled();
+    expect(CorpusIndex.bulkWrite).not.toHaveBeenCalled();
+    expect(jobQueue.listJobs).toHaveBeenCalledWith({ status: 'waiting', type: 'corpus', limit: 1 });
+    expect(jobQueue.addJob).toHaveBeenCalledWith('corpus', {});
+  });
+  
+  it('does not queue a second rebuild while one is waiting', async () => {
+    OCRResult.findOneAndUpdate.mockResolvedValue({ _id: 'result-1' });
+    CorpusTerm.bulkWrite.mockRejectedValue(new Error('connection lost'));
+    jobQueue.listJobs.mockResolvedValue({ jobs: [{ id: 'job-1' }], total: 1 });
+    
+    expect(await corpusIndex.indexDocument(OCR_RESULT, ['sale'])).toBe(false);
+    expect(jobQueue.addJob).not.toHaveBeenCalled();
+  });
+});
+
+describe('getIdf', () => {
+  it('weighs rare terms above common ones', async () => {
+    CorpusIndex.findOne.mockReturnValue(leanQuery({ scope: 'global', key: 'global', documentCount: 9 }));
+    CorpusTerm.find.mockReturnValue(leanQuery([
+      { term: 'menu', documentFrequency: 9 },
+      { term: 'sneaker', documentFrequency: 1 }
+    ]));
+    
+    const { scope, documentCount, idf } = await corpusIndex.getIdf(OCR_RESULT, ['menu', 'sneaker', 'unseen']);
+    
+    expect({ scope, documentCount }).toEqual({ scope: 'global', documentCount: 9 });
+    expect(idf('menu')).toBeCloseTo(Math.log(10 / 10) + 1);
+    expect(idf('sneaker')).toBeCloseTo(Math.log(10 / 2) + 1);
+    expect(idf('unseen')).toBeCloseTo(Math.log(10) + 1);
+    expect(idf('menu')).toBeLessThan(idf('sneaker'));
+  });
+  
+  it('uses the requested scope once it has enough documents', async () => {
+    process.env.CORPUS_MIN_DOCUMENTS = '5';
+    CorpusIndex.findOne.mockReturnValue(leanQuery({ scope: 'domain', key: 'shop.example', documentCount: 5 }));
+    CorpusTerm.find.mockReturnValue(leanQuery([]));
+    
+    expect(await corpusIndex.getIdf(OCR_RESULT, ['sale'], 'domain')).toMatchObject({ scope: 'domain', key: 'shop.example' });
+    expect(CorpusIndex.findOne).toHaveBeenCalledTimes(1);
+    expect(CorpusIndex.findOne).toHaveBeenCalledWith({ scope: 'domain', key: 'shop.example' });
+  });
+  
+  it('falls back to the global corpus for small scopes', async () => {
+    CorpusIndex.findOne.mockImplementation(({ scope }) => leanQuery(scope === 'crawl'
+      ? { scope: 'crawl', key: 'crawl-1', documentCount: 3 }
+      : { scope: 'global', key: 'global', documentCount: 50 }));
+    CorpusTerm.find.mockReturnValue(leanQuery([]));
+    
+    expect(await corpusIndex.getIdf(OCR_RESULT, ['sale'], 'crawl')).toMatchObject({ scope: 'global', documentCount: 50 });
+  });
+  
+  it('gives every term the same weight in an empty corpus', async () => {
+    CorpusIndex.findOne.mockReturnValue(leanQuery(null));
+    
+    const { documentCount, idf } = await corpusIndex.getIdf(OCR_RESULT, ['sale']);
+    
+    expect(documentCount).toBe(0);
+    expect(idf('sale')).toBe(1);
+    expect(CorpusTerm.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('rebuildIndex', () => {
+  /**
+   * Let OCRResult.find() stream the given results
+   * 
+   * @param {Object[]} results - Stored OCR results
+   */
+  const storeResults = (results) => {
+    OCRResult.find.mockReturnValue({
+      lean: () => ({
+        cursor: () => (async function* () { yield* results; })()
+      })
+    });
+  };
+  
+  it('pauses keyword jobs until the new index is in place', async () => {
+    const steps = [];
+    jobQueue.pauseType.mockImplementation(async (type) => steps.push(`pause ${type}`));
+    jobQueue.waitForIdle.mockImplementation(async (type) => steps.push(`idle ${type}`));
+    jobQueue.resumeType.mockImplementation(async (type) => steps.push(`resume ${type}`));
+    CorpusIndex.deleteMany.mockImplementation(async () => steps.push('replace'));
+    storeResults([]);
+    
+    await corpusIndex.rebuildIndex(['keywords']);
+    
+    expect(steps).toEqual(['pause keywords', 'idle keywords', 'replace', 'resume keywords']);
+  });
+  
+  it('resumes keyword jobs when the rebuild fails', async () => {
+    jobQueue.waitForIdle.mockRejectedValue(new Error('keywords jobs still active after 300000 ms'));
+    
+    await expect(corpusIndex.rebuildIndex(['keywords'])).rejects.toThrow('still active');
+    expect(jobQueue.resumeType).toHaveBeenCalledWith('keywords');
+    expect(CorpusIndex.deleteMany).not.toHaveBeenCalled();
+  });
+  
+  it('counts each term once per document and scope', async () => {
+    storeResults([
+      { ...OCR_RESULT, language: 'eng', text: 'Sale sale sale' },
+      { ...OCR_RESULT, _id: 'result-2', crawlId: 'crawl-2', language: 'eng', text: 'Sale on sneakers' },
+      { ...OCR_RESULT, _id: 'result-3', language: 'eng', text: '   ' }
+    ]);
+    
+    expect(await corpusIndex.rebuildIndex()).toEqual({ documents: 2, scopes: 4, terms: 7 });
+    
+    expect(CorpusIndex.insertMany.mock.calls[0][0]).toEqual(expect.arrayContaining([
+      { scope: 'global', key: 'global', documentCount: 2 },
+      { scope: 'crawl', key: 'crawl-1', documentCount: 1 },
+      { scope: 'domain', key: 'shop.example', documentCount: 2 }
+    ]));
+    expect(CorpusTerm.insertMany.mock.calls[0][0]).toEqual(expect.arrayContaining([
+      { scope: 'global', key: 'global', term: 'sale', documentFrequency: 2 },
+      { scope: 'crawl', key: 'crawl-2', term: 'sneaker', documentFrequency: 1 }
+    ]));
+    expect(OCRResult.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['result-1', 'result-2', 'result-3'] } },
+      { $set: { corpusIndexedAt: expect.any(Date) } }
+    );
+  });
+});
\ No newline at end of file
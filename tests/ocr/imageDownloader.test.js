@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isPublicAddress, downloadImage } = require('../../src/ocr/imageDownloader');
+
+/**
+ * Create a fetch response with a streamed body
+ * 
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @param {Buffer} body - Response body
+ * @returns {Response} - Response
+ */
+const createResponse = (status, headers = {}, body = Buffer.alloc(0)) => {
+  return new Response(status >= 300 && status < 400 ? null : body, { status, headers });
+};
+
+describe('isPublicAddress', () => {
+  it('accepts public IPv4 and IPv6 addresses', () => {
+    expect(isPublicAddress('93.184.216.34')).toBe(true);
+    expect(isPublicAddress('2606:2800:220:1:248:1893:25c8:1946')).toBe(true);
+  });
+  
+  it('rejects loopback, private, link-local and reserved addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254',
+      '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1']) {
+      expect(isPublicAddress(address)).toBe(false);
+    }
+  });
+  
+  it('checks IPv4-mapped IPv6 addresses as IPv4', () => {
+    expect(isPublicAddress('::ffff:127.0.0.1')).toBe(false);
+    expect(isPublicAddress('::ffff:93.184.216.34')).toBe(true);
+  });
+  
+  it('rejects values that are not addresses', () => {
+    expect(isPublicAddress('localhost')).toBe(false);
+  });
+});
+
+describe('downloadImage', () => {
+  let tempDir;
+  let destination;
+  
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-'));
+    destination = path.join(tempDir, 'image.png');
+    jest.spyOn(global, 'fetch');
+  });
+  
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+  
+  it('writes the image of a public URL', async () => {
+    fetch.mockResolvedValue(createResponse(200, { 'content-type': 'image/png' }, Buffer.from('png')));
+    
+    expect(await downloadImage('http://93.184.216.34/ad.png', destination)).toBe(3);
+    expect(fs.readFileSync(destination, 'utf8')).toBe('png');
+  });
+  
+  it('rejects internal hosts and other schemes without fetching', async () => {
+    await expect(downloadImage('http://127.0.0.1:27017/', destination)).rejects.toThrow(/internal address/);
+    await expect(downloadImage('http://[::1]/', destination)).rejects.toThrow(/internal address/);
+    await expect(downloadImage('file:///etc/passwd', destination)).rejects.toThrow(/must use http or https/);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+  
+  it('checks every redirect target', async () => {
+    fetch.mockResolvedValue(createResponse(302, { location: 'http://169.254.169.254/latest/meta-data/' }));
+    
+    await expect(downloadImage('http://93.184.216.34/ad.png', destination)).rejects.toThrow(/internal address/);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+  
+  it('gives up after too many redirects', async () => {
+    fetch.mockResolvedValue(createResponse(301, { location: '/again' }));
+    
+    await expect(downloadImage('http://93.184.216.34/ad.png', destination)).rejects.toThrow(/Too many redirects/);
+  });
+  
+  it('rejects images over the size limit', async () => {
+    fetch.mockResolvedValueOnce(createResponse(200, { 'content-length': '2048' }, Buffer.alloc(2048)));
+    await expect(downloadImage('http://93.184.216.34/a.png', destination, { maxBytes: 1024 }))
+      .rejects.toThrow('Image is too large: 2048 bytes');
+    
+    // Without a Content-Length the streamed bytes are counted
+    fetch.mockResolvedValueOnce(new Response(new Blob([Buffer.alloc(2048)]).stream(), { status: 200 }));
+    await expect(downloadImage('http://93.184.216.34/b.png', destination, { maxBytes: 1024 }))
+      .rejects.toThrow('more than 1024 bytes');
+    
+    expect(fs.existsSync(destination)).toBe(false);
+  });
+  
+  it('reports failed responses', async () => {
+    fetch.mockResolvedValue(createResponse(404));
+    
+    await expect(downloadImage('http://93.184.216.34/ad.png', destination)).rejects.toThrow('HTTP 404');
+  });
+  
+  it('times out slow downloads', async () => {
+    fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+    
+    await expect(downloadImage('http://93.184.216.34/ad.png', destination, { timeout: 50 }))
+      .rejects.toThrow('Image download timed out after 50 ms');
+  });
+});
\ No newline at end of file
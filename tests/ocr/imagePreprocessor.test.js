@@ -0,0 +1,70 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const { resolvePipeline, validatePipeline, preprocessImage, mapWordsToOriginal } = require('../../src/ocr/imagePreprocessor');
+
+describe('resolvePipeline', () => {
+  it('resolves presets', () => {
+    expect(resolvePipeline('creative')).toEqual({
+      preset: 'creative',
+      steps: [
+        { name: 'upscale', params: { scale: 2 } },
+        { name: 'grayscale', params: {} },
+        { name: 'invert', params: {} },
+        { name: 'denoise', params: {} },
+        { name: 'binarize', params: {} }
+      ]
+    });
+    expect(resolvePipeline(false)).toEqual({ preset: 'none', steps: [] });
+  });
+  
+  it('resolves step lists with parameters', () => {
+    expect(resolvePipeline('grayscale, deskew')).toEqual({
+      preset: null,
+      steps: [{ name: 'grayscale', params: {} }, { name: 'deskew', params: {} }]
+    });
+    expect(resolvePipeline([{ name: 'adaptive', window: 15 }, 'crop']).steps).toEqual([
+      { name: 'adaptive', params: { window: 15 } },
+      { name: 'crop', params: {} }
+    ]);
+  });
+  
+  it('applies the legacy grayscale and contrast options to the default pipeline', () => {
+    expect(resolvePipeline(true, { contrast: 40 }).steps).toEqual([
+      { name: 'grayscale', params: {} },
+      { name: 'contrast', params: { factor: 40 } }
+    ]);
+    expect(resolvePipeline(undefined, { grayscale: false }).steps).toEqual([]);
+  });
+  
+  it('rejects unknown steps', () => {
+    expect(() => resolvePipeline('grayscale,blur')).toThrow('Unknown preprocessing step or preset: blur');
+    expect(() => resolvePipeline(42)).toThrow('preprocess must be a boolean, a preset name or a list of steps');
+  });
+});
+
+describe('validatePipeline', () => {
+  it('lists the presets and steps for invalid specifications', () => {
+    expect(validatePipeline('scan')).toBeNull();
+    expect(validatePipeline('sepia')).toMatch(/^Unknown preprocessing step or preset: sepia \(presets: none, default, creative/);
+  });
+});
+
+describe('preprocessImage', () => {
+  it('returns the original image for an empty pipeline', async () => {
+    expect(await preprocessImage('/tmp/ad.png', 'none')).toEqual({
+      path: '/tmp/ad.png',
+      preset: 'none',
+      steps: [],
+      transform: { scale: 1, offsetX: 0, offsetY: 0 }
+    });
+  });
+});
+
+describe('mapWordsToOriginal', () => {
+  it('undoes upscaling and cropping', () => {
+    const words = [{ text: 'Sale', bbox: { x: 100, y: 60, width: 200, height: 40 } }];
+    
+    expect(mapWordsToOriginal(words, { scale: 2, offsetX: 5, offsetY: 10 })[0].bbox).toEqual({ x: 55, y: 40, width: 100, height: 20 });
+    expect(mapWordsToOriginal(words, { scale: 1, offsetX: 0, offsetY: 0 })).toBe(words);
+  });
+});
\ No newline at end of file
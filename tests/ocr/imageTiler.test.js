@@ -0,0 +1,71 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+const { getTileRanges, mergeTileWords } = require('../../src/ocr/imageTiler');
+
+/**
+ * Create an OCR word
+ * 
+ * @param {string} text - Word text
+ * @param {number} y - Top in band coordinates
+ * @param {number} height - Height
+ * @param {number} block - Block number within the band
+ * @returns {Object} - Word
+ */
+const word = (text, y, height = 40, block = 1) => ({
+  text,
+  confidence: 90,
+  bbox: { x: 10, y, width: 100, height },
+  block,
+  paragraph: 1,
+  line: 1
+});
+
+describe('getTileRanges', () => {
+  it('covers the image with overlapping bands', () => {
+    expect(getTileRanges(10000, 4000, 200)).toEqual([
+      { top: 0, height: 4000 },
+      { top: 3800, height: 4000 },
+      { top: 7600, height: 2400 }
+    ]);
+  });
+  
+  it('uses a single band for images no taller than a band', () => {
+    expect(getTileRanges(4000, 4000, 200)).toEqual([{ top: 0, height: 4000 }]);
+  });
+});
+
+describe('mergeTileWords', () => {
+  const tiles = [{ top: 0, height: 4000 }, { top: 3800, height: 4000 }];
+  
+  it('moves words into page coordinates and cuts the overlap in the middle', () => {
+    const merged = mergeTileWords(tiles, [
+      [word('Header', 100), word('Sale', 3850), word('Cut', 3890)],
+      [word('Sale', 50), word('Cut', 90), word('Footer', 2000)]
+    ], 200);
+    
+    expect(merged.map(entry => [entry.text, entry.bbox.y])).toEqual([
+      ['Header', 100],
+      ['Sale', 3850],
+      ['Cut', 3890],
+      ['Footer', 5800]
+    ]);
+  });
+  
+  it('drops words read in both bands', () => {
+    const merged = mergeTileWords(tiles, [
+      [word('Big', 3860, 60)],
+      [word('Big', 70, 70)]
+    ], 200);
+    
+    expect(merged.map(entry => entry.text)).toEqual(['Big']);
+  });
+  
+  it('keeps the blocks of different bands apart', () => {
+    const merged = mergeTileWords(tiles, [
+      [word('Header', 100, 40, 1), word('Offer', 1000, 40, 2)],
+      [word('Footer', 2000, 40, 1)]
+    ], 200);
+    
+    expect(merged.map(entry => entry.block)).toEqual([1, 2, 3]);
+  });
+});
\ No newline at end of file
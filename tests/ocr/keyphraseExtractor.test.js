@@ -0,0 +1,73 @@
+jest.mock('natural', () => require('../helpers/natural'));
+
+const { splitFragments, extractRake, extractNgrams, extractKeyphrases } = require('../../src/ocr/keyphraseExtractor');
+const { getLanguageTools } = require('../../src/ocr/languageTools');
+
+const AD_TEXT = 'FREE SHIPPING on all orders\nLimited time offer: shop now\nFree shipping and free returns';
+
+const english = getLanguageTools('eng');
+
+/**
+ * Get the phrases of extracted keywords
+ * 
+ * @param {Object[]} keywords - Extracted keywords
+ * @returns {string[]} - Phrases
+ */
+const words = (keywords) => keywords.map(keyword => keyword.word);
+
+describe('splitFragments', () => {
+  it('ends phrases at line breaks, punctuation and numbers but not apostrophes or hyphens', () => {
+    expect(splitFragments("Don't miss it! 50% off\nToday-only deals")).toEqual(["don't miss it", ' off', 'today-only deals']);
+  });
+});
+
+describe('extractRake', () => {
+  it('finds the phrases between stopwords and punctuation', () => {
+    const keywords = extractRake(AD_TEXT, english);
+    
+    expect(words(keywords).slice(0, 3)).toEqual(['limited time offer', 'free shipping', 'free returns']);
+    expect(keywords[0]).toEqual({ word: 'limited time offer', score: 1, frequency: 1, tokens: ['limited', 'time', 'offer'] });
+    expect(keywords[1]).toMatchObject({ frequency: 2, tokens: ['free', 'shipping'] });
+  });
+  
+  it('never joins words across a line break', () => {
+    expect(words(extractRake(AD_TEXT, english))).not.toContain('orders limited');
+  });
+  
+  it('uses the stopwords of the text language', () => {
+    expect(words(extractRake('Kostenloser Versand für alle Bestellungen', getLanguageTools('deu'))))
+      .toEqual(['kostenloser versand', 'bestellungen']);
+  });
+  
+  it('limits the number of phrases', () => {
+    expect(extractRake(AD_TEXT, english, { limit: 2 })).toHaveLength(2);
+  });
+});
+
+describe('extractNgrams', () => {
+  it('scores collocations by frequency and PMI', () => {
+    const keywords = extractNgrams(AD_TEXT, english);
+    
+    expect(words(keywords)).toEqual(expect.arrayContaining(['limited time offer', 'free shipping', 'free returns']));
+    expect(keywords.find(keyword => keyword.word === 'free shipping').frequency).toBe(2);
+    expect(keywords.every(keyword => keyword.tokens.length >= 2)).toBe(true);
+  });
+  
+  it('drops phrases contained in a longer phrase with the same count', () => {
+    expect(words(extractNgrams(AD_TEXT, english))).not.toContain('limited time');
+  });
+  
+  it('finds no phrases in languages without word boundaries', () => {
+    expect(extractNgrams('免费送货', getLanguageTools('chi_sim'))).toEqual([]);
+  });
+});
+
+describe('extractKeyphrases', () => {
+  it('ranks phrases found by both methods highest', () => {
+    const keywords = extractKeyphrases(AD_TEXT, english);
+    
+    expect(words(keywords).slice(0, 3)).toEqual(['limited time offer', 'free shipping', 'free returns']);
+    expect(keywords[0].score).toBe(1);
+    expect(keywords.every((keyword, index) => index === 0 || keywords[index - 1].score >= keyword.score)).toBe(true);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,194 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('natural', () => require('../helpers/natural'));
+jest.mock('../../src/ocr/corpusIndex', () => ({
+  indexDocument: jest.fn(),
+  getIdf: jest.fn()
+}));
+jest.mock('../../src/models/OCRResult', () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findById: jest.fn()
+}));
+jest.mock('../../src/models/Keyword', () => {
+  const Keyword = jest.fn(function (doc) {
+    Object.assign(this, doc);
+    this.save = jest.fn();
+    Keyword.created.push(this);
+  });
+  Keyword.created = [];
+  Keyword.findOne = jest.fn();
+  Keyword.find = jest.fn();
+  Keyword.countDocuments = jest.fn();
+  return Keyword;
+});
+
+const OCRResult = require('../../src/models/OCRResult');
+const Keyword = require('../../src/models/Keyword');
+const corpusIndex = require('../../src/ocr/corpusIndex');
+const keywordService = require('../../src/ocr/keywordService');
+
+const TEXT = 'Running shoes on sale. Running shoes for every runner, running socks included.';
+
+/**
+ * Create a stored OCR result
+ * 
+ * @param {Object} fields - Fields overriding the defaults
+ * @returns {Object} - OCR result document
+ */
+const createOcrResult = (fields = {}) => ({
+  _id: 'result-1',
+  analysisId: 'analysis-1',
+  crawlId: 'crawl-1',
+  language: 'eng',
+  words: [],
+  keywords: [],
+  keywordsProcessedAt: null,
+  ...fields
+});
+
+/**
+ * Wrap plain keywords like stored Mongoose subdocuments
+ * 
+ * @param {Object[]} keywords - Keywords
+ * @returns {Object[]} - Subdocuments with toObject()
+ */
+const asSubdocuments = (keywords) => keywords.map(keyword => ({ toObject: () => keyword }));
+
+describe('extractKeywords', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Keyword.created = [];
+    delete process.env.GEMINI_API_KEY;
+    delete process.env.KEYWORD_ALGORITHM;
+    corpusIndex.getIdf.mockResolvedValue({ scope: 'global', key: 'global', documentCount: 0, idf: () => 1 });
+    Keyword.findOne.mockResolvedValue(null);
+  });
+  
+  it('stores the keywords with the processed marker and counts them once', async () => {
+    OCRResult.findOne.mockResolvedValue(createOcrResult());
+    OCRResult.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...update.$set }));
+    
+    const keywords = await keywordService.extractKeywords('analysis-1', TEXT);
+    
+    expect(keywords.slice(0, 2).map(keyword => keyword.word)).toEqual(['running', 'shoes']);
+    expect(keywords[0]).toMatchObject({ frequency: 3, tokens: ['running'] });
+    
+    const [filter, update] = OCRResult.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: 'result-1', keywordsProcessedAt: null });
+    expect(update.$set.keywords).toEqual(keywords);
+    expect(update.$set.keywordsProcessedAt).toBeInstanceOf(Date);
+    
+    expect(Keyword.created.map(keyword => keyword.word)).toEqual(keywords.map(keyword => keyword.word));
+    expect(Keyword.created[0]).toMatchObject({ frequency: 1, crawlJobs: ['crawl-1'], languages: ['eng'] });
+  });
+  
+  it('returns the stored keywords of an already processed result without counting them again', async () => {
+    const stored = [{ word: 'shoes', score: 2, frequency: 2 }];
+    OCRResult.findOne.mockResolvedValue(createOcrResult({
+      keywords: asSubdocuments(stored),
+      keywordsProcessedAt: new Date()
+    }));
+    
+    expect(await keywordService.extractKeywords('analysis-1', TEXT)).toEqual(stored);
+    expect(corpusIndex.indexDocument).not.toHaveBeenCalled();
+    expect(OCRResult.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Keyword.findOne).not.toHaveBeenCalled();
+  });
+  
+  it('leaves the counting to the job that stored the keywords first', async () => {
+    const stored = [{ word: 'shoes', score: 2, frequency: 2 }];
+    OCRResult.findOne.mockResolvedValue(createOcrResult());
+    OCRResult.findOneAndUpdate.mockResolvedValue(null);
+    OCRResult.findById.mockResolvedValue({ keywords: asSubdocuments(stored) });
+    
+    expect(await keywordService.extractKeywords('analysis-1', TEXT)).toEqual(stored);
+    expect(Keyword.findOne).not.toHaveBeenCalled();
+    expect(Keyword.created).toEqual([]);
+  });
+  
+  it('adds sightings to existing global keywords', async () => {
+    const existing = {
+      word: 'running',
+      frequency: 3,
+      totalScore: 3,
+      crawlJobs: ['crawl-0'],
+      languages: ['eng'],
+      tokens: [],
+      save: jest.fn()
+    };
+    OCRResult.findOne.mockResolvedValue(createOcrResult());
+    OCRResult.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...update.$set }));
+    Keyword.findOne.mockImplementation(async ({ word }) => word === 'running' ? existing : null);
+    
+    await keywordService.extractKeywords('analysis-1', TEXT);
+    
+    expect(existing).toMatchObject({ frequency: 4, totalScore: 6, averageScore: 1.5, crawlJobs: ['crawl-0', 'crawl-1'], tokens: ['running'] });
+    expect(existing.save).toHaveBeenCalledTimes(1);
+  });
+  
+  it('weighs keyword scores by how rare their terms are in the corpus', async () => {
+    OCRResult.findOne.mockResolvedValue(createOcrResult());
+    OCRResult.findOneAndUpdate.mockImplementation(async (filter, update) => ({ ...update.$set }));
+    corpusIndex.getIdf.mockResolvedValue({
+      scope: 'domain',
+      key: 'shop.example',
+      documentCount: 40,
+      idf: term => term === 'run' ? 0.5 : 2
+    });
+    
+    const keywords = await keywordService.extractKeywords('analysis-1', TEXT);
+    
+    const words = keywords.map(keyword => keyword.word);
+    expect(words[0]).toBe('shoes');
+    expect(words.indexOf('running')).toBeGreaterThan(words.indexOf('sale'));
+    expect(OCRResult.findOneAndUpdate.mock.calls[0][1].$set.keywordScoring)
+      .toMatchObject({ algorithm: 'frequency', corpusScope: 'domain', corpusKey: 'shop.example', corpusDocuments: 40 });
+  });
+  
+  it('fails for unknown OCR results', async () => {
+    OCRResult.findOne.mockResolvedValue(null);
+    
+    await expect(keywordService.extractKeywords('missing', TEXT)).rejects.toThrow('OCR result with ID missing not found');
+  });
+});
+
+describe('getTopKeywords', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+  
+  it('returns the type, tokens and languages of each keyword', async () => {
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue([{
+        word: 'free shipping',
+        type: 'phrase',
+        tokens: ['free', 'shipping'],
+        languages: ['eng', 'deu'],
+        frequency: 4,
+        averageScore: 0.5,
+        category: 'marketing',
+        firstSeenAt: new Date('2024-01-01'),
+        lastSeenAt: new Date('2024-02-01')
+      }])
+    };
+    Keyword.find.mockReturnValue(query);
+    
+    const keywords = await keywordService.getTopKeywords({ type: 'phrase', token: 'shipping', limit: 10 });
+    
+    expect(keywords).toEqual([{
+      word: 'free shipping',
+      type: 'phrase',
+      tokens: ['free', 'shipping'],
+      languages: ['eng', 'deu'],
+      frequency: 4,
+      score: 0.5,
+      category: 'marketing',
+      firstSeenAt: new Date('2024-01-01'),
+      lastSeenAt: new Date('2024-02-01')
+    }]);
+    expect(Keyword.find).toHaveBeenCalledWith(expect.objectContaining({ type: 'phrase', tokens: 'shipping' }));
+    expect(query.sort).toHaveBeenCalledWith({ frequency: -1, word: 1 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('child_process', () => ({ execFile: jest.fn() }));
+jest.mock('node-tesseract-ocr', () => ({ recognize: jest.fn() }));
+jest.mock('../../src/config/settings', () => ({ getSettings: jest.fn() }));
+
+/**
+ * Load the detector with a fresh language cache
+ * 
+ * @param {Object} setup - Environment of the test
+ * @param {string[]|null} setup.installed - Installed traineddata (null if tesseract can't list them)
+ * @param {string} setup.osd - Output of Tesseract OSD
+ * @param {string} setup.defaultLanguage - Configured OCR language
+ * @returns {Object} - Detector module and the tesseract mock
+ */
+const loadDetector = ({ installed = ['eng', 'deu', 'rus', 'osd'], osd = '', defaultLanguage = 'eng' } = {}) => {
+  jest.resetModules();
+  
+  require('child_process').execFile.mockImplementation((command, args, callback) => {
+    if (!installed) return callback(new Error('tesseract: command not found'));
+    callback(null, { stdout: `List of available languages (${installed.length}):\n${installed.join('\n')}\n` });
+  });
+  const tesseract = require('node-tesseract-ocr');
+  tesseract.recognize.mockResolvedValue(osd);
+  require('../../src/config/settings').getSettings.mockReturnValue({ ocr: { language: defaultLanguage } });
+  
+  return { languageDetector: require('../../src/ocr/languageDetector'), tesseract };
+};
+
+afterEach(() => {
+  delete process.env.OCR_DETECT_LANGUAGE;
+});
+
+describe('fromHtmlLang', () => {
+  it('maps html lang attributes to Tesseract languages', () => {
+    const { languageDetector } = loadDetector();
+    
+    expect(languageDetector.fromHtmlLang('de-DE')).toBe('deu');
+    expect(languageDetector.fromHtmlLang('zh_TW')).toBe('chi_tra');
+    expect(languageDetector.fromHtmlLang('zh-CN')).toBe('chi_sim');
+    expect(languageDetector.fromHtmlLang('tlh')).toBeNull();
+    expect(languageDetector.fromHtmlLang(undefined)).toBeNull();
+  });
+});
+
+describe('resolveLanguage', () => {
+  it('uses an explicit language as given', async () => {
+    const { languageDetector, tesseract } = loadDetector();
+    
+    expect(await languageDetector.resolveLanguage('/tmp/ad.png', { lang: 'fra+eng' }))
+      .toEqual({ lang: 'fra+eng', language: 'fra', source: 'request' });
+    expect(tesseract.recognize).not.toHaveBeenCalled();
+  });
+  
+  it('prefers the page language and keeps the default as a fallback', async () => {
+    const { languageDetector, tesseract } = loadDetector();
+    
+    expect(await languageDetector.resolveLanguage('/tmp/ad.png', { htmlLang: 'de' }))
+      .toEqual({ lang: 'deu+eng', language: 'deu', source: 'html' });
+    expect(tesseract.recognize).not.toHaveBeenCalled();
+  });
+  
+  it('detects the script when the page language is unknown', async () => {
+    const { languageDetector } = loadDetector({ osd: 'Orientation in degrees: 0\nScript: Cyrillic\nScript confidence: 4.5\n' });
+    
+    expect(await languageDetector.resolveLanguage('/tmp/ad.png')).toEqual({
+      lang: 'rus+eng',
+      language: 'rus',
+      source: 'osd',
+      script: 'Cyrillic',
+      scriptConfidence: 4.5
+    });
+  });
+  
+  it('ignores uncertain script detections', async () => {
+    const { languageDetector } = loadDetector({ osd: 'Script: Cyrillic\nScript confidence: 0.8\n' });
+    
+    expect(await languageDetector.resolveLanguage('/tmp/ad.png')).toMatchObject({ lang: 'eng', source: 'default' });
+  });
+  
+  it('drops languages without installed traineddata', async () => {
+    const { languageDetector } = loadDetector({ installed: ['eng'] });
+    
+    expect(await languageDetector.resolveLanguage('/tmp/ad.png', { htmlLang: 'ja' }))
+      .toEqual({ lang: 'eng', language: 'eng', source: 'html', unavailable: ['jpn'] });
+  });
+  
+  it('skips detection when it is turned off', async () => {
+    process.env.OCR_DETECT_LANGUAGE = 'false';
+    const { languageDetector, tesseract } = loadDetector({ defaultLanguage: 'eng+deu' });
+    
+    expect(await languageDetector.resolveLanguage('/tmp/ad.png')).toEqual({ lang: 'eng+deu', language: 'eng', source: 'default' });
+    expect(tesseract.recognize).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
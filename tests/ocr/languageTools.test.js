@@ -0,0 +1,57 @@
+jest.mock('natural', () => require('../helpers/natural'));
+
+const languageTools = require('../../src/ocr/languageTools');
+
+describe('normalizeText', () => {
+  it('keeps letters of every script and drops punctuation and numbers', () => {
+    expect(languageTools.normalizeText('Größe 42: Ärmel-Shirt! Скидка 50% 免费送货'))
+      .toBe('größe ärmel shirt скидка 免费送货');
+  });
+});
+
+describe('getLanguageTools', () => {
+  it('uses the first language of a combination', () => {
+    expect(languageTools.getLanguageTools('deu+eng').code).toBe('deu');
+  });
+  
+  it('keeps all words unstemmed for unknown languages', () => {
+    const tools = languageTools.getLanguageTools('tlh');
+    
+    expect(tools.code).toBe('tlh');
+    expect(tools.stopwords.size).toBe(0);
+    expect(tools.stem('running')).toBe('running');
+  });
+  
+  it('lists the registered languages', () => {
+    expect(languageTools.getLanguages()).toEqual(expect.arrayContaining(['eng', 'deu', 'rus', 'jpn', 'chi_sim']));
+    expect(languageTools.getLanguages()).not.toContain('und');
+  });
+});
+
+describe('getTerms', () => {
+  it('stems English words and drops stopwords and short words', () => {
+    expect(languageTools.getTerms('The running shoes are on sale, running fast', 'eng'))
+      .toEqual(['run', 'shoe', 'sale', 'fast']);
+  });
+  
+  it('uses the stopwords and stemmer of the text language', () => {
+    const terms = languageTools.getTerms('Kostenloser Versand für alle Bestellungen', 'deu');
+    
+    expect(terms).toHaveLength(3);
+    expect(terms).not.toContain('für');
+    expect(terms).not.toContain('alle');
+    expect(languageTools.getTerms('Скидки на зимнюю обувь', 'rus')).toHaveLength(3);
+  });
+  
+  it('splits Chinese text into overlapping character pairs', () => {
+    expect(languageTools.getTerms('免费送货 Nike', 'chi_sim')).toEqual(['免费', '费送', '送货', 'nike']);
+  });
+});
+
+describe('registerLanguage', () => {
+  it('adds the tools of a new language', () => {
+    languageTools.registerLanguage('tst', { stopwords: ['zog'], stem: token => token.slice(0, 4), minLength: 2 });
+    
+    expect(languageTools.getTerms('zog blorfing ka', 'tst')).toEqual(['blor', 'ka']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('../../src/utils/socketManager', () => ({ broadcastLog: jest.fn() }));
+jest.mock('../../src/utils/jobQueue', () => ({ addJob: jest.fn(), registerHandler: jest.fn() }));
+jest.mock('../../src/ocr/ocrService', () => ({ processImage: jest.fn() }));
+jest.mock('../../src/ocr/ocrPipeline', () => ({ JOB_TYPE: 'keywords', registerJobHandler: jest.fn() }));
+jest.mock('../../src/ocr/corpusIndex', () => ({ registerJobHandler: jest.fn() }));
+jest.mock('../../src/crawler/creativeService', () => ({ attachOcrResult: jest.fn() }));
+jest.mock('../../src/models/CrawlJob', () => ({ updateOne: jest.fn() }));
+jest.mock('../../src/models/OCRResult', () => ({ findOne: jest.fn() }));
+
+const jobQueue = require('../../src/utils/jobQueue');
+const ocrService = require('../../src/ocr/ocrService');
+const creativeService = require('../../src/crawler/creativeService');
+const CrawlJob = require('../../src/models/CrawlJob');
+const OCRResult = require('../../src/models/OCRResult');
+const ocrJobs = require('../../src/ocr/ocrJobs');
+
+const JOB = { id: 'job-1', attempts: 1, maxAttempts: 3 };
+const DATA = { imagePath: '/data/screenshots/page.png', crawlId: 'crawl-1', url: 'https://shop.example/' };
+
+/**
+ * Get the registered OCR job handler
+ * 
+ * @returns {Function} - Handler
+ */
+const getHandler = () => {
+  ocrJobs.registerOcrJobs();
+  return jobQueue.registerHandler.mock.calls.find(([type]) => type === 'ocr')[1];
+};
+
+/**
+ * Let OCRResult.findOne() find a stored result
+ * 
+ * @param {Object|null} result - Stored result
+ */
+const storeResult = (result) => {
+  OCRResult.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(result) });
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('processOcrJob', () => {
+  it('names the analysis after the job', async () => {
+    storeResult(null);
+    ocrService.processImage.mockResolvedValue({ analysisId: 'job-1', text: 'Sale', confidence: 91 });
+    
+    expect(await getHandler()(DATA, JOB)).toEqual({ analysisId: 'job-1', confidence: 91, characters: 4 });
+    expect(OCRResult.findOne).toHaveBeenCalledWith({ analysisId: 'job-1' }, 'analysisId text confidence');
+    expect(ocrService.processImage).toHaveBeenCalledWith(DATA.imagePath, expect.objectContaining({ analysisId: 'job-1', crawlId: 'crawl-1' }));
+    expect(CrawlJob.updateOne.mock.calls[0][1].$push.ocrResults).toMatchObject({ ocrResultId: 'job-1', confidence: 91 });
+  });
+  
+  it('reuses the result an earlier attempt saved', async () => {
+    storeResult({ analysisId: 'job-1', text: 'Free shipping', confidence: 88 });
+    
+    const result = await getHandler()({ ...DATA, creativeId: 'creative-1' }, { ...JOB, attempts: 2 });
+    
+    expect(result).toEqual({ analysisId: 'job-1', confidence: 88, characters: 13 });
+    expect(ocrService.processImage).not.toHaveBeenCalled();
+    expect(creativeService.attachOcrResult).toHaveBeenCalledWith('creative-1', expect.objectContaining({ analysisId: 'job-1' }));
+  });
+  
+  it('fails the job when OCR had an error', async () => {
+    storeResult(null);
+    ocrService.processImage.mockResolvedValue({ analysisId: 'job-1', text: '', confidence: 0, error: 'Image not found' });
+    
+    await expect(getHandler()(DATA, JOB)).rejects.toThrow('Image not found');
+    expect(CrawlJob.updateOne).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,60 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('node-tesseract-ocr', () => ({ recognize: jest.fn() }));
+jest.mock('fs', () => ({ promises: { access: jest.fn(), unlink: jest.fn(), mkdir: jest.fn(), writeFile: jest.fn() } }));
+jest.mock('../../src/models/OCRResult', () => jest.fn().mockImplementation(function (fields) {
+  Object.assign(this, fields);
+  this.save = jest.fn();
+}));
+jest.mock('../../src/config/settings', () => ({ getSettings: jest.fn() }));
+jest.mock('../../src/ocr/imageTiler', () => ({ needsTiling: jest.fn() }));
+jest.mock('../../src/ocr/imagePreprocessor', () => ({ preprocessImage: jest.fn(), mapWordsToOriginal: jest.fn() }));
+jest.mock('../../src/ocr/languageDetector', () => ({ resolveLanguage: jest.fn() }));
+jest.mock('../../src/ocr/imageDownloader', () => ({}));
+jest.mock('../../src/ocr/ocrPipeline', () => ({ enqueue: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({ getRedisClient: jest.fn() }));
+
+const tesseract = require('node-tesseract-ocr');
+const OCRResult = require('../../src/models/OCRResult');
+const settingsStore = require('../../src/config/settings');
+const imageTiler = require('../../src/ocr/imageTiler');
+const imagePreprocessor = require('../../src/ocr/imagePreprocessor');
+const languageDetector = require('../../src/ocr/languageDetector');
+const ocrService = require('../../src/ocr/ocrService');
+
+const TSV = [
+  'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext',
+  '5\t1\t1\t1\t1\t1\t10\t10\t80\t40\t96\tSale'
+].join('\n');
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2024-05-01T12:00:00Z') });
+  settingsStore.getSettings.mockReturnValue({ ocr: { minConfidence: 60 } });
+  imagePreprocessor.preprocessImage.mockImplementation(async (imagePath) => ({
+    path: imagePath,
+    preset: 'none',
+    steps: [],
+    transform: { scale: 1, offsetX: 0, offsetY: 0 }
+  }));
+  imagePreprocessor.mapWordsToOriginal.mockImplementation(words => words);
+  languageDetector.resolveLanguage.mockResolvedValue({ lang: 'eng', language: 'eng', source: 'default' });
+  imageTiler.needsTiling.mockResolvedValue(false);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('processImage', () => {
+  it('records how long the analysis took', async () => {
+    tesseract.recognize.mockImplementation(async () => {
+      jest.advanceTimersByTime(1500);
+      return TSV;
+    });
+    
+    const result = await ocrService.processImage('/data/screenshots/page.png', { analysisId: 'analysis-1', extractKeywords: false });
+    
+    expect(result).toMatchObject({ analysisId: 'analysis-1', text: 'Sale', processingTime: 1500, processed: true });
+    expect(OCRResult.mock.instances[0].processingTime).toBe(1500);
+    expect(OCRResult.mock.instances[0].save).toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,63 @@
+const { parseTsv, buildText, calculateConfidence, filterWords } = require('../../src/ocr/tesseractTsv');
+
+/**
+ * Create a TSV row
+ * 
+ * @param {Array} columns - level, block, paragraph, line, word, left, top, width, height, conf, text
+ * @returns {string} - Row
+ */
+const row = ([level, block, paragraph, line, word, left, top, width, height, conf, text = '']) =>
+  [level, 1, block, paragraph, line, word, left, top, width, height, conf, text].join('\t');
+
+const TSV = [
+  'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext',
+  row([1, 0, 0, 0, 0, 0, 0, 800, 600, -1]),
+  row([2, 1, 0, 0, 0, 10, 10, 300, 40, -1]),
+  row([5, 1, 1, 1, 1, 10, 10, 80, 40, 96.5, 'FREE']),
+  row([5, 1, 1, 1, 2, 100, 10, 160, 40, 91.25, 'SHIPPING']),
+  row([5, 1, 1, 2, 1, 10, 60, 60, 30, 88, 'today']),
+  row([5, 1, 1, 2, 2, 80, 60, 10, 30, 95, ' ']),
+  row([5, 2, 1, 1, 1, 10, 300, 20, 20, 12, '~']),
+  row([5, 2, 1, 1, 2, 40, 300, 120, 20, 90, 'Sale'])
+].join('\n');
+
+describe('parseTsv', () => {
+  it('reads the words with their confidence, bounding box and layout position', () => {
+    const words = parseTsv(TSV);
+    
+    expect(words.map(word => word.text)).toEqual(['FREE', 'SHIPPING', 'today', '~', 'Sale']);
+    expect(words[1]).toEqual({
+      text: 'SHIPPING',
+      confidence: 91.25,
+      bbox: { x: 100, y: 10, width: 160, height: 40 },
+      block: 1,
+      paragraph: 1,
+      line: 1
+    });
+  });
+  
+  it('rejects output without the TSV header', () => {
+    expect(() => parseTsv('FREE SHIPPING')).toThrow('TSV header missing');
+  });
+});
+
+describe('buildText', () => {
+  it('keeps the lines and separates blocks with a blank line', () => {
+    expect(buildText(parseTsv(TSV))).toBe('FREE SHIPPING\ntoday\n\n~ Sale');
+  });
+});
+
+describe('calculateConfidence', () => {
+  it('weighs word confidences by word length', () => {
+    const words = parseTsv(TSV);
+    
+    expect(calculateConfidence(words)).toBe(Math.round((96.5 * 4 + 91.25 * 8 + 88 * 5 + 12 + 90 * 4) / 22));
+    expect(calculateConfidence([])).toBe(0);
+  });
+});
+
+describe('filterWords', () => {
+  it('drops words below the minimum confidence', () => {
+    expect(buildText(filterWords(parseTsv(TSV), 60))).toBe('FREE SHIPPING\ntoday\n\nSale');
+  });
+});
\ No newline at end of file
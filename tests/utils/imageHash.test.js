@@ -0,0 +1,51 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+
+// Luma of each of the 9x8 reduced pixels, set by each test
+let mockPixels = [];
+
+jest.mock('canvas', () => ({
+  loadImage: jest.fn(async () => ({})),
+  createCanvas: () => ({
+    getContext: () => ({
+      drawImage: () => {},
+      getImageData: () => ({
+        data: mockPixels.flatMap(value => [value, value, value, 255])
+      })
+    })
+  })
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { computeImageHash } = require('../../src/utils/imageHash');
+
+describe('computeImageHash', () => {
+  let imagePath;
+  
+  beforeAll(() => {
+    imagePath = path.join(os.tmpdir(), `image-hash-${process.pid}.png`);
+    fs.writeFileSync(imagePath, 'not really a png');
+  });
+  
+  afterAll(() => {
+    fs.unlinkSync(imagePath);
+  });
+  
+  it('computes a difference hash from horizontal gradients', async () => {
+    // Brightness falls to the right in every row, so every bit is set
+    mockPixels = Array.from({ length: 72 }, (value, index) => 255 - (index % 9) * 20);
+    
+    expect(await computeImageHash(imagePath)).toEqual({ hash: 'ffffffffffffffff', hashType: 'dhash' });
+  });
+  
+  it('falls back to a file hash for flat images', async () => {
+    // Near-solid background with compression noise
+    mockPixels = Array.from({ length: 72 }, (value, index) => 200 + (index % 3));
+    
+    const result = await computeImageHash(imagePath);
+    
+    expect(result.hashType).toBe('md5');
+    expect(result.hash).toMatch(/^[0-9a-f]{16}$/);
+  });
+});
\ No newline at end of file
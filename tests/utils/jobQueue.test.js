@@ -0,0 +1,164 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/logger'));
+jest.mock('../../src/config/redis', () => ({ getRedisClient: jest.fn() }));
+
+const { createFakeRedis } = require('../helpers/fakeRedis');
+
+/**
+ * Wait until a condition holds
+ * 
+ * @param {Function} condition - Async predicate
+ * @param {number} timeout - Longest wait in milliseconds
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Condition not met in time');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+describe('jobQueue', () => {
+  let jobQueue;
+  let redis;
+  
+  beforeEach(() => {
+    // Registered handlers live in the module, so every test gets a fresh one
+    jest.resetModules();
+    redis = createFakeRedis();
+    require('../../src/config/redis').getRedisClient.mockReturnValue(redis);
+    jobQueue = require('../../src/utils/jobQueue');
+    
+    process.env.JOB_POLL_INTERVAL_MS = '10';
+    process.env.JOB_RETRY_BASE_DELAY_MS = '1';
+    process.env.JOB_RETRY_MAX_DELAY_MS = '1';
+  });
+  
+  afterEach(() => {
+    jobQueue.stopWorkers();
+    delete process.env.JOB_POLL_INTERVAL_MS;
+    delete process.env.JOB_RETRY_BASE_DELAY_MS;
+    delete process.env.JOB_RETRY_MAX_DELAY_MS;
+  });
+  
+  it('runs queued jobs and stores their result', async () => {
+    const handler = jest.fn(async (data) => ({ doubled: data.value * 2 }));
+    jobQueue.registerHandler('double', handler);
+    
+    const queued = await jobQueue.addJob('double', { value: 21 });
+    expect(queued).toMatchObject({ type: 'double', status: 'waiting', attempts: 0, data: { value: 21 } });
+    
+    await jobQueue.startWorkers();
+    await waitFor(async () => (await jobQueue.getJob(queued.id)).status === 'completed');
+    
+    const job = await jobQueue.getJob(queued.id);
+    expect(job).toMatchObject({ attempts: 1, result: { doubled: 42 }, error: null });
+    expect(handler).toHaveBeenCalledWith({ value: 21 }, expect.objectContaining({ id: queued.id }));
+  });
+  
+  it('retries failed jobs and keeps them as dead letters once their attempts are used up', async () => {
+    const handler = jest.fn(async () => {
+      throw new Error('Tesseract crashed');
+    });
+    jobQueue.registerHandler('flaky', handler, { maxAttempts: 2 });
+    
+    const { id } = await jobQueue.addJob('flaky', {});
+    await jobQueue.startWorkers();
+    await waitFor(async () => (await jobQueue.getJob(id)).status === 'dead');
+    
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(await jobQueue.getJob(id)).toMatchObject({ attempts: 2, error: 'Tesseract crashed', nextAttemptAt: null });
+    expect(await jobQueue.listJobs({ status: 'dead' })).toMatchObject({ total: 1, jobs: [{ id }] });
+  });
+  
+  it('queues a dead letter again with fresh attempts', async () => {
+    let fail = true;
+    jobQueue.registerHandler('flaky', async () => {
+      if (fail) throw new Error('down');
+      return 'ok';
+    }, { maxAttempts: 1 });
+    
+    const { id } = await jobQueue.addJob('flaky', {});
+    await jobQueue.startWorkers();
+    await waitFor(async () => (await jobQueue.getJob(id)).status === 'dead');
+    
+    fail = false;
+    expect(await jobQueue.retryJob(id)).toMatchObject({ status: 'waiting', attempts: 0 });
+    await waitFor(async () => (await jobQueue.getJob(id)).status === 'completed');
+    
+    // Only dead letters can be retried
+    expect(await jobQueue.retryJob(id)).toBeNull();
+  });
+  
+  it('runs no more jobs of a type at once than its concurrency', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    jobQueue.registerHandler('slow', async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      running--;
+    }, { concurrency: 2 });
+    
+    const jobs = await Promise.all([1, 2, 3, 4, 5].map(value => jobQueue.addJob('slow', { value })));
+    await jobQueue.startWorkers();
+    await waitFor(async () => (await Promise.all(jobs.map(job => jobQueue.getJob(job.id))))
+      .every(job => job.status === 'completed'));
+    
+    expect(maxRunning).toBe(2);
+  });
+  
+  it('puts jobs that were active during a restart back into the queue', async () => {
+    jobQueue.registerHandler('ocr', async () => 'done');
+    const { id } = await jobQueue.addJob('ocr', {});
+    
+    // Simulate a process that died while running the job
+    await redis.lMove('jobs:ocr:waiting', 'jobs:ocr:active', 'RIGHT', 'LEFT');
+    await redis.hSet(`job:${id}`, 'status', 'active');
+    
+    await jobQueue.startWorkers();
+    await waitFor(async () => (await jobQueue.getJob(id)).status === 'completed');
+  });
+  
+  it('starts no jobs of a paused type until it is resumed', async () => {
+    const handler = jest.fn(async () => 'done');
+    jobQueue.registerHandler('keywords', handler);
+    
+    await jobQueue.pauseType('keywords', 60);
+    const { id } = await jobQueue.addJob('keywords', {});
+    await jobQueue.startWorkers();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    
+    expect(handler).not.toHaveBeenCalled();
+    expect((await jobQueue.getJob(id)).status).toBe('waiting');
+    
+    await jobQueue.resumeType('keywords');
+    await waitFor(async () => (await jobQueue.getJob(id)).status === 'completed');
+  });
+  
+  it('waits until no job of a type is active', async () => {
+    let finish;
+    jobQueue.registerHandler('ocr', () => new Promise(resolve => { finish = resolve; }));
+    
+    await jobQueue.addJob('ocr', {});
+    await jobQueue.startWorkers();
+    await waitFor(async () => Boolean(finish));
+    
+    await expect(jobQueue.waitForIdle('ocr', 10)).rejects.toThrow('ocr jobs still active after 10 ms');
+    
+    finish();
+    await expect(jobQueue.waitForIdle('ocr', 2000)).resolves.toBeUndefined();
+  });
+  
+  it('lists waiting jobs next first and counts them per status', async () => {
+    jobQueue.registerHandler('ocr', async () => 'done');
+    const jobs = [];
+    for (const value of [1, 2, 3]) jobs.push(await jobQueue.addJob('ocr', { value }));
+    
+    const { jobs: listed, total } = await jobQueue.listJobs({ status: 'waiting', skip: 1, limit: 1 });
+    
+    expect(total).toBe(3);
+    expect(listed.map(job => job.id)).toEqual([jobs[1].id]);
+    expect((await jobQueue.getQueueStats()).ocr).toMatchObject({ waiting: 3, active: 0, running: 0, concurrency: 1 });
+  });
+});
\ No newline at end of file